@@ -6,10 +6,10 @@
  * can recover progress or results at any time.
  *
  * Message protocol:
- *   START_ASSESSMENT  → { orgName, seeds }  — begin a new assessment
- *   GET_STATE         → (none)              — return current kopplaState
- *   CLEAR_STATE       → (none)              — reset to idle
- *   STATE_CHANGED     ← broadcast           — sent when state changes
+ *   START_ASSESSMENT  → { orgName, seeds, categories, uploadId }  — begin a new assessment
+ *   GET_STATE         → (none)                                    — return current kopplaState
+ *   CLEAR_STATE       → (none)                                    — reset to idle
+ *   STATE_CHANGED     ← broadcast                                 — sent when state changes
  */
 
 const STEPS = [
@@ -88,7 +88,7 @@ function updateBadge(status, flag) {
 
 // === Assessment Runner ===
 
-async function runAssessmentInBackground(orgName, seeds) {
+async function runAssessmentInBackground(orgName, seeds, categories = [], uploadId = null) {
   // Get server URL from storage
   const settings = await chrome.storage.local.get(['serverUrl']);
   const baseUrl = settings.serverUrl || 'http://localhost:3777';
@@ -118,7 +118,7 @@ async function runAssessmentInBackground(orgName, seeds) {
     const res = await fetch(`${baseUrl}/api/assess`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ orgName, seeds }),
+      body: JSON.stringify({ orgName, seeds, categories, uploadId }),
     });
 
     clearInterval(stepTimer);
@@ -156,9 +156,9 @@ async function runAssessmentInBackground(orgName, seeds) {
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'START_ASSESSMENT') {
-    const { orgName, seeds } = message.payload;
+    const { orgName, seeds, categories, uploadId } = message.payload;
     // Run in background — don't await
-    runAssessmentInBackground(orgName, seeds || []);
+    runAssessmentInBackground(orgName, seeds || [], categories || [], uploadId || null);
     sendResponse({ started: true });
     return false;
   }
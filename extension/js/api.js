@@ -19,18 +19,38 @@ const API = {
     }
   },
 
+  /**
+   * Upload documents (PDF, DOCX, HTML, text, e-mail, CSV) for a new assessment.
+   * @param {Array<File>} files - Files from a drop zone or file input
+   * @returns {Object} { uploadId, files } or { error, message }
+   */
+  async uploadDocuments(files) {
+    try {
+      const form = new FormData();
+      for (const file of files) {
+        form.append('documents', file, file.name);
+      }
+      const res = await fetch(`${this.baseUrl}/api/uploads`, { method: 'POST', body: form });
+      return await res.json();
+    } catch {
+      return { error: true, message: 'Server not reachable' };
+    }
+  },
+
   /**
    * Run a new assessment.
    * @param {string} orgName - Organization name
    * @param {Array} seeds - Array of { name, type, role }
+   * @param {Array} categories - Search categories to focus on (empty = all)
+   * @param {string|null} uploadId - Documents to include (from uploadDocuments)
    * @returns {Object} Full assessment JSON or { error, message }
    */
-  async runAssessment(orgName, seeds = []) {
+  async runAssessment(orgName, seeds = [], categories = [], uploadId = null) {
     try {
       const res = await fetch(`${this.baseUrl}/api/assess`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ orgName, seeds }),
+        body: JSON.stringify({ orgName, seeds, categories, uploadId }),
       });
       return await res.json();
     } catch {
@@ -65,6 +85,70 @@ const API = {
     }
   },
 
+  /**
+   * List the source registry (domain rules).
+   * @returns {Array} Array of { id, domain, match, sourceType, weight, notes }
+   */
+  async listSources() {
+    try {
+      const res = await fetch(`${this.baseUrl}/api/sources`);
+      return await res.json();
+    } catch {
+      return { error: true, message: 'Server not reachable' };
+    }
+  },
+
+  /**
+   * Add a domain rule to the source registry.
+   * @param {Object} source - { domain, match, sourceType, weight, notes }
+   * @returns {Object} The new entry or { error, message }
+   */
+  async addSource(source) {
+    try {
+      const res = await fetch(`${this.baseUrl}/api/sources`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(source),
+      });
+      return await res.json();
+    } catch {
+      return { error: true, message: 'Server not reachable' };
+    }
+  },
+
+  /**
+   * Change a domain rule in the source registry.
+   * @param {string} id - Entry id
+   * @param {Object} changes - Fields to change
+   * @returns {Object} The updated entry or { error, message }
+   */
+  async updateSource(id, changes) {
+    try {
+      const res = await fetch(`${this.baseUrl}/api/sources/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      return await res.json();
+    } catch {
+      return { error: true, message: 'Server not reachable' };
+    }
+  },
+
+  /**
+   * Remove a domain rule from the source registry.
+   * @param {string} id - Entry id
+   * @returns {Object} { success } or { error, message }
+   */
+  async removeSource(id) {
+    try {
+      const res = await fetch(`${this.baseUrl}/api/sources/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      return await res.json();
+    } catch {
+      return { error: true, message: 'Server not reachable' };
+    }
+  },
+
   /**
    * Update the base URL (from settings).
    */
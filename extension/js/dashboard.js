@@ -2,6 +2,19 @@
  * Dashboard View — 4-card grid with New Assessment, Recent, Network, Suggestions
  */
 
+// Web search categories an assessment can focus on (server: SEARCH_CATEGORIES)
+const SEARCH_CATEGORIES = [
+  { id: 'general', label: 'General' },
+  { id: 'lgbtq', label: 'LGBTQ+' },
+  { id: 'gender', label: 'Gender' },
+  { id: 'racism', label: 'Racism' },
+  { id: 'anti-democratic', label: 'Anti-democratic' },
+  { id: 'human-rights', label: 'Human rights' },
+];
+
+// Document types the server can read (server: SUPPORTED_EXTENSIONS)
+const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.html', '.htm', '.xhtml', '.txt', '.md', '.text', '.eml', '.csv'];
+
 /**
  * Render the dashboard view.
  */
@@ -73,6 +86,23 @@ async function renderDashboard() {
         </div>
         <div class="seed-chips" id="org-seeds"></div>
       </div>
+      <div class="form-group">
+        <label>Search categories (none selected = all)</label>
+        <div class="seed-chips" id="category-toggles">
+          ${SEARCH_CATEGORIES.map((c) => `
+            <button type="button" class="category-toggle" data-category="${c.id}">${c.label}</button>
+          `).join('')}
+        </div>
+      </div>
+      <div class="form-group">
+        <label>Documents (optional)</label>
+        <div class="drop-zone" id="document-drop-zone">
+          Drop reports, minutes, e-mails here — or click to choose
+          <span class="drop-zone-hint">PDF, Word, HTML, text, .eml, CSV</span>
+        </div>
+        <input type="file" id="document-input" multiple accept="${DOCUMENT_EXTENSIONS.join(',')}" hidden>
+        <div class="seed-chips" id="document-chips"></div>
+      </div>
       <div class="form-actions">
         <button class="neu-btn" id="cancel-assessment">Cancel</button>
         <button class="neu-btn neu-btn--primary" id="run-assessment">Run Assessment</button>
@@ -164,6 +194,7 @@ function renderSuggestionsPreview() {
  */
 function setupDashboardEvents() {
   const seeds = { persons: [], orgs: [] };
+  const documents = [];
 
   // Card clicks
   document.getElementById('card-new')?.addEventListener('click', () => {
@@ -207,6 +238,37 @@ function setupDashboardEvents() {
     renderSeedChips('org-seeds', seeds.orgs, 'org');
   });
 
+  // Form: Toggle search categories
+  document.querySelectorAll('.category-toggle').forEach((btn) => {
+    btn.addEventListener('click', () => btn.classList.toggle('active'));
+  });
+
+  // Form: Attach documents (drop or choose)
+  const dropZone = document.getElementById('document-drop-zone');
+  const addDocuments = (files) => {
+    const supported = [...files].filter((f) => DOCUMENT_EXTENSIONS.some((ext) => f.name.toLowerCase().endsWith(ext)));
+    if (supported.length < files.length) {
+      showToast('Only PDF, Word, HTML, text, e-mail and CSV files can be attached', 3000);
+    }
+    documents.push(...supported.filter((f) => !documents.some((d) => d.name === f.name && d.size === f.size)));
+    renderDocumentChips(documents);
+  };
+  dropZone?.addEventListener('click', () => document.getElementById('document-input').click());
+  dropZone?.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('dragover');
+  });
+  dropZone?.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+  dropZone?.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+    addDocuments(e.dataTransfer.files);
+  });
+  document.getElementById('document-input')?.addEventListener('change', (e) => {
+    addDocuments(e.target.files);
+    e.target.value = '';
+  });
+
   // Enter key on inputs
   document.getElementById('seed-person-input')?.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') document.getElementById('add-seed-person').click();
@@ -231,16 +293,31 @@ function setupDashboardEvents() {
       ...seeds.persons.map((s) => ({ name: s.name, type: 'person', role: s.role })),
       ...seeds.orgs.map((s) => ({ name: s.name, type: 'organization', role: null })),
     ];
+    const categories = [...document.querySelectorAll('.category-toggle.active')]
+      .map((btn) => btn.dataset.category);
+
+    // Upload attached documents first (files can't be passed to the service worker)
+    let uploadId = null;
+    if (documents.length > 0) {
+      showLoading('Uploading documents...');
+      const upload = await API.uploadDocuments(documents);
+      if (upload.error) {
+        hideLoading();
+        showToast(upload.message || 'Upload failed', 3000);
+        return;
+      }
+      uploadId = upload.uploadId;
+    }
 
     // Send to service worker — assessment runs in background
     if (typeof chrome !== 'undefined' && chrome.runtime) {
       chrome.runtime.sendMessage({
         type: 'START_ASSESSMENT',
-        payload: { orgName, seeds: allSeeds },
+        payload: { orgName, seeds: allSeeds, categories, uploadId },
       });
     } else {
       // Fallback for non-extension context (direct testing)
-      const assessment = await API.runAssessment(orgName, allSeeds);
+      const assessment = await API.runAssessment(orgName, allSeeds, categories, uploadId);
       hideLoading();
       if (assessment.error) {
         showToast(assessment.message || 'Assessment failed');
@@ -276,3 +353,25 @@ function renderSeedChips(containerId, seedList, type) {
     });
   });
 }
+
+/**
+ * Render the attached documents as removable chips.
+ */
+function renderDocumentChips(documents) {
+  const container = document.getElementById('document-chips');
+  if (!container) return;
+
+  container.innerHTML = documents.map((f, i) => `
+    <span class="seed-chip">
+      ${escapeHtml(f.name)} (${Math.max(1, Math.round(f.size / 1024))} KB)
+      <span class="remove-seed" data-index="${i}">&times;</span>
+    </span>
+  `).join('');
+
+  container.querySelectorAll('.remove-seed').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      documents.splice(parseInt(btn.dataset.index), 1);
+      renderDocumentChips(documents);
+    });
+  });
+}
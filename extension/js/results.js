@@ -134,6 +134,9 @@ function renderEvidence(assessment) {
           <div class="evidence-meta">
             <span class="evidence-source">${ev.source || 'Unknown source'}</span>
             ${ev.category ? `<span class="evidence-category">${ev.category}</span>` : ''}
+            ${ev.program ? `<span class="evidence-category evidence-program" title="Sanctions programme">${ev.program}</span>` : ''}
+            ${ev.publishedAt ? `<span class="evidence-category evidence-date${ev.stale ? ' evidence-date--stale' : ''}" title="${ev.stale ? 'Stale — published' : 'Published'} ${ev.publishedAt}">${ev.publishedAt.slice(0, 4)}</span>` : ''}
+            ${ev.identityCheck ? `<span class="evidence-category evidence-identity evidence-identity--${ev.identityCheck.status}" title="${ev.identityCheck.summary}">identity ${ev.identityCheck.status}</span>` : ''}
             ${ev.sourceUrl ? `<a class="evidence-link" href="${ev.sourceUrl}" target="_blank" rel="noopener">View source</a>` : ''}
           </div>
         </div>
@@ -1,7 +1,13 @@
 /**
- * Settings View — server URL config, connection test
+ * Settings View — server URL config, connection test, source registry
  */
 
+// Source types a registry entry can have (the keys of config.credibilityWeights)
+const SOURCE_TYPES = ['government', 'court', 'news', 'ngo', 'pep', 'social', 'forum', 'unknown'];
+
+// Id of the registry entry being edited (null = adding a new one)
+let editingSourceId = null;
+
 /**
  * Render the settings view.
  */
@@ -23,6 +29,34 @@ function renderSettings() {
       <div id="settings-status" class="mt-sm text-sm"></div>
     </div>
 
+    <div class="neu-card mb-md">
+      <div style="font-weight:600;margin-bottom:8px;">Source Registry</div>
+      <div class="text-xs text-muted mb-sm">
+        Which web domains count as news, NGO, government... A weight (0–10) overrides the source type's credibility weight.
+      </div>
+      <div class="form-group">
+        <div class="seed-input-row">
+          <input type="text" class="neu-input" id="source-domain" placeholder="Domain (e.g. example.com)">
+          <select class="neu-input" id="source-match" style="flex:0 0 90px;">
+            <option value="suffix">+ subdomains</option>
+            <option value="exact">exact</option>
+          </select>
+        </div>
+        <div class="seed-input-row mt-sm">
+          <select class="neu-input" id="source-type">
+            ${SOURCE_TYPES.map((t) => `<option value="${t}">${t}</option>`).join('')}
+          </select>
+          <input type="number" class="neu-input" id="source-weight" min="0" max="10" step="0.5" placeholder="Weight" style="flex:0 0 90px;">
+        </div>
+        <input type="text" class="neu-input mt-sm" id="source-notes" placeholder="Notes (optional)">
+      </div>
+      <div class="form-actions">
+        <button class="neu-btn" id="source-cancel">Clear</button>
+        <button class="neu-btn neu-btn--primary" id="source-save">Add Source</button>
+      </div>
+      <div id="source-list" class="mt-sm"></div>
+    </div>
+
     <div class="neu-card">
       <div style="font-weight:600;margin-bottom:8px;">About</div>
       <div class="text-sm text-muted">
@@ -63,4 +97,90 @@ function renderSettings() {
     }
     showToast('Settings saved');
   });
+
+  // Source registry
+  editingSourceId = null;
+  document.getElementById('source-save')?.addEventListener('click', saveSourceForm);
+  document.getElementById('source-cancel')?.addEventListener('click', () => fillSourceForm(null));
+  renderSourceList();
+}
+
+/**
+ * Load and show the source registry entries.
+ */
+async function renderSourceList() {
+  const container = document.getElementById('source-list');
+  if (!container) return;
+
+  const sources = await API.listSources();
+  if (sources.error) {
+    container.innerHTML = `<div class="card-placeholder">${escapeHtml(sources.message || 'Could not load sources')}</div>`;
+    return;
+  }
+
+  const sorted = [...sources].sort((a, b) => a.sourceType.localeCompare(b.sourceType) || a.domain.localeCompare(b.domain));
+  container.innerHTML = sorted.map((s) => `
+    <div class="source-item" data-id="${escapeHtml(s.id)}">
+      <div style="flex:1;min-width:0;">
+        <div class="text-sm" style="font-weight:600;">${escapeHtml(s.domain)}${s.match === 'exact' ? ' <span class="text-xs text-muted">(exact)</span>' : ''}</div>
+        <div class="text-xs text-muted">${escapeHtml(s.sourceType)}${s.weight !== null ? ` &middot; weight ${s.weight}` : ''}${s.notes ? ` &middot; ${escapeHtml(s.notes)}` : ''}</div>
+      </div>
+      <button class="neu-btn neu-btn--small source-edit">Edit</button>
+      <button class="neu-btn neu-btn--small source-remove">${getIcon('x')}</button>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.source-item').forEach((item) => {
+    const source = sources.find((s) => s.id === item.dataset.id);
+    item.querySelector('.source-edit').addEventListener('click', () => fillSourceForm(source));
+    item.querySelector('.source-remove').addEventListener('click', async () => {
+      const result = await API.removeSource(source.id);
+      if (result.error) {
+        showToast(result.message || 'Failed to remove source');
+        return;
+      }
+      if (editingSourceId === source.id) fillSourceForm(null);
+      showToast(`Removed ${source.domain}`);
+      renderSourceList();
+    });
+  });
+}
+
+/**
+ * Put an entry into the form for editing (or clear the form with null).
+ */
+function fillSourceForm(source) {
+  editingSourceId = source ? source.id : null;
+  document.getElementById('source-domain').value = source ? source.domain : '';
+  document.getElementById('source-match').value = source ? source.match : 'suffix';
+  document.getElementById('source-type').value = source ? source.sourceType : 'news';
+  document.getElementById('source-weight').value = source && source.weight !== null ? source.weight : '';
+  document.getElementById('source-notes').value = source ? source.notes : '';
+  document.getElementById('source-save').textContent = source ? 'Save Changes' : 'Add Source';
+}
+
+/**
+ * Add a new entry or save changes to the one being edited.
+ */
+async function saveSourceForm() {
+  const weight = document.getElementById('source-weight').value.trim();
+  const fields = {
+    domain: document.getElementById('source-domain').value.trim(),
+    match: document.getElementById('source-match').value,
+    sourceType: document.getElementById('source-type').value,
+    weight: weight === '' ? null : Number(weight),
+    notes: document.getElementById('source-notes').value.trim(),
+  };
+
+  const result = editingSourceId
+    ? await API.updateSource(editingSourceId, fields)
+    : await API.addSource(fields);
+  if (result.error) {
+    showToast(result.message || 'Failed to save source', 3000);
+    return;
+  }
+
+  showToast(editingSourceId ? `Updated ${result.domain}` : `Added ${result.domain}`);
+  fillSourceForm(null);
+  renderSourceList();
 }
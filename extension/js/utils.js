@@ -85,6 +85,7 @@ function getEvidenceIcon(sourceType) {
     court: 'gavel',
     news: 'newspaper',
     ngo: 'users',
+    pep: 'users',
     social: 'share',
     forum: 'users',
   };
@@ -102,6 +103,17 @@ function showToast(message, duration = 2000) {
   setTimeout(() => toast.classList.remove('show'), duration);
 }
 
+/**
+ * Escape text for use inside HTML (analyst-entered notes, server messages).
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Create an element with attributes and children.
  */
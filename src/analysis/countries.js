@@ -0,0 +1,235 @@
+/**
+ * Countries
+ *
+ * Lists and analysts write the same country many ways: "SE", "SWE",
+ * "Sweden", "Sverige", "Swedish"; "Iran (Islamic Republic of)"; "Korea,
+ * Republic of". This module maps all of them onto the ISO 3166 alpha-2
+ * code, so nationality and domestic-country checks compare countries
+ * rather than spellings.
+ *
+ * Recognized:
+ * - alpha-2 and alpha-3 codes ("IQ", "IRQ")
+ * - country names in English, Swedish, German, French and Spanish
+ *   (from the runtime's Intl data), plus the official long names used on
+ *   sanctions lists ("Syrian Arab Republic", "Viet Nam")
+ * - nationality adjectives ("Iraqi", "Swedish")
+ *
+ * A value that can't be recognized resolves to null — callers treat it as
+ * unknown, never as a different country.
+ */
+
+// ISO 3166 alpha-3 → alpha-2 (XK/XKX: Kosovo, as the EU and UN lists use it)
+const ALPHA3_TO_ALPHA2 = {
+  ABW: 'AW', AFG: 'AF', AGO: 'AO', AIA: 'AI', ALA: 'AX', ALB: 'AL', AND: 'AD', ARE: 'AE',
+  ARG: 'AR', ARM: 'AM', ASM: 'AS', ATA: 'AQ', ATF: 'TF', ATG: 'AG', AUS: 'AU', AUT: 'AT',
+  AZE: 'AZ', BDI: 'BI', BEL: 'BE', BEN: 'BJ', BES: 'BQ', BFA: 'BF', BGD: 'BD', BGR: 'BG',
+  BHR: 'BH', BHS: 'BS', BIH: 'BA', BLM: 'BL', BLR: 'BY', BLZ: 'BZ', BMU: 'BM', BOL: 'BO',
+  BRA: 'BR', BRB: 'BB', BRN: 'BN', BTN: 'BT', BVT: 'BV', BWA: 'BW', CAF: 'CF', CAN: 'CA',
+  CCK: 'CC', CHE: 'CH', CHL: 'CL', CHN: 'CN', CIV: 'CI', CMR: 'CM', COD: 'CD', COG: 'CG',
+  COK: 'CK', COL: 'CO', COM: 'KM', CPV: 'CV', CRI: 'CR', CUB: 'CU', CUW: 'CW', CXR: 'CX',
+  CYM: 'KY', CYP: 'CY', CZE: 'CZ', DEU: 'DE', DJI: 'DJ', DMA: 'DM', DNK: 'DK', DOM: 'DO',
+  DZA: 'DZ', ECU: 'EC', EGY: 'EG', ERI: 'ER', ESH: 'EH', ESP: 'ES', EST: 'EE', ETH: 'ET',
+  FIN: 'FI', FJI: 'FJ', FLK: 'FK', FRA: 'FR', FRO: 'FO', FSM: 'FM', GAB: 'GA', GBR: 'GB',
+  GEO: 'GE', GGY: 'GG', GHA: 'GH', GIB: 'GI', GIN: 'GN', GLP: 'GP', GMB: 'GM', GNB: 'GW',
+  GNQ: 'GQ', GRC: 'GR', GRD: 'GD', GRL: 'GL', GTM: 'GT', GUF: 'GF', GUM: 'GU', GUY: 'GY',
+  HKG: 'HK', HMD: 'HM', HND: 'HN', HRV: 'HR', HTI: 'HT', HUN: 'HU', IDN: 'ID', IMN: 'IM',
+  IND: 'IN', IOT: 'IO', IRL: 'IE', IRN: 'IR', IRQ: 'IQ', ISL: 'IS', ISR: 'IL', ITA: 'IT',
+  JAM: 'JM', JEY: 'JE', JOR: 'JO', JPN: 'JP', KAZ: 'KZ', KEN: 'KE', KGZ: 'KG', KHM: 'KH',
+  KIR: 'KI', KNA: 'KN', KOR: 'KR', KWT: 'KW', LAO: 'LA', LBN: 'LB', LBR: 'LR', LBY: 'LY',
+  LCA: 'LC', LIE: 'LI', LKA: 'LK', LSO: 'LS', LTU: 'LT', LUX: 'LU', LVA: 'LV', MAC: 'MO',
+  MAF: 'MF', MAR: 'MA', MCO: 'MC', MDA: 'MD', MDG: 'MG', MDV: 'MV', MEX: 'MX', MHL: 'MH',
+  MKD: 'MK', MLI: 'ML', MLT: 'MT', MMR: 'MM', MNE: 'ME', MNG: 'MN', MNP: 'MP', MOZ: 'MZ',
+  MRT: 'MR', MSR: 'MS', MTQ: 'MQ', MUS: 'MU', MWI: 'MW', MYS: 'MY', MYT: 'YT', NAM: 'NA',
+  NCL: 'NC', NER: 'NE', NFK: 'NF', NGA: 'NG', NIC: 'NI', NIU: 'NU', NLD: 'NL', NOR: 'NO',
+  NPL: 'NP', NRU: 'NR', NZL: 'NZ', OMN: 'OM', PAK: 'PK', PAN: 'PA', PCN: 'PN', PER: 'PE',
+  PHL: 'PH', PLW: 'PW', PNG: 'PG', POL: 'PL', PRI: 'PR', PRK: 'KP', PRT: 'PT', PRY: 'PY',
+  PSE: 'PS', PYF: 'PF', QAT: 'QA', REU: 'RE', ROU: 'RO', RUS: 'RU', RWA: 'RW', SAU: 'SA',
+  SDN: 'SD', SEN: 'SN', SGP: 'SG', SGS: 'GS', SHN: 'SH', SJM: 'SJ', SLB: 'SB', SLE: 'SL',
+  SLV: 'SV', SMR: 'SM', SOM: 'SO', SPM: 'PM', SRB: 'RS', SSD: 'SS', STP: 'ST', SUR: 'SR',
+  SVK: 'SK', SVN: 'SI', SWE: 'SE', SWZ: 'SZ', SXM: 'SX', SYC: 'SC', SYR: 'SY', TCA: 'TC',
+  TCD: 'TD', TGO: 'TG', THA: 'TH', TJK: 'TJ', TKL: 'TK', TKM: 'TM', TLS: 'TL', TON: 'TO',
+  TTO: 'TT', TUN: 'TN', TUR: 'TR', TUV: 'TV', TWN: 'TW', TZA: 'TZ', UGA: 'UG', UKR: 'UA',
+  UMI: 'UM', URY: 'UY', USA: 'US', UZB: 'UZ', VAT: 'VA', VCT: 'VC', VEN: 'VE', VGB: 'VG',
+  VIR: 'VI', VNM: 'VN', VUT: 'VU', WLF: 'WF', WSM: 'WS', XKX: 'XK', YEM: 'YE', ZAF: 'ZA',
+  ZMB: 'ZM', ZWE: 'ZW',
+};
+
+const ALPHA2_CODES = new Set(Object.values(ALPHA3_TO_ALPHA2));
+
+// Languages whose country names are recognized (Swedish for domestic data,
+// German and French for the Swiss list)
+const NAME_LOCALES = ['en', 'sv', 'de', 'fr', 'es'];
+
+// Names the Intl data doesn't give: official long forms, older names and
+// common short forms
+const NAME_ALIASES = {
+  AE: ['uae'],
+  BN: ['brunei darussalam'],
+  CD: ['democratic republic of the congo', 'dr congo', 'drc', 'congo kinshasa', 'zaire'],
+  CG: ['republic of the congo', 'congo', 'congo brazzaville'],
+  CI: ['ivory coast', 'cote divoire'],
+  CV: ['cabo verde'],
+  CZ: ['czech republic'],
+  GB: ['uk', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland',
+    'united kingdom of great britain and northern ireland'],
+  IR: ['islamic republic of iran'],
+  KP: ['democratic peoples republic of korea', 'dprk'],
+  KR: ['republic of korea'],
+  LA: ['lao peoples democratic republic', 'lao pdr'],
+  MD: ['republic of moldova'],
+  MK: ['macedonia', 'former yugoslav republic of macedonia', 'fyrom'],
+  MM: ['burma'],
+  NL: ['holland'],
+  PS: ['palestine', 'state of palestine', 'occupied palestinian territory'],
+  RU: ['russian federation'],
+  SY: ['syrian arab republic'],
+  SZ: ['swaziland'],
+  TL: ['east timor'],
+  TR: ['turkey', 'turkiye'],
+  TZ: ['united republic of tanzania'],
+  US: ['usa', 'united states of america', 'america'],
+  VA: ['holy see', 'vatican'],
+  VE: ['bolivarian republic of venezuela'],
+  VN: ['viet nam'],
+};
+
+// Nationality adjectives (demonyms) of sovereign states. Ambiguous ones
+// ("Congolese", "Dominican", "Guinean" alone) are left out.
+const DEMONYMS = {
+  AD: ['andorran'], AE: ['emirati'], AF: ['afghan'], AG: ['antiguan'], AL: ['albanian'], AM: ['armenian'],
+  AO: ['angolan'], AR: ['argentine', 'argentinian'], AT: ['austrian'], AU: ['australian'],
+  AZ: ['azerbaijani', 'azeri'], BA: ['bosnian'], BB: ['barbadian'], BD: ['bangladeshi'], BE: ['belgian'],
+  BF: ['burkinabe'], BG: ['bulgarian'], BH: ['bahraini'], BI: ['burundian'], BJ: ['beninese'],
+  BN: ['bruneian'], BO: ['bolivian'], BR: ['brazilian'], BS: ['bahamian'], BT: ['bhutanese'],
+  BW: ['botswanan', 'motswana'], BY: ['belarusian', 'belarussian'], BZ: ['belizean'], CA: ['canadian'],
+  CF: ['central african'], CH: ['swiss'], CI: ['ivorian'], CL: ['chilean'], CM: ['cameroonian'],
+  CN: ['chinese'], CO: ['colombian'], CR: ['costa rican'], CU: ['cuban'], CV: ['cape verdean'],
+  CY: ['cypriot'], CZ: ['czech'], DE: ['german'], DJ: ['djiboutian'], DK: ['danish', 'dane'],
+  DZ: ['algerian'], EC: ['ecuadorian'], EE: ['estonian'], EG: ['egyptian'], ER: ['eritrean'],
+  ES: ['spanish'], ET: ['ethiopian'], FI: ['finnish', 'finn'], FJ: ['fijian'], FM: ['micronesian'],
+  FR: ['french'], GA: ['gabonese'], GB: ['british', 'english', 'scottish', 'welsh'], GD: ['grenadian'],
+  GE: ['georgian'], GH: ['ghanaian'], GM: ['gambian'], GQ: ['equatorial guinean'], GR: ['greek'],
+  GT: ['guatemalan'], GW: ['bissau guinean'], GY: ['guyanese'], HN: ['honduran'], HR: ['croatian'],
+  HT: ['haitian'], HU: ['hungarian'], ID: ['indonesian'], IE: ['irish'], IL: ['israeli'], IN: ['indian'],
+  IQ: ['iraqi'], IR: ['iranian'], IS: ['icelandic'], IT: ['italian'], JM: ['jamaican'], JO: ['jordanian'],
+  JP: ['japanese'], KE: ['kenyan'], KG: ['kyrgyz', 'kyrgyzstani'], KH: ['cambodian'], KM: ['comoran'],
+  KP: ['north korean'], KR: ['south korean'], KW: ['kuwaiti'], KZ: ['kazakh', 'kazakhstani'],
+  LA: ['lao', 'laotian'], LB: ['lebanese'], LC: ['saint lucian'], LI: ['liechtensteiner'],
+  LK: ['sri lankan'], LR: ['liberian'], LT: ['lithuanian'], LU: ['luxembourgish', 'luxembourger'],
+  LV: ['latvian'], LY: ['libyan'], MA: ['moroccan'], MC: ['monegasque'], MD: ['moldovan'],
+  ME: ['montenegrin'], MG: ['malagasy'], MH: ['marshallese'], MK: ['macedonian', 'north macedonian'],
+  ML: ['malian'], MM: ['burmese'], MN: ['mongolian'], MR: ['mauritanian'], MT: ['maltese'],
+  MU: ['mauritian'], MV: ['maldivian'], MW: ['malawian'], MX: ['mexican'], MY: ['malaysian'],
+  MZ: ['mozambican'], NA: ['namibian'], NE: ['nigerien'], NG: ['nigerian'], NI: ['nicaraguan'],
+  NL: ['dutch'], NO: ['norwegian'], NP: ['nepalese', 'nepali'], NR: ['nauruan'], NZ: ['new zealander'],
+  OM: ['omani'], PA: ['panamanian'], PE: ['peruvian'], PG: ['papua new guinean'],
+  PH: ['filipino', 'philippine'], PK: ['pakistani'], PL: ['polish'], PS: ['palestinian'],
+  PT: ['portuguese'], PW: ['palauan'], PY: ['paraguayan'], QA: ['qatari'], RO: ['romanian'],
+  RS: ['serbian'], RU: ['russian'], RW: ['rwandan'], SA: ['saudi', 'saudi arabian'], SB: ['solomon islander'],
+  SC: ['seychellois'], SD: ['sudanese'], SE: ['swedish', 'swede'], SG: ['singaporean'],
+  SI: ['slovenian', 'slovene'], SK: ['slovak'], SL: ['sierra leonean'], SM: ['sammarinese'],
+  SN: ['senegalese'], SO: ['somali'], SR: ['surinamese'], SS: ['south sudanese'], ST: ['sao tomean'],
+  SV: ['salvadoran'], SY: ['syrian'], SZ: ['swazi'], TD: ['chadian'], TG: ['togolese'], TH: ['thai'],
+  TJ: ['tajik'], TL: ['timorese'], TM: ['turkmen'], TN: ['tunisian'], TO: ['tongan'], TR: ['turkish'],
+  TT: ['trinidadian'], TV: ['tuvaluan'], TW: ['taiwanese'], TZ: ['tanzanian'], UA: ['ukrainian'],
+  UG: ['ugandan'], US: ['american'], UY: ['uruguayan'], UZ: ['uzbek'], VC: ['vincentian'],
+  VE: ['venezuelan'], VN: ['vietnamese'], VU: ['ni vanuatu'], WS: ['samoan'], XK: ['kosovar'],
+  YE: ['yemeni'], ZA: ['south african'], ZM: ['zambian'], ZW: ['zimbabwean'],
+};
+
+/**
+ * Reduce a country name to a lookup key: lowercase, no accents or
+ * punctuation, "&" → "and", "St." → "saint", no leading "the".
+ */
+function toKey(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\bst\.?(?=\s)/g, 'saint')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+// --- Name / adjective key → alpha-2 code, built once ---
+const codesByName = new Map();
+for (const locale of NAME_LOCALES) {
+  const names = new Intl.DisplayNames([locale], { type: 'region', fallback: 'none' });
+  for (const code of ALPHA2_CODES) {
+    const name = names.of(code);
+    if (!name) continue;
+    for (const key of [toKey(name), toKey(name.replace(/\(.*?\)/g, ''))]) {
+      if (key && !codesByName.has(key)) codesByName.set(key, code);
+    }
+  }
+}
+for (const table of [NAME_ALIASES, DEMONYMS]) {
+  for (const [code, names] of Object.entries(table)) {
+    for (const name of names) codesByName.set(toKey(name), code);
+  }
+}
+
+/**
+ * Map one country, written any of the recognized ways, to its ISO code.
+ *
+ * @param {string} value - "SE", "SWE", "Sweden", "Sverige", "Swedish", "Korea, Republic of", ...
+ * @returns {string|null} ISO 3166 alpha-2 code ("SE"), or null if not recognized
+ */
+function normalizeCountry(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const upper = text.toUpperCase();
+  if (/^[A-Z]{2}$/.test(upper)) {
+    if (upper === 'UK') return 'GB';
+    return ALPHA2_CODES.has(upper) ? upper : null;
+  }
+  if (/^[A-Z]{3}$/.test(upper) && ALPHA3_TO_ALPHA2[upper]) {
+    return ALPHA3_TO_ALPHA2[upper];
+  }
+
+  // "Korea, Republic of" → "Republic of Korea"; "Iran (Islamic Republic of)" → "Iran"
+  const inverted = text.match(/^(.+?),\s*(.+\bof(?: the)?)$/i);
+  const candidates = [text, inverted ? `${inverted[2]} ${inverted[1]}` : null, text.replace(/\(.*?\)/g, '')];
+  for (const candidate of candidates) {
+    const code = candidate && codesByName.get(toKey(candidate));
+    if (code) return code;
+  }
+  return null;
+}
+
+/**
+ * Map a set of country values to ISO codes. A single cell may hold several
+ * countries ("Iraq; Syria", "Swedish, Iraqi", "Iraq and Syria").
+ *
+ * @param {string|Array<string>} values - One value or a list of values
+ * @returns {Object} { codes: unique ISO codes, unresolved: parts that weren't recognized }
+ */
+function normalizeCountries(values) {
+  const codes = new Set();
+  const unresolved = [];
+
+  for (const value of [].concat(values || [])) {
+    const whole = normalizeCountry(value);
+    if (whole) {
+      codes.add(whole);
+      continue;
+    }
+    const parts = String(value || '').split(/[;,|/]|\band\b|\boch\b/i).map((p) => p.trim()).filter(Boolean);
+    for (const part of parts) {
+      const code = normalizeCountry(part);
+      if (code) codes.add(code);
+      else unresolved.push(part);
+    }
+  }
+
+  return { codes: [...codes], unresolved };
+}
+
+module.exports = {
+  normalizeCountry,
+  normalizeCountries,
+};
@@ -19,6 +19,10 @@ const { checkAllNames } = require('./nameCommonality');
 
 let hypothesisCounter = 0;
 
+// Roles that give a person a say in how the organization is run
+// (English and Swedish, as produced by the role patterns in entityPatterns.js)
+const GOVERNING_ROLE_PATTERN = /\b(ceo|chair|president|director|board|founder|secretary[- ]general|treasurer|chief executive|vd|verkställande|ordförande|styrelse|grundare|direktör|generalsekreterare|kassör)/i;
+
 /**
  * Generate hypotheses from all available analysis data.
  *
@@ -26,9 +30,10 @@ let hypothesisCounter = 0;
  * @param {Object} networkGraph - From networkGraph.js buildNetworkGraph()
  * @param {Object} crossRefResult - From crossReferencer.js crossReference()
  * @param {Object} extractionResult - From entityExtractor.js extractFromMultipleTexts()
+ * @param {Object} pepResult - From pepScreening.js screenPEPs() (optional)
  * @returns {Object} { hypotheses, confidenceWarnings }
  */
-function generateHypotheses(scoredResults, networkGraph, crossRefResult, extractionResult) {
+function generateHypotheses(scoredResults, networkGraph, crossRefResult, extractionResult, pepResult = null) {
   hypothesisCounter = 0;
   const hypotheses = [];
 
@@ -58,6 +63,10 @@ function generateHypotheses(scoredResults, networkGraph, crossRefResult, extract
   const anomalyHypotheses = generateAnomalyHypotheses(crossRefResult);
   hypotheses.push(...anomalyHypotheses);
 
+  // --- Check for politically-exposed-person hypotheses ---
+  const pepHypotheses = generatePEPHypotheses(pepResult);
+  hypotheses.push(...pepHypotheses);
+
   // --- Generate confidence warnings for common names ---
   const entities = extractionResult?.entities || [];
   const confidenceWarnings = checkAllNames(entities);
@@ -99,14 +108,20 @@ function generateSanctionsProximityHypotheses(scoredResults, networkGraph, extra
 
     if (!entity) continue;
 
-    // Find supporting evidence from scored results
-    const supporting = (scoredResults?.scoredEvidence || [])
-      .filter((ev) => ev.matchedName && entity.name.toLowerCase().includes(ev.matchedName.toLowerCase()))
-      .map((ev) => ({
-        description: ev.description,
-        source: ev.source,
-        relevance: 'direct',
-      }));
+    // Find supporting evidence from scored results. Hits whose identifiers
+    // contradict the seed's are namesakes: they support nothing, and an
+    // entity matched only by such hits gets no hypothesis
+    const matching = (scoredResults?.scoredEvidence || [])
+      .filter((ev) => ev.matchedName && entity.name.toLowerCase().includes(ev.matchedName.toLowerCase()));
+    const credible = matching.filter((ev) => ev.identityCheck?.status !== 'contradicted');
+    if (matching.length > 0 && credible.length === 0) continue;
+
+    const supporting = credible.map((ev) => ({
+      description: ev.description,
+      source: ev.source,
+      sourceUrl: ev.sourceUrl || '',
+      relevance: 'direct',
+    }));
 
     const confidenceScore = calculateConfidence(supporting.length, edge.confidence);
 
@@ -155,11 +170,15 @@ function generateOrganizationalLinkHypotheses(networkGraph, extractionResult) {
         confidence: confidenceToLevel(confidenceScore),
         confidenceScore,
         type: 'organizational-link',
-        supportingEvidence: edges.map((e) => ({
-          description: e.evidence?.[0]?.description || `Connected as ${e.label}`,
-          source: e.evidence?.[0]?.source || 'entity analysis',
-          relevance: 'direct',
-        })),
+        supportingEvidence: edges.flatMap((e) =>
+          (e.evidence?.length ? e.evidence : [{ description: `Connected as ${e.label}`, source: 'entity analysis' }])
+            .map((ev) => ({
+              description: ev.description,
+              source: ev.source || 'entity analysis',
+              sourceUrl: ev.sourceUrl || '',
+              page: ev.page ?? null,
+              relevance: 'direct',
+            }))),
         relatedEntities: [personId],
       }));
     }
@@ -181,14 +200,21 @@ function generateFinancialTrailHypotheses(crossRefResult, networkGraph) {
   for (const edge of financialEdges) {
     const confidenceScore = Math.min(0.4 + edge.confidence * 0.3, 0.85);
 
+    // A payment listed in a funding/donor table is stated, not inferred
+    const description = edge.detectedVia === 'table-row'
+      ? `Financial connection: "${edge.fromName}" ${edge.label} to "${edge.toName}" — listed in a funding table`
+      : `Possible financial connection between "${edge.fromName}" and "${edge.toName}" — financial keywords detected in shared context`;
+
     hypotheses.push(createHypothesis({
-      description: `Possible financial connection between "${edge.fromName}" and "${edge.toName}" — financial keywords detected in shared context`,
+      description,
       confidence: confidenceToLevel(confidenceScore),
       confidenceScore,
       type: 'financial-trail',
       supportingEvidence: (edge.evidence || []).map((ev) => ({
         description: ev.description,
         source: ev.source,
+        sourceUrl: ev.sourceUrl || '',
+        page: ev.page ?? null,
         relevance: 'supporting',
       })),
       relatedEntities: [edge.from, edge.to].filter((id) => id !== 'org-target'),
@@ -217,16 +243,29 @@ function generateAnomalyHypotheses(crossRefResult) {
       confidenceScore = 0.3;
     }
 
+    const relevance = anomaly.type === 'cross-list-presence' ? 'direct' : 'circumstantial';
+
+    // Frequency spikes cite where the entity was mentioned (file and page)
+    const supportingEvidence = anomaly.locations?.length
+      ? anomaly.locations.slice(0, 5).map((location) => ({
+        description: location.description,
+        source: location.source,
+        sourceUrl: location.sourceUrl || '',
+        page: location.page ?? null,
+        relevance,
+      }))
+      : [{
+        description: anomaly.description,
+        source: anomaly.source || 'pattern analysis',
+        relevance,
+      }];
+
     hypotheses.push(createHypothesis({
       description: anomaly.description,
       confidence: confidenceToLevel(confidenceScore),
       confidenceScore,
       type: 'pattern-anomaly',
-      supportingEvidence: [{
-        description: anomaly.description,
-        source: anomaly.source || 'pattern analysis',
-        relevance: anomaly.type === 'cross-list-presence' ? 'direct' : 'circumstantial',
-      }],
+      supportingEvidence,
       relatedEntities: anomaly.entityId ? [anomaly.entityId] : [],
     }));
   }
@@ -234,6 +273,86 @@ function generateAnomalyHypotheses(crossRefResult) {
   return hypotheses;
 }
 
+/**
+ * Generate hypotheses from PEP screening hits.
+ *
+ * - "foreign-official-influence": a foreign PEP holds a governing role
+ *   (board, chair, CEO...) — a foreign state may have a say over a grant recipient
+ * - "pep-exposure": any other official matched among seeds / hop-1 people
+ * - "pep-associate": a relative or close associate of a PEP
+ * - "pep-cluster": several different people around the organization are PEPs
+ */
+function generatePEPHypotheses(pepResult) {
+  const hypotheses = [];
+  const hits = pepResult?.hits || [];
+
+  for (const { subject, pep } of hits) {
+    const rolesText = subject.roles.length > 0 ? subject.roles.join(', ') : null;
+    const position = pep.positions.length > 0 ? pep.positions.join('; ') : 'public position not recorded';
+    const where = pep.countries.length > 0 ? ` (${pep.countries.join(', ')})` : '';
+    const evidence = [{
+      description: `"${subject.name}" matches PEP "${pep.name}" — ${pep.matchExplanation}`,
+      source: 'PEP dataset',
+      relevance: 'direct',
+    }];
+    const relatedEntities = subject.entityId ? [subject.entityId] : [];
+
+    if (pep.isCloseAssociate) {
+      const confidenceScore = pep.matchScore * 0.45;
+      hypotheses.push(createHypothesis({
+        description: `PEP associate: "${subject.name}" matches "${pep.name}", a relative or close associate of a politically exposed person${where}`,
+        confidence: confidenceToLevel(confidenceScore),
+        confidenceScore,
+        type: 'pep-associate',
+        supportingEvidence: evidence,
+        relatedEntities,
+      }));
+    } else if (pep.isForeign && rolesText && GOVERNING_ROLE_PATTERN.test(rolesText)) {
+      const confidenceScore = Math.min(0.4 + pep.matchScore * 0.45, 0.95);
+      hypotheses.push(createHypothesis({
+        description: `Foreign official in a governing role: "${subject.name}" (${rolesText}) matches foreign PEP "${pep.name}" — ${position}${where}. A foreign state may have influence over the organization`,
+        confidence: confidenceToLevel(confidenceScore),
+        confidenceScore,
+        type: 'foreign-official-influence',
+        supportingEvidence: evidence,
+        relatedEntities,
+      }));
+    } else {
+      const confidenceScore = Math.min(pep.matchScore * (pep.isForeign ? 0.7 : 0.5) + (rolesText ? 0.1 : 0), 0.85);
+      hypotheses.push(createHypothesis({
+        description: `Politically exposed person: "${subject.name}"${rolesText ? ` (${rolesText})` : ''} matches ${pep.isForeign ? 'foreign' : 'domestic'} PEP "${pep.name}" — ${position}${where}`,
+        confidence: confidenceToLevel(confidenceScore),
+        confidenceScore,
+        type: 'pep-exposure',
+        supportingEvidence: evidence,
+        relatedEntities,
+      }));
+    }
+  }
+
+  // Several different people matched → a pattern worth its own hypothesis
+  // (foreign officials weigh more than domestic ones)
+  const people = [...new Map(hits.map((hit) => [hit.subject.name, hit.subject])).values()];
+  if (people.length >= 2) {
+    const foreignCount = new Set(hits.filter((hit) => hit.pep.isForeign).map((hit) => hit.subject.name)).size;
+    const confidenceScore = Math.min(0.4 + people.length * 0.1 + foreignCount * 0.1, 0.85);
+    hypotheses.push(createHypothesis({
+      description: `${people.length} people around the target organization match the PEP dataset (${foreignCount} foreign): ${people.map((p) => `"${p.name}"`).join(', ')}`,
+      confidence: confidenceToLevel(confidenceScore),
+      confidenceScore,
+      type: 'pep-cluster',
+      supportingEvidence: hits.map(({ subject, pep }) => ({
+        description: `"${subject.name}" matches PEP "${pep.name}"`,
+        source: 'PEP dataset',
+        relevance: 'supporting',
+      })),
+      relatedEntities: people.map((p) => p.entityId).filter(Boolean),
+    }));
+  }
+
+  return hypotheses;
+}
+
 // ===================================================================
 // HELPER FUNCTIONS
 // ===================================================================
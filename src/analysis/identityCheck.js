@@ -0,0 +1,223 @@
+/**
+ * Identity Check
+ *
+ * A name match alone can't tell two people apart: "Mohammed Ahmed" on a
+ * sanctions list is very likely someone else than the "Mohammed Ahmed" on
+ * a Swedish board (see nameCommonality.js). When the analyst knows more
+ * about a seed — date of birth, nationality, passport or registration
+ * number — this module compares it with what the list publishes for the
+ * matched record.
+ *
+ * Every compared field is a "match" or a "mismatch"; fields the list
+ * doesn't publish are skipped, and so are countries that can't be
+ * recognized (see countries.js — "Swedish", "SWE" and "Sweden" are the
+ * same country). The hit then gets one status:
+ *   confirmed    — a passport/registration number matches, or the full
+ *                  date of birth and at least one other field match
+ *                  with nothing disagreeing
+ *   contradicted — every compared field disagrees (probably a namesake);
+ *                  nationality alone never contradicts, people hold
+ *                  several and lists record them unevenly
+ *   unresolved   — anything else: nothing compared, fields that disagree
+ *                  with each other, or too little matching (a birth year
+ *                  or a nationality is shared by many people)
+ */
+
+const { normalizeCountries } = require('./countries');
+
+// Which list identifier types each provided number is compared against.
+// "other" identifiers can confirm a match but never contradict one.
+const IDENTIFIER_FIELDS = {
+  passportNumber: { label: 'passport', types: ['passport'] },
+  registrationNumber: { label: 'registration number', types: ['registration'] },
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Clean up seed identifiers from the CLI or the API.
+ * Empty values are dropped; returns null when nothing is left.
+ *
+ * @param {Object} input - { dateOfBirth, nationality, passportNumber, registrationNumber }
+ * @returns {Object|null} The same fields, trimmed, or null
+ */
+function normalizeIdentifiers(input) {
+  if (!input || typeof input !== 'object') return null;
+
+  const identifiers = {};
+  for (const field of ['dateOfBirth', 'nationality', 'passportNumber', 'registrationNumber']) {
+    const value = typeof input[field] === 'string' ? input[field].trim() : '';
+    if (value) identifiers[field] = value;
+  }
+  return Object.keys(identifiers).length > 0 ? identifiers : null;
+}
+
+/**
+ * Parse a date as lists write it: "1975-03-14", "1975", "14/03/1975",
+ * "14 Mar 1975", "Mar 1975", "circa 1975" or a "1974 to 1976" range.
+ * Unknown parts (UK writes "00/00/1975") are left out.
+ *
+ * @param {string} text - Date text
+ * @returns {Object|null} { fromYear, toYear, month, day }
+ */
+function parseDate(text) {
+  const value = String(text || '').trim().toLowerCase();
+  let m;
+
+  if ((m = value.match(/(\d{4})\s+to\s+(\d{4})/))) {
+    return { fromYear: Number(m[1]), toYear: Number(m[2]), month: null, day: null };
+  }
+
+  let year; let month = null; let day = null;
+  if ((m = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/))) {
+    [year, month, day] = [m[1], m[2], m[3]];
+  } else if ((m = value.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})/))) {
+    [day, month, year] = [m[1], m[2], m[3]];
+  } else if ((m = value.match(/^(?:(\d{1,2}) )?([a-z]{3})[a-z]*\.? (\d{4})/)) && MONTHS.includes(m[2])) {
+    [day, month, year] = [m[1], MONTHS.indexOf(m[2]) + 1, m[3]];
+  } else if ((m = value.match(/\b(\d{4})\b/))) {
+    year = m[1];
+  } else {
+    return null;
+  }
+
+  return {
+    fromYear: Number(year),
+    toYear: Number(year),
+    month: Number(month) || null,
+    day: Number(day) || null,
+  };
+}
+
+/**
+ * Do two dates agree? Parts missing on either side don't count against it.
+ *
+ * @returns {Object|null} { agree, exact } — exact when both sides give the
+ *   same single day — or null when either date can't be read
+ */
+function compareDates(provided, listed) {
+  const a = parseDate(provided);
+  const b = parseDate(listed);
+  if (!a || !b) return null;
+
+  const isFullDate = (d) => d.fromYear === d.toYear && d.month && d.day;
+  const agree = !(a.toYear < b.fromYear || a.fromYear > b.toYear)
+    && !(a.month && b.month && a.month !== b.month)
+    && !(a.day && b.day && a.day !== b.day);
+  return { agree, exact: agree && Boolean(isFullDate(a) && isFullDate(b)) };
+}
+
+/**
+ * Compare nationalities as ISO codes. A shared country is a match; when
+ * nothing is shared it is a mismatch only if every value was recognized —
+ * an unrecognized one might be the same country.
+ *
+ * @returns {string|null} "match", "mismatch" or null (not compared)
+ */
+function compareNationalities(provided, listed) {
+  const ours = normalizeCountries(provided);
+  const theirs = normalizeCountries(listed);
+  if (ours.codes.length === 0 || theirs.codes.length === 0) return null;
+
+  if (ours.codes.some((code) => theirs.codes.includes(code))) return 'match';
+  return ours.unresolved.length === 0 && theirs.unresolved.length === 0 ? 'mismatch' : null;
+}
+
+/**
+ * Normalize a document number: "A 123-456" and "a123456" are the same.
+ */
+function normalizeNumber(number) {
+  return String(number || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * Compare a seed's identifiers with a matched list record.
+ *
+ * @param {Object|null} provided - Seed identifiers (see normalizeIdentifiers)
+ * @param {Object} record - List record with birthDates, citizenships, identifiers
+ * @returns {Object|null} { status, checks: [{ field, provided, listed, result, exact (date of birth) }], summary },
+ *   or null without identifiers
+ */
+function checkIdentity(provided, record) {
+  if (!provided) return null;
+
+  const checks = [];
+
+  if (provided.dateOfBirth) {
+    const listed = (record.birthDates || []).map((b) => b.date).filter(Boolean);
+    const results = listed.map((date) => compareDates(provided.dateOfBirth, date)).filter((r) => r !== null);
+    if (results.length > 0) {
+      const matched = results.some((r) => r.agree);
+      checks.push({
+        field: 'date of birth',
+        provided: provided.dateOfBirth,
+        listed,
+        result: matched ? 'match' : 'mismatch',
+        exact: results.some((r) => r.exact),
+      });
+    }
+  }
+
+  if (provided.nationality) {
+    const listed = record.citizenships || [];
+    const result = compareNationalities(provided.nationality, listed);
+    if (result) {
+      checks.push({
+        field: 'nationality',
+        provided: provided.nationality,
+        listed,
+        result,
+      });
+    }
+  }
+
+  let identifierMatched = false;
+  for (const [field, { label, types }] of Object.entries(IDENTIFIER_FIELDS)) {
+    if (!provided[field]) continue;
+
+    const number = normalizeNumber(provided[field]);
+    const sameType = (record.identifiers || []).filter((id) => types.includes(id.type));
+    const other = (record.identifiers || []).filter((id) => id.type === 'other');
+    const matched = [...sameType, ...other].some((id) => normalizeNumber(id.number) === number);
+
+    if (matched || sameType.length > 0) {
+      identifierMatched = identifierMatched || matched;
+      checks.push({
+        field: label,
+        provided: provided[field],
+        listed: sameType.map((id) => id.number),
+        result: matched ? 'match' : 'mismatch',
+      });
+    }
+  }
+
+  const matches = checks.filter((c) => c.result === 'match');
+  const mismatches = checks.filter((c) => c.result === 'mismatch');
+
+  const fullDateMatched = matches.some((c) => c.field === 'date of birth' && c.exact);
+
+  let status;
+  if (identifierMatched || (fullDateMatched && matches.length >= 2 && mismatches.length === 0)) {
+    status = 'confirmed';
+  } else if (mismatches.length > 0 && matches.length === 0 && mismatches.some((c) => c.field !== 'nationality')) {
+    status = 'contradicted';
+  } else {
+    status = 'unresolved';
+  }
+
+  const describe = (c) => {
+    if (c.result === 'mismatch') return `${c.field} differs (listed: ${c.listed.join(', ')})`;
+    return c.exact === false ? `${c.field} matches (not to the day)` : `${c.field} matches`;
+  };
+
+  return {
+    status,
+    checks,
+    summary: checks.length > 0 ? checks.map(describe).join('; ') : 'list publishes none of the provided identifiers',
+  };
+}
+
+module.exports = {
+  normalizeIdentifiers,
+  checkIdentity,
+};
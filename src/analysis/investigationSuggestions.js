@@ -238,26 +238,47 @@ function checkTranslationGaps(assessment) {
   const suggestions = [];
   const lang = assessment.languageProcessing || {};
 
-  // If there were texts that needed translation but failed
-  // (We can infer this if textsProcessed > 0 but translationsPerformed is lower than expected)
-  // For now, we check if any processedTexts had translation errors
-  // This is a simpler check since we don't store individual translation errors in the assessment
+  // Translations per provider (failed ones included), see translator.js
+  const providers = lang.translationProviders || [];
+  const failed = providers.reduce((sum, p) => sum + p.failed, 0);
+  const providerNames = providers.map((p) => p.name || p.provider).join(', ') || 'the translation provider';
 
   if (lang.textsProcessed > 0 && lang.languagesDetected) {
     const nonEnSv = lang.languagesDetected.filter(
       (l) => l !== 'eng' && l !== 'swe' && l !== 'und'
     );
-    if (nonEnSv.length > 0 && lang.translationsPerformed === 0) {
+    if (nonEnSv.length > 0 && lang.translationsPerformed - failed <= 0) {
       suggestions.push(createSuggestion({
         type: 'translation-gap',
         priority: 'medium',
         description: `Non-English/Swedish text detected (${nonEnSv.join(', ')}) but no translations were performed. The original text may contain entities that were missed.`,
         actionable: false,
-        suggestedAction: 'Check if Google Translate is accessible from your network',
+        suggestedAction: `Check that ${providerNames} is reachable from your network (config.translation.provider)`,
+      }));
+    } else if (failed > 0) {
+      suggestions.push(createSuggestion({
+        type: 'translation-gap',
+        priority: 'low',
+        description: `${failed} of ${lang.translationsPerformed} translations failed (${providerNames}); those texts were analyzed untranslated.`,
+        actionable: false,
+        suggestedAction: 'Re-run the assessment once the translation provider is available',
       }));
     }
   }
 
+  // The offline glossary only knows its own terms — names and facts in the
+  // rest of the text may have been missed
+  const glossary = providers.find((p) => p.provider === 'glossary' && p.translations > p.failed);
+  if (glossary) {
+    suggestions.push(createSuggestion({
+      type: 'translation-gap',
+      priority: 'low',
+      description: `${glossary.translations} text(s) were translated with the offline glossary only (${glossary.model}): terms were translated, the rest of the text was not.`,
+      actionable: false,
+      suggestedAction: 'Have a language-skilled colleague read the original texts, or translate them with a self-hosted LibreTranslate server',
+    }));
+  }
+
   return suggestions;
 }
 
@@ -0,0 +1,420 @@
+/**
+ * Name Matcher
+ *
+ * Scores how likely two names refer to the same person or organization,
+ * on a 0–1 scale, and explains why.
+ *
+ * The old boolean fuzzyMatch() answered "does one name contain the other?",
+ * which flagged "Red Cross" inside any longer name and missed transliteration
+ * variants like "Mohammed" / "Muhammad". This matcher combines several signals
+ * instead:
+ *
+ * - Legal-suffix normalization: "Acme AB" and "ACME Ltd." compare as "acme"
+ * - Script transliteration: Arabic and Cyrillic names are compared in Latin letters
+ * - Token overlap: how many words of each name have a close counterpart in the other
+ * - Edit distance: character-level similarity (word order ignored)
+ * - Phonetic similarity: words that sound alike (Soundex codes)
+ * - Token subset: a name whose words all appear, in order, in a longer
+ *   listed name ("Bank Melli" / "Bank Melli Iran") never scores below
+ *   config.matching.tokenSubset.score — a listing with one extra word must
+ *   not slip through
+ *
+ * The result carries the combined score, each component, and a plain-English
+ * explanation so an analyst can judge weak hits themselves.
+ */
+
+const config = require('../config');
+const { similarity } = require('../entities/entityExtractor');
+const { isArabicText, transliterateName, COMMON_ARABIC_NAMES, normalizeArabicText } = require('../language/arabicUtils');
+
+// Legal-form suffixes stripped from the end of organization names.
+// Swedish, English and other common European forms (written without accents,
+// since names are accent-stripped before the suffixes are removed).
+const LEGAL_SUFFIXES = [
+  'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'sarl', 'srl', 'spa', 'bv', 'nv',
+  'oy', 'asa', 'aps', 'ab', 'hb', 'kb', 'publ', 'aktiebolag',
+  'handelsbolag', 'kommanditbolag', 'ek for', 'ekonomisk forening',
+];
+const LEGAL_SUFFIX_PATTERNS = LEGAL_SUFFIXES.map((suffix) => ({
+  suffix,
+  pattern: new RegExp(`\\s${suffix}$`),
+}));
+
+// Legal forms also written in front of the name ("AB Volvo")
+const LEGAL_PREFIX_PATTERNS = ['ab'].map((prefix) => ({
+  suffix: prefix,
+  pattern: new RegExp(`^${prefix}\\s`),
+}));
+
+// A legal form is kept when removing it would leave less than this many
+// characters ("SA AB" stays "sa ab" rather than becoming "sa")
+const MIN_NAME_LENGTH = 3;
+
+// --- Normalization cache ---
+// Key: raw name, Value: normalizeForMatching() result.
+// Sanctions lists are screened once per seed, so list names repeat a lot.
+// Bounded, since the API server keeps running: the oldest entries go first.
+const normalizationCache = new Map();
+const NORMALIZATION_CACHE_SIZE = 50000;
+
+// Simple Cyrillic → Latin table (Russian/Ukrainian/Bulgarian letters)
+const CYRILLIC_MAP = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z',
+  и: 'i', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r',
+  с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh',
+  щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya', і: 'i',
+  ї: 'yi', є: 'ye', ґ: 'g',
+};
+
+// Soundex letter groups
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6,
+};
+
+/**
+ * Transliterate a name to Latin script if it is written in Arabic or Cyrillic.
+ * Known Arabic names use their most common spelling ("محمد" → "Mohammed");
+ * other words fall back to letter-by-letter transliteration.
+ *
+ * @param {string} name - Name in any script
+ * @returns {Object} { text, script } — script is 'arabic', 'cyrillic' or 'latin'
+ */
+function transliterate(name) {
+  if (isArabicText(name)) {
+    const words = normalizeArabicText(name).split(' ');
+    const latinWords = words.map((word) => {
+      const known = COMMON_ARABIC_NAMES.find((entry) => normalizeArabicText(entry.arabic) === word);
+      return known ? known.transliterations[0] : transliterateName(word);
+    });
+    return { text: latinWords.join(' '), script: 'arabic' };
+  }
+
+  if (/[\u0400-\u04FF]/.test(name)) {
+    const text = [...name.toLowerCase()].map((ch) => CYRILLIC_MAP[ch] ?? ch).join('');
+    return { text, script: 'cyrillic' };
+  }
+
+  return { text: name, script: 'latin' };
+}
+
+/**
+ * Normalize a name for scored comparison.
+ * Lowercases, strips accents and punctuation, removes legal-form suffixes
+ * (at the end of the name only, and a leading "AB") and splits hyphenated
+ * particles ("Al-Rashid" → "al rashid"). Hyphenated words are split after
+ * the legal forms are removed, so "Co-op" never loses its "co".
+ *
+ * @param {string} name - Name (any script)
+ * @returns {Object} { normalized, tokens, script, legalSuffixesRemoved }
+ */
+function normalizeForMatching(name) {
+  const cached = normalizationCache.get(name);
+  if (cached) return cached;
+
+  const { text, script } = transliterate(name || '');
+
+  let normalized = text
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // strip accents (å → a, é → e)
+    .replace(/[.,;:'"!?()[\]{}]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Legal forms, repeatedly from the end ("Foo AB (publ)" → "foo"), then in front
+  const legalSuffixesRemoved = [];
+  const stripLegalForm = (patterns) => {
+    const found = patterns.find(({ pattern }) => pattern.test(normalized));
+    if (!found) return false;
+    const remaining = normalized.replace(found.pattern, ' ').trim();
+    if (remaining.length < MIN_NAME_LENGTH) return false;
+    legalSuffixesRemoved.push(found.suffix);
+    normalized = remaining;
+    return true;
+  };
+  while (stripLegalForm(LEGAL_SUFFIX_PATTERNS));
+  stripLegalForm(LEGAL_PREFIX_PATTERNS);
+
+  normalized = normalized.replace(/[-_/&]/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const result = {
+    normalized,
+    tokens: normalized.split(' ').filter(Boolean),
+    script,
+    legalSuffixesRemoved,
+  };
+  if (normalizationCache.size >= NORMALIZATION_CACHE_SIZE) {
+    normalizationCache.delete(normalizationCache.keys().next().value);
+  }
+  normalizationCache.set(name, result);
+  return result;
+}
+
+/**
+ * Soundex code for a single word (e.g., "Mohammed" and "Muhammad" → "M530").
+ */
+function soundex(word) {
+  if (!word) return '';
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return '';
+
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]] || 0;
+
+  for (const char of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[char] || 0;
+    if (digit !== 0 && digit !== previous) code += digit;
+    // "h" and "w" don't separate letters with the same code; vowels do
+    if (char !== 'h' && char !== 'w') previous = digit;
+    if (code.length === 4) break;
+  }
+
+  return code.padEnd(4, '0');
+}
+
+/**
+ * Soft token overlap: each token is paired with its most similar token in the
+ * other name. The score is the average best-pair similarity over both names,
+ * so extra words on either side pull it down.
+ */
+function tokenOverlap(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const best = (token, others) => Math.max(...others.map((other) => similarity(token, other)));
+  const sumA = tokensA.reduce((sum, t) => sum + best(t, tokensB), 0);
+  const sumB = tokensB.reduce((sum, t) => sum + best(t, tokensA), 0);
+  return (sumA + sumB) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * Character-level similarity, ignoring word order.
+ */
+function editSimilarity(tokensA, tokensB) {
+  const straight = similarity(tokensA.join(' '), tokensB.join(' '));
+  const sorted = similarity([...tokensA].sort().join(' '), [...tokensB].sort().join(' '));
+  return Math.max(straight, sorted);
+}
+
+/**
+ * Phonetic similarity: overlap of the words' Soundex codes (Dice coefficient).
+ */
+function phoneticSimilarity(tokensA, tokensB) {
+  const codesA = tokensA.map(soundex).filter(Boolean);
+  const codesB = tokensB.map(soundex).filter(Boolean);
+  if (codesA.length === 0 || codesB.length === 0) return 0;
+
+  const remaining = [...codesB];
+  let shared = 0;
+  for (const code of codesA) {
+    const index = remaining.indexOf(code);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (codesA.length + codesB.length);
+}
+
+/**
+ * Do all words of the shorter name appear, in the same order, in the longer
+ * one (each word spelled alike or sounding alike)? Only counts when the
+ * shorter name has at least two words and covers enough of the longer name
+ * (config.matching.tokenSubset.minCoverage), so "Red Cross" isn't found
+ * inside every long name that happens to contain it.
+ */
+function isTokenSubset(tokensA, tokensB) {
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const { minCoverage } = config.matching.tokenSubset;
+  if (shorter.length < 2 || shorter.length === longer.length || shorter.length / longer.length < minCoverage) {
+    return false;
+  }
+
+  const alike = (x, y) => similarity(x, y) >= 0.85 || (x.length > 3 && soundex(x) === soundex(y));
+  let position = 0;
+  for (const token of shorter) {
+    while (position < longer.length && !alike(token, longer[position])) position++;
+    if (position === longer.length) return false;
+    position++;
+  }
+  return true;
+}
+
+/**
+ * Score how well a candidate name matches the name we're searching for.
+ *
+ * @param {string} searchName - The name we're looking for
+ * @param {string} candidateName - The name from the data source
+ * @returns {Object} { score, breakdown, explanation, normalized }
+ *   breakdown: { tokenOverlap, editDistance, phonetic, legalSuffixesRemoved, transliterated }
+ */
+function scoreNameMatch(searchName, candidateName) {
+  const a = normalizeForMatching(searchName);
+  const b = normalizeForMatching(candidateName);
+  const weights = config.matching.weights;
+
+  const transliterated = [a.script, b.script].filter((s) => s !== 'latin');
+  const legalSuffixesRemoved = [...new Set([...a.legalSuffixesRemoved, ...b.legalSuffixesRemoved])];
+
+  // Too little left to compare meaningfully (avoids false positives)
+  if (a.normalized.length < MIN_NAME_LENGTH || b.normalized.length < MIN_NAME_LENGTH) {
+    return {
+      score: 0,
+      breakdown: { tokenOverlap: 0, editDistance: 0, phonetic: 0, tokenSubset: false, legalSuffixesRemoved, transliterated },
+      explanation: 'Name too short to compare',
+      normalized: { search: a.normalized, candidate: b.normalized },
+    };
+  }
+
+  let breakdown;
+  let score;
+  if (a.normalized === b.normalized) {
+    breakdown = { tokenOverlap: 1, editDistance: 1, phonetic: 1, tokenSubset: false };
+    score = 1;
+  } else {
+    breakdown = {
+      tokenOverlap: tokenOverlap(a.tokens, b.tokens),
+      editDistance: editSimilarity(a.tokens, b.tokens),
+      phonetic: phoneticSimilarity(a.tokens, b.tokens),
+      tokenSubset: isTokenSubset(a.tokens, b.tokens),
+    };
+    score = breakdown.tokenOverlap * weights.tokenOverlap +
+      breakdown.editDistance * weights.editDistance +
+      breakdown.phonetic * weights.phonetic;
+    if (breakdown.tokenSubset) {
+      score = Math.max(score, config.matching.tokenSubset.score);
+    }
+  }
+
+  const round = (n) => Math.round(n * 100) / 100;
+  breakdown = {
+    tokenOverlap: round(breakdown.tokenOverlap),
+    editDistance: round(breakdown.editDistance),
+    phonetic: round(breakdown.phonetic),
+    tokenSubset: breakdown.tokenSubset,
+    legalSuffixesRemoved,
+    transliterated,
+  };
+
+  return {
+    score: round(score),
+    breakdown,
+    explanation: explainMatch(score, breakdown, a, b),
+    normalized: { search: a.normalized, candidate: b.normalized },
+  };
+}
+
+/**
+ * Build a plain-English explanation of a match score.
+ */
+function explainMatch(score, breakdown, a, b) {
+  const parts = [];
+  if (a.normalized === b.normalized) {
+    parts.push('identical after normalization');
+  } else {
+    parts.push(`words ${Math.round(breakdown.tokenOverlap * 100)}% overlapping`);
+    parts.push(`spelling ${Math.round(breakdown.editDistance * 100)}% similar`);
+    parts.push(`sound ${Math.round(breakdown.phonetic * 100)}% alike`);
+    if (breakdown.tokenSubset) {
+      parts.push('every word of the shorter name appears, in order, in the longer one');
+    }
+  }
+  if (breakdown.transliterated.length > 0) {
+    parts.push(`transliterated from ${breakdown.transliterated.join('/')}`);
+  }
+  if (breakdown.legalSuffixesRemoved.length > 0) {
+    parts.push(`legal form ignored (${breakdown.legalSuffixesRemoved.join(', ')})`);
+  }
+  if (a.tokens.length !== b.tokens.length) {
+    parts.push(`${a.tokens.length} vs ${b.tokens.length} words`);
+  }
+  return `Score ${score.toFixed(2)}: ${parts.join(', ')}`;
+}
+
+/**
+ * Get the match threshold for a given list (falls back to the default).
+ *
+ * @param {string} listId - List identifier ("ofac", "un", "eu", ...)
+ * @returns {number} Minimum score for a match
+ */
+function getThreshold(listId) {
+  const thresholds = config.matching.thresholds;
+  return thresholds[listId] ?? thresholds.default;
+}
+
+/**
+ * Label a match score so analysts can tell strong hits from weak ones.
+ *
+ * @param {number} score - Match score (0–1)
+ * @returns {string} "strong" or "weak"
+ */
+function getMatchStrength(score) {
+  return score >= config.matching.strongMatchScore ? 'strong' : 'weak';
+}
+
+/**
+ * Find the best-scoring name among several variants (primary name, aliases, ...).
+ *
+ * @param {string} searchName - The name we're looking for
+ * @param {string[]} candidateNames - Name variants to compare against
+ * @returns {Object|null} Best scoreNameMatch() result plus { candidate }, or null if none given
+ */
+function bestNameMatch(searchName, candidateNames) {
+  let best = null;
+  for (const candidate of candidateNames) {
+    const result = scoreNameMatch(searchName, candidate);
+    if (!best || result.score > best.score) {
+      best = { ...result, candidate };
+    }
+  }
+  return best;
+}
+
+/**
+ * Score a search name against a record's primary name and every alias.
+ * The best-scoring name wins; it only counts as a match if it reaches the
+ * list's threshold.
+ *
+ * @param {string} searchName - Name we're looking for
+ * @param {Object} record - Record with { name, nameVariants, aliases: [{ name, type, quality, nameVariants }] }
+ * @param {string} listId - List identifier (selects the threshold)
+ * @returns {Object|null} { matchedOn: { name, type, quality }, score, strength, breakdown, explanation }, or null
+ */
+function matchRecord(searchName, record, listId) {
+  const candidates = [
+    { name: record.name, type: 'primary', quality: 'good', nameVariants: record.nameVariants },
+    ...record.aliases,
+  ];
+
+  let best = null;
+  for (const candidate of candidates) {
+    const result = bestNameMatch(searchName, candidate.nameVariants);
+    if (result && (!best || result.score > best.result.score)) {
+      best = { candidate, result };
+    }
+  }
+
+  if (!best || best.result.score < getThreshold(listId)) return null;
+
+  const { candidate, result } = best;
+  return {
+    matchedOn: { name: candidate.name, type: candidate.type, quality: candidate.quality },
+    score: result.score,
+    strength: getMatchStrength(result.score),
+    breakdown: result.breakdown,
+    explanation: result.explanation,
+  };
+}
+
+module.exports = {
+  scoreNameMatch,
+  bestNameMatch,
+  matchRecord,
+  getThreshold,
+  getMatchStrength,
+  normalizeForMatching,
+  soundex,
+};
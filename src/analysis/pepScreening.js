@@ -0,0 +1,257 @@
+/**
+ * PEP Screening
+ *
+ * Checks the people around the target organization against a dataset of
+ * politically exposed persons (PEPs): heads of state, ministers, members of
+ * parliament, senior officials, and their relatives and close associates.
+ *
+ * Being a PEP isn't a concern in itself, but for an organization that
+ * receives public grants, a foreign official on its board is something the
+ * analyst needs to know about. So PEP hits become their own kind of evidence
+ * (sourceType and category "pep") and feed the PEP hypotheses — they never
+ * count as sanctions matches.
+ *
+ * Who is screened:
+ * - every person seed
+ * - every person one hop from the target organization in the network graph
+ *
+ * The dataset is a local file (config.pep.datasetPath), so screening works
+ * offline:
+ * - .jsonl / .ftm.json — FollowTheMoney entities (e.g. an OpenSanctions PEP export)
+ * - .json / .csv       — the local watchlist format (name, aliases, position, country, ...)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const config = require('../config');
+const { matchRecord } = require('./nameMatcher');
+const { normalizeCountry, normalizeCountries } = require('./countries');
+const { buildLocalRecords, readFtMFile } = require('../scrapers/sanctionsParsers');
+
+// Datasets are resolved relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+
+// Domestic countries as ISO codes ("sweden", "SWE" → "SE")
+const DOMESTIC_COUNTRIES = new Set(config.pep.domesticCountries.map(normalizeCountry).filter(Boolean));
+
+// --- Loaded dataset ---
+// { hash, records } for the current file version, so several assessments
+// in one server process don't re-read a large file.
+let loadedDataset = null;
+
+/**
+ * Load the PEP dataset from disk (cached until the file changes).
+ *
+ * Only person records are kept. FtM entities that carry topics must have a
+ * "role.*" topic (role.pep, role.rca, ...) — a general export can then be
+ * used as the PEP dataset too.
+ *
+ * @returns {Object} { success, records, file, modifiedAt, error }
+ */
+async function loadPEPDataset() {
+  const file = path.resolve(projectRoot, config.pep.datasetPath);
+  if (!fs.existsSync(file)) {
+    return { success: false, records: [], file, modifiedAt: null, error: `No PEP dataset at ${file}` };
+  }
+
+  const stats = fs.statSync(file);
+  const hash = `${stats.mtimeMs}:${stats.size}`;
+
+  if (!loadedDataset || loadedDataset.hash !== hash) {
+    let records;
+    try {
+      const lowerName = file.toLowerCase();
+      if (lowerName.endsWith('.jsonl') || lowerName.endsWith('.ftm.json')) {
+        records = await readFtMFile(file);
+      } else {
+        const format = lowerName.endsWith('.json') ? 'json' : 'csv';
+        records = buildLocalRecords(fs.readFileSync(file, 'utf-8'), format);
+      }
+    } catch (err) {
+      return { success: false, records: [], file, modifiedAt: null, error: `Could not read PEP dataset: ${err.message}` };
+    }
+
+    loadedDataset = {
+      hash,
+      records: records.filter((record) => record.recordType === 'person'
+        && (!record.topics || record.topics.length === 0 || record.topics.some((t) => t.startsWith('role.')))),
+    };
+  }
+
+  return {
+    success: true,
+    records: loadedDataset.records,
+    file,
+    modifiedAt: stats.mtime.toISOString(),
+    error: null,
+  };
+}
+
+/**
+ * Is the PEP a foreign official? Countries are compared as ISO codes (see
+ * countries.js), so "SWE", "Sverige" and "Swedish" are all domestic when
+ * config.pep.domesticCountries has Sweden. A PEP without any recognizable
+ * country is treated as foreign, so the hit isn't played down by missing data.
+ *
+ * @param {Object} record - PEP record
+ * @returns {boolean}
+ */
+function isForeignPEP(record) {
+  const { codes } = normalizeCountries(record.citizenships || []);
+  if (codes.length === 0) return true;
+  return !codes.some((code) => DOMESTIC_COUNTRIES.has(code));
+}
+
+/**
+ * Is the record a relative / close associate rather than an official?
+ */
+function isCloseAssociate(record) {
+  const topics = record.topics || [];
+  return topics.includes('role.rca') && !topics.includes('role.pep');
+}
+
+/**
+ * Collect the people to screen: person seeds and hop-1 person nodes.
+ *
+ * @param {Array} seeds - User-provided seeds [{ name, type, role }]
+ * @param {Object} networkGraph - Graph with hop distances calculated
+ * @returns {Array<Object>} [{ name, entityId, origin: "seed" | "network", hopDistance, roles }]
+ */
+function getScreeningSubjects(seeds, networkGraph) {
+  const nodes = networkGraph?.nodes || [];
+  const findNode = (name) => nodes.find((n) => n.label.toLowerCase().trim() === name.toLowerCase().trim());
+
+  const subjects = [];
+  const seen = new Set();
+
+  for (const seed of seeds) {
+    if (seed.type !== 'person') continue;
+    const node = findNode(seed.name);
+    subjects.push({
+      name: seed.name,
+      entityId: node ? node.id : null,
+      origin: 'seed',
+      hopDistance: node?.metadata?.hopDistance ?? null,
+      roles: seed.role ? [seed.role] : node?.metadata?.roles || [],
+    });
+    seen.add(seed.name.toLowerCase().trim());
+  }
+
+  for (const node of nodes) {
+    if (node.type !== 'person' || node.metadata?.hopDistance !== 1) continue;
+    if (seen.has(node.label.toLowerCase().trim())) continue;
+    subjects.push({
+      name: node.label,
+      entityId: node.id,
+      origin: 'network',
+      hopDistance: 1,
+      roles: node.metadata.roles || [],
+    });
+    seen.add(node.label.toLowerCase().trim());
+  }
+
+  return subjects;
+}
+
+/**
+ * Screen seeds and hop-1 people against the PEP dataset.
+ *
+ * Matching nodes in the network graph get metadata.pep, so the graph view
+ * can highlight them.
+ *
+ * @param {Array} seeds - User-provided seeds
+ * @param {Object} networkGraph - Graph with hop distances calculated
+ * @returns {Object} { datasetLoaded, dataset: { file, modifiedAt, records }, subjectsScreened, hits, error }
+ */
+async function screenPEPs(seeds, networkGraph) {
+  const dataset = await loadPEPDataset();
+  const subjects = getScreeningSubjects(seeds, networkGraph);
+
+  const result = {
+    datasetLoaded: dataset.success,
+    dataset: { file: dataset.file, modifiedAt: dataset.modifiedAt, records: dataset.records.length },
+    subjectsScreened: dataset.success ? subjects.length : 0,
+    hits: [],
+    error: dataset.error,
+  };
+  if (!dataset.success) return result;
+
+  for (const subject of subjects) {
+    for (const record of dataset.records) {
+      const match = matchRecord(subject.name, record, 'pep');
+      if (!match) continue;
+
+      const pep = {
+        name: record.name,
+        matchedOn: match.matchedOn,
+        matchScore: match.score,
+        matchStrength: match.strength,
+        matchExplanation: match.explanation,
+        positions: record.positions || [],
+        countries: record.citizenships || [],
+        topics: record.topics || [],
+        datasets: record.datasets || [],
+        isForeign: isForeignPEP(record),
+        isCloseAssociate: isCloseAssociate(record),
+      };
+      result.hits.push({ subject, pep });
+
+      const node = subject.entityId && (networkGraph?.nodes || []).find((n) => n.id === subject.entityId);
+      if (node) {
+        node.metadata.pep = { name: pep.name, positions: pep.positions, countries: pep.countries, isForeign: pep.isForeign };
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert PEP hits into evidence items.
+ *
+ * Foreign officials get config.pep.severity.foreign, domestic ones and
+ * relatives/close associates the lower domestic severity.
+ *
+ * @param {Object} pepResult - From screenPEPs()
+ * @returns {Array<Object>} Evidence items (sourceType and category "pep")
+ */
+function buildEvidenceFromPEPHits(pepResult) {
+  const sourceUrl = pepResult.dataset.file ? pathToFileURL(pepResult.dataset.file).href : '';
+
+  return pepResult.hits.map(({ subject, pep }) => {
+    const office = pep.positions.length > 0 ? pep.positions.join('; ') : 'position not recorded';
+    const where = pep.countries.length > 0 ? ` (${pep.countries.join(', ')})` : '';
+    const kind = pep.isCloseAssociate ? 'relative/close associate of a PEP' : `${pep.isForeign ? 'foreign' : 'domestic'} PEP`;
+    const via = subject.origin === 'seed' ? 'Seed' : 'Connected person';
+
+    return {
+      sourceType: 'pep',
+      category: 'pep',
+      severity: pep.isForeign && !pep.isCloseAssociate ? config.pep.severity.foreign : config.pep.severity.domestic,
+      description: `${via} "${subject.name}" matches ${kind} "${pep.name}" — ${office}${where} `
+        + `(${pep.matchStrength} match, score ${pep.matchScore.toFixed(2)})`,
+      source: 'PEP dataset',
+      sourceUrl,
+      matchedName: subject.name,
+      pepName: pep.name,
+      positions: pep.positions,
+      countries: pep.countries,
+      isForeign: pep.isForeign,
+      isCloseAssociate: pep.isCloseAssociate,
+      matchScore: pep.matchScore,
+      matchStrength: pep.matchStrength,
+      matchExplanation: pep.matchExplanation,
+      entityId: subject.entityId,
+      hopDistance: subject.hopDistance,
+      status: pep.matchStrength === 'strong' ? 'confirmed' : 'unverified',
+      ...(subject.origin === 'seed' ? { linkedToSeed: subject.name } : {}),
+    };
+  });
+}
+
+module.exports = {
+  screenPEPs,
+  buildEvidenceFromPEPHits,
+  loadPEPDataset,
+};
@@ -0,0 +1,140 @@
+/**
+ * Publication Date
+ *
+ * Works out when a web source was published, so old stories can weigh less
+ * than recent ones (see scoring/credibility.js). Dates come from three
+ * places, most reliable first:
+ *   1. the fetched article's own metadata (articleScraper.js)
+ *   2. a date field from the search provider (SearxNG, JSON APIs)
+ *   3. the date search engines put at the start of a snippet
+ *      ("Mar 14, 2023 · ..." or "3 days ago · ...")
+ *
+ * Dates are normalized to "YYYY-MM-DD". Anything unparseable, in the future
+ * or before 1990 is treated as unknown. "Now" is the recording time when
+ * replaying a recorded assessment (storage/recordingStore.js).
+ */
+
+const { getReferenceTime } = require('../storage/recordingStore');
+
+// Month names (and abbreviations) in English and Swedish → month number
+const MONTHS = {
+  jan: 1, january: 1, januari: 1,
+  feb: 2, february: 2, februari: 2,
+  mar: 3, march: 3, mars: 3,
+  apr: 4, april: 4,
+  may: 5, maj: 5,
+  jun: 6, june: 6, juni: 6,
+  jul: 7, july: 7, juli: 7,
+  aug: 8, august: 8, augusti: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, okt: 10, october: 10, oktober: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12,
+};
+
+// "3 days ago", "för 2 veckor sedan" → days per unit
+const RELATIVE_UNITS = {
+  minute: 0, minutes: 0, minut: 0, minuter: 0,
+  hour: 0, hours: 0, timme: 0, timmar: 0,
+  day: 1, days: 1, dag: 1, dagar: 1,
+  week: 7, weeks: 7, vecka: 7, veckor: 7,
+  month: 30, months: 30, månad: 30, månader: 30,
+  year: 365, years: 365, år: 365,
+};
+
+const MIN_YEAR = 1990;
+
+/**
+ * Parse a publication date as pages and search engines write it.
+ *
+ * @param {string} value - "2023-03-14T10:00:00Z", "14 mars 2023", "Mar 14, 2023", "3 days ago", ...
+ * @param {Date} now - Reference time for relative dates (default: now, or the recording time when replaying)
+ * @returns {string|null} "YYYY-MM-DD", or null when unknown
+ */
+function parsePublicationDate(value, now = getReferenceTime()) {
+  // A leading weekday ("Tue, 10 Jun 2025" in feeds, "tisdag 3 juni 2025") says nothing extra
+  const text = String(value || '').trim().toLowerCase().replace(/^[a-zåäö]+(?:day|dag),?\s+|^[a-z]{3},\s+/, '');
+  if (!text) return null;
+  let m;
+
+  // Relative: "3 days ago", "för 2 veckor sedan"
+  if ((m = text.match(/^(?:för\s+)?(\d+|an?|en|ett)\s+([a-zåäö]+)\s+(?:ago|sedan)/))) {
+    const days = RELATIVE_UNITS[m[2]];
+    if (days === undefined) return null;
+    const count = /^\d+$/.test(m[1]) ? Number(m[1]) : 1;
+    return toDateString(new Date(now.getTime() - count * days * 86400000), now);
+  }
+
+  // ISO: "2023-03-14", "2023-03-14T10:00:00Z"
+  if ((m = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return buildDate(m[1], m[2], m[3], now);
+  }
+
+  // Numeric day first: "14/03/2023", "14.03.2023"
+  if ((m = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})/))) {
+    return buildDate(m[3], m[2], m[1], now);
+  }
+
+  // "14 mars 2023", "14 Mar. 2023"
+  if ((m = text.match(/^(\d{1,2})\s+([a-zåäö]+)\.?,?\s+(\d{4})/)) && MONTHS[m[2]]) {
+    return buildDate(m[3], MONTHS[m[2]], m[1], now);
+  }
+
+  // "Mar 14, 2023", "March 14 2023"
+  if ((m = text.match(/^([a-zåäö]+)\.?\s+(\d{1,2}),?\s+(\d{4})/)) && MONTHS[m[1]]) {
+    return buildDate(m[3], MONTHS[m[1]], m[2], now);
+  }
+
+  // Month and year only: "June 2019"
+  if ((m = text.match(/^([a-zåäö]+)\.?\s+(\d{4})\b/)) && MONTHS[m[1]]) {
+    return buildDate(m[2], MONTHS[m[1]], 1, now);
+  }
+
+  return null;
+}
+
+/**
+ * Find the date a search engine put at the start of a snippet.
+ * Only the start is checked — dates further in are usually about the
+ * events the article describes, not when it was written.
+ *
+ * @param {string} snippet - Search result snippet
+ * @param {Date} now - Reference time for relative dates
+ * @returns {string|null} "YYYY-MM-DD", or null
+ */
+function findDateInSnippet(snippet, now = getReferenceTime()) {
+  const head = String(snippet || '').trim().split(/\s+[·—–-]\s+|\.\.\./)[0];
+  return head.length <= 30 ? parsePublicationDate(head, now) : null;
+}
+
+/**
+ * Age of a date in years (fractional), or null for unknown dates.
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {Date} now - Reference time
+ * @returns {number|null} Age in years
+ */
+function getAgeInYears(date, now = getReferenceTime()) {
+  if (!date) return null;
+  const time = new Date(`${date}T00:00:00Z`).getTime();
+  if (Number.isNaN(time)) return null;
+  return Math.max(0, (now.getTime() - time) / (365.25 * 86400000));
+}
+
+function buildDate(year, month, day, now) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  // Date.UTC rolls over invalid days (Feb 30 → Mar 2) — reject those
+  if (date.getUTCMonth() !== Number(month) - 1) return null;
+  return toDateString(date, now);
+}
+
+function toDateString(date, now) {
+  if (date.getUTCFullYear() < MIN_YEAR || date.getTime() > now.getTime() + 86400000) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  parsePublicationDate,
+  findDateInSnippet,
+  getAgeInYears,
+};
@@ -15,11 +15,112 @@ module.exports = {
     // OFAC SDN (Specially Designated Nationals) list from US Treasury
     ofacUrl: 'https://www.treasury.gov/ofac/downloads/sdn.csv',
 
+    // OFAC alias file (AKA/FKA/NKA names), linked to the SDN list by entity number
+    ofacAltUrl: 'https://www.treasury.gov/ofac/downloads/alt.csv',
+
     // UN Security Council Consolidated Sanctions List (XML)
     unUrl: 'https://scsanctions.un.org/resources/xml/en/consolidated.xml',
 
     // EU Consolidated Sanctions List (CSV from EU open data)
     euUrl: 'https://webgate.ec.europa.eu/fsd/fsf/public/files/csvFullSanctionsList/content?token=dG9rZW4tMjAxNw',
+
+    // UK Consolidated List of Financial Sanctions Targets (OFSI, CSV)
+    ukUrl: 'https://ofsistorage.blob.core.windows.net/publishlive/2022format/ConList.csv',
+
+    // Swiss SECO consolidated sanctions list (XML export from SESAM)
+    secoUrl: 'https://www.sesam.search.admin.ch/sesam-search-web/pages/downloadXmlGesamtliste.xhtml?lang=en&action=downloadXmlGesamtlisteAction',
+
+    // Built-in lists to check, in this order (see scrapers/sanctionsScraper.js)
+    providers: ['ofac', 'un', 'eu', 'uk', 'seco'],
+
+    // Extra watchlists kept as local JSON or CSV files, checked after the
+    // built-in lists (file format: see buildLocalRecords in scrapers/sanctionsParsers.js).
+    // Example:
+    //   { id: 'internal', name: 'Internal exclusion list', path: 'data/watchlists/internal.csv' }
+    localLists: [],
+
+    // Sanctions programme → value category for the evidence. Each pattern is a
+    // case-insensitive regex tried against the programme (OFAC program, UN list
+    // type, EU/UK/SECO regime); the first match wins, anything else is "unmapped".
+    programmeCategories: [
+      // Terrorism programmes
+      { pattern: '\\b(SDGT|SDT|FTO)\\b|terror|al-?qa.?ida|isil|da.?esh|taliban', category: 'anti-democratic' },
+      // Human-rights regimes (incl. Global Magnitsky)
+      { pattern: '\\bGLOMAG\\b|magnitsky|human rights', category: 'human-rights' },
+      // Repression of democracy and election fraud
+      { pattern: 'belarus|democra', category: 'anti-democratic' },
+    ],
+
+    // Offline screening snapshots in FollowTheMoney JSON lines format
+    // (e.g. OpenSanctions "entities.ftm.json"), checked last. Example:
+    //   { id: 'opensanctions', name: 'OpenSanctions snapshot', path: 'data/opensanctions/entities.ftm.json' }
+    ftmFiles: [],
+
+    // How FtM topics become evidence. Unlisted topics fall back to their parent
+    // ("crime.fraud" → "crime"), then to "default"; the most severe match wins.
+    ftmTopics: {
+      sanction: { category: 'human-rights', severity: 'high' },
+      'sanction.linked': { category: 'human-rights', severity: 'medium' },
+      'crime.terror': { category: 'anti-democratic', severity: 'high' },
+      'crime.war': { category: 'human-rights', severity: 'high' },
+      'crime.traffick.human': { category: 'human-rights', severity: 'high' },
+      crime: { category: 'human-rights', severity: 'medium' },
+      'role.pep': { category: 'pep', severity: 'low' },
+      default: { category: 'human-rights', severity: 'low' },
+    },
+
+    // Local sanctions store: each list is downloaded once, kept on disk with
+    // its fetch time and hash, and only re-downloaded when the refresh is due.
+    store: {
+      dir: 'data/sanctions',      // where list versions and manifests are kept
+      refreshIntervalHours: 24,   // re-download a list once it is older than this
+      keepVersions: 5,            // raw files kept per list
+      keepHistory: 200,           // versions whose deltas are kept in the manifest (for "listed since")
+    },
+  },
+
+  // --- Name Matching ---
+  // Scored name matching used for sanctions screening (see analysis/nameMatcher.js).
+  // A candidate counts as a match when its 0–1 score reaches the list's threshold.
+  matching: {
+    weights: {
+      tokenOverlap: 0.35,   // words with a close counterpart in the other name
+      editDistance: 0.35,   // character-level similarity
+      phonetic: 0.3,        // words that sound alike (transliteration variants)
+    },
+    thresholds: {
+      default: 0.85,
+      ofac: 0.85,
+      un: 0.85,
+      eu: 0.85,
+      uk: 0.85,
+      seco: 0.85,
+      pep: 0.88,          // PEP screening: people, so a little stricter
+    },
+    // Lowest score for a name whose words all appear, in order, in the other
+    // ("Bank Melli" / "Bank Melli Iran") — above every threshold, below "strong".
+    // Only when the shorter name has 2+ words and at least minCoverage of the longer one's.
+    tokenSubset: { score: 0.9, minCoverage: 0.5 },
+    strongMatchScore: 0.95,  // at or above this, a match is labelled "strong"
+    // Credibility multiplier for hits whose DOB / nationality / ID numbers
+    // contradict the seed's (see analysis/identityCheck.js) — likely a namesake
+    contradictedIdentityWeight: 0.2,
+  },
+
+  // --- PEP Screening ---
+  // Seeds and people directly connected to the organization (hop 1) are
+  // checked against a local dataset of politically exposed persons
+  // (see analysis/pepScreening.js). Without the file the step is skipped.
+  pep: {
+    // FollowTheMoney JSON lines (.jsonl / .ftm.json, e.g. an OpenSanctions PEP export),
+    // or .json / .csv in the local watchlist format (name, aliases, position, country)
+    datasetPath: 'data/pep/peps.ftm.json',
+    // Countries whose officials count as domestic (ISO codes or names — see analysis/countries.js)
+    domesticCountries: ['SE'],
+    severity: {
+      foreign: 'medium',   // foreign officials — the main concern for grant recipients
+      domestic: 'low',     // domestic officials and relatives/close associates
+    },
   },
 
   // --- Rate Limiting ---
@@ -31,6 +132,41 @@ module.exports = {
     userAgent: 'ValuesAssessmentTool/1.0 (Research Tool)',
   },
 
+  // --- Record / Replay ---
+  // "record" saves every HTTP response and translation under a session
+  // name; "replay" serves an assessment from that session only, with no
+  // network (see storage/recordingStore.js). Usually set per run with
+  // --record <session> / --replay <session> instead of here.
+  recording: {
+    mode: 'live',             // "live", "record" or "replay"
+    session: null,
+    dir: 'data/recordings',
+  },
+
+  // --- HTTP Response Cache ---
+  // Responses are kept on disk so back-to-back assessments don't download
+  // the same search pages and sanctions files again (see storage/httpCache.js).
+  // A cached response younger than its source's TTL is served without a
+  // request (and without the rate-limit delay); an older one is revalidated
+  // with a conditional GET (ETag / Last-Modified) when the server supports it.
+  httpCache: {
+    enabled: true,
+    dir: 'data/http-cache',
+    // TTL in minutes per kind of source. 0 = always revalidate, null = don't cache
+    ttlMinutes: {
+      search: 24 * 60,        // search engine result pages
+      article: 7 * 24 * 60,   // web pages behind search results
+      feed: 0,                // RSS/Atom feeds (the news store decides how often)
+      sanctions: null,        // sanctions lists (kept, versioned, by the sanctions store)
+      default: 24 * 60,
+    },
+    // Request headers that change the response, and so are part of the cache key
+    keyHeaders: ['Accept', 'Accept-Language'],
+    // Past either limit, the least recently validated responses are removed (down to 90% of both)
+    maxEntries: 5000,
+    maxSizeMB: 500,
+  },
+
   // --- Source Credibility Weights ---
   // Higher weight = more credible source. Used when scoring evidence.
   // Based on the brief: government=10, courts=10, news=7, NGO=6, social=4, forums=2
@@ -39,11 +175,47 @@ module.exports = {
     court: 10,        // Court rulings and legal decisions
     news: 7,          // Established news outlets (DN, SVT, Reuters, etc.)
     ngo: 6,           // NGO reports (Amnesty, Human Rights Watch, etc.)
+    pep: 5,           // PEP datasets (a fact about a person, not a concern on its own)
     social: 4,        // Social media (verified accounts)
     forum: 2,         // Forums (Flashback, Reddit, etc.)
     unknown: 1,       // Unclassified sources
   },
 
+  // --- Source Registry ---
+  // Which web domains are news outlets, NGOs, government sites, ... and,
+  // optionally, a credibility weight per domain that overrides the weights
+  // above (see storage/sourceRegistry.js). Edited through the API/extension;
+  // until the first edit the built-in list is used.
+  sourceRegistry: {
+    path: 'data/source-registry.json',
+  },
+
+  // --- Document Uploads ---
+  // Documents sent to the API server (POST /api/uploads) are kept in one
+  // folder per assessment under dir (see storage/uploadStore.js). Only the
+  // types documentScraper.js can read are accepted.
+  uploads: {
+    dir: 'data/uploads',
+    maxFileSizeMB: 25,                // per file
+    maxFiles: 10,                     // per upload
+    retentionDays: 90,                // then deleted, assessed or not (null = keep forever)
+  },
+
+  // --- Recency ---
+  // Older evidence counts for less: after fullWeightYears, an item's score
+  // halves every halfLifeYears (never below minFactor of the full score).
+  // Items without a publication date aren't decayed, and neither are the
+  // exempt source types (a sanctions listing is in force until it's lifted).
+  recency: {
+    enabled: true,
+    fullWeightYears: 1,
+    halfLifeYears: 4,
+    minFactor: 0.25,
+    exemptSourceTypes: ['government', 'court'],
+    staleAfterYears: 5,   // older items are "stale" and don't count toward the 3 credible sources for RED
+    staleShare: 0.5,      // flag.details warns when at least this share of the dated evidence is stale
+  },
+
   // --- Flag Thresholds ---
   // Rules for assigning red/yellow/green/grey flags
   flags: {
@@ -73,9 +245,31 @@ module.exports = {
   // --- Translation Settings ---
   // Controls how non-English/non-Swedish text is handled
   translation: {
+    // Who translates (see language/translationProviders.js):
+    //   "google"         — Google Translate's free endpoint; the text leaves our network
+    //   "libretranslate" — a (self-hosted) LibreTranslate-compatible server, set up below
+    //   "glossary"       — offline: only the glossary's terms are translated
+    provider: 'google',
+
+    // LibreTranslate-compatible server. "model" is recorded with every
+    // translation — name the models the server runs (e.g. 'argos-translate 1.9').
+    libreTranslate: {
+      url: null,                      // e.g. 'http://localhost:5000'
+      apiKey: process.env.LIBRETRANSLATE_API_KEY || null,
+      model: 'argos-translate',
+      throttle: false,                // wait delayBetweenTranslations between requests
+    },
+
+    // Offline glossary: the analyst's terms, merged over the built-in ones
+    // (language/glossary.js). { "ar": { "جمعية": "association" }, "*": { ... } }
+    glossary: {
+      path: 'data/translation/glossary.json',
+      transliterate: true,            // turn the Arabic script that's left into Latin letters
+    },
+
     targetLanguage: 'en',             // translate everything to English for analysis
     maxTextLength: 5000,              // max chars per translation request (Google limit)
-    delayBetweenTranslations: 1000,   // ms between translation API calls
+    delayBetweenTranslations: 1000,   // ms between translation API calls (Google, or a throttled server)
     skipLanguages: ['en', 'sv'],      // don't translate these (we can process them directly)
     minTextLengthForDetection: 20,    // franc needs at least this many chars for reliable detection
   },
@@ -89,19 +283,129 @@ module.exports = {
   },
 
   // --- Web Search Settings ---
-  // DuckDuckGo HTML search for public information
+  // Web search for public information (see scrapers/searchProviders.js)
   webSearch: {
+    // Search providers, tried in order: when a search fails on one (error,
+    // rate limit), the next is used. Built in: "duckduckgo", "searxng",
+    // "json-api", "file" — the last three are configured below.
+    providers: ['duckduckgo'],
+
+    // Self-hosted SearxNG (needs "json" in search.formats in its settings.yml)
+    searxng: {
+      url: null,            // e.g. 'http://localhost:8888'
+      categories: 'general',
+      language: 'all',
+    },
+
+    // Any search API that returns JSON. {query}, {count} and {language} are filled into the URL.
+    // Example (Brave Search API):
+    //   url: 'https://api.search.brave.com/res/v1/web/search?q={query}&count={count}',
+    //   headers: { 'X-Subscription-Token': process.env.BRAVE_SEARCH_API_KEY },
+    //   resultsPath: 'web.results', fields: { title: 'title', url: 'url', snippet: 'description', date: 'page_age' }
+    jsonApi: {
+      name: 'JSON search API',
+      url: null,
+      headers: {},
+      resultsPath: 'results',
+      fields: { title: 'title', url: 'url', snippet: 'snippet', date: 'date' },
+    },
+
+    // Canned results for tests and demos: { "<query>": [{ title, url, snippet }], "*": [...] }
+    resultsFile: {
+      path: 'data/search/results.json',
+    },
+
     maxResultsPerQuery: 10,
-    searchSuffixes: [
-      'controversy',
-      'sanctions',
-      'investigation',
-      'human rights violations',
-      'extremism terrorism',
-      'fraud corruption',
-      'banned prohibited',
+
+    // A provider that fails this many searches in a row is skipped for the
+    // rest of the run (a success resets the count)
+    maxProviderFailures: 3,
+
+    // Query templates per category and query language (ISO 639-1).
+    // "{org}" is the organization name; "{keywords}" becomes the category's
+    // high-severity terms in that language from keywords/keywords.js
+    // (joined with OR). A template can also be { query, sites } to search
+    // only those domains. "general" holds the queries that don't belong to
+    // one of the value categories.
+    queryTemplates: {
+      general: {
+        sv: ['{org} kontrovers', '{org} sanktioner', '{org} utredning polisanmälan'],
+        en: ['{org} controversy', '{org} sanctions', '{org} investigation', '{org} banned prohibited'],
+        ar: ['{org} عقوبات', '{org} تحقيق'],              // sanctions, investigation
+        ru: ['{org} санкции', '{org} расследование'],      // sanctions, investigation
+        zh: ['{org} 制裁', '{org} 调查'],                  // sanctions, investigation
+      },
+      lgbtq: {
+        sv: ['{org} {keywords}', { query: '{org} hbtq', sites: ['rfsl.se', 'qx.se'] }],
+        en: ['{org} {keywords}', { query: '{org} LGBT', sites: ['ilga-europe.org', 'hrw.org', 'amnesty.org'] }],
+      },
+      gender: {
+        sv: ['{org} {keywords}'],
+        en: ['{org} {keywords}', { query: '{org} women', sites: ['hrw.org', 'amnesty.org'] }],
+      },
+      racism: {
+        sv: ['{org} {keywords}'],
+        en: ['{org} {keywords}'],
+      },
+      'anti-democratic': {
+        sv: ['{org} extremism terrorism', '{org} bedrägeri korruption'],
+        en: ['{org} extremism terrorism', '{org} fraud corruption'],
+        ar: ['{org} تطرف إرهاب', '{org} فساد احتيال'],     // extremism terrorism, corruption fraud
+        ru: ['{org} экстремизм терроризм', '{org} коррупция мошенничество'],
+        zh: ['{org} 腐败 欺诈'],                           // corruption fraud
+      },
+      'human-rights': {
+        sv: ['{org} brott mot mänskliga rättigheter', { query: '{org}', sites: ['amnesty.se', 'civilrightsdefenders.org'] }],
+        en: ['{org} human rights violations', { query: '{org}', sites: ['amnesty.org', 'hrw.org'] }],
+        ar: ['{org} انتهاكات حقوق الإنسان'],               // human rights violations
+      },
+    },
+    keywordsPerQuery: 4, // terms filled into "{keywords}"
+    // Categories searched (null = all of the above). The CLI's --category and
+    // the API's "categories" field override this per assessment.
+    categories: null,
+    // Languages searched for every organization
+    defaultQueryLanguages: ['sv', 'en'],
+    // Extra query language when the org name or a seed is written in this script
+    // (script names from language/languageDetector.js)
+    scriptLanguages: {
+      arabic: 'ar',
+      cyrillic: 'ru',
+      chinese: 'zh',
+    },
+    delayBetweenSearches: 3000, // ms between queries to online providers (be respectful)
+
+    // Full articles behind the search results (see scrapers/articleScraper.js)
+    articles: {
+      enabled: true,
+      maxArticles: 15,            // pages downloaded per assessment
+      minTextLength: 200,         // shorter pages are treated as "no article"
+      maxTextLength: 50000,       // characters kept per article
+      skipSourceTypes: ['social'], // login walls, little readable text
+    },
+  },
+
+  // --- News Feeds ---
+  // RSS/Atom feeds read into a local store and searched for the org name
+  // and seeds (see scrapers/newsScraper.js). sourceType is the evidence
+  // type for matches: "news" for outlets, "ngo" for NGO press releases.
+  news: {
+    enabled: true,
+    feeds: [
+      { id: 'svt', name: 'SVT Nyheter', url: 'https://www.svt.se/nyheter/rss.xml', sourceType: 'news', language: 'sv' },
+      { id: 'dn', name: 'Dagens Nyheter', url: 'https://www.dn.se/rss/', sourceType: 'news', language: 'sv' },
+      // Reuters has no public RSS feed any more — point this at a licensed
+      // feed or a self-hosted bridge (e.g. RSS-Bridge) to enable it
+      { id: 'reuters', name: 'Reuters', url: null, sourceType: 'news', language: 'en' },
+      { id: 'amnesty', name: 'Amnesty International', url: 'https://www.amnesty.org/en/feed/', sourceType: 'ngo', language: 'en' },
+      { id: 'hrw', name: 'Human Rights Watch', url: 'https://www.hrw.org/rss/news', sourceType: 'ngo', language: 'en' },
+      { id: 'crd', name: 'Civil Rights Defenders', url: 'https://crd.org/feed/', sourceType: 'ngo', language: 'en' },
     ],
-    delayBetweenSearches: 3000, // ms between DDG queries (be respectful)
+    store: {
+      dir: 'data/news',             // one JSON file of items per feed
+      refreshIntervalMinutes: 60,   // re-read a feed once its last check is older than this
+      retentionDays: 365,           // items older than this are dropped from the store
+    },
   },
 
   // --- Cross-Referencing Settings ---
@@ -112,4 +416,14 @@ module.exports = {
     minCoMentions: 2,                 // minimum co-mentions to create a relationship
     anomalyThresholdMultiplier: 3,    // flag if frequency is N times the average
   },
+
+  // --- Table Extraction ---
+  // Rows of board lists and funding tables in ingested documents become
+  // relationships directly (see entities/tableExtractor.js) — a row states
+  // the link, so it counts for more than a co-mention (0.3–0.8).
+  tableExtraction: {
+    confidence: 0.9,                  // confidence of a relationship read from a table row
+    minRows: 2,                       // data rows (below the header) a block of text lines needs to count as a table
+    columnTolerance: 2,               // characters a gap-aligned column may be off by and still line up
+  },
 };
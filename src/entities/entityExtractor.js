@@ -9,6 +9,9 @@
  *
  * After extraction, entities are deduplicated and scored for confidence.
  * The output feeds into the cross-referencer and network graph builder.
+ *
+ * Every entity keeps where it was mentioned (entity.mentions: source,
+ * sourceUrl, PDF page and the surrounding text), merged across all texts.
  */
 
 const nlp = require('compromise');
@@ -83,6 +86,7 @@ function resetCounter() {
  * @param {Object} context - Metadata about the text source
  * @param {string} context.source - Where the text came from (e.g., "OFAC SDN List")
  * @param {string} context.sourceUrl - URL of the source
+ * @param {number} context.page - PDF page the text is from (optional)
  * @param {string} context.language - Detected language of the text
  * @returns {Object} Extraction result with entities array
  */
@@ -170,9 +174,17 @@ function extractEntities(text, context = {}) {
   for (const entity of deduplicated) {
     entity.sourceText = context.source || 'unknown';
     entity.sourceUrl = context.sourceUrl || '';
+    entity.page = context.page ?? null;
     // Extract mention contexts (surrounding text for each occurrence)
     entity.mentionContexts = findMentionContexts(entity.name, text);
     entity.mentionCount = entity.mentionContexts.length || 1;
+    // Where each mention is, so it can be cited (file + page for PDFs)
+    entity.mentions = (entity.mentionContexts.length > 0 ? entity.mentionContexts : ['']).map((snippet) => ({
+      source: entity.sourceText,
+      sourceUrl: entity.sourceUrl,
+      page: entity.page,
+      context: snippet,
+    }));
   }
 
   // Filter by minimum confidence
@@ -360,7 +372,7 @@ function findMentionContexts(name, text) {
  * Extract entities from multiple text sources and merge results.
  * Used when we have text from several scrapers.
  *
- * @param {Array<{text: string, source: string, sourceUrl: string, language: string}>} textObjects
+ * @param {Array<{text: string, source: string, sourceUrl: string, page: number, language: string}>} textObjects
  * @param {string} targetOrgName - The organization being assessed
  * @returns {Object} Combined extraction result
  */
@@ -373,6 +385,7 @@ function extractFromMultipleTexts(textObjects, targetOrgName) {
     const result = extractEntities(item.text, {
       source: item.source,
       sourceUrl: item.sourceUrl,
+      page: item.page,
       language: item.language,
     });
 
@@ -390,8 +403,9 @@ function extractFromMultipleTexts(textObjects, targetOrgName) {
         normalizeName(entity.name) === normalizeName(existing.name) ||
         similarity(normalizeName(entity.name), normalizeName(existing.name)) >= threshold
       ) {
-        // Merge: combine sources, roles, aliases
+        // Merge: combine sources, mentions, roles, aliases
         existing.mentionCount = (existing.mentionCount || 1) + (entity.mentionCount || 1);
+        existing.mentions = [...(existing.mentions || []), ...(entity.mentions || [])];
         for (const role of entity.roles || []) {
           if (!existing.roles.includes(role)) existing.roles.push(role);
         }
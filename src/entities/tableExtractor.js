@@ -0,0 +1,393 @@
+/**
+ * Table Extractor
+ *
+ * Board composition, funding sources and donor lists in annual reports are
+ * usually tables. Flattened to text, "Johan Berg  Chairman  Acme Corp" is
+ * just three names near each other — the row is what says who holds which
+ * role where, and who paid how much to whom.
+ *
+ * This module reads the tables in ingested documents and turns their rows
+ * into structured records:
+ *
+ *   role     { name, role, organization }        (board lists, staff lists)
+ *   payment  { payer, payee, amount, currency }  (funding sources, donor lists)
+ *
+ * What a column holds is read from its header, in English or Swedish
+ * ("Namn", "Roll", "Bidragsgivare", "Belopp"...). An organization, payer or
+ * payee that a table leaves out is the organization being assessed: a
+ * "Donor | Amount" list in Acme's annual report lists donors to Acme.
+ *
+ * Tables come from:
+ *   - PDFs: ruled tables found by pdf-parse, plus tab/space-aligned columns
+ *   - DOCX, HTML and web pages read with --url: <table> elements
+ *   - CSV: the whole file
+ *   - text and e-mail: blocks of lines split by tabs, "|" or wide gaps
+ *
+ * The cross-referencer turns each record into an organizational or financial
+ * relationship directly, at config.tableExtraction.confidence.
+ */
+
+const cheerio = require('cheerio');
+const { normalizeName } = require('../scrapers/baseScraper');
+const config = require('../config');
+
+// Header words → what the column holds, checked in this order
+// (so "Donor name" is a payer column, not a name column)
+const COLUMN_KEYWORDS = {
+  amount: ['amount', 'belopp', 'sum', 'summa', 'total', 'value', 'värde', 'grant', 'bidrag', 'sek', 'eur', 'usd', 'kr', 'tkr', 'ksek', 'msek'],
+  currency: ['currency', 'valuta'],
+  payer: ['payer', 'donor', 'donors', 'funder', 'funders', 'financier', 'finansiär', 'givare', 'bidragsgivare', 'sponsor', 'contributor', 'from', 'från'],
+  payee: ['payee', 'recipient', 'recipients', 'beneficiary', 'grantee', 'mottagare', 'bidragsmottagare', 'to', 'till'],
+  role: ['role', 'roll', 'position', 'title', 'titel', 'befattning', 'uppdrag', 'function', 'funktion'],
+  organization: ['organization', 'organisation', 'company', 'företag', 'bolag', 'employer', 'arbetsgivare', 'affiliation', 'förening'],
+  name: ['name', 'namn', 'person', 'member', 'members', 'ledamot', 'ledamöter', 'director', 'directors', 'officer'],
+};
+
+// Rows that sum up a table rather than name anyone
+const SUMMARY_ROW_PATTERN = /^(total|totalt|summa|sum|subtotal|delsumma)\b/i;
+
+// Names that are organizations rather than people
+const ORG_NAME_PATTERN = /\b(Inc|Ltd|LLC|AB|Corp|GmbH|AG|SA|PLC|Co|Group|Holdings?|Foundation|Fund|Trust|Bank|Institute|Association|Council|Ministry|Agency|Church|Union|Stiftelse|Stiftelsen|Förening|Föreningen|Förbund|Förbundet|Kommun|Region|Fonden?)\b/;
+
+// Currency words and signs → ISO code, and the multiplier some imply
+const CURRENCIES = {
+  sek: 'SEK', kr: 'SEK', kronor: 'SEK', tkr: 'SEK', ksek: 'SEK', msek: 'SEK', mkr: 'SEK',
+  eur: 'EUR', '€': 'EUR', usd: 'USD', '$': 'USD', gbp: 'GBP', '£': 'GBP',
+  nok: 'NOK', dkk: 'DKK', chf: 'CHF',
+};
+const MULTIPLIERS = { tkr: 1000, ksek: 1000, msek: 1000000, mkr: 1000000 };
+
+// === Reading tables ===
+
+/**
+ * Read the <table> elements of an HTML page (or a DOCX converted to HTML).
+ *
+ * @param {string} html - Raw HTML
+ * @param {number|null} page - Page the tables are on (null: not paginated)
+ * @returns {Array<{page, rows: string[][]}>}
+ */
+function readHtmlTables(html, page = null) {
+  const $ = cheerio.load(html);
+  const tables = [];
+
+  // Innermost tables only — layout tables wrapping data tables are skipped
+  $('table').filter((i, el) => $(el).find('table').length === 0).each((i, table) => {
+    const rows = $(table).find('tr').toArray()
+      .map((tr) => $(tr).children('th, td').toArray().map((cell) => $(cell).text().replace(/\s+/g, ' ').trim()))
+      .filter((cells) => cells.some(Boolean));
+    if (rows.length >= 2 && rows[0].length >= 2) {
+      tables.push({ page, rows });
+    }
+  });
+
+  return tables;
+}
+
+/**
+ * Find tables in plain text: runs of lines split into columns by tabs, "|"
+ * or wide gaps (two or more spaces). The first line of a run sets the columns;
+ * shorter lines are rows with empty cells.
+ *
+ * Gaps alone don't make a table — justified prose is full of them. Lines
+ * split by gaps only count as rows when their cells line up with the first
+ * line's columns (same start, or same end for right-aligned numbers, within
+ * config.tableExtraction.columnTolerance characters); a cell that's missing
+ * leaves its column empty.
+ *
+ * @param {string} text - Plain text (a PDF page, a .txt file, an e-mail body)
+ * @param {number|null} page - Page the text is from (null: not paginated)
+ * @returns {Array<{page, rows: string[][]}>}
+ */
+function findTextTables(text, page = null) {
+  const minRows = config.tableExtraction.minRows;
+  const tables = [];
+  let run = [];
+  let runSplit = null; // { kind, spans } of the run's first line
+
+  const endRun = () => {
+    if (run.length > minRows) tables.push({ page, rows: run });
+    run = [];
+    runSplit = null;
+  };
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    // Markdown separator lines ("|---|---|") belong to the table but hold no cells
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)+\|?\s*$/.test(line)) continue;
+
+    const split = splitTextRow(line);
+    const row = runSplit ? fitToColumns(split, runSplit) : null;
+    if (row) {
+      run.push(row);
+    } else {
+      endRun();
+      if (split.cells.length >= 2) {
+        run.push(split.cells);
+        runSplit = split;
+      }
+    }
+  }
+  endRun();
+
+  return tables;
+}
+
+/**
+ * Split a line into cells. Lines split by gaps also get each cell's
+ * { text, start, end } position, to check that columns line up.
+ *
+ * @returns {Object} { kind: "tab"|"pipe"|"gap"|null, cells, spans }
+ */
+function splitTextRow(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return { kind: null, cells: [], spans: null };
+
+  if (trimmed.includes('\t') || trimmed.includes('|')) {
+    const kind = trimmed.includes('\t') ? 'tab' : 'pipe';
+    const cells = trimmed.replace(/^\||\|$/g, '').split(kind === 'tab' ? /\t+/ : /\s*\|\s*/).map((cell) => cell.trim());
+    return { kind, cells, spans: null };
+  }
+
+  // Cells are runs of words with single spaces between them
+  const spans = [...line.matchAll(/\S+(?: \S+)*/g)]
+    .map((m) => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+  return { kind: 'gap', cells: spans.map((span) => span.text), spans };
+}
+
+/**
+ * Place a line's cells in the columns of a run's first line, or null when
+ * the line doesn't belong to that table.
+ */
+function fitToColumns(split, first) {
+  if (split.kind !== first.kind || split.cells.length < 2 || split.cells.length > first.cells.length) return null;
+  if (split.kind !== 'gap') {
+    return [...split.cells, ...Array(first.cells.length - split.cells.length).fill('')];
+  }
+
+  // Each cell goes in the next column it lines up with
+  const tolerance = config.tableExtraction.columnTolerance;
+  const row = Array(first.spans.length).fill('');
+  let next = 0;
+  for (const span of split.spans) {
+    const column = first.spans.findIndex((col, i) => i >= next
+      && (Math.abs(span.start - col.start) <= tolerance
+        || (/\d/.test(span.text) && Math.abs(span.end - col.end) <= tolerance)));
+    if (column === -1) return null;
+    row[column] = span.text;
+    next = column + 1;
+  }
+  return row;
+}
+
+// === Interpreting tables ===
+
+/**
+ * What each column of a header row holds.
+ *
+ * @param {string[]} header - Header cells
+ * @returns {Object} kind → column index, e.g. { name: 0, role: 1 }
+ */
+function classifyColumns(header) {
+  const columns = {};
+  header.forEach((cell, index) => {
+    const words = cell.toLowerCase().split(/[^a-zåäöéü€$£]+/).filter(Boolean);
+    const kind = Object.keys(COLUMN_KEYWORDS)
+      .find((k) => !(k in columns) && words.some((word) => COLUMN_KEYWORDS[k].includes(word)));
+    if (kind) columns[kind] = index;
+  });
+  return columns;
+}
+
+/**
+ * Read an amount like "SEK 1 200 000", "250,000 EUR" or "1,5 MSEK".
+ *
+ * @param {string} text - Amount cell
+ * @param {string} currencyText - Currency cell or amount header, if there is one
+ * @returns {Object|null} { amount, currency } (currency null when not given)
+ */
+function parseAmount(text, currencyText = '') {
+  const number = String(text || '').match(/\d[\d\s.,' ]*/);
+  if (!number) return null;
+
+  // The last separator is the decimal point when 1–2 digits follow it
+  const digits = number[0].replace(/[\s' ]/g, '').replace(/[.,]$/, '');
+  const decimal = digits.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? digits.slice(0, -decimal[0].length) : digits).replace(/[.,]/g, '');
+  let amount = Number(`${whole}${decimal ? `.${decimal[1]}` : ''}`);
+  if (!Number.isFinite(amount)) return null;
+
+  const unit = `${text} ${currencyText}`.toLowerCase().match(/[€$£]|\b(sek|kr|kronor|tkr|ksek|msek|mkr|eur|usd|gbp|nok|dkk|chf)\b/);
+  if (unit && MULTIPLIERS[unit[0]]) amount *= MULTIPLIERS[unit[0]];
+
+  return { amount, currency: unit ? CURRENCIES[unit[0]] : null };
+}
+
+/**
+ * Member lists often put the family name first: "Berg, Johan" → "Johan Berg".
+ */
+function flipListedName(name) {
+  const parts = name.match(/^([^,]+),\s*([^,]+)$/);
+  return parts && !ORG_NAME_PATTERN.test(name) ? `${parts[2]} ${parts[1]}` : name;
+}
+
+/**
+ * Turn one table into structured records.
+ *
+ * @param {string[][]} rows - Table rows (header first, somewhere in the first 3 rows)
+ * @returns {Array<Object>} role / payment records (without source details)
+ */
+function interpretTable(rows) {
+  // The header is the first row that names at least two kinds of column
+  const headerIndex = rows.slice(0, 3).findIndex((row) => Object.keys(classifyColumns(row)).length >= 2);
+  if (headerIndex === -1) return [];
+
+  const header = rows[headerIndex];
+  const columns = classifyColumns(header);
+  const cell = (row, kind) => (kind in columns ? (row[columns[kind]] || '').trim() : '');
+  const isPaymentTable = 'amount' in columns && ('payer' in columns || 'payee' in columns);
+  const isRoleTable = 'name' in columns && ('role' in columns || 'organization' in columns);
+  const records = [];
+
+  for (const row of rows.slice(headerIndex + 1)) {
+    if (SUMMARY_ROW_PATTERN.test(row[0] || '')) continue;
+
+    if (isPaymentTable) {
+      // The currency can be in its own column or in the header: "Belopp (tkr)"
+      const amount = parseAmount(cell(row, 'amount'), cell(row, 'currency') || header[columns.amount]);
+      const payer = cell(row, 'payer') || null;
+      const payee = cell(row, 'payee') || null;
+      if (!amount || (!payer && !payee)) continue;
+      records.push({ kind: 'payment', payer, payee, amount: amount.amount, currency: amount.currency, cells: row });
+    } else if (isRoleTable) {
+      const name = flipListedName(cell(row, 'name'));
+      if (!name) continue;
+      records.push({
+        kind: 'role',
+        name,
+        role: cell(row, 'role') || null,
+        organization: cell(row, 'organization') || null,
+        cells: row,
+      });
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Structured records from every table in the ingested documents and pages.
+ *
+ * payer, payee and organization are null where the table leaves them out —
+ * that's the organization being assessed.
+ *
+ * @param {Array<Object>} documents - documentScraper and extractFromUrls results (with tables)
+ * @returns {Array<Object>} [{ kind, name, role, organization, payer, payee, amount, currency,
+ *          source, sourceUrl, page, context }]
+ */
+function extractTableRows(documents) {
+  const records = [];
+
+  for (const doc of documents) {
+    if (!doc.success) continue;
+    for (const table of doc.tables || []) {
+      for (const record of interpretTable(table.rows)) {
+        const { cells, ...fields } = record;
+        records.push({
+          ...fields,
+          source: doc.source,
+          sourceUrl: table.page ? `${doc.sourceUrl}#page=${table.page}` : doc.sourceUrl,
+          page: table.page ?? null,
+          context: cells.filter(Boolean).join(' | '),
+        });
+      }
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Make sure every name in the table records is an entity, so relationships
+ * can be drawn to it. Names already extracted from the text get the table
+ * row as another mention; new ones are added.
+ *
+ * @param {Array<Object>} entities - Extracted entities (changed in place)
+ * @param {Array<Object>} tableRows - From extractTableRows()
+ * @param {string} targetOrgName - The organization being assessed (never added)
+ * @returns {number} Number of entities added
+ */
+function addTableEntities(entities, tableRows, targetOrgName) {
+  const target = normalizeName(targetOrgName);
+  let added = 0;
+
+  const addMention = (name, fallbackType, row, role = null) => {
+    const normalized = normalizeName(name || '');
+    if (!normalized || normalized === target) return;
+
+    let entity = entities.find((e) => normalizeName(e.name) === normalized);
+    if (!entity) {
+      added++;
+      entity = {
+        id: `table-${added}-${name.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 6)}`,
+        name,
+        normalizedName: normalized,
+        type: ORG_NAME_PATTERN.test(name) ? 'organization' : fallbackType,
+        extractedBy: 'table',
+        extractionMethods: ['table'],
+        roles: [],
+        aliases: [],
+        confidence: config.tableExtraction.confidence,
+        sourceText: row.source,
+        sourceUrl: row.sourceUrl,
+        page: row.page,
+        mentionContexts: [],
+        mentions: [],
+        mentionCount: 0,
+      };
+      entities.push(entity);
+    } else if (!(entity.extractionMethods || []).includes('table')) {
+      entity.extractionMethods = [...(entity.extractionMethods || [entity.extractedBy]), 'table'];
+      entity.confidence = Math.max(entity.confidence, config.tableExtraction.confidence);
+    }
+
+    if (role && !entity.roles.includes(role)) entity.roles.push(role);
+    entity.mentionContexts.push(row.context);
+    entity.mentions.push({ source: row.source, sourceUrl: row.sourceUrl, page: row.page, context: row.context });
+    entity.mentionCount = (entity.mentionCount || 0) + 1;
+  };
+
+  for (const row of tableRows) {
+    if (row.kind === 'role') {
+      // A role at the target organization is one of its roles (like a seed's);
+      // a role elsewhere only shows in the relationship to that organization
+      const atTarget = !row.organization || normalizeName(row.organization) === target;
+      addMention(row.name, 'person', row, atTarget ? row.role : null);
+      addMention(row.organization, 'organization', row);
+    } else if (row.kind === 'payment') {
+      // Donors and recipients are mostly organizations; "Karl Svensson" is not
+      const looksLikePerson = (name) => /^[A-ZÅÄÖ][\p{L}'-]+(\s[A-ZÅÄÖ][\p{L}'-]+){1,2}$/u.test(name || '');
+      addMention(row.payer, looksLikePerson(row.payer) ? 'person' : 'organization', row);
+      addMention(row.payee, looksLikePerson(row.payee) ? 'person' : 'organization', row);
+    }
+  }
+
+  return added;
+}
+
+/**
+ * "SEK 1,200,000" — an amount for labels and descriptions.
+ */
+function formatAmount(amount, currency) {
+  const number = amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  return currency ? `${currency} ${number}` : number;
+}
+
+module.exports = {
+  readHtmlTables,
+  findTextTables,
+  classifyColumns,
+  parseAmount,
+  interpretTable,
+  extractTableRows,
+  addTableEntities,
+  formatAmount,
+};
@@ -4,28 +4,40 @@
  * Usage:
  *   node src/index.js "Organization Name"
  *   node src/index.js "Org Name" --seed "Ahmed Al-Rashid, CEO"
+ *   node src/index.js "Org Name" --seed "Ahmed Al-Rashid, CEO, dob=1975-03-14, nationality=IQ"
  *   node src/index.js "Org Name" --seed-org "Shell Company Ltd"
- *   node src/index.js "Org Name" --pdf "/path/to/report.pdf"
+ *   node src/index.js "Org Name" --doc "/path/to/report.pdf" --doc "/path/to/minutes.docx"
+ *   node src/index.js "Org Name" --url "https://example.org/annual-report"
+ *   node src/index.js "Org Name" --record audit-2026-10   (save every response)
+ *   node src/index.js "Org Name" --replay audit-2026-10   (re-run offline from the recording)
  *   node src/index.js --list
+ *   node src/index.js --refresh-sanctions
+ *   node src/index.js --refresh-news
  *
- * Pipeline (10 steps):
+ * Pipeline (11 steps):
  * 1. Check sanctions (org + seed names)
- * 2. Web search for public information (DuckDuckGo)
+ * 2. Web search for public information (configured search providers)
+ *    + fetch the full articles behind the results
+ *    + search the stored RSS/Atom news feed items
  * 3. Build evidence list
- * 4. Extract text from PDFs (if provided)
+ * 4. Extract text from documents (PDF, DOCX, HTML, text, e-mail, CSV) and web pages (if provided)
+ *    + read board lists and funding tables row by row
  * 5. Detect languages & translate
- * 6. Extract entities (seeds injected)
- * 7. Cross-reference & build network graph
+ * 6. Extract entities (seeds and table names injected)
+ * 7. Cross-reference (table rows, co-mentions) & build network graph
  *    7.5. Calculate hop distances & apply decay
- * 8. Score evidence & generate hypotheses
- * 9. Assign flag (with threshold info)
- * 10. Generate investigation suggestions
+ * 8. Screen seeds & hop-1 people against the PEP dataset
+ * 9. Score evidence & generate hypotheses
+ * 10. Assign flag (with threshold info)
+ * 11. Generate investigation suggestions
  * Save + print
  */
 
-const { checkAllSanctions } = require('./scrapers/sanctionsScraper');
-const { searchForOrganization, buildEvidenceFromSearchResults } = require('./scrapers/webSearchScraper');
-const { extractFromMultiplePDFs } = require('./scrapers/pdfScraper');
+const { checkAllSanctions, refreshSanctionsLists, getProviders } = require('./scrapers/sanctionsScraper');
+const { searchForOrganization, fetchArticleBodies, buildEvidenceFromSearchResults, SEARCH_CATEGORIES } = require('./scrapers/webSearchScraper');
+const { searchNews, refreshNewsFeeds, buildEvidenceFromNews } = require('./scrapers/newsScraper');
+const { extractFromDocuments } = require('./scrapers/documentScraper');
+const { extractFromUrls, isWebUrl } = require('./scrapers/articleScraper');
 const { scoreAllEvidence } = require('./scoring/credibility');
 const { assignFlag } = require('./scoring/flagAssignment');
 const { saveAssessment, listAssessments } = require('./storage/storage');
@@ -33,11 +45,24 @@ const { CATEGORIES } = require('./keywords/keywords');
 const { detectLanguage } = require('./language/languageDetector');
 const { translateIfNeeded, clearCache: clearTranslationCache } = require('./language/translator');
 const { extractFromMultipleTexts } = require('./entities/entityExtractor');
+const { extractTableRows, addTableEntities } = require('./entities/tableExtractor');
 const { crossReference } = require('./network/crossReferencer');
 const { buildNetworkGraph, calculateCentrality, exportForVisJs } = require('./network/networkGraph');
 const { calculateHopDistances, applyDistanceDecay } = require('./analysis/hopDistance');
 const { generateHypotheses } = require('./analysis/hypothesisGenerator');
+const { screenPEPs, buildEvidenceFromPEPHits } = require('./analysis/pepScreening');
+const { normalizeIdentifiers } = require('./analysis/identityCheck');
 const { generateSuggestions } = require('./analysis/investigationSuggestions');
+const { setRecordingMode, getRecordingState, beginAssessment } = require('./storage/recordingStore');
+const { resetCacheLog, getCacheLog } = require('./storage/httpCache');
+
+// Seed identifier keys accepted on the command line → seed.identifiers fields
+const SEED_IDENTIFIER_KEYS = {
+  dob: 'dateOfBirth',
+  nationality: 'nationality',
+  passport: 'passportNumber',
+  reg: 'registrationNumber',
+};
 
 // ===================================================================
 // CLI ARGUMENT PARSING (only runs when executed directly from command line)
@@ -71,61 +96,128 @@ if (require.main === module) {
     process.exit(0);
   }
 
-  // Parse structured args: org name, --seed, --seed-org, --pdf
-  const { orgName, seeds, pdfPaths } = parseArgs(rawArgs);
+  if (rawArgs[0] === '--refresh-sanctions') {
+    refreshSanctions()
+      .then(() => process.exit(0))
+      .catch((err) => {
+        console.error(`Sanctions refresh failed: ${err.message}`);
+        process.exit(1);
+      });
+  } else if (rawArgs[0] === '--refresh-news') {
+    refreshNews()
+      .then(() => process.exit(0))
+      .catch((err) => {
+        console.error(`News refresh failed: ${err.message}`);
+        process.exit(1);
+      });
+  } else {
+    // Parse structured args: org name, --seed, --seed-org, --doc, --url, --category
+    const { orgName, seeds, docPaths, urls, categories, recording } = parseArgs(rawArgs);
 
-  if (!orgName) {
-    console.log('Error: Organization name is required.');
-    console.log('Usage: node src/index.js "Organization Name" [--seed "Name, Role"] [--pdf file.pdf]');
-    process.exit(1);
-  }
+    if (!orgName) {
+      console.log('Error: Organization name is required.');
+      console.log('Usage: node src/index.js "Organization Name" [--seed "Name, Role"] [--doc file.pdf] [--url https://...] [--category lgbtq]');
+      process.exit(1);
+    }
+
+    const unknownCategories = categories.filter((c) => !SEARCH_CATEGORIES.includes(c));
+    if (unknownCategories.length > 0) {
+      console.log(`Error: Unknown category: ${unknownCategories.join(', ')}`);
+      console.log(`Categories: ${SEARCH_CATEGORIES.join(', ')}`);
+      process.exit(1);
+    }
+
+    const invalidUrls = urls.filter((url) => !isWebUrl(url));
+    if (invalidUrls.length > 0) {
+      console.log(`Error: Not an http(s) URL: ${invalidUrls.join(', ')}`);
+      process.exit(1);
+    }
 
-  // Run the assessment
-  runAssessment(orgName, seeds, pdfPaths);
+    if (recording) {
+      try {
+        setRecordingMode(recording);
+      } catch (err) {
+        console.log(`Error: ${err.message}`);
+        process.exit(1);
+      }
+    }
+
+    // Run the assessment
+    runAssessment(orgName, seeds, docPaths, { categories: categories.length > 0 ? categories : null, urls })
+      .catch((err) => {
+        console.error(`Assessment failed: ${err.message}`);
+        process.exit(1);
+      });
+  }
 }
 
 /**
  * Parse CLI arguments into structured data.
  *
  * Supports:
- *   node src/index.js "Org Name" --seed "Person, Role" --seed "Person2" --seed-org "Org" --pdf file.pdf
+ *   node src/index.js "Org Name" --seed "Person, Role" --seed "Person2" --seed-org "Org" --doc file.pdf
  *
  * Everything before the first -- flag is the org name.
  * --seed "Name, Role" → adds a person seed (role is optional after comma)
  * --seed-org "Name" → adds an organization seed
- * --pdf "path" → adds a PDF file path
+ * Seeds can end with identifiers as "key=value" parts, used to tell a
+ * sanctions hit from a namesake: dob, nationality, passport, reg
+ *   e.g. --seed "Ahmed Al-Rashid, CEO, dob=1975-03-14, passport=A1234567"
+ *        --seed-org "Shell Company Ltd, reg=556677-8899"
+ * --doc "path" → adds a document (PDF, DOCX, HTML, .txt, .eml, CSV);
+ *   --pdf is the older name and still works
+ * --url "https://..." → adds a web page to read like a document
+ * --category "lgbtq" → only run that category's web searches (repeatable,
+ *   or comma-separated: --category lgbtq,gender)
+ * --record "session" → save every HTTP response and translation under that name
+ * --replay "session" → serve them from the recording instead of the network
  */
 function parseArgs(args) {
   const seeds = [];
-  const pdfPaths = [];
+  const docPaths = [];
+  const urls = [];
+  const categories = [];
   const orgParts = [];
+  let recording = null;
   let i = 0;
 
   while (i < args.length) {
     if (args[i] === '--seed' && i + 1 < args.length) {
       i++;
-      const seedInput = args[i];
-      // Parse "Name, Role" or just "Name"
-      const parts = seedInput.split(',').map((s) => s.trim());
+      // Parse "Name, Role" or just "Name", plus any trailing identifiers
+      const { parts, identifiers } = splitSeedIdentifiers(args[i]);
       seeds.push({
         name: parts[0],
         type: 'person',
         role: parts[1] || null,
+        identifiers,
         providedBy: 'user',
         confidence: 1.0,
       });
     } else if (args[i] === '--seed-org' && i + 1 < args.length) {
       i++;
+      // Org names can contain commas ("Acme, Inc."), so only the identifiers are split off
+      const { parts, identifiers } = splitSeedIdentifiers(args[i]);
       seeds.push({
-        name: args[i],
+        name: parts.join(', '),
         type: 'organization',
         role: null,
+        identifiers,
         providedBy: 'user',
         confidence: 1.0,
       });
-    } else if (args[i] === '--pdf' && i + 1 < args.length) {
+    } else if ((args[i] === '--doc' || args[i] === '--pdf') && i + 1 < args.length) {
+      i++;
+      docPaths.push(args[i]);
+    } else if (args[i] === '--url' && i + 1 < args.length) {
+      i++;
+      urls.push(args[i].trim());
+    } else if ((args[i] === '--record' || args[i] === '--replay') && i + 1 < args.length) {
+      recording = { mode: args[i].slice(2), session: args[i + 1] };
+      i++;
+    } else if (args[i] === '--category' && i + 1 < args.length) {
       i++;
-      pdfPaths.push(args[i]);
+      categories.push(...args[i].split(',').map((c) => c.trim().toLowerCase()).filter(Boolean));
     } else if (!args[i].startsWith('--')) {
       orgParts.push(args[i]);
     }
@@ -135,10 +227,34 @@ function parseArgs(args) {
   return {
     orgName: orgParts.join(' '),
     seeds,
-    pdfPaths,
+    docPaths,
+    urls,
+    categories,
+    recording,
   };
 }
 
+/**
+ * Split the "key=value" identifier parts off a --seed / --seed-org value.
+ *
+ * @param {string} seedInput - e.g. "Ahmed Al-Rashid, CEO, dob=1975-03-14"
+ * @returns {Object} { parts: remaining comma-separated parts, identifiers }
+ */
+function splitSeedIdentifiers(seedInput) {
+  const parts = [];
+  const raw = {};
+  for (const part of seedInput.split(',').map((s) => s.trim())) {
+    const [key, ...value] = part.split('=');
+    const field = SEED_IDENTIFIER_KEYS[key.trim().toLowerCase()];
+    if (field && value.length > 0) {
+      raw[field] = value.join('=');
+    } else {
+      parts.push(part);
+    }
+  }
+  return { parts, identifiers: normalizeIdentifiers(raw) };
+}
+
 // ===================================================================
 // MAIN PIPELINE
 // ===================================================================
@@ -146,8 +262,13 @@ function parseArgs(args) {
 /**
  * Main assessment function.
  * Orchestrates the full 9-step pipeline.
+ *
+ * options.categories limits the web searches to those categories
+ * (see SEARCH_CATEGORIES); by default every category is searched.
+ * docPaths are documents to read (see scrapers/documentScraper.js);
+ * options.urls are web pages to read as sources, like the documents.
  */
-async function runAssessment(orgName, seeds = [], pdfPaths = []) {
+async function runAssessment(orgName, seeds = [], docPaths = [], options = {}) {
   console.log(`
 ╔══════════════════════════════════════════════════╗
 ║       Koppla — Values Assessment Tool v3.0       ║
@@ -155,57 +276,100 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
 `);
   console.log(`Assessing: "${orgName}"`);
   if (seeds.length > 0) {
-    console.log(`Seeds: ${seeds.map((s) => `${s.name}${s.role ? ` (${s.role})` : ''} [${s.type}]`).join(', ')}`);
+    console.log(`Seeds: ${seeds.map((s) => `${s.name}${s.role ? ` (${s.role})` : ''} [${s.type}]${s.identifiers ? ' +identifiers' : ''}`).join(', ')}`);
   }
-  if (pdfPaths.length > 0) {
-    console.log(`PDFs: ${pdfPaths.length} file(s)`);
+  if (docPaths.length > 0) {
+    console.log(`Documents: ${docPaths.length} file(s)`);
+  }
+  const urls = options.urls || [];
+  if (urls.length > 0) {
+    console.log(`Web pages: ${urls.length}`);
+  }
+  if (options.categories) {
+    console.log(`Search categories: ${options.categories.join(', ')}`);
+  }
+  const recording = getRecordingState();
+  if (recording.mode !== 'live') {
+    console.log(`Recording: ${recording.mode} "${recording.session}"${recording.mode === 'replay' ? ` (recorded ${recording.recordedAt})` : ''}`);
   }
   console.log('─'.repeat(50));
 
+  // Recording: note what was asked and the local files used;
+  // replaying: serve this assessment's recording, stop if the files changed
+  beginAssessment({ orgName, seeds, urls, categories: options.categories || null });
+
   clearTranslationCache();
+  resetCacheLog();
 
-  // === [1/10] Check sanctions (org name + seed names) ===
-  console.log('\n[1/10] Checking sanctions lists...');
-  const sanctionsResult = await checkAllSanctions(orgName);
+  // === [1/11] Check sanctions (org name + seed names) ===
+  console.log('\n[1/11] Checking sanctions lists...');
+  const sanctionsResult = await checkAllSanctions(orgName, { type: 'organization' });
 
   // Also check seed person/org names against sanctions
+  // (person seeds are screened against the individual records, and any
+  // identifiers the user gave are compared with each hit)
   const seedSanctionsResults = [];
   for (const seed of seeds) {
-    console.log(`  Also checking seed: "${seed.name}"...`);
-    const seedResult = await checkAllSanctions(seed.name);
+    console.log(`  Also checking seed: "${seed.name}" [${seed.type}]...`);
+    const seedResult = await checkAllSanctions(seed.name, { type: seed.type, identifiers: seed.identifiers });
     seedSanctionsResults.push({ seed, result: seedResult });
   }
 
-  // === [2/10] Web search for public information ===
-  console.log('\n[2/10] Searching web for public information...');
-  const webSearchResult = await searchForOrganization(orgName);
-  console.log(`  Performed ${webSearchResult.searchesPerformed} searches`);
+  // === [2/11] Web search for public information ===
+  console.log('\n[2/11] Searching web for public information...');
+  const webSearchResult = await searchForOrganization(orgName, seeds, { categories: options.categories });
+  console.log(`  Performed ${webSearchResult.searchesPerformed} searches (${webSearchResult.languages.join(', ')}; ${webSearchResult.categories.join(', ')})`);
   console.log(`  Found ${webSearchResult.totalResults} unique results`);
+  if (webSearchResult.providersUsed.length > 0) {
+    console.log(`  Search provider(s): ${webSearchResult.providersUsed.join(', ')}`);
+  }
   if (webSearchResult.errors.length > 0) {
     console.log(`  Search errors: ${webSearchResult.errors.length}`);
   }
 
+  console.log('  Fetching full articles...');
+  const articleStats = await fetchArticleBodies(webSearchResult.allResults, orgName);
+  console.log(`  Articles: ${articleStats.fetched} of ${articleStats.attempted} fetched, ${articleStats.relevant} about the organization`);
+  // Full text of relevant articles goes on to entity extraction and cross-referencing
+  const articles = webSearchResult.allResults.filter((r) => r.article?.relevant);
+
   const webEvidence = buildEvidenceFromSearchResults(webSearchResult.allResults, orgName);
   console.log(`  Generated ${webEvidence.length} evidence item(s) from web search`);
 
-  // === [3/10] Build evidence list ===
-  console.log('\n[3/10] Building evidence list...');
+  // News feeds: stored RSS/Atom items from outlets and NGOs
+  const newsResult = await searchNews(orgName, seeds);
+  const newsEvidence = buildEvidenceFromNews(newsResult, new Set(webEvidence.map((e) => e.sourceUrl)));
+  console.log(`  Generated ${newsEvidence.length} evidence item(s) from news feeds`);
+
+  // === [3/11] Build evidence list ===
+  console.log('\n[3/11] Building evidence list...');
   const evidence = buildEvidenceFromSanctions(sanctionsResult);
 
   // Add evidence from seed sanctions checks
   for (const { seed, result } of seedSanctionsResults) {
-    if (result.sanctioned) {
+    if (result.totalMatches > 0) {
       for (const r of result.results) {
         for (const match of r.matches || []) {
           evidence.push({
-            sourceType: 'government',
-            category: 'human-rights',
-            severity: 'high',
-            description: `Seed "${seed.name}" found on ${r.source}: "${match.name}"`,
+            sourceType: r.sourceType || 'government',
+            category: match.category || 'unmapped',
+            severity: match.severity || 'high',
+            description: `Seed "${seed.name}" found on ${r.source}: "${match.name}"${describeMatchDetails(match)}`,
             source: r.source,
             sourceUrl: r.sourceUrl,
             matchedName: match.name,
-            status: 'confirmed',
+            matchedAlias: getMatchedAlias(match),
+            matchScore: match.matchScore ?? null,
+            matchStrength: match.matchStrength || null,
+            matchExplanation: match.matchExplanation || null,
+            program: match.program || null,
+            legalReference: match.legalReference || null,
+            topics: match.topics || null,
+            newlyListed: Boolean(match.newlyListed),
+            listedSince: match.listedSince || null,
+            identityCheck: match.identityCheck || null,
+            // A hit whose identifiers contradict the seed is probably a namesake
+            status: match.identityCheck?.status === 'contradicted' ? 'unverified' : 'confirmed',
             linkedToSeed: seed.name,
           });
         }
@@ -213,41 +377,65 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
     }
   }
 
-  // Add evidence from web search
-  evidence.push(...webEvidence);
+  // Add evidence from web search and news feeds
+  evidence.push(...webEvidence, ...newsEvidence);
 
   console.log(`  Found ${evidence.length} piece(s) of evidence`);
 
-  // === [4/10] Extract text from PDFs ===
-  let pdfResults = { results: [], totalPages: 0, successCount: 0, errorCount: 0 };
-  if (pdfPaths.length > 0) {
-    console.log(`\n[4/10] Extracting text from ${pdfPaths.length} PDF(s)...`);
-    pdfResults = await extractFromMultiplePDFs(pdfPaths);
-    console.log(`  Extracted from ${pdfResults.successCount} PDF(s), ${pdfResults.totalPages} pages total`);
-    if (pdfResults.errorCount > 0) {
-      console.log(`  ${pdfResults.errorCount} PDF(s) failed`);
-    }
+  // === [4/11] Extract text from documents and web pages ===
+  let docResults = { results: [], totalPages: 0, successCount: 0, errorCount: 0 };
+  let pageResults = { results: [], successCount: 0, errorCount: 0 };
+  if (docPaths.length > 0 || urls.length > 0) {
+    console.log(`\n[4/11] Extracting text from ${docPaths.length} document(s) and ${urls.length} web page(s)...`);
   } else {
-    console.log('\n[4/10] No PDFs provided — skipping');
+    console.log('\n[4/11] No documents or web pages provided — skipping');
+  }
+  if (docPaths.length > 0) {
+    docResults = await extractFromDocuments(docPaths);
+    console.log(`  Extracted from ${docResults.successCount} document(s), ${docResults.totalPages} PDF pages total`);
+    if (docResults.errorCount > 0) {
+      console.log(`  ${docResults.errorCount} document(s) failed`);
+    }
+  }
+  if (urls.length > 0) {
+    pageResults = await extractFromUrls(urls);
+    console.log(`  Extracted from ${pageResults.successCount} web page(s)`);
+    if (pageResults.errorCount > 0) {
+      console.log(`  ${pageResults.errorCount} web page(s) failed`);
+    }
+  }
+
+  // Board lists and funding tables in the documents and pages, row by row
+  const tableSources = [...docResults.results, ...pageResults.results];
+  const tableRows = extractTableRows(tableSources);
+  if (tableRows.length > 0) {
+    const tableCount = tableSources.reduce((sum, r) => sum + (r.tables || []).length, 0);
+    console.log(`  Tables: ${tableCount}, with ${tableRows.filter((r) => r.kind === 'role').length} role row(s) and ${tableRows.filter((r) => r.kind === 'payment').length} payment row(s)`);
   }
 
-  // === [5/10] Language detection & translation ===
-  console.log('\n[5/10] Processing languages...');
-  const processedTexts = await processLanguages(evidence, sanctionsResult, seeds, pdfResults);
+  // === [5/11] Language detection & translation ===
+  console.log('\n[5/11] Processing languages...');
+  const processedTexts = await processLanguages(evidence, sanctionsResult, seeds, docResults, articles, pageResults);
   const languagesDetected = [...new Set(processedTexts.map((t) => t.language))];
-  const translationsPerformed = processedTexts.filter(
-    (t) => t.translationSource !== 'not-needed' && t.translationSource !== 'none'
-  ).length;
+  const translated = processedTexts.filter(
+    (t) => t.translationSource.provider !== 'not-needed' && t.translationSource.provider !== 'none'
+  );
+  const translationsPerformed = translated.length;
+  const translationProviders = summarizeTranslationProviders(translated);
   console.log(`  Texts processed: ${processedTexts.length}`);
   console.log(`  Languages: ${languagesDetected.join(', ') || 'none'}`);
   console.log(`  Translations: ${translationsPerformed}`);
+  for (const p of translationProviders) {
+    console.log(`    ${p.name || p.provider}${p.model ? ` (${p.model})` : ''}: ${p.translations}${p.failed ? `, ${p.failed} failed` : ''}`);
+  }
 
-  // === [6/10] Entity extraction (seeds injected) ===
-  console.log('\n[6/10] Extracting entities...');
+  // === [6/11] Entity extraction (seeds injected) ===
+  console.log('\n[6/11] Extracting entities...');
   const textObjects = processedTexts.map((pt) => ({
     text: pt.translatedText || pt.originalText,
     source: pt.source,
     sourceUrl: pt.sourceUrl || '',
+    page: pt.page ?? null,
     language: pt.language,
   }));
   const extractionResult = extractFromMultipleTexts(textObjects, orgName);
@@ -267,7 +455,9 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
       providedBy: 'user',
       sourceText: 'User-provided seed',
       sourceUrl: '',
+      page: null,
       mentionContexts: [],
+      mentions: [],
       mentionCount: 0,
     };
 
@@ -292,6 +482,9 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
     }
   }
 
+  // Names from table rows become entities too, so their rows can link them
+  const tableEntitiesAdded = addTableEntities(extractionResult.entities, tableRows, orgName);
+
   // Update summary
   extractionResult.summary = {
     totalEntities: extractionResult.entities.length,
@@ -303,18 +496,24 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
   if (seeds.length > 0) {
     console.log(`  (includes ${seeds.length} user-provided seed(s))`);
   }
+  if (tableEntitiesAdded > 0) {
+    console.log(`  (includes ${tableEntitiesAdded} name(s) found only in tables)`);
+  }
 
-  // === [7/10] Cross-reference & build network ===
-  console.log('\n[7/10] Cross-referencing & building network...');
+  // === [7/11] Cross-reference & build network ===
+  console.log('\n[7/11] Cross-referencing & building network...');
   const textSources = processedTexts.map((pt) => ({
     text: pt.translatedText || pt.originalText,
     source: pt.source,
+    sourceUrl: pt.sourceUrl || '',
+    page: pt.page ?? null,
   }));
   const crossRefResult = crossReference(
     extractionResult.entities,
     evidence,
     orgName,
-    textSources
+    textSources,
+    tableRows
   );
   const networkGraph = buildNetworkGraph(
     orgName,
@@ -336,22 +535,36 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
     console.log(`  Hop distribution: ${hops}`);
   }
 
-  // === [8/10] Score evidence & generate hypotheses ===
-  console.log('\n[8/10] Scoring evidence & generating hypotheses...');
+  // === [8/11] PEP screening (seeds + hop-1 people) ===
+  console.log('\n[8/11] Screening politically exposed persons...');
+  const pepResult = await screenPEPs(seeds, networkGraph);
+  if (pepResult.datasetLoaded) {
+    const pepEvidence = buildEvidenceFromPEPHits(pepResult);
+    evidence.push(...pepEvidence);
+    console.log(`  Screened ${pepResult.subjectsScreened} people against ${pepResult.dataset.records} PEP records`);
+    console.log(`  PEP hits: ${pepResult.hits.length}`);
+  } else {
+    console.log(`  ${pepResult.error} — skipping`);
+  }
+
+  // === [9/11] Score evidence & generate hypotheses ===
+  console.log('\n[9/11] Scoring evidence & generating hypotheses...');
   const scoredResults = scoreAllEvidence(evidence);
   const { hypotheses, confidenceWarnings } = generateHypotheses(
     scoredResults,
     networkGraph,
     crossRefResult,
-    extractionResult
+    extractionResult,
+    pepResult
   );
   console.log(`  Overall score: ${scoredResults.overallScore.toFixed(1)}`);
   console.log(`  Credible sources: ${scoredResults.credibleSourceCount}`);
+  console.log(`  Dated evidence: ${scoredResults.recency.dated} (${scoredResults.recency.stale} stale)`);
   console.log(`  Hypotheses: ${hypotheses.length}`);
   console.log(`  Name warnings: ${confidenceWarnings.length}`);
 
-  // === [9/10] Assign flag ===
-  console.log('\n[9/10] Assigning flag...');
+  // === [10/11] Assign flag ===
+  console.log('\n[10/11] Assigning flag...');
   const flag = assignFlag({
     sanctionsResult,
     scoredResults,
@@ -371,14 +584,16 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
     hypotheses,
     confidenceWarnings,
     thresholdInfo: flag.thresholdInfo,
-    languageProcessing: { textsProcessed: processedTexts.length, languagesDetected, translationsPerformed },
+    languageProcessing: { textsProcessed: processedTexts.length, languagesDetected, translationsPerformed, translationProviders },
   };
 
-  console.log('\n[10/10] Generating investigation suggestions...');
+  console.log('\n[11/11] Generating investigation suggestions...');
   const { suggestions, summary: suggestionSummary } = generateSuggestions(prelimAssessment);
   console.log(`  Suggestions: ${suggestionSummary.total} (${suggestionSummary.high} high, ${suggestionSummary.medium} medium, ${suggestionSummary.low} low)`);
 
   // === Compile and save full assessment ===
+  // Responses served from the HTTP cache instead of the network, and how old they were
+  const httpCacheUse = getCacheLog();
   const assessment = {
     orgName,
     assessedAt: new Date().toISOString(),
@@ -388,6 +603,7 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
       overallScore: scoredResults.overallScore,
       credibleSourceCount: scoredResults.credibleSourceCount,
       totalItems: scoredResults.totalItems,
+      recency: scoredResults.recency,
       byCategory: Object.fromEntries(
         Object.entries(scoredResults.byCategory).map(([cat, data]) => [
           cat,
@@ -395,6 +611,7 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
         ])
       ),
     },
+    pep: pepResult,
     evidence: scoredResults.scoredEvidence,
     categories: CATEGORIES,
     seeds,
@@ -405,10 +622,24 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
     confidenceWarnings,
     thresholdInfo: flag.thresholdInfo,
     suggestions,
-    pdfSources: pdfResults.results.map((r) => ({
+    documentSources: docResults.results.map((r) => ({
       source: r.source,
+      format: r.format,
       filePath: r.filePath,
       pageCount: r.pageCount,
+      tableCount: (r.tables || []).length,
+      success: r.success,
+      error: r.error,
+    })),
+    tableRows,
+    pageSources: pageResults.results.map((r) => ({
+      source: r.source,
+      url: r.url,
+      title: r.metadata.title,
+      author: r.metadata.author,
+      publishedAt: r.metadata.publishedAt,
+      textLength: r.text.length,
+      tableCount: (r.tables || []).length,
       success: r.success,
       error: r.error,
     })),
@@ -416,27 +647,56 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
       textsProcessed: processedTexts.length,
       languagesDetected,
       translationsPerformed,
+      translationProviders,
     },
     webSearch: {
       searchesPerformed: webSearchResult.searchesPerformed,
+      languages: webSearchResult.languages,
+      categories: webSearchResult.categories,
       totalResults: webSearchResult.totalResults,
+      providersUsed: webSearchResult.providersUsed,
+      articlesFetched: articleStats.fetched,
+      articlesRelevant: articleStats.relevant,
       evidenceGenerated: webEvidence.length,
-      errors: webSearchResult.errors,
+      errors: [...webSearchResult.errors, ...articleStats.errors],
+    },
+    news: {
+      feedsChecked: newsResult.feedsChecked,
+      itemsSearched: newsResult.itemsSearched,
+      matches: newsResult.articles.map((a) => ({
+        title: a.title,
+        url: a.url,
+        publishedAt: a.publishedAt,
+        feed: a.feed,
+        matchedNames: a.matchedNames,
+      })),
+      evidenceGenerated: newsEvidence.length,
+      errors: newsResult.errors,
     },
     metadata: {
       version: '3.1',
       toolName: 'Koppla',
-      sourcesChecked: ['OFAC SDN List', 'UN Sanctions List', 'EU Sanctions List', 'DuckDuckGo Web Search'],
+      sourcesChecked: [
+        ...getProviders().map((provider) => provider.name),
+        ...webSearchResult.providersUsed.map((name) => `${name} Web Search`),
+        ...newsResult.feedsChecked,
+      ],
+      recording: recording.mode !== 'live' ? recording : null,
+      httpCache: httpCacheUse,
       sourcesNotYetImplemented: ['Forums', 'Social Media', 'NGO Reports'],
       analysisLayers: [
         'sanctions-check',
         'web-search',
-        'pdf-extraction',
+        'news-feeds',
+        'document-extraction',
+        'table-extraction',
+        'page-extraction',
         'language-detection',
         'entity-extraction',
         'cross-referencing',
         'network-graph',
         'hop-distance',
+        'pep-screening',
         'hypothesis-generation',
         'investigation-suggestions',
       ],
@@ -444,6 +704,9 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
   };
 
   console.log('\nSaving assessment...');
+  if (httpCacheUse.served > 0) {
+    console.log(`  ${httpCacheUse.served} response(s) served from the HTTP cache (${httpCacheUse.revalidated} revalidated)`);
+  }
   const savedPath = saveAssessment(assessment);
   console.log(`  Saved to: ${savedPath}`);
 
@@ -458,16 +721,18 @@ async function runAssessment(orgName, seeds = [], pdfPaths = []) {
 
 /**
  * Process text through language detection and translation.
- * Handles evidence, sanctions data, seed names, and PDF text.
+ * Handles evidence, sanctions data, seed names, document and web page text,
+ * and full web articles.
  */
-async function processLanguages(evidence, sanctionsResult, seeds, pdfResults) {
+async function processLanguages(evidence, sanctionsResult, seeds, docResults, articles = [], pageResults = { results: [] }) {
   const processedTexts = [];
 
   // Process evidence descriptions
   for (const ev of evidence) {
     const text = ev.description || '';
     if (!text || text.length < 5) continue;
-    const langResult = detectLanguage(text);
+    // Web results carry the language of the query that found them
+    const langResult = detectLanguage(text, ev.language);
     const translation = await translateIfNeeded(text, langResult.detectedLanguage);
     processedTexts.push({
       originalText: text,
@@ -481,7 +746,7 @@ async function processLanguages(evidence, sanctionsResult, seeds, pdfResults) {
     });
   }
 
-  // Process sanctions match names and raw lines
+  // Process sanctions match names and list remarks
   for (const result of sanctionsResult.results) {
     for (const match of result.matches || []) {
       const nameText = match.name || '';
@@ -497,12 +762,12 @@ async function processLanguages(evidence, sanctionsResult, seeds, pdfResults) {
           sourceUrl: result.sourceUrl,
         });
       }
-      const rawLine = match.rawLine || '';
-      if (rawLine.length >= 10) {
-        const langResult = detectLanguage(rawLine);
-        const translation = await translateIfNeeded(rawLine, langResult.detectedLanguage);
+      const remark = match.remark || '';
+      if (remark.length >= 10) {
+        const langResult = detectLanguage(remark);
+        const translation = await translateIfNeeded(remark, langResult.detectedLanguage);
         processedTexts.push({
-          originalText: rawLine,
+          originalText: remark,
           translatedText: translation.translatedText,
           language: langResult.detectedLanguage,
           translationSource: translation.translationSource,
@@ -529,23 +794,49 @@ async function processLanguages(evidence, sanctionsResult, seeds, pdfResults) {
     }
   }
 
-  // Process PDF text content
-  for (const pdf of (pdfResults.results || [])) {
-    if (!pdf.success || !pdf.text || pdf.text.length < 10) continue;
+  // Process document and web page text content
+  for (const doc of [...(docResults.results || []), ...(pageResults.results || [])]) {
+    if (!doc.success || !doc.text || doc.text.length < 10) continue;
+
+    // PDFs are processed page by page, so everything found in the text can
+    // cite its page (other documents and web pages are one "page" without a number)
+    const pages = doc.pages && doc.pages.length > 0 ? doc.pages : [{ page: null, text: doc.text }];
+
+    // Long pages are processed in chunks to keep language detection accurate
+    const chunkSize = 5000;
+    for (const { page, text } of pages) {
+      if (text.trim().length < 10) continue;
+      for (let i = 0; i < text.length; i += chunkSize) {
+        const chunk = text.slice(i, i + chunkSize);
+        const langResult = detectLanguage(chunk);
+        const translation = await translateIfNeeded(chunk, langResult.detectedLanguage);
+        processedTexts.push({
+          originalText: chunk,
+          translatedText: translation.translatedText,
+          language: langResult.detectedLanguage,
+          translationSource: translation.translationSource,
+          source: doc.source,
+          sourceUrl: page ? `${doc.sourceUrl}#page=${page}` : doc.sourceUrl,
+          page,
+        });
+      }
+    }
+  }
 
-    // PDFs can be long — process in chunks to keep language detection accurate
+  // Process full web articles (chunked like PDFs)
+  for (const result of articles) {
     const chunkSize = 5000;
-    for (let i = 0; i < pdf.text.length; i += chunkSize) {
-      const chunk = pdf.text.slice(i, i + chunkSize);
-      const langResult = detectLanguage(chunk);
+    for (let i = 0; i < result.article.text.length; i += chunkSize) {
+      const chunk = result.article.text.slice(i, i + chunkSize);
+      const langResult = detectLanguage(chunk, result.searchLanguage);
       const translation = await translateIfNeeded(chunk, langResult.detectedLanguage);
       processedTexts.push({
         originalText: chunk,
         translatedText: translation.translatedText,
         language: langResult.detectedLanguage,
         translationSource: translation.translationSource,
-        source: pdf.source,
-        sourceUrl: pdf.sourceUrl,
+        source: `Web article: ${result.article.title || result.title}`,
+        sourceUrl: result.url,
       });
     }
   }
@@ -553,6 +844,26 @@ async function processLanguages(evidence, sanctionsResult, seeds, pdfResults) {
   return processedTexts;
 }
 
+/**
+ * Which translation providers (and models) did the translating, and how often.
+ *
+ * @param {Array<Object>} translated - Processed texts that went to a provider
+ * @returns {Array<Object>} [{ provider, name, model, translations, failed }]
+ */
+function summarizeTranslationProviders(translated) {
+  const byProvider = new Map();
+  for (const { translationSource: source } of translated) {
+    const key = `${source.provider}|${source.model}`;
+    if (!byProvider.has(key)) {
+      byProvider.set(key, { provider: source.provider, name: source.name, model: source.model, translations: 0, failed: 0 });
+    }
+    const entry = byProvider.get(key);
+    entry.translations++;
+    if (source.failed) entry.failed++;
+  }
+  return [...byProvider.values()];
+}
+
 /**
  * Convert sanctions results into evidence items.
  */
@@ -562,13 +873,22 @@ function buildEvidenceFromSanctions(sanctionsResult) {
     if (result.found) {
       for (const match of result.matches) {
         evidence.push({
-          sourceType: 'government',
-          category: 'human-rights',
-          severity: 'high',
-          description: `Found on ${result.source}: "${match.name}"`,
+          sourceType: result.sourceType || 'government',
+          category: match.category || 'unmapped',
+          severity: match.severity || 'high',
+          description: `Found on ${result.source}: "${match.name}"${describeMatchDetails(match)}`,
           source: result.source,
           sourceUrl: result.sourceUrl,
           matchedName: match.name,
+          matchedAlias: getMatchedAlias(match),
+          matchScore: match.matchScore ?? null,
+          matchStrength: match.matchStrength || null,
+          matchExplanation: match.matchExplanation || null,
+          program: match.program || null,
+          legalReference: match.legalReference || null,
+          topics: match.topics || null,
+          newlyListed: Boolean(match.newlyListed),
+          listedSince: match.listedSince || null,
           status: 'confirmed',
         });
       }
@@ -577,6 +897,67 @@ function buildEvidenceFromSanctions(sanctionsResult) {
   return evidence;
 }
 
+/**
+ * Get the alias that triggered a sanctions match (null if the primary name matched).
+ */
+function getMatchedAlias(match) {
+  if (!match.matchedOn || match.matchedOn.type === 'primary') return null;
+  return match.matchedOn;
+}
+
+/**
+ * Extra description text for a sanctions match: match score, alias used,
+ * newly listed, legal reference, FtM topics, identity check.
+ */
+function describeMatchDetails(match) {
+  const notes = [];
+  if (match.matchScore !== undefined) {
+    notes.push(`${match.matchStrength} match, score ${match.matchScore.toFixed(2)}`);
+  }
+  const alias = getMatchedAlias(match);
+  if (alias) {
+    notes.push(`matched via ${alias.type} "${alias.name}"${alias.quality === 'low' ? ', low-quality alias' : ''}`);
+  }
+  if (match.newlyListed) notes.push('newly listed');
+  if (match.legalReference) notes.push(`listed under ${match.legalReference.regulation}`);
+  if (match.topics && match.topics.length > 0) notes.push(`topics: ${match.topics.join(', ')}`);
+  if (match.identityCheck) notes.push(`identity ${match.identityCheck.status}: ${match.identityCheck.summary}`);
+  return notes.length > 0 ? ` (${notes.join('; ')})` : '';
+}
+
+/**
+ * Re-read every configured news feed into the local store.
+ */
+async function refreshNews() {
+  console.log('\nRefreshing news feeds...');
+  const results = await refreshNewsFeeds({ force: true });
+  console.log('─'.repeat(60));
+  for (const r of results) {
+    console.log(r.success
+      ? `  ${r.name}: ${r.added} new item(s), ${r.total} stored`
+      : `  ${r.name}: refresh failed — ${r.error}`);
+  }
+}
+
+/**
+ * Force a refresh of the local sanctions store and print what changed.
+ */
+async function refreshSanctions() {
+  console.log('\nRefreshing sanctions lists...');
+  const results = await refreshSanctionsLists();
+  console.log('─'.repeat(60));
+  for (const r of results) {
+    if (!r.success) {
+      console.log(`  ${r.listId}: refresh failed — ${r.error}`);
+      continue;
+    }
+    const changes = r.delta
+      ? `${r.delta.added.length} added, ${r.delta.removed.length} removed`
+      : 'first version stored';
+    console.log(`  ${r.listId}: version ${r.version} (${changes})`);
+  }
+}
+
 // ===================================================================
 // OUTPUT
 // ===================================================================
@@ -606,18 +987,31 @@ function printSummary(assessment) {
     console.log('─'.repeat(60));
     console.log(`  Seeds provided: ${assessment.seeds.length}`);
     for (const s of assessment.seeds) {
-      console.log(`    - ${s.name}${s.role ? ` (${s.role})` : ''} [${s.type}]`);
+      const known = s.identifiers ? ` — ${Object.entries(s.identifiers).map(([k, v]) => `${k}: ${v}`).join(', ')}` : '';
+      console.log(`    - ${s.name}${s.role ? ` (${s.role})` : ''} [${s.type}]${known}`);
     }
   }
 
-  // PDFs
-  if (assessment.pdfSources && assessment.pdfSources.length > 0) {
-    console.log(`  PDFs processed: ${assessment.pdfSources.filter((p) => p.success).length}/${assessment.pdfSources.length}`);
+  // Documents
+  if (assessment.documentSources && assessment.documentSources.length > 0) {
+    console.log(`  Documents processed: ${assessment.documentSources.filter((d) => d.success).length}/${assessment.documentSources.length}`);
+  }
+  if (assessment.pageSources && assessment.pageSources.length > 0) {
+    console.log(`  Web pages processed: ${assessment.pageSources.filter((p) => p.success).length}/${assessment.pageSources.length}`);
   }
 
   // Sanctions & scoring
   console.log('─'.repeat(60));
   console.log(`  Sanctions:      ${assessment.sanctions.sanctioned ? 'YES — found on list' : 'Not found'}`);
+  if (assessment.sanctions.newlyListedMatches > 0) {
+    console.log(`                  (${assessment.sanctions.newlyListedMatches} match(es) newly listed since the previous list version)`);
+  }
+  if (assessment.pep?.datasetLoaded) {
+    const foreign = assessment.pep.hits.filter((h) => h.pep.isForeign).length;
+    console.log(`  PEP hits:       ${assessment.pep.hits.length} (${foreign} foreign) among ${assessment.pep.subjectsScreened} people screened`);
+  } else {
+    console.log('  PEP hits:       not screened (no PEP dataset)');
+  }
   console.log(`  Evidence items: ${assessment.scoring.totalItems}`);
   console.log(`  Overall score:  ${assessment.scoring.overallScore.toFixed(1)}`);
 
@@ -699,8 +1093,12 @@ Usage:
   node src/index.js "Organization Name"                    Assess an organization
   node src/index.js "Org" --seed "Person Name, Role"       Add a known person as a lead
   node src/index.js "Org" --seed-org "Other Org Name"      Add a known related organization
-  node src/index.js "Org" --pdf "/path/to/report.pdf"      Include a PDF report in analysis
+  node src/index.js "Org" --doc "/path/to/report.pdf"      Include a document (PDF, DOCX, HTML, .txt, .eml, CSV)
+  node src/index.js "Org" --url "https://example.org/page" Include a web page in analysis
+  node src/index.js "Org" --category lgbtq,gender          Only search the chosen categories
   node src/index.js --list                                 List saved assessments
+  node src/index.js --refresh-sanctions                    Re-download sanctions lists and show changes
+  node src/index.js --refresh-news                         Re-read the RSS/Atom news feeds
   node src/index.js --help                                 Show this help
 
 Seeds:
@@ -709,14 +1107,33 @@ Seeds:
   --seed-org "Org Name"      Add an organization seed
   Multiple seeds: --seed "Person1, CEO" --seed "Person2"
 
-PDFs:
-  --pdf file.pdf             Include a PDF report for entity/connection analysis
-  Multiple PDFs: --pdf report1.pdf --pdf report2.pdf
+  Identifiers (optional, appended as key=value) help rule out namesakes on sanctions lists:
+  --seed "Name, Role, dob=1975-03-14, nationality=IQ, passport=A1234567"
+  --seed-org "Org Name, reg=556677-8899"
+
+Record / replay:
+  --record session           Save every HTTP response and translation under this name
+  --replay session           Re-run from a recording, without network (reproducible)
+
+Documents:
+  --doc file                 Include a document for entity/connection analysis:
+                             PDF, Word (.docx), saved web page (.html), text (.txt, .md),
+                             e-mail (.eml) or CSV (--pdf still works for PDFs)
+  Multiple documents: --doc report.pdf --doc minutes.docx --doc forwarded.eml
+
+Web pages:
+  --url https://...          Read a web page (annual report, NGO article, registry extract) like a document
+  Multiple pages: --url https://a.example/report --url https://b.example/article
+
+Search categories:
+  --category lgbtq           Only run the web searches for this category
+  Multiple: --category lgbtq --category gender, or --category lgbtq,gender
+  Categories: ${SEARCH_CATEGORIES.join(', ')}
 
 Examples:
   node src/index.js "Acme Corp"
   node src/index.js "Acme Corp" --seed "John Smith, CEO" --seed "Jane Doe"
-  node src/index.js "Acme Corp" --pdf fatf-report.pdf --seed "Ahmed Al-Rashid"
+  node src/index.js "Acme Corp" --doc fatf-report.pdf --seed "Ahmed Al-Rashid"
 `);
 }
 
@@ -0,0 +1,260 @@
+/**
+ * Built-in Translation Glossary
+ *
+ * Terms for the offline "glossary" translation provider (see
+ * translationProviders.js): the words that matter most when reading about
+ * an organization — what kind of body it is, who holds which role, and
+ * where money comes from or goes to. Everything else in the text is left
+ * as it is (Arabic script is transliterated, so names can still be found).
+ *
+ * Keyed by ISO 639-1 source language; each entry maps a term (lowercase,
+ * as it appears in running text) to its English translation. Longer terms
+ * win over the shorter terms inside them ("مجلس الإدارة" before "مجلس").
+ *
+ * Analysts add their own terms in the glossary file configured under
+ * config.translation.glossary — those take precedence over these.
+ */
+
+const GLOSSARY = {
+  // Arabic (both the bare and the definite "ال" form, as both are common)
+  ar: {
+    'جمعية': 'association',
+    'الجمعية': 'the association',
+    'مؤسسة': 'foundation',
+    'المؤسسة': 'the foundation',
+    'منظمة': 'organization',
+    'المنظمة': 'the organization',
+    'شركة': 'company',
+    'الشركة': 'the company',
+    'مركز': 'centre',
+    'المركز': 'the centre',
+    'مسجد': 'mosque',
+    'المسجد': 'the mosque',
+    'اتحاد': 'union',
+    'صندوق': 'fund',
+    'الصندوق': 'the fund',
+    'خيرية': 'charity',
+    'الخيرية': 'charitable',
+    'مجلس الإدارة': 'board of directors',
+    'مجلس الامناء': 'board of trustees',
+    'مجلس الأمناء': 'board of trustees',
+    'مجلس': 'council',
+    'رئيس': 'chairman',
+    'الرئيس': 'the chairman',
+    'نائب الرئيس': 'vice chairman',
+    'مدير': 'director',
+    'المدير': 'the director',
+    'المدير العام': 'the director general',
+    'أمين الصندوق': 'treasurer',
+    'عضو': 'member',
+    'أعضاء': 'members',
+    'مؤسس': 'founder',
+    'تبرع': 'donation',
+    'تبرعات': 'donations',
+    'تمويل': 'funding',
+    'منحة': 'grant',
+    'دعم': 'support',
+    'مليون': 'million',
+    'ريال': 'riyal',
+    'دولار': 'dollar',
+    'دينار': 'dinar',
+    'عقوبات': 'sanctions',
+    'إرهاب': 'terrorism',
+    'الإرهاب': 'terrorism',
+    'تطرف': 'extremism',
+    'فساد': 'corruption',
+    'احتيال': 'fraud',
+    'غسيل الأموال': 'money laundering',
+    'تحقيق': 'investigation',
+    'محكمة': 'court',
+    'في': 'in',
+    'من': 'from',
+    'إلى': 'to',
+    'و': 'and',
+  },
+
+  // Persian
+  fa: {
+    'انجمن': 'association',
+    'بنیاد': 'foundation',
+    'سازمان': 'organization',
+    'شرکت': 'company',
+    'مرکز': 'centre',
+    'مسجد': 'mosque',
+    'صندوق': 'fund',
+    'خیریه': 'charity',
+    'هیئت مدیره': 'board of directors',
+    'هیئت امنا': 'board of trustees',
+    'رئیس': 'chairman',
+    'مدیر': 'director',
+    'مدیرعامل': 'chief executive',
+    'خزانه دار': 'treasurer',
+    'عضو': 'member',
+    'بنیانگذار': 'founder',
+    'کمک مالی': 'donation',
+    'تامین مالی': 'funding',
+    'میلیون': 'million',
+    'تومان': 'toman',
+    'ریال': 'rial',
+    'تحریم': 'sanctions',
+    'تروریسم': 'terrorism',
+    'فساد': 'corruption',
+    'پولشویی': 'money laundering',
+    'دادگاه': 'court',
+  },
+
+  // Turkish
+  tr: {
+    'dernek': 'association',
+    'derneği': 'association',
+    'vakıf': 'foundation',
+    'vakfı': 'foundation',
+    'kuruluş': 'organization',
+    'şirket': 'company',
+    'şirketi': 'company',
+    'merkez': 'centre',
+    'merkezi': 'centre',
+    'cami': 'mosque',
+    'camii': 'mosque',
+    'birlik': 'union',
+    'birliği': 'union',
+    'federasyon': 'federation',
+    'yönetim kurulu': 'board of directors',
+    'mütevelli heyeti': 'board of trustees',
+    'başkan': 'chairman',
+    'başkanı': 'chairman',
+    'başkan yardımcısı': 'vice chairman',
+    'genel müdür': 'general manager',
+    'müdür': 'director',
+    'sayman': 'treasurer',
+    'üye': 'member',
+    'kurucu': 'founder',
+    'bağış': 'donation',
+    'bağışlar': 'donations',
+    'finansman': 'funding',
+    'hibe': 'grant',
+    'milyon': 'million',
+    'yaptırım': 'sanctions',
+    'yaptırımlar': 'sanctions',
+    'terör': 'terror',
+    'terörizm': 'terrorism',
+    'yolsuzluk': 'corruption',
+    'dolandırıcılık': 'fraud',
+    'kara para aklama': 'money laundering',
+    'soruşturma': 'investigation',
+    'mahkeme': 'court',
+  },
+
+  // French
+  fr: {
+    'association': 'association',
+    'fondation': 'foundation',
+    'société': 'company',
+    'conseil d\'administration': 'board of directors',
+    'président': 'chairman',
+    'présidente': 'chairwoman',
+    'vice-président': 'vice chairman',
+    'directeur général': 'chief executive',
+    'directeur': 'director',
+    'trésorier': 'treasurer',
+    'trésorière': 'treasurer',
+    'secrétaire général': 'secretary general',
+    'membre': 'member',
+    'fondateur': 'founder',
+    'don': 'donation',
+    'dons': 'donations',
+    'financement': 'funding',
+    'subvention': 'grant',
+    'millions': 'million',
+    'sanctions': 'sanctions',
+    'terrorisme': 'terrorism',
+    'blanchiment d\'argent': 'money laundering',
+    'enquête': 'investigation',
+    'tribunal': 'court',
+  },
+
+  // German
+  de: {
+    'verein': 'association',
+    'stiftung': 'foundation',
+    'gesellschaft': 'company',
+    'vorstand': 'board',
+    'aufsichtsrat': 'supervisory board',
+    'vorsitzender': 'chairman',
+    'vorsitzende': 'chairwoman',
+    'geschäftsführer': 'managing director',
+    'schatzmeister': 'treasurer',
+    'mitglied': 'member',
+    'gründer': 'founder',
+    'spende': 'donation',
+    'spenden': 'donations',
+    'finanzierung': 'funding',
+    'zuschuss': 'grant',
+    'millionen': 'million',
+    'sanktionen': 'sanctions',
+    'terrorismus': 'terrorism',
+    'geldwäsche': 'money laundering',
+    'ermittlungen': 'investigation',
+    'gericht': 'court',
+  },
+
+  // Spanish
+  es: {
+    'asociación': 'association',
+    'fundación': 'foundation',
+    'empresa': 'company',
+    'junta directiva': 'board of directors',
+    'presidente': 'chairman',
+    'presidenta': 'chairwoman',
+    'director': 'director',
+    'directora': 'director',
+    'tesorero': 'treasurer',
+    'tesorera': 'treasurer',
+    'miembro': 'member',
+    'fundador': 'founder',
+    'donación': 'donation',
+    'donaciones': 'donations',
+    'financiación': 'funding',
+    'subvención': 'grant',
+    'millones': 'million',
+    'sanciones': 'sanctions',
+    'terrorismo': 'terrorism',
+    'blanqueo de capitales': 'money laundering',
+    'investigación': 'investigation',
+    'tribunal': 'court',
+  },
+
+  // Russian
+  ru: {
+    'ассоциация': 'association',
+    'фонд': 'foundation',
+    'организация': 'organization',
+    'компания': 'company',
+    'общество': 'society',
+    'центр': 'centre',
+    'совет директоров': 'board of directors',
+    'председатель': 'chairman',
+    'директор': 'director',
+    'генеральный директор': 'chief executive',
+    'казначей': 'treasurer',
+    'член': 'member',
+    'основатель': 'founder',
+    'пожертвование': 'donation',
+    'пожертвования': 'donations',
+    'финансирование': 'funding',
+    'грант': 'grant',
+    'миллионов': 'million',
+    'санкции': 'sanctions',
+    'терроризм': 'terrorism',
+    'экстремизм': 'extremism',
+    'коррупция': 'corruption',
+    'мошенничество': 'fraud',
+    'отмывание денег': 'money laundering',
+    'расследование': 'investigation',
+    'суд': 'court',
+  },
+};
+
+module.exports = {
+  GLOSSARY,
+};
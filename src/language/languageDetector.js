@@ -36,6 +36,21 @@ const LANGUAGE_NAMES = {
   und: 'Unknown',
 };
 
+// ISO 639-1 (2-letter, used for query language tags) → franc's ISO 639-3
+const ISO_639_3 = {
+  ar: 'ara', en: 'eng', sv: 'swe', fa: 'fas', tr: 'tur', ur: 'urd', fr: 'fra',
+  de: 'deu', es: 'spa', ru: 'rus', zh: 'zho', hi: 'hin', pt: 'por', ja: 'jpn', ko: 'kor',
+};
+
+// Script each hint language is written in (anything not listed: Latin)
+const LANGUAGE_SCRIPTS = {
+  ara: 'arabic', fas: 'arabic', urd: 'arabic', rus: 'cyrillic', zho: 'chinese',
+  jpn: 'japanese', kor: 'korean', hin: 'devanagari',
+};
+
+// Languages we can process without translation
+const NO_TRANSLATION_LANGUAGES = ['eng', 'swe'];
+
 // --- Script type detection ---
 // Unicode ranges for different writing systems
 const SCRIPT_RANGES = {
@@ -87,11 +102,17 @@ function detectScript(text) {
  * 2. Otherwise, use franc for reliable language identification
  * 3. As a final check, use our Arabic detection for Arabic script
  *
+ * A language hint (e.g. the language a search query was written in) is used
+ * where detection is weakest: short Latin-script text, text franc can't
+ * place, and languages outside our list (franc often reads short Swedish
+ * as Norwegian or Danish).
+ *
  * @param {string} text - Text to analyze
+ * @param {string} hintLanguage - Expected language, ISO 639-1 ("sv", "ar", ...) (optional)
  * @returns {Object} Detection result
  *   { detectedLanguage, languageName, confidence, needsTranslation, scriptType }
  */
-function detectLanguage(text) {
+function detectLanguage(text, hintLanguage = null) {
   if (!text || text.trim().length === 0) {
     return {
       detectedLanguage: 'und',
@@ -104,6 +125,17 @@ function detectLanguage(text) {
 
   const trimmed = text.trim();
   const scriptType = detectScript(trimmed);
+  // A hint only counts if the text is in that language's script — an
+  // English page found by an Arabic query is still English
+  const hintCode = ISO_639_3[hintLanguage] || null;
+  const hint = hintCode && (LANGUAGE_SCRIPTS[hintCode] || 'latin') === scriptType ? hintCode : null;
+  const fromHint = (confidence) => ({
+    detectedLanguage: hint,
+    languageName: LANGUAGE_NAMES[hint] || hint,
+    confidence,
+    needsTranslation: !NO_TRANSLATION_LANGUAGES.includes(hint),
+    scriptType,
+  });
 
   // --- Short text fallback ---
   // franc is unreliable with very short text, so use script heuristics
@@ -118,7 +150,9 @@ function detectLanguage(text) {
       };
     }
 
-    // For short Latin-script text, assume English (most common in our data sources)
+    // For short Latin-script text, trust the hint, or else assume English
+    // (most common in our data sources)
+    if (hint) return fromHint(0.5);
     return {
       detectedLanguage: 'eng',
       languageName: 'English',
@@ -131,6 +165,11 @@ function detectLanguage(text) {
   // --- Use franc for reliable detection ---
   const detected = franc(trimmed);
 
+  // Outside our language list with a hint → most likely a near neighbour of the hint
+  if (hint && detected !== 'und' && !LANGUAGE_NAMES[detected]) {
+    return fromHint(0.6);
+  }
+
   // franc returns 'und' (undetermined) if it can't figure it out
   if (detected === 'und') {
     // Try our Arabic detector as a fallback
@@ -144,6 +183,8 @@ function detectLanguage(text) {
       };
     }
 
+    if (hint) return fromHint(0.5);
+
     return {
       detectedLanguage: 'und',
       languageName: 'Unknown',
@@ -157,8 +198,7 @@ function detectLanguage(text) {
   const languageName = LANGUAGE_NAMES[detected] || detected;
 
   // Languages that don't need translation (we can process them directly)
-  const skipLanguages = ['eng', 'swe'];
-  const needsTranslation = !skipLanguages.includes(detected);
+  const needsTranslation = !NO_TRANSLATION_LANGUAGES.includes(detected);
 
   // Estimate confidence based on text length
   // Longer text → higher confidence in franc's detection
@@ -0,0 +1,242 @@
+/**
+ * Translation Providers
+ *
+ * The translator doesn't talk to a translation service directly — it asks
+ * the configured translation provider. Each provider has one job:
+ *
+ *   translate(text, { from, to }) → { text, from, error }
+ *
+ * `from` is an ISO 639-1 code or "auto"; the result's `from` is the
+ * language the provider detected (null when it doesn't say).
+ *
+ * Built in:
+ * - google         — Google Translate's unofficial free endpoint (no API
+ *                    key). The text leaves our network, to a service we
+ *                    have no agreement with — not for sensitive case material.
+ * - libretranslate — a LibreTranslate-compatible HTTP API, typically
+ *                    self-hosted, so the text stays on our own servers
+ * - glossary       — offline: translates only the terms in the glossary
+ *                    (see glossary.js) and transliterates Arabic script;
+ *                    the rest of the text is left as it is. No network at all.
+ *
+ * config.translation.provider sets which one is used. There is deliberately
+ * no fallback from one to the next: falling back from a local server to
+ * Google would send out exactly the text the local server was meant to keep.
+ *
+ * Every provider has a `model` — which translation model (or glossary
+ * version) produced the text — recorded with each translation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const translate = require('google-translate-api-x');
+const { GLOSSARY } = require('./glossary');
+const { transliterateName } = require('./arabicUtils');
+const config = require('../config');
+
+// Files are resolved relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+
+// A run of Arabic-script words (transliterated by the glossary provider)
+const ARABIC_RUN = /[\u0600-\u06FF\u0750-\u077F]+(?:\s+[\u0600-\u06FF\u0750-\u077F]+)*/g;
+
+/**
+ * Create the provider for Google Translate's free endpoint.
+ *
+ * @returns {Object} Provider
+ */
+function createGoogleProvider() {
+  return {
+    id: 'google',
+    name: 'Google Translate (free endpoint)',
+    model: null, // the endpoint doesn't say which model answered
+    throttle: true,
+    async translate(text, { from, to }) {
+      const response = await translate(text, { from, to });
+      return { text: response.text, from: response.from?.language?.iso || null, error: null };
+    },
+  };
+}
+
+/**
+ * Create a provider for a LibreTranslate-compatible API (POST /translate).
+ *
+ * @param {Object} options
+ * @param {string} options.url - Base URL of the server, e.g. "http://localhost:5000"
+ * @param {string} options.apiKey - API key, when the server requires one
+ * @param {string} options.model - Name of the installed models, recorded with each translation
+ * @param {boolean} options.throttle - Wait between translations (default false)
+ * @returns {Object} Provider
+ */
+function createLibreTranslateProvider({ url, apiKey = null, model = 'argos-translate', throttle = false }) {
+  return {
+    id: 'libretranslate',
+    name: url ? `LibreTranslate (${new URL(url).host})` : 'LibreTranslate',
+    model,
+    throttle,
+    async translate(text, { from, to }) {
+      if (!url) return { text: null, from: null, error: 'no URL configured (config.translation.libreTranslate.url)' };
+
+      try {
+        const response = await axios.post(`${url.replace(/\/+$/, '')}/translate`, {
+          q: text,
+          source: from || 'auto',
+          target: to,
+          format: 'text',
+          ...(apiKey && { api_key: apiKey }),
+        }, {
+          timeout: config.scraping.requestTimeout,
+          headers: { 'User-Agent': config.scraping.userAgent, 'Accept': 'application/json' },
+        });
+
+        if (typeof response.data?.translatedText !== 'string') {
+          return { text: null, from: null, error: 'No translatedText in response' };
+        }
+        return {
+          text: response.data.translatedText,
+          from: response.data.detectedLanguage?.language || null,
+          error: null,
+        };
+      } catch (error) {
+        // LibreTranslate explains refusals (unsupported language, bad key) in the body
+        return { text: null, from: null, error: error.response?.data?.error || error.message };
+      }
+    },
+  };
+}
+
+/**
+ * Create the offline glossary provider. The analyst's glossary file, when
+ * there is one, is merged over the built-in glossary:
+ *
+ *   { "ar": { "جمعية": "association" }, "*": { "term for any language": "translation" } }
+ *
+ * The model is "glossary-<hash>": the hash changes whenever the terms do,
+ * so an assessment shows which version of the glossary it was made with.
+ *
+ * @param {Object} options
+ * @param {string} options.path - Analyst's glossary file (relative to the project root or absolute)
+ * @param {boolean} options.transliterate - Transliterate the Arabic script that's left (default true)
+ * @returns {Object} Provider
+ */
+function createGlossaryProvider({ path: filePath = null, transliterate = true } = {}) {
+  const glossary = loadGlossary(filePath);
+  const hash = crypto.createHash('sha256').update(JSON.stringify(glossary)).digest('hex');
+
+  // One pattern per language, longest terms first so phrases win over their words
+  const patterns = new Map();
+  const getPattern = (language) => {
+    if (!patterns.has(language)) {
+      const terms = { ...glossary['*'], ...(glossary[language] || {}) };
+      const words = Object.keys(terms).sort((a, b) => b.length - a.length)
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      patterns.set(language, {
+        terms,
+        regex: words.length > 0 ? new RegExp(`(?<![\\p{L}\\p{N}])(${words.join('|')})(?![\\p{L}\\p{N}])`, 'giu') : null,
+      });
+    }
+    return patterns.get(language);
+  };
+
+  return {
+    id: 'glossary',
+    name: 'Offline glossary',
+    model: `glossary-${hash.substring(0, 12)}`,
+    throttle: false,
+    async translate(text, { from, to }) {
+      if (to !== 'en') return { text: null, from: null, error: 'only translates to English' };
+
+      // Without a known source language, every language's terms are tried
+      const languages = from && from !== 'auto' ? [from] : Object.keys(glossary).filter((l) => l !== '*');
+      let translated = text;
+      for (const language of languages) {
+        const { terms, regex } = getPattern(language);
+        if (!regex) continue;
+        translated = translated.replace(regex, (match) => terms[match.toLowerCase()] ?? match);
+      }
+
+      if (transliterate) {
+        translated = translated.replace(ARABIC_RUN, (run) => transliterateName(run));
+      }
+      return { text: translated, from: from && from !== 'auto' ? from : null, error: null };
+    },
+  };
+}
+
+/**
+ * The built-in glossary with the analyst's glossary file merged over it.
+ * Terms are lowercased, so matching ignores case.
+ */
+function loadGlossary(filePath) {
+  const merged = {};
+  const add = (entries) => {
+    for (const [language, terms] of Object.entries(entries || {})) {
+      merged[language] = merged[language] || {};
+      for (const [term, translation] of Object.entries(terms || {})) {
+        merged[language][term.toLowerCase()] = translation;
+      }
+    }
+  };
+
+  add(GLOSSARY);
+  if (filePath) {
+    const file = path.resolve(projectRoot, filePath);
+    if (fs.existsSync(file)) {
+      try {
+        add(JSON.parse(fs.readFileSync(file, 'utf-8')));
+      } catch (err) {
+        console.log(`  Could not read glossary ${file}: ${err.message} — using the built-in glossary only`);
+      }
+    }
+  }
+  return merged;
+}
+
+// Built-in providers, by the id used in config.translation.provider
+const BUILT_IN_PROVIDERS = {
+  google: () => createGoogleProvider(),
+  libretranslate: () => createLibreTranslateProvider(config.translation.libreTranslate || {}),
+  glossary: () => createGlossaryProvider(config.translation.glossary),
+};
+
+// The provider in use (created on first use)
+let activeProvider = null;
+
+/**
+ * Use a different translation provider (e.g. one not built in).
+ *
+ * @param {Object} provider - { id, name, model, translate(text, { from, to }), throttle }
+ */
+function setTranslationProvider(provider) {
+  if (!provider || !provider.id || !provider.name || typeof provider.translate !== 'function') {
+    throw new Error('A translation provider needs an id, a name and a translate() function');
+  }
+  activeProvider = provider;
+}
+
+/**
+ * The translation provider in use: the one set with setTranslationProvider(),
+ * otherwise the one named in config.translation.provider.
+ *
+ * @returns {Object} Provider
+ */
+function getTranslationProvider() {
+  if (!activeProvider) {
+    const id = config.translation.provider || 'google';
+    if (!BUILT_IN_PROVIDERS[id]) {
+      throw new Error(`Unknown translation provider "${id}" in config (built in: ${Object.keys(BUILT_IN_PROVIDERS).join(', ')})`);
+    }
+    activeProvider = BUILT_IN_PROVIDERS[id]();
+  }
+  return activeProvider;
+}
+
+module.exports = {
+  createGoogleProvider,
+  createLibreTranslateProvider,
+  createGlossaryProvider,
+  setTranslationProvider,
+  getTranslationProvider,
+};
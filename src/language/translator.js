@@ -1,21 +1,30 @@
 /**
  * Translator
  *
- * Translates non-English/non-Swedish text to English using the free
- * Google Translate endpoint (no API key required).
+ * Translates non-English/non-Swedish text to English with the configured
+ * translation provider — Google's free endpoint, a self-hosted
+ * LibreTranslate server, or the offline glossary (see translationProviders.js).
  *
  * This module is called when the language detector finds text that
  * needs translation before entity extraction can work on it.
  *
  * Key features:
  * - In-memory cache to avoid re-translating the same text
- * - Rate limiting between requests (respectful to Google)
+ * - Rate limiting between requests (for providers on someone else's server)
  * - Graceful fallback if translation fails
  * - Splits long text at sentence boundaries
+ * - Record/replay of translations (see storage/recordingStore.js)
+ *
+ * Every result's translationSource says who translated it:
+ *   { provider, name, model } — provider is the provider id ("google",
+ *   "libretranslate", "glossary"), or "none" / "not-needed" when nothing was
+ *   translated (model is then null). A failed translation keeps the
+ *   provider it failed on, with failed: true.
  */
 
-const translate = require('google-translate-api-x');
 const { sleep } = require('../scrapers/baseScraper');
+const { getTranslationProvider } = require('./translationProviders');
+const { recorded } = require('../storage/recordingStore');
 const config = require('../config');
 
 // --- In-memory translation cache ---
@@ -23,12 +32,26 @@ const config = require('../config');
 // This prevents translating the same text twice in one run.
 const translationCache = new Map();
 
+/**
+ * translationSource for a provider (see the header).
+ */
+function describeProvider(provider, extra = {}) {
+  return { provider: provider.id, name: provider.name, model: provider.model ?? null, ...extra };
+}
+
+/**
+ * translationSource when no provider was asked ("none", "not-needed").
+ */
+function noTranslation(reason) {
+  return { provider: reason, name: null, model: null };
+}
+
 /**
  * Translate a text string to English.
  *
  * @param {string} text - Text to translate
  * @param {string} fromLang - Source language code (ISO 639-1, e.g., 'ar', 'sv')
- *                            If not provided, Google auto-detects
+ *                            If not provided, the provider auto-detects
  * @returns {Object} Translation result
  */
 async function translateText(text, fromLang = 'auto') {
@@ -38,7 +61,7 @@ async function translateText(text, fromLang = 'auto') {
       translatedText: text,
       fromLanguage: fromLang,
       toLanguage: 'en',
-      translationSource: 'none',
+      translationSource: noTranslation('none'),
       translatedAt: new Date().toISOString(),
       cached: false,
       error: null,
@@ -52,30 +75,40 @@ async function translateText(text, fromLang = 'auto') {
   }
 
   const targetLang = config.translation?.targetLanguage || 'en';
+  let provider = null;
 
   try {
+    provider = getTranslationProvider();
+
     // If text is too long, split into chunks
     const maxLen = config.translation?.maxTextLength || 5000;
     if (text.length > maxLen) {
       return await translateLongText(text, fromLang, targetLang);
     }
 
-    // Rate limiting — wait before making request
-    const delay = config.translation?.delayBetweenTranslations || 1000;
-    await sleep(delay);
+    // Ask the provider (or replay a recorded translation). The recording
+    // keeps who translated it, so a replay reports the same provider and model.
+    const result = await recorded('translation', { text, from: fromLang, to: targetLang }, async () => {
+      // Rate limiting — wait before making request
+      if (provider.throttle) {
+        const delay = config.translation?.delayBetweenTranslations || 1000;
+        await sleep(delay);
+      }
 
-    // Call Google Translate
-    const result = await translate(text, {
-      from: fromLang,
-      to: targetLang,
+      const response = await provider.translate(text, { from: fromLang, to: targetLang });
+      if (response.error) throw new Error(`${provider.name}: ${response.error}`);
+      return { text: response.text, from: response.from, ...describeProvider(provider) };
     });
 
     const translationResult = {
       originalText: text,
       translatedText: result.text,
-      fromLanguage: result.from?.language?.iso || fromLang,
+      fromLanguage: result.from || fromLang,
       toLanguage: targetLang,
-      translationSource: 'google-translate-free',
+      // Recordings made before providers were pluggable all came from Google
+      translationSource: result.provider
+        ? { provider: result.provider, name: result.name, model: result.model }
+        : { provider: 'google', name: 'Google Translate (free endpoint)', model: null },
       translatedAt: new Date().toISOString(),
       cached: false,
       error: null,
@@ -93,7 +126,9 @@ async function translateText(text, fromLang = 'auto') {
       translatedText: text, // fall back to original
       fromLanguage: fromLang,
       toLanguage: targetLang,
-      translationSource: 'failed',
+      translationSource: provider
+        ? describeProvider(provider, { failed: true })
+        : { ...noTranslation(config.translation?.provider || 'google'), failed: true },
       translatedAt: new Date().toISOString(),
       cached: false,
       error: error.message,
@@ -133,9 +168,11 @@ async function translateLongText(text, fromLang, targetLang) {
 
   // Translate each chunk
   const translatedChunks = [];
+  const sources = [];
   for (const chunk of chunks) {
     const result = await translateText(chunk, fromLang);
     translatedChunks.push(result.translatedText);
+    sources.push(result.translationSource);
   }
 
   return {
@@ -143,7 +180,8 @@ async function translateLongText(text, fromLang, targetLang) {
     translatedText: translatedChunks.join(' '),
     fromLanguage: fromLang,
     toLanguage: targetLang,
-    translationSource: 'google-translate-free',
+    // The chunks share a provider; the first failed chunk marks the whole text
+    translationSource: sources.find((s) => s.failed) || sources[0],
     translatedAt: new Date().toISOString(),
     cached: false,
     error: null,
@@ -162,12 +200,14 @@ async function translateLongText(text, fromLang, targetLang) {
 async function translateIfNeeded(text, detectedLang) {
   const skipLanguages = config.translation?.skipLanguages || ['en', 'sv'];
 
-  // Convert ISO 639-3 (franc) to ISO 639-1 (Google Translate)
+  // Convert ISO 639-3 (franc) to ISO 639-1 (what the providers expect)
   const langMap = {
     eng: 'en',
     swe: 'sv',
     ara: 'ar',
+    arb: 'ar', // franc reports Standard Arabic, Iranian Persian and Mandarin by these codes
     fas: 'fa',
+    pes: 'fa',
     tur: 'tr',
     urd: 'ur',
     fra: 'fr',
@@ -175,6 +215,7 @@ async function translateIfNeeded(text, detectedLang) {
     spa: 'es',
     rus: 'ru',
     zho: 'zh',
+    cmn: 'zh',
     hin: 'hi',
     por: 'pt',
   };
@@ -188,7 +229,7 @@ async function translateIfNeeded(text, detectedLang) {
       translatedText: text,
       fromLanguage: shortCode,
       toLanguage: shortCode,
-      translationSource: 'not-needed',
+      translationSource: noTranslation('not-needed'),
       translatedAt: new Date().toISOString(),
       cached: false,
       error: null,
@@ -2,6 +2,8 @@
  * Cross-Referencer
  *
  * Finds connections between entities by analyzing:
+ * - Table rows: a board list or funding table that states the link
+ *   ("Johan Berg | Chairman | Acme Corp", "Gulf Fund | Acme | SEK 1.2M")
  * - Co-mentions: two entities appearing near each other in text
  * - Proximity: entities within a certain word distance
  * - Anomalies: unusual frequency patterns, cross-list presence
@@ -10,10 +12,16 @@
  * looks for patterns that a human analyst would notice:
  * "Why is this person mentioned 5 times when everyone else is mentioned once?"
  * "Why do these two entities always appear together?"
+ *
+ * Relationship evidence says where the connection was seen: the source,
+ * its URL and, for PDFs, the page ("PDF: report.pdf, p. 12"), one
+ * evidence item per place.
  */
 
 const config = require('../config');
 const { containsFinancialKeywords } = require('../entities/entityPatterns');
+const { formatAmount } = require('../entities/tableExtractor');
+const { normalizeName } = require('../scrapers/baseScraper');
 
 /**
  * Main cross-referencing function.
@@ -22,13 +30,22 @@ const { containsFinancialKeywords } = require('../entities/entityPatterns');
  * @param {Array} entities - Extracted entities from entityExtractor
  * @param {Array} evidence - Evidence items from the scoring pipeline
  * @param {string} targetOrgName - The organization being assessed
- * @param {Array<{text: string, source: string}>} textSources - Raw text sources
+ * @param {Array<{text: string, source: string, sourceUrl: string, page: number}>} textSources - Raw text sources
+ * @param {Array} tableRows - Structured rows from tableExtractor.extractTableRows()
  * @returns {Object} { relationships, anomalies, coMentions }
  */
-function crossReference(entities, evidence, targetOrgName, textSources = []) {
+function crossReference(entities, evidence, targetOrgName, textSources = [], tableRows = []) {
   const relationships = [];
   const anomalies = [];
 
+  // --- Step 0: Relationships stated in table rows ---
+  // First, so a table row sets the type and label of an edge that
+  // co-mentions of the same two entities would otherwise define
+  for (const row of tableRows) {
+    const relationship = buildTableRelationship(row, entities, targetOrgName);
+    if (relationship) relationships.push(relationship);
+  }
+
   // --- Step 1: Detect co-mentions ---
   const coMentions = detectCoMentions(entities, textSources);
   for (const cm of coMentions) {
@@ -40,11 +57,13 @@ function crossReference(entities, evidence, targetOrgName, textSources = []) {
       type: classifyRelationship(cm.context),
       label: cm.entityA.roles[0] || 'co-mentioned',
       confidence: calculateCoMentionConfidence(cm),
-      evidence: [{
-        description: `Co-mentioned ${cm.count} time(s) in ${cm.source || 'text'}`,
-        source: cm.source || 'text analysis',
-        context: cm.context,
-      }],
+      evidence: cm.locations.map((location) => ({
+        description: `Co-mentioned ${location.count} time(s) in ${describeLocation(location)}`,
+        source: location.source || 'text analysis',
+        sourceUrl: location.sourceUrl,
+        page: location.page,
+        context: location.context,
+      })),
       detectedVia: 'co-mention',
     });
   }
@@ -63,6 +82,8 @@ function crossReference(entities, evidence, targetOrgName, textSources = []) {
         evidence: [{
           description: `Identified as ${entity.roles.join(', ')} via ${entity.extractedBy || 'analysis'}`,
           source: entity.sourceText || 'text analysis',
+          sourceUrl: entity.sourceUrl || '',
+          page: entity.page ?? null,
           context: entity.mentionContexts?.[0] || '',
         }],
         detectedVia: 'entity-extraction',
@@ -73,8 +94,8 @@ function crossReference(entities, evidence, targetOrgName, textSources = []) {
   // --- Step 3: Check for sanctions cross-references ---
   // If any extracted entity name appears in evidence (sanctions matches), that's significant
   for (const entity of entities) {
-    for (const ev of evidence) {
-      if (ev.matchedName && entity.name.toLowerCase().includes(ev.matchedName.toLowerCase())) {
+    for (const ev of getListHits(evidence)) {
+      if (entity.name.toLowerCase().includes(ev.matchedName.toLowerCase())) {
         relationships.push({
           from: entity.id,
           to: 'org-target',
@@ -117,8 +138,8 @@ function crossReference(entities, evidence, targetOrgName, textSources = []) {
  * a configurable character window of each other.
  *
  * @param {Array} entities - Extracted entities
- * @param {Array<{text: string, source: string}>} textSources - Text to scan
- * @returns {Array} Co-mention records
+ * @param {Array<{text: string, source: string, sourceUrl: string, page: number}>} textSources - Text to scan
+ * @returns {Array} Co-mention records (locations: where they were seen, per source and page)
  */
 function detectCoMentions(entities, textSources) {
   const windowChars = config.crossReferencing?.coMentionWindowChars || 200;
@@ -155,20 +176,34 @@ function detectCoMentions(entities, textSources) {
                 Math.min(text.length, end + 20)
               );
 
-              if (existing) {
-                existing.count++;
-                if (existing.contexts.length < 3) {
-                  existing.contexts.push(context);
-                }
+              const record = existing || {
+                entityA: a,
+                entityB: b,
+                count: 0,
+                contexts: [],
+                source: source.source || 'unknown',
+                locations: new Map(), // "source|page" → { source, sourceUrl, page, count, context }
+              };
+              record.count++;
+              if (record.contexts.length < 3) {
+                record.contexts.push(context);
+              }
+
+              const locationKey = `${source.source}|${source.page ?? ''}`;
+              const location = record.locations.get(locationKey);
+              if (location) {
+                location.count++;
               } else {
-                coMentionMap.set(key, {
-                  entityA: a,
-                  entityB: b,
-                  count: 1,
-                  contexts: [context],
+                record.locations.set(locationKey, {
                   source: source.source || 'unknown',
+                  sourceUrl: source.sourceUrl || '',
+                  page: source.page ?? null,
+                  count: 1,
+                  context,
                 });
               }
+
+              if (!existing) coMentionMap.set(key, record);
             }
           }
         }
@@ -187,6 +222,7 @@ function detectCoMentions(entities, textSources) {
         context: value.contexts[0] || '',
         allContexts: value.contexts,
         source: value.source,
+        locations: [...value.locations.values()],
       });
     }
   }
@@ -254,6 +290,7 @@ function proximitySearch(nameA, nameB, text, windowWords) {
  * Checks for:
  * 1. Frequency spikes — one entity mentioned far more than others
  * 2. Cross-list presence — an entity from one source also found in sanctions
+ *    (not counting namesake hits ruled out by their identifiers)
  * 3. Unusual clustering — many entities from the same source connected
  *
  * @param {Array} entities - Extracted entities
@@ -280,6 +317,7 @@ function detectAnomalies(entities, evidence) {
           severity: count >= avgMentions * 5 ? 'high' : 'medium',
           value: count,
           threshold: avgMentions * multiplier,
+          locations: getMentionLocations(entity),
         });
       }
     }
@@ -288,20 +326,18 @@ function detectAnomalies(entities, evidence) {
   // --- Cross-list presence ---
   // Check if any extracted entity name also appears in sanctions evidence
   for (const entity of entities) {
-    for (const ev of evidence) {
-      if (ev.matchedName) {
-        const entityLower = entity.name.toLowerCase();
-        const matchLower = ev.matchedName.toLowerCase();
-        if (entityLower.includes(matchLower) || matchLower.includes(entityLower)) {
-          anomalies.push({
-            type: 'cross-list-presence',
-            entityId: entity.id,
-            entityName: entity.name,
-            description: `"${entity.name}" found in entity extraction AND matches "${ev.matchedName}" on ${ev.source}`,
-            severity: 'high',
-            source: ev.source,
-          });
-        }
+    for (const ev of getListHits(evidence)) {
+      const entityLower = entity.name.toLowerCase();
+      const matchLower = ev.matchedName.toLowerCase();
+      if (entityLower.includes(matchLower) || matchLower.includes(entityLower)) {
+        anomalies.push({
+          type: 'cross-list-presence',
+          entityId: entity.id,
+          entityName: entity.name,
+          description: `"${entity.name}" found in entity extraction AND matches "${ev.matchedName}" on ${ev.source}`,
+          severity: 'high',
+          source: ev.source,
+        });
       }
     }
   }
@@ -311,6 +347,89 @@ function detectAnomalies(entities, evidence) {
 
 // === Helper functions ===
 
+/**
+ * List hits (evidence with a matchedName) that may be about the entity.
+ * Hits whose identifiers contradict the seed's are namesakes and left out
+ * (see analysis/identityCheck.js).
+ */
+function getListHits(evidence) {
+  return evidence.filter((ev) => ev.matchedName && ev.identityCheck?.status !== 'contradicted');
+}
+
+/**
+ * An organizational (role row) or financial (payment row) relationship
+ * from a table row. Names the row leaves out are the target organization.
+ *
+ * @param {Object} row - From tableExtractor.extractTableRows()
+ * @param {Array} entities - Entities (table names added by addTableEntities)
+ * @param {string} targetOrgName - The organization being assessed
+ * @returns {Object|null} Relationship, or null when a name isn't an entity
+ */
+function buildTableRelationship(row, entities, targetOrgName) {
+  const target = normalizeName(targetOrgName);
+  const resolve = (name) => {
+    if (!name || normalizeName(name) === target) return { id: 'org-target', name: targetOrgName };
+    const entity = entities.find((e) => normalizeName(e.name) === normalizeName(name));
+    return entity ? { id: entity.id, name: entity.name } : null;
+  };
+
+  const [from, to] = row.kind === 'payment'
+    ? [resolve(row.payer), resolve(row.payee)]
+    : [resolve(row.name), resolve(row.organization)];
+  if (!from || !to || from.id === to.id) return null;
+
+  const amount = row.kind === 'payment' ? formatAmount(row.amount, row.currency) : null;
+  return {
+    from: from.id,
+    to: to.id,
+    fromName: from.name,
+    toName: to.name,
+    type: row.kind === 'payment' ? 'financial' : 'organizational',
+    label: row.kind === 'payment' ? `paid ${amount}` : (row.role || 'affiliated'),
+    confidence: config.tableExtraction.confidence,
+    evidence: [{
+      description: `Table row in ${describeLocation(row)}: ${row.context}`,
+      source: row.source,
+      sourceUrl: row.sourceUrl,
+      page: row.page,
+      context: row.context,
+    }],
+    detectedVia: 'table-row',
+    ...(row.kind === 'payment' ? { amount: row.amount, currency: row.currency } : {}),
+  };
+}
+
+/**
+ * "PDF: report.pdf, p. 12" — a source with its page, when it has one.
+ */
+function describeLocation(location) {
+  const source = location.source || 'text';
+  return location.page ? `${source}, p. ${location.page}` : source;
+}
+
+/**
+ * Where an entity was mentioned, one entry per source and page.
+ *
+ * @param {Object} entity - Entity with mentions (from entityExtractor)
+ * @returns {Array<{source, sourceUrl, page, count, description}>}
+ */
+function getMentionLocations(entity) {
+  const locations = new Map();
+  for (const mention of entity.mentions || []) {
+    const key = `${mention.source}|${mention.page ?? ''}`;
+    const location = locations.get(key);
+    if (location) {
+      location.count++;
+    } else {
+      locations.set(key, { source: mention.source, sourceUrl: mention.sourceUrl, page: mention.page, count: 1 });
+    }
+  }
+  return [...locations.values()].map((location) => ({
+    ...location,
+    description: `"${entity.name}" mentioned ${location.count} time(s) in ${describeLocation(location)}`,
+  }));
+}
+
 /**
  * Find all positions of a substring in text (case-insensitive).
  */
@@ -388,4 +507,6 @@ module.exports = {
   detectCoMentions,
   proximitySearch,
   detectAnomalies,
+  describeLocation,
+  getMentionLocations,
 };
@@ -7,20 +7,58 @@
  *
  * Weights from the brief:
  *   government = 10, court = 10, news = 7, NGO = 6, social = 4, forum = 2
+ * plus PEP datasets = 5 (below the "credible source" cut-off of 6, so PEP
+ * hits alone never make up the 3 credible sources behind a RED flag).
+ * A domain in the source registry (storage/sourceRegistry.js) can carry
+ * its own weight, which replaces the source type's (evidence.sourceWeight).
+ *
+ * Sanctions hits whose identifiers contradict the seed's are scaled down by
+ * config.matching.contradictedIdentityWeight, so a namesake on a list
+ * doesn't count as a credible source.
+ *
+ * Dated evidence also decays with age (config.recency): a corruption story
+ * from 2009 scores far less than one from last month, and stale items no
+ * longer count toward the credible sources behind a RED flag.
  */
 
 const config = require('../config');
+const { getAgeInYears } = require('../analysis/publicationDate');
+const { getReferenceTime } = require('../storage/recordingStore');
 
 /**
  * Get the credibility weight for a given source type.
  *
- * @param {string} sourceType - One of: "government", "court", "news", "ngo", "social", "forum", "unknown"
+ * @param {string} sourceType - One of: "government", "court", "news", "ngo", "pep", "social", "forum", "unknown"
  * @returns {number} The credibility weight (1-10)
  */
 function getWeight(sourceType) {
   return config.credibilityWeights[sourceType] || config.credibilityWeights.unknown;
 }
 
+/**
+ * Recency multiplier for an evidence item: 1 while it's recent (or undated,
+ * or an exempt source type), then halving every config.recency.halfLifeYears.
+ *
+ * @param {Object} evidence - An evidence item (publishedAt: "YYYY-MM-DD")
+ * @param {Date} now - Reference time
+ * @returns {Object} { ageYears, recencyFactor, stale }
+ */
+function getRecency(evidence, now = getReferenceTime()) {
+  const { enabled, fullWeightYears, halfLifeYears, minFactor, exemptSourceTypes, staleAfterYears } = config.recency;
+  const ageYears = getAgeInYears(evidence.publishedAt, now);
+
+  if (!enabled || ageYears === null || exemptSourceTypes.includes(evidence.sourceType)) {
+    return { ageYears, recencyFactor: 1, stale: false };
+  }
+
+  const decay = 0.5 ** (Math.max(0, ageYears - fullWeightYears) / halfLifeYears);
+  return {
+    ageYears: Math.round(ageYears * 10) / 10,
+    recencyFactor: Math.round(Math.max(minFactor, decay) * 100) / 100,
+    stale: ageYears >= staleAfterYears,
+  };
+}
+
 /**
  * Score a single piece of evidence.
  *
@@ -29,10 +67,18 @@ function getWeight(sourceType) {
  * @param {string} evidence.category - Value category ("lgbtq", "racism", etc.)
  * @param {string} evidence.severity - How severe the concern is ("high", "medium", "low")
  * @param {string} evidence.description - What was found
+ * @param {number} evidence.sourceWeight - Weight from the source registry, instead of the source type's (optional)
+ * @param {Object} evidence.identityCheck - Identity check of a sanctions hit (optional)
+ * @param {string} evidence.publishedAt - Publication date, "YYYY-MM-DD" (optional)
+ * @param {Date} now - Reference time for the recency decay (default: now, or the recording time when replaying)
  * @returns {Object} The evidence with a calculated score added
  */
-function scoreEvidence(evidence) {
-  const weight = getWeight(evidence.sourceType);
+function scoreEvidence(evidence, now = getReferenceTime()) {
+  const identityMultiplier = evidence.identityCheck?.status === 'contradicted'
+    ? config.matching.contradictedIdentityWeight
+    : 1;
+  const baseWeight = evidence.sourceWeight ?? getWeight(evidence.sourceType);
+  const weight = baseWeight * identityMultiplier;
 
   // Severity multiplier: high=1.0, medium=0.7, low=0.4
   const severityMultipliers = {
@@ -42,13 +88,18 @@ function scoreEvidence(evidence) {
   };
   const severityMultiplier = severityMultipliers[evidence.severity] || 0.5;
 
-  // Final score = weight * severity
-  const score = weight * severityMultiplier;
+  const { ageYears, recencyFactor, stale } = getRecency(evidence, now);
+
+  // Final score = weight * severity * recency
+  const score = weight * severityMultiplier * recencyFactor;
 
   return {
     ...evidence,
     credibilityWeight: weight,
     severityMultiplier,
+    ageYears,
+    recencyFactor,
+    stale,
     score,
   };
 }
@@ -57,11 +108,12 @@ function scoreEvidence(evidence) {
  * Score all evidence items and produce a summary by category.
  *
  * @param {Array} evidenceList - Array of evidence objects
+ * @param {Date} now - Reference time for the recency decay (default: now, or the recording time when replaying)
  * @returns {Object} Scored results with per-category and overall totals
  */
-function scoreAllEvidence(evidenceList) {
+function scoreAllEvidence(evidenceList, now = getReferenceTime()) {
   // Score each piece of evidence
-  const scored = evidenceList.map(scoreEvidence);
+  const scored = evidenceList.map((item) => scoreEvidence(item, now));
 
   // Group scores by category
   const byCategory = {};
@@ -87,13 +139,18 @@ function scoreAllEvidence(evidenceList) {
     byCategory,
     overallScore,
     totalItems: scored.length,
-    // Count credible sources (weight >= 6, i.e., news/NGO/court/government)
-    credibleSourceCount: scored.filter((item) => item.credibilityWeight >= 6).length,
+    // Count credible sources (weight >= 6, i.e., news/NGO/court/government) that aren't stale
+    credibleSourceCount: scored.filter((item) => item.credibilityWeight >= 6 && !item.stale).length,
+    recency: {
+      dated: scored.filter((item) => item.ageYears !== null).length,
+      stale: scored.filter((item) => item.stale).length,
+    },
   };
 }
 
 module.exports = {
   getWeight,
+  getRecency,
   scoreEvidence,
   scoreAllEvidence,
 };
@@ -12,8 +12,14 @@
  *
  * Also computes thresholdInfo: shows how close the org is to the next flag level,
  * and what would need to change for the flag to shift (e.g., "1 more indicator → YELLOW").
+ *
+ * When a RED or YELLOW flag rests mostly on stale evidence (older than
+ * config.recency.staleAfterYears), details says so — the concern may
+ * have been dealt with since.
  */
 
+const config = require('../config');
+
 /**
  * Assign a flag color based on scored evidence and sanctions results.
  * Now also returns thresholdInfo with "what would change the flag" analysis.
@@ -37,8 +43,12 @@ function assignFlag({ sanctionsResult, scoredResults, hypotheses = [], confidenc
   );
   const hasCourtConviction = courtEvidence.length > 0;
 
+  // Hits whose identifiers contradict the seed's are namesakes, not rulings
+  const contradictedEvidence = scoredResults.scoredEvidence.filter(
+    (e) => e.identityCheck?.status === 'contradicted'
+  );
   const govEvidence = scoredResults.scoredEvidence.filter(
-    (e) => e.sourceType === 'government' && e.severity === 'high'
+    (e) => e.sourceType === 'government' && e.severity === 'high' && e.identityCheck?.status !== 'contradicted'
   );
   const hasGovRuling = govEvidence.length > 0;
 
@@ -119,6 +129,22 @@ function assignFlag({ sanctionsResult, scoredResults, hypotheses = [], confidenc
     flag = 'GREEN'; reason = 'No significant concerns found'; severity = 'none';
   }
 
+  // Sanctions, convictions and rulings are current records; other flags rest on the reported evidence
+  const restsOnReports = (flag === 'RED' && !isSanctioned && !hasCourtConviction && !hasGovRuling) || flag === 'YELLOW';
+  // Undated items can't be judged either way, so the share is of the dated ones
+  const datedEvidence = scoredResults.scoredEvidence
+    .filter((e) => e.identityCheck?.status !== 'contradicted' && e.ageYears != null);
+  const staleEvidence = datedEvidence.filter((e) => e.stale);
+  if (restsOnReports && staleEvidence.length > 0
+    && staleEvidence.length / datedEvidence.length >= config.recency.staleShare) {
+    const newest = staleEvidence.map((e) => e.publishedAt).sort().pop();
+    details.push(`Stale evidence: ${staleEvidence.length} of ${datedEvidence.length} dated item(s) are over ${config.recency.staleAfterYears} years old (newest ${newest}) — check whether the concerns still apply`);
+  }
+
+  if (contradictedEvidence.length > 0) {
+    details.push(`${contradictedEvidence.length} sanctions hit(s) down-weighted — identifiers contradict the seed (likely namesakes)`);
+  }
+
   // === Build threshold info — "what would change the flag" ===
 
   const thresholdInfo = buildThresholdInfo({
@@ -0,0 +1,273 @@
+/**
+ * Article Scraper
+ *
+ * Downloads the pages behind web search results and pulls out the main
+ * readable text, the author and the publish date.
+ *
+ * Search snippets are only a couple of lines: the concern is often further
+ * down in the article, and a snippet can also make an unrelated page look
+ * relevant. With the full text, relevance and keyword checks look at what
+ * the article actually says, and the text flows on into entity extraction
+ * and cross-referencing just like PDF content.
+ *
+ * Extraction is heuristic, without a readability library:
+ * - scripts, navigation, headers/footers, forms and asides are dropped
+ * - the article body is <article>, [itemprop=articleBody] or <main> if the
+ *   page has one, otherwise the element with the most paragraph text
+ * - author and date come from meta tags, JSON-LD or <time>; the date is
+ *   normalized to "YYYY-MM-DD" (null when it can't be read)
+ *
+ * The same extraction reads pages an analyst hands in directly
+ * (--url / the API's "urls"): annual report pages, NGO articles, registry
+ * extracts. Those are returned in the shape of pdfScraper.js results, so
+ * they go through the pipeline exactly like PDFs — their <table> elements
+ * included, so board lists and funding tables on a page are read row by row.
+ */
+
+const cheerio = require('cheerio');
+const { fetchUrl } = require('./baseScraper');
+const { parsePublicationDate } = require('../analysis/publicationDate');
+const { readHtmlTables } = require('../entities/tableExtractor');
+const config = require('../config');
+
+// Elements that never hold article text
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+  '.cookie', '.cookies', '.newsletter', '.share', '.social', '.related', '.comments', '.advert', '.ad',
+].join(', ');
+
+// Candidate containers for the article body, most specific first
+const BODY_SELECTORS = ['[itemprop="articleBody"]', 'article', 'main', '[role="main"]'];
+
+// Files we don't try to read as HTML
+const SKIPPED_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|zip|jpe?g|png|gif|mp[34])(\?|#|$)/i;
+
+/**
+ * Fetch one page and extract its readable text.
+ *
+ * @param {string} url - Page URL
+ * @param {Object} options
+ * @param {boolean} options.tables - Also read the page's tables (default false)
+ * @returns {Object} { success, url, title, text, author, publishedAt, tables, source, sourceUrl, error }
+ *          (tables only when asked for)
+ */
+async function fetchArticle(url, { tables = false } = {}) {
+  const base = { url, sourceUrl: url, source: `Web article: ${getHostname(url)}` };
+
+  if (SKIPPED_EXTENSIONS.test(url)) {
+    return { ...base, success: false, title: null, text: '', author: null, publishedAt: null, error: 'Not an HTML page' };
+  }
+
+  const result = await fetchUrl(url, {
+    headers: { 'Accept': 'text/html,application/xhtml+xml' },
+    cacheSource: 'article',
+  });
+  if (!result.success || typeof result.data !== 'string') {
+    return {
+      ...base, success: false, title: null, text: '', author: null, publishedAt: null,
+      error: result.error || 'Response is not text',
+    };
+  }
+
+  return {
+    ...base,
+    success: true,
+    ...extractArticle(result.data),
+    ...(tables && { tables: readHtmlTables(result.data) }),
+    error: null,
+  };
+}
+
+/**
+ * Extract title, main text, author and publish date from an HTML page.
+ *
+ * @param {string} html - Raw HTML
+ * @returns {Object} { title, text, author, publishedAt }
+ */
+function extractArticle(html) {
+  const $ = cheerio.load(html);
+  const jsonLd = readJsonLd($);
+
+  const title = $('meta[property="og:title"]').attr('content')
+    || $('h1').first().text().trim()
+    || $('title').text().trim()
+    || null;
+
+  const author = $('meta[name="author"]').attr('content')
+    || $('meta[property="article:author"]').attr('content')
+    || getJsonLdName(jsonLd?.author)
+    || $('[itemprop="author"]').first().text().trim()
+    || $('[rel="author"]').first().text().trim()
+    || null;
+
+  const publishedAt = $('meta[property="article:published_time"]').attr('content')
+    || $('meta[itemprop="datePublished"]').attr('content')
+    || $('meta[name="date"], meta[name="pubdate"], meta[name="publishdate"], meta[name="DC.date.issued"]').attr('content')
+    || jsonLd?.datePublished
+    || $('time[datetime]').first().attr('datetime')
+    || null;
+
+  $(NOISE_SELECTORS).remove();
+
+  const container = BODY_SELECTORS.map((selector) => $(selector).first()).find((el) => el.length > 0)
+    || findDensestElement($);
+  const text = getReadableText($, container || $('body'));
+
+  return {
+    title,
+    text: text.slice(0, config.webSearch.articles.maxTextLength),
+    author: author ? author.trim() : null,
+    publishedAt: parsePublicationDate(publishedAt),
+  };
+}
+
+/**
+ * Find the element whose direct <p> children hold the most text — on pages
+ * without semantic markup, that's usually the article body.
+ */
+function findDensestElement($) {
+  let best = null;
+  let bestLength = 0;
+  $('p').parent().each((_, el) => {
+    const length = $(el).children('p').text().length;
+    if (length > bestLength) {
+      best = $(el);
+      bestLength = length;
+    }
+  });
+  return best;
+}
+
+/**
+ * Paragraph text of a container, one paragraph per line.
+ * Falls back to the container's whole text when it has no block elements.
+ */
+function getReadableText($, container) {
+  const paragraphs = container.find('p, h2, h3, li, blockquote')
+    .map((_, el) => $(el).text().replace(/\s+/g, ' ').trim())
+    .get()
+    .filter((line) => line.length > 0);
+
+  const text = paragraphs.length > 0 ? paragraphs.join('\n') : container.text();
+  return text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * The first JSON-LD object describing an article (NewsArticle, Article, ...).
+ */
+function readJsonLd($) {
+  let article = null;
+  $('script[type="application/ld+json"]').each((_, el) => {
+    if (article) return;
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const items = [data, ...(Array.isArray(data) ? data : []), ...(data['@graph'] || [])];
+      article = items.find((item) => item && /Article|Posting|Report/i.test(String(item['@type']))) || null;
+    } catch {
+      // Broken JSON-LD is common — ignore it
+    }
+  });
+  return article;
+}
+
+/**
+ * JSON-LD authors can be a string, an object or an array of either.
+ */
+function getJsonLdName(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.name || null;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Fetch several pages, one at a time (fetchUrl handles the rate limiting).
+ *
+ * @param {Array<string>} urls - Page URLs
+ * @returns {Object} { results, successCount, errorCount }
+ */
+async function fetchArticles(urls) {
+  const results = [];
+  for (const url of urls) {
+    console.log(`    Fetching article: ${url}`);
+    const article = await fetchArticle(url);
+    if (!article.success) {
+      console.log(`      Skipped (${article.error})`);
+    }
+    results.push(article);
+  }
+
+  return {
+    results,
+    successCount: results.filter((r) => r.success).length,
+    errorCount: results.filter((r) => !r.success).length,
+  };
+}
+
+/**
+ * Is this an http(s) URL we can fetch?
+ *
+ * @param {string} value - Candidate URL
+ * @returns {boolean}
+ */
+function isWebUrl(value) {
+  try {
+    return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read web pages an analyst provided as sources, like PDFs.
+ *
+ * @param {Array<string>} urls - Page URLs
+ * @returns {Object} { results: [{ success, text, tables, source, sourceUrl, url, metadata, error }], successCount, errorCount }
+ */
+async function extractFromUrls(urls) {
+  const results = [];
+  for (const url of urls) {
+    console.log(`  Reading page: ${url}`);
+    const article = await fetchArticle(url, { tables: true });
+    const result = {
+      success: article.success && article.text.length > 0,
+      text: article.text,
+      tables: article.tables || [],
+      source: `Web page: ${getHostname(url)}`,
+      sourceUrl: url,
+      url,
+      metadata: {
+        title: article.title || '',
+        author: article.author || '',
+        publishedAt: article.publishedAt,
+      },
+      error: article.success && article.text.length === 0 ? 'No readable text on the page' : article.error,
+    };
+    if (!result.success) {
+      console.log(`    Failed (${result.error})`);
+    }
+    results.push(result);
+  }
+
+  return {
+    results,
+    successCount: results.filter((r) => r.success).length,
+    errorCount: results.filter((r) => !r.success).length,
+  };
+}
+
+module.exports = {
+  fetchArticle,
+  fetchArticles,
+  extractArticle,
+  extractFromUrls,
+  isWebUrl,
+};
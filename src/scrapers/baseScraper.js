@@ -6,12 +6,16 @@
  * - Rate limiting (waits between requests to be respectful)
  * - Retry logic for failed requests
  * - Error handling
+ * - Record/replay of responses (see storage/recordingStore.js)
+ * - An on-disk response cache with conditional requests (see storage/httpCache.js)
  *
  * Other scrapers extend or use this module instead of making raw HTTP calls.
  */
 
 const axios = require('axios');
 const config = require('../config');
+const { getRecordingState, recorded } = require('../storage/recordingStore');
+const { readCachedResponse, saveCachedResponse, touchCachedResponse, logCacheUse } = require('../storage/httpCache');
 
 /**
  * Sleep for a given number of milliseconds.
@@ -29,11 +33,55 @@ function sleep(ms) {
  * @param {number} options.timeout - Request timeout in ms
  * @param {string} options.responseType - Axios response type ('text', 'arraybuffer', etc.)
  * @param {Object} options.headers - Additional headers
- * @returns {Object} { success: boolean, data: string|null, error: string|null, url: string }
+ * @param {boolean} options.skipRecording - Always go to the network, even when recording/replaying
+ * @param {string} options.cacheSource - Kind of source, for the cache TTL ("search", "article", "feed", "sanctions")
+ * @returns {Object} { success: boolean, data: string|null, error: string|null, url: string, fromCache: boolean }
  */
 async function fetchUrl(url, options = {}) {
+  if (getRecordingState().mode === 'live' || options.skipRecording) {
+    return fetchLive(url, options);
+  }
+
+  // Record or replay: responses are keyed by URL and response type.
+  // Binary bodies are stored as base64.
+  const request = { url, responseType: options.responseType || 'text' };
+  try {
+    const result = await recorded('http', request, async () => {
+      const live = await fetchLive(url, options);
+      return Buffer.isBuffer(live.data)
+        ? { ...live, data: live.data.toString('base64'), dataEncoding: 'base64' }
+        : live;
+    });
+    const { dataEncoding, ...response } = result;
+    return dataEncoding === 'base64' ? { ...response, data: Buffer.from(response.data, 'base64') } : response;
+  } catch (error) {
+    return { success: false, data: null, statusCode: null, error: error.message, url };
+  }
+}
+
+/**
+ * The actual request behind fetchUrl (no recording). A fresh cached
+ * response is returned straight away; a stale one is sent along as a
+ * conditional request.
+ */
+async function fetchLive(url, options = {}) {
   const maxRetries = config.scraping.maxRetries;
   const delay = config.scraping.delayBetweenRequests;
+  const cacheOptions = {
+    responseType: options.responseType || 'text',
+    source: options.cacheSource || null,
+    headers: options.headers,
+  };
+
+  const cached = readCachedResponse(url, cacheOptions);
+  if (cached?.fresh) {
+    logCacheUse(cached, { source: cacheOptions.source });
+    return { success: true, data: cached.data, statusCode: cached.statusCode, error: null, url, fromCache: true };
+  }
+
+  const conditionalHeaders = {};
+  if (cached?.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
@@ -48,16 +96,33 @@ async function fetchUrl(url, options = {}) {
         responseType: options.responseType || 'text',
         headers: {
           'User-Agent': config.scraping.userAgent,
+          ...conditionalHeaders,
           ...options.headers,
         },
+        // 304 Not Modified is only expected when we sent a conditional request
+        validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
       });
 
+      if (response.status === 304) {
+        touchCachedResponse(url, cacheOptions);
+        logCacheUse(cached, { source: cacheOptions.source, revalidated: true });
+        return { success: true, data: cached.data, statusCode: cached.statusCode, error: null, url, fromCache: true };
+      }
+
+      saveCachedResponse(url, {
+        data: response.data,
+        statusCode: response.status,
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified'],
+      }, cacheOptions);
+
       return {
         success: true,
         data: response.data,
         statusCode: response.status,
         error: null,
         url,
+        fromCache: false,
       };
     } catch (error) {
       const errorMessage = error.response
@@ -72,6 +137,7 @@ async function fetchUrl(url, options = {}) {
           statusCode: error.response?.status || null,
           error: errorMessage,
           url,
+          fromCache: false,
         };
       }
 
@@ -103,6 +169,9 @@ function normalizeName(name) {
  * Returns true if one name contains the other, or if they share
  * enough words in common.
  *
+ * This is a quick yes/no check. Sanctions screening uses the scored,
+ * explainable matcher in analysis/nameMatcher.js instead.
+ *
  * @param {string} searchName - The name we're looking for
  * @param {string} candidateName - The name from the data source
  * @returns {boolean} Whether they match
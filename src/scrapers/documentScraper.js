@@ -0,0 +1,256 @@
+/**
+ * Document Scraper
+ *
+ * Extracts text from the documents analysts are handed — not just PDF
+ * reports, but grant applications as Word files, statutes saved from a web
+ * page, forwarded e-mails, board member lists exported to CSV.
+ *
+ * Usage:
+ *   node src/index.js "Org Name" --doc "/path/to/minutes.docx" --doc "/path/to/report.pdf"
+ *
+ * One extractor per format, picked by file extension (or, for files without
+ * a known extension, by the first bytes of the file):
+ *
+ *   pdf    .pdf                 pdfScraper.js, page by page
+ *   docx   .docx                mammoth (raw text, no formatting)
+ *   html   .html .htm .xhtml    the article extraction used for web pages
+ *   text   .txt .md .text       as is (UTF-8)
+ *   email  .eml                 headers (From, To, Date, Subject) + body
+ *   csv    .csv                 one line per row: "Column: value; Column: value"
+ *
+ * Every extractor returns the shape of extractFromPDF():
+ *   { success, text, pages, tables, pageCount, source, sourceUrl, filePath, format, metadata, error }
+ * Only PDFs have pages; for the other formats pages is empty and the whole
+ * text is one section. tables holds the document's tables, row by row
+ * (see entities/tableExtractor.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const mammoth = require('mammoth');
+const { simpleParser } = require('mailparser');
+const cheerio = require('cheerio');
+const { extractFromPDF } = require('./pdfScraper');
+const { extractArticle } = require('./articleScraper');
+const { splitCSVRecords, parseCSVLine, detectDelimiter } = require('./sanctionsParsers');
+const { readHtmlTables, findTextTables } = require('../entities/tableExtractor');
+
+// Format → label (used in source names, "DOCX: minutes.docx") and file extensions
+const DOCUMENT_TYPES = {
+  pdf: { label: 'PDF', extensions: ['.pdf'] },
+  docx: { label: 'DOCX', extensions: ['.docx'] },
+  html: { label: 'HTML', extensions: ['.html', '.htm', '.xhtml'] },
+  text: { label: 'Text', extensions: ['.txt', '.md', '.text'] },
+  email: { label: 'E-mail', extensions: ['.eml'] },
+  csv: { label: 'CSV', extensions: ['.csv'] },
+};
+
+const SUPPORTED_EXTENSIONS = Object.values(DOCUMENT_TYPES).flatMap((type) => type.extensions);
+
+/**
+ * Work out which extractor a file needs.
+ *
+ * @param {string} filePath - Path to the file
+ * @param {Buffer} data - File contents (for files without a known extension)
+ * @returns {string|null} "pdf", "docx", "html", "text", "email", "csv" — null when unsupported
+ */
+function detectDocumentType(filePath, data = null) {
+  const extension = path.extname(filePath).toLowerCase();
+  const byExtension = Object.keys(DOCUMENT_TYPES)
+    .find((format) => DOCUMENT_TYPES[format].extensions.includes(extension));
+  if (byExtension || !data) return byExtension || null;
+
+  // No (known) extension — look at the content
+  const head = data.subarray(0, 512).toString('latin1');
+  if (head.startsWith('%PDF')) return 'pdf';
+  if (head.startsWith('PK\x03\x04') && data.includes('word/document.xml')) return 'docx';
+  if (/^\s*<(!doctype html|html)/i.test(head)) return 'html';
+  if (/^(Return-Path|Received|From|Message-ID|MIME-Version|Subject):/im.test(head.split(/\r?\n\r?\n/)[0])
+    && /^From:/im.test(head)) return 'email';
+  return null;
+}
+
+// === Extractors: file contents → { text, tables, metadata } ===
+
+async function extractDocx(data) {
+  const { value } = await mammoth.extractRawText({ buffer: data });
+  const { value: html } = await mammoth.convertToHtml({ buffer: data });
+  return { text: value, tables: readHtmlTables(html), metadata: { title: '', author: '' } };
+}
+
+async function extractHtml(data) {
+  const html = data.toString('utf-8');
+  const article = extractArticle(html);
+  return {
+    text: article.text,
+    tables: readHtmlTables(html),
+    metadata: {
+      title: article.title || '',
+      author: article.author || '',
+      publishedAt: article.publishedAt,
+    },
+  };
+}
+
+async function extractText(data) {
+  const text = data.toString('utf-8').replace(/^\uFEFF/, '');
+  return { text, tables: findTextTables(text), metadata: { title: '', author: '' } };
+}
+
+async function extractEmail(data) {
+  const mail = await simpleParser(data);
+  const body = mail.text || (mail.html ? cheerio.load(mail.html).text() : '');
+
+  // Keep the headers in the text: who wrote to whom is often the point
+  const headers = [
+    mail.from?.text && `From: ${mail.from.text}`,
+    mail.to?.text && `To: ${mail.to.text}`,
+    mail.cc?.text && `Cc: ${mail.cc.text}`,
+    mail.date && `Date: ${mail.date.toISOString()}`,
+    mail.subject && `Subject: ${mail.subject}`,
+  ].filter(Boolean);
+
+  return {
+    text: `${headers.join('\n')}\n\n${body}`,
+    tables: mail.html ? readHtmlTables(mail.html) : findTextTables(body),
+    metadata: {
+      title: mail.subject || '',
+      author: mail.from?.text || '',
+      date: mail.date ? mail.date.toISOString() : null,
+      to: mail.to?.text || '',
+      attachments: (mail.attachments || []).map((a) => a.filename).filter(Boolean),
+    },
+  };
+}
+
+async function extractCsv(data) {
+  const records = splitCSVRecords(data.toString('utf-8').replace(/^\uFEFF/, ''));
+  if (records.length === 0) return { text: '', tables: [], metadata: { title: '', author: '', columns: [], rowCount: 0 } };
+
+  const delimiter = detectDelimiter(records[0]);
+  const columns = parseCSVLine(records[0], delimiter);
+  const rows = records.slice(1).map((record) => parseCSVLine(record, delimiter));
+
+  // "Name: Johan Berg; Role: Chairman" — keeps each value next to what it means
+  const lines = rows.map((fields) => columns
+    .map((column, i) => (fields[i] ? `${column || `Column ${i + 1}`}: ${fields[i]}` : null))
+    .filter(Boolean)
+    .join('; '));
+
+  return {
+    text: lines.filter(Boolean).join('\n'),
+    tables: [{ page: null, rows: [columns, ...rows] }],
+    metadata: { title: '', author: '', columns, rowCount: rows.length },
+  };
+}
+
+const EXTRACTORS = {
+  docx: extractDocx,
+  html: extractHtml,
+  text: extractText,
+  email: extractEmail,
+  csv: extractCsv,
+};
+
+/**
+ * Extract text content from a single document.
+ *
+ * @param {string} filePath - Path to the document
+ * @returns {Object} { success, text, pages, tables, pageCount, source, sourceUrl, filePath, format, metadata, error }
+ */
+async function extractFromDocument(filePath) {
+  // Resolve to absolute path
+  const absolutePath = path.resolve(filePath);
+  const fileName = path.basename(absolutePath);
+  const failure = (format, error) => ({
+    success: false,
+    text: '',
+    pages: [],
+    tables: [],
+    pageCount: 0,
+    source: `${DOCUMENT_TYPES[format]?.label || 'Document'}: ${fileName}`,
+    sourceUrl: pathToFileURL(absolutePath).href,
+    filePath: absolutePath,
+    format,
+    metadata: {},
+    error,
+  });
+
+  if (!fs.existsSync(absolutePath)) {
+    return failure(detectDocumentType(absolutePath), `File not found: ${absolutePath}`);
+  }
+
+  const data = fs.readFileSync(absolutePath);
+  const format = detectDocumentType(absolutePath, data);
+  if (!format) {
+    return failure(null, `Unsupported document type: ${fileName} (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`);
+  }
+
+  if (format === 'pdf') {
+    const result = await extractFromPDF(absolutePath);
+    // Pages without ruled tables can still hold columns aligned with tabs or spaces
+    const ruledPages = new Set(result.tables.map((t) => t.page));
+    const alignedTables = result.pages
+      .filter((p) => !ruledPages.has(p.page))
+      .flatMap((p) => findTextTables(p.text, p.page));
+    return { ...result, tables: [...result.tables, ...alignedTables], format };
+  }
+
+  try {
+    const { text, tables, metadata } = await EXTRACTORS[format](data);
+    return {
+      success: true,
+      text: text.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+      pages: [],
+      tables,
+      pageCount: 0,
+      source: `${DOCUMENT_TYPES[format].label}: ${fileName}`,
+      sourceUrl: pathToFileURL(absolutePath).href,
+      filePath: absolutePath,
+      format,
+      metadata: { ...metadata, fileSize: data.length },
+      error: null,
+    };
+  } catch (error) {
+    return failure(format, `Failed to read ${DOCUMENT_TYPES[format].label} file: ${error.message}`);
+  }
+}
+
+/**
+ * Extract text from multiple documents.
+ *
+ * @param {string[]} filePaths - Array of file paths
+ * @returns {Object} { results, totalPages, successCount, errorCount }
+ */
+async function extractFromDocuments(filePaths) {
+  const results = [];
+
+  for (const filePath of filePaths) {
+    console.log(`  Extracting: ${path.basename(filePath)}...`);
+    const result = await extractFromDocument(filePath);
+    results.push(result);
+
+    if (result.success) {
+      const pagesText = result.pageCount > 0 ? `${result.pageCount} pages, ` : '';
+      console.log(`    ${pagesText}${result.text.length} characters extracted`);
+    } else {
+      console.log(`    Error: ${result.error}`);
+    }
+  }
+
+  return {
+    results,
+    totalPages: results.reduce((sum, r) => sum + r.pageCount, 0),
+    successCount: results.filter((r) => r.success).length,
+    errorCount: results.filter((r) => !r.success).length,
+  };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  SUPPORTED_EXTENSIONS,
+  detectDocumentType,
+  extractFromDocument,
+  extractFromDocuments,
+};
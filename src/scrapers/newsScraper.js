@@ -1,49 +1,224 @@
 /**
  * News Scraper
  *
- * Searches for news articles about an organization using DuckDuckGo web search,
- * filtered for results from known news source URLs.
+ * Monitors news outlets and NGOs through their RSS/Atom feeds
+ * (config.news.feeds: SVT, DN, Amnesty, ...), so news coverage doesn't
+ * depend on a single search engine answering.
  *
- * Powered by the web search scraper module.
+ * Feed items are kept in a local store (storage/newsStore.js) and each
+ * feed is re-read once its last check is older than the refresh interval.
+ * An assessment then searches every stored item for the org name and the
+ * seed names; matches that mention a concern become "news" or "ngo"
+ * evidence (the feed's sourceType) with the item's title, date and link.
+ *
+ * When recording or replaying (storage/recordingStore.js), every feed is
+ * read fresh and only the items read in this run are searched — the store
+ * holds whatever has come in since, which a replay can't reproduce.
  */
 
-const { searchForOrganization, classifySourceUrl, analyzeSnippetForKeywords } = require('./webSearchScraper');
+const cheerio = require('cheerio');
+const { fetchUrl } = require('./baseScraper');
+const { analyzeSnippetForKeywords, isResultRelevant } = require('./webSearchScraper');
+const { parsePublicationDate } = require('../analysis/publicationDate');
+const { readFeed, isDue, saveFeedItems, recordFeedError } = require('../storage/newsStore');
+const { getRecordingState } = require('../storage/recordingStore');
+const { findSource } = require('../storage/sourceRegistry');
+const config = require('../config');
 
 /**
- * Search news sources for mentions of an organization.
+ * Parse an RSS 2.0 or Atom feed.
+ *
+ * @param {string} xml - Feed XML
+ * @returns {Array<Object>} Items: [{ id, title, link, summary, publishedAt }]
+ */
+function parseFeed(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const items = [];
+
+  // RSS: <item>; Atom: <entry>
+  $('item, entry').each((_, el) => {
+    const item = $(el);
+    const title = toPlainText(item.children('title').first().text());
+    const link = item.children('link').first().attr('href')       // Atom
+      || item.children('link').first().text().trim()              // RSS
+      || null;
+    const summary = toPlainText(
+      item.children('description, summary').first().text()
+      || item.children('content, content\\:encoded').first().text()
+    );
+    const date = item.children('pubDate, published, updated, dc\\:date').first().text().trim();
+    const id = item.children('guid, id').first().text().trim() || link;
+
+    if (title && id) {
+      items.push({
+        id,
+        title,
+        link,
+        summary: summary.slice(0, 1000),
+        publishedAt: parsePublicationDate(date),
+      });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Feed text often carries (escaped) HTML — keep only the words. Block
+ * tags become spaces, so "<p>board</p><p>resigned</p>" doesn't run together
+ * (full-text content:encoded is mostly paragraphs).
+ */
+function toPlainText(text) {
+  if (!text) return '';
+  const spaced = text.replace(/<(\/?)(p|div|br|li|h[1-6]|tr|td|th|blockquote)\b/gi, ' <$1$2');
+  return cheerio.load(spaced).root().text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Re-read the configured feeds into the local store.
+ *
+ * @param {Object} options
+ * @param {boolean} options.force - Re-read feeds even if they aren't due (default false)
+ * @returns {Array<Object>} [{ feedId, name, success, skipped, added, total, items, error }]
+ *          (items: what was read from the feed this time)
+ */
+async function refreshNewsFeeds({ force = false } = {}) {
+  const results = [];
+  // A replay must neither change the store nor read it (what's stored now
+  // isn't what was stored when recording): every feed comes from the recording
+  const replaying = getRecordingState().mode === 'replay';
+
+  for (const feed of config.news.feeds.filter((f) => f.url)) {
+    const record = replaying ? { items: [] } : readFeed(feed.id);
+    if (!force && !isDue(record)) {
+      results.push({ feedId: feed.id, name: feed.name, success: true, skipped: true, added: 0, total: record.items.length, items: [], error: null });
+      continue;
+    }
+
+    console.log(`    Reading feed: ${feed.name}`);
+    const response = await fetchUrl(feed.url, {
+      headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+      cacheSource: 'feed',
+    });
+
+    const items = response.success ? parseFeed(String(response.data)) : [];
+    const error = response.success
+      ? (items.length === 0 ? 'No items in feed (not RSS/Atom?)' : null)
+      : response.error;
+
+    if (error) {
+      if (!replaying) recordFeedError(feed, error);
+      console.log(`      Failed (${error}) — using ${record.items.length} stored item(s)`);
+      results.push({ feedId: feed.id, name: feed.name, success: false, skipped: false, added: 0, total: record.items.length, items: [], error });
+    } else {
+      const { added, total } = replaying ? { added: 0, total: items.length } : saveFeedItems(feed, items);
+      results.push({ feedId: feed.id, name: feed.name, success: true, skipped: false, added, total, items, error: null });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Search the stored feed items for an organization and its seeds.
+ * Feeds that are due are re-read first.
  *
  * @param {string} orgName - Organization name to search for
- * @returns {Object} { orgName, articles, source, totalSearchResults, error, checkedAt }
+ * @param {Array} seeds - User-provided seeds (their names are searched too)
+ * @returns {Object} { orgName, articles, source, feedsChecked, itemsSearched, errors, checkedAt }
  */
-async function searchNews(orgName) {
-  console.log(`  Searching news for "${orgName}"...`);
+async function searchNews(orgName, seeds = []) {
+  const empty = { orgName, articles: [], source: 'News feeds', feedsChecked: [], itemsSearched: 0, errors: [] };
+  if (!config.news.enabled) return { ...empty, checkedAt: new Date().toISOString() };
 
-  const searchResult = await searchForOrganization(orgName);
+  console.log(`  Checking news feeds for "${orgName}"...`);
+  const reproducible = getRecordingState().mode !== 'live';
+  const refresh = await refreshNewsFeeds({ force: reproducible });
+  const names = [orgName, ...seeds.map((seed) => seed.name)];
 
-  // Filter for news-classified results
-  const newsResults = searchResult.allResults.filter(
-    (r) => classifySourceUrl(r.url) === 'news'
-  );
+  const articles = [];
+  let itemsSearched = 0;
+  for (const feed of config.news.feeds.filter((f) => f.url)) {
+    const items = reproducible
+      ? refresh.find((r) => r.feedId === feed.id)?.items || []
+      : readFeed(feed.id).items;
+    itemsSearched += items.length;
 
-  const articles = newsResults.map((r) => ({
-    title: r.title,
-    url: r.url,
-    snippet: r.snippet,
-    keywords: analyzeSnippetForKeywords(`${r.title} ${r.snippet}`),
-  }));
+    for (const item of items) {
+      const text = `${item.title} ${item.summary}`;
+      const matchedNames = names.filter((name) => isResultRelevant(text, name));
+      if (matchedNames.length === 0) continue;
 
-  console.log(`  Found ${articles.length} news article(s) from ${searchResult.searchesPerformed} searches`);
+      articles.push({
+        title: item.title,
+        url: item.link,
+        snippet: item.summary,
+        publishedAt: item.publishedAt,
+        feed: feed.name,
+        sourceType: feed.sourceType,
+        language: feed.language || null,
+        matchedNames,
+        keywords: analyzeSnippetForKeywords(text),
+      });
+    }
+  }
+
+  console.log(`  Found ${articles.length} feed item(s) mentioning the organization or seeds (${itemsSearched} searched)`);
 
   return {
-    orgName,
+    ...empty,
     articles,
-    source: 'DuckDuckGo News Search',
-    totalSearchResults: searchResult.totalResults,
-    error: searchResult.errors.length > 0 ? searchResult.errors.join('; ') : null,
+    feedsChecked: refresh.filter((r) => r.success).map((r) => r.name),
+    itemsSearched,
+    errors: refresh.filter((r) => r.error).map((r) => `${r.name}: ${r.error}`),
     checkedAt: new Date().toISOString(),
   };
 }
 
+/**
+ * Convert matching feed items into evidence items.
+ * Only items that mention a concern (keyword match) become evidence.
+ *
+ * @param {Object} newsResult - From searchNews()
+ * @param {Set<string>} skipUrls - URLs already covered by other evidence (e.g., web search)
+ * @returns {Array<Object>} Evidence items
+ */
+function buildEvidenceFromNews(newsResult, skipUrls = new Set()) {
+  const evidence = [];
+  const order = { high: 0, medium: 1, low: 2 };
+
+  for (const article of newsResult.articles) {
+    if (article.keywords.length === 0 || skipUrls.has(article.url)) continue;
+
+    // Pick the highest-severity keyword match for the primary category
+    const primary = [...article.keywords].sort((a, b) => (order[a.severity] ?? 2) - (order[b.severity] ?? 2))[0];
+    const snippet = article.snippet.length > 200 ? article.snippet.substring(0, 200) + '...' : article.snippet;
+    const registryEntry = findSource(article.url);
+
+    evidence.push({
+      sourceType: article.sourceType,
+      category: primary.category,
+      severity: primary.severity,
+      description: `${article.title}${snippet ? ` — ${snippet}` : ''}`,
+      source: `News feed: ${article.feed}`,
+      sourceUrl: article.url,
+      sourceDomain: registryEntry?.domain || null,
+      sourceWeight: registryEntry?.weight ?? null,
+      status: 'unverified',
+      matchedKeywords: article.keywords.map((k) => k.term),
+      matchedNames: article.matchedNames,
+      language: article.language,
+      publishedAt: article.publishedAt,
+      dateSource: article.publishedAt ? 'feed' : null,
+    });
+  }
+
+  return evidence;
+}
+
 module.exports = {
+  parseFeed,
+  refreshNewsFeeds,
   searchNews,
+  buildEvidenceFromNews,
 };
@@ -3,27 +3,38 @@
  *
  * Extracts text from PDF reports so it can be fed through the analysis pipeline.
  *
+ * Called by documentScraper.js for .pdf files.
+ *
  * Use case: analysts have PDF reports from organizations like FATF (financial crime),
  * EU terrorism situation reports, Amnesty International, Human Rights Watch, etc.
  * These reports often contain entity names, organization connections, and financial
  * trail data that the entity extractor and cross-referencer can pick up.
  *
  * Usage:
- *   node src/index.js "Org Name" --pdf "/path/to/report.pdf"
+ *   node src/index.js "Org Name" --doc "/path/to/report.pdf"
  *
  * The extracted text flows into: language detection → translation → entity extraction
  * → cross-referencing. All the detective logic works on PDF content automatically.
+ *
+ * Text is kept per page (pages: [{ page, text }]) and the page number travels
+ * with it through the pipeline, so entity mentions, relationships and
+ * hypotheses can cite "report.pdf, p. 12" — and link straight to it
+ * (file:///.../report.pdf#page=12).
+ *
+ * Ruled tables (board lists, funding tables) are also read cell by cell
+ * (tables: [{ page, rows }]) — see entities/tableExtractor.js.
  */
 
 const fs = require('fs');
 const path = require('path');
-const pdfParse = require('pdf-parse');
+const { pathToFileURL } = require('url');
+const { PDFParse } = require('pdf-parse');
 
 /**
  * Extract text content from a single PDF file.
  *
  * @param {string} filePath - Path to the PDF file
- * @returns {Object} { success, text, pageCount, source, sourceUrl, filePath, metadata, error }
+ * @returns {Object} { success, text, pages: [{ page, text }], tables: [{ page, rows }], pageCount, source, sourceUrl, filePath, metadata, error }
  */
 async function extractFromPDF(filePath) {
   // Resolve to absolute path
@@ -35,34 +46,43 @@ async function extractFromPDF(filePath) {
     return {
       success: false,
       text: '',
+      pages: [],
+      tables: [],
       pageCount: 0,
       source: `PDF: ${fileName}`,
-      sourceUrl: `file:///${absolutePath.replace(/\\/g, '/')}`,
+      sourceUrl: pathToFileURL(absolutePath).href,
       filePath: absolutePath,
       metadata: {},
       error: `File not found: ${absolutePath}`,
     };
   }
 
+  let parser = null;
   try {
     // Read the PDF file
     const dataBuffer = fs.readFileSync(absolutePath);
 
-    // Parse the PDF
-    const data = await pdfParse(dataBuffer);
+    // Parse the PDF, page by page
+    parser = new PDFParse({ data: dataBuffer });
+    const content = await parser.getText();
+    const { info } = await parser.getInfo();
+    const pages = content.pages.map((p) => ({ page: p.num, text: p.text || '' }));
+    const tables = await readTables(parser);
 
     return {
       success: true,
-      text: data.text || '',
-      pageCount: data.numpages || 0,
+      text: pages.map((p) => p.text).join('\n\n'),
+      pages,
+      tables,
+      pageCount: content.total || 0,
       source: `PDF: ${fileName}`,
-      sourceUrl: `file:///${absolutePath.replace(/\\/g, '/')}`,
+      sourceUrl: pathToFileURL(absolutePath).href,
       filePath: absolutePath,
       metadata: {
-        title: data.info?.Title || '',
-        author: data.info?.Author || '',
-        creationDate: data.info?.CreationDate || '',
-        pageCount: data.numpages || 0,
+        title: info?.Title || '',
+        author: info?.Author || '',
+        creationDate: info?.CreationDate || '',
+        pageCount: content.total || 0,
         fileSize: dataBuffer.length,
       },
       error: null,
@@ -71,46 +91,35 @@ async function extractFromPDF(filePath) {
     return {
       success: false,
       text: '',
+      pages: [],
+      tables: [],
       pageCount: 0,
       source: `PDF: ${fileName}`,
-      sourceUrl: `file:///${absolutePath.replace(/\\/g, '/')}`,
+      sourceUrl: pathToFileURL(absolutePath).href,
       filePath: absolutePath,
       metadata: {},
       error: `Failed to parse PDF: ${error.message}`,
     };
+  } finally {
+    if (parser) await parser.destroy();
   }
 }
 
 /**
- * Extract text from multiple PDF files.
+ * Ruled tables, page by page. A PDF whose drawings can't be read still has
+ * its text, so this never fails the extraction.
  *
- * @param {string[]} filePaths - Array of file paths
- * @returns {Object} { results, totalPages, successCount, errorCount }
+ * @returns {Array<{page, rows: string[][]}>}
  */
-async function extractFromMultiplePDFs(filePaths) {
-  const results = [];
-
-  for (const filePath of filePaths) {
-    console.log(`  Extracting: ${path.basename(filePath)}...`);
-    const result = await extractFromPDF(filePath);
-    results.push(result);
-
-    if (result.success) {
-      console.log(`    ${result.pageCount} pages, ${result.text.length} characters extracted`);
-    } else {
-      console.log(`    Error: ${result.error}`);
-    }
+async function readTables(parser) {
+  try {
+    const result = await parser.getTable();
+    return result.pages.flatMap((p) => p.tables.map((rows) => ({ page: p.num, rows })));
+  } catch (err) {
+    return [];
   }
-
-  return {
-    results,
-    totalPages: results.reduce((sum, r) => sum + r.pageCount, 0),
-    successCount: results.filter((r) => r.success).length,
-    errorCount: results.filter((r) => !r.success).length,
-  };
 }
 
 module.exports = {
   extractFromPDF,
-  extractFromMultiplePDFs,
 };
@@ -0,0 +1,912 @@
+/**
+ * Sanctions List Parsers
+ *
+ * Turns the raw files published by each sanctions authority into records
+ * with one common shape, so the sanctions scraper can match them all the
+ * same way:
+ *
+ *   { id, name, recordType ("person" | "organization"), program,
+ *     nameVariants, aliases: [{ name, type, quality, nameVariants }],
+ *     ...list-specific fields (listing date, birth data, legal reference) }
+ *
+ * Where a list publishes them, records also carry the data used to tell
+ * namesakes apart: birthDates [{ date, place }], citizenships, and
+ * identifiers [{ type ("passport" | "national-id" | "registration" | "other"),
+ * number, country }].
+ *
+ * `id` is the list's own stable identifier for the entry; it is also the key
+ * used by the sanctions store to track additions and removals.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const cheerio = require('cheerio');
+
+// OFAC type codes that mark a row as an individual in the older name-first
+// layout. The official ent_num export spells it out ("individual") and uses
+// "-0-" as its empty-field placeholder instead.
+const OFAC_INDIVIDUAL_TYPES = ['-0-', 'individual'];
+
+// UN name parts, in order, for <INDIVIDUAL> records
+const UN_NAME_PARTS = ['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME'];
+
+// EU subject types that mark a record as a person ("P" is the classification code)
+const EU_PERSON_TYPES = ['person', 'p'];
+
+// UK group types we screen ("Ship" rows are skipped)
+const UK_GROUP_TYPES = { individual: 'person', entity: 'organization' };
+
+// UK given-name columns, in order ("Name 6" is the surname / entity name)
+const UK_GIVEN_NAME_COLUMNS = ['Name 1', 'Name 2', 'Name 3', 'Name 4', 'Name 5'];
+
+// FollowTheMoney schemata we screen, and the record type they map to
+const FTM_SCHEMATA = {
+  Person: 'person',
+  Organization: 'organization',
+  Company: 'organization',
+  LegalEntity: 'organization',
+  PublicBody: 'organization',
+};
+
+// FollowTheMoney identifier properties, and the identifier type they map to
+const FTM_IDENTIFIER_PROPERTIES = [
+  ['passportNumber', 'passport'],
+  ['idNumber', 'national-id'],
+  ['registrationNumber', 'registration'],
+  ['taxNumber', 'registration'],
+  ['innCode', 'registration'],
+  ['ogrnCode', 'registration'],
+];
+
+// OFAC remark labels for identity documents, and the identifier type they map to.
+// Remarks read like "DOB 01 Jan 1960; nationality Iraq; Passport A123 (Iraq); ..."
+const OFAC_REMARK_IDENTIFIERS = [
+  { pattern: /^passport (?:no\.? )?(\S+)(?: \(([^)]+)\))?/i, type: 'passport' },
+  { pattern: /^(?:national id no\.|cedula no\.|identification number|personal id card) (\S+)(?: \(([^)]+)\))?/i, type: 'national-id' },
+  { pattern: /^(?:registration (?:id|number)|company number|business registration (?:document|number) #?|tax id no\.) ?(\S+)(?: \(([^)]+)\))?/i, type: 'registration' },
+];
+
+/**
+ * Map a list's own document label ("Passport", "National Identification
+ * Number", "regnumber", "Tax ID") onto an identifier type.
+ *
+ * @param {string} label - Document type as written on the list
+ * @returns {string} "passport", "national-id", "registration" or "other"
+ */
+function classifyIdentifierType(label) {
+  const lower = (label || '').toLowerCase();
+  if (lower.includes('passport')) return 'passport';
+  if (/regist|company|business|tax|fiscal|\b(inn|ogrn|tin|kpp)\b/.test(lower)) return 'registration';
+  if (/national|identi|\bid\b|cedula|personal/.test(lower)) return 'national-id';
+  return 'other';
+}
+
+/**
+ * Add an identifier to a record's list, skipping empty and duplicate numbers.
+ */
+function addIdentifier(identifiers, type, number, country = null) {
+  const value = (number || '').trim();
+  if (!value || identifiers.some((id) => id.type === type && id.number === value)) return;
+  identifiers.push({ type, number: value, country: country || null });
+}
+
+/**
+ * Pull birth dates, nationalities and identity documents out of the
+ * free-text remarks of an OFAC SDN row.
+ *
+ * @param {string} remarks - The SDN "Remarks" column
+ * @returns {Object} { birthDates, citizenships, identifiers }
+ */
+function parseOFACRemarks(remarks) {
+  const details = { birthDates: [], citizenships: [], identifiers: [] };
+
+  for (const rawPart of (remarks || '').split(';')) {
+    const part = rawPart.trim().replace(/\.$/, '').replace(/^alt\.\s*/i, '');
+    if (!part) continue;
+
+    const dob = part.match(/^DOB (.+)$/i);
+    if (dob) {
+      details.birthDates.push({ date: dob[1].trim(), place: null });
+      continue;
+    }
+    const nationality = part.match(/^(?:nationality|citizen) (.+)$/i);
+    if (nationality) {
+      if (!details.citizenships.includes(nationality[1].trim())) details.citizenships.push(nationality[1].trim());
+      continue;
+    }
+    for (const { pattern, type } of OFAC_REMARK_IDENTIFIERS) {
+      const id = part.match(pattern);
+      if (id) {
+        addIdentifier(details.identifiers, type, id[1], id[2]);
+        break;
+      }
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Build the name variants to compare for an OFAC individual row.
+ * OFAC writes individuals as "LAST, First Second Third", so we compare
+ * both the list order and the natural "First Second Third Last" order.
+ *
+ * @param {string} name - Name as written on the list
+ * @returns {string[]} Name variants
+ */
+function getOFACIndividualNameVariants(name) {
+  const [lastName, givenNames] = name.split(',').map((part) => part.trim());
+  if (!givenNames) return [name];
+  return [name, `${givenNames} ${lastName}`, `${lastName} ${givenNames}`];
+}
+
+/**
+ * Map a list's own alias quality wording onto "good" / "low".
+ * UN uses "Good"/"Low"; OFAC marks weak AKAs in the alias remarks.
+ */
+function normalizeAliasQuality(quality) {
+  const lower = (quality || '').toLowerCase();
+  if (lower.includes('low') || lower.includes('weak')) return 'low';
+  if (lower.includes('good') || lower.includes('strong')) return 'good';
+  return null;
+}
+
+/**
+ * Parse the OFAC SDN file (and optional alt.csv alias file) into records.
+ *
+ * The SDN CSV comes in two layouts:
+ *   ent_num, SDN Name, SDN Type, Program, ...   (the official export)
+ *   SDN Name, SDN Type, Program, ...            (older/hand-made copies)
+ * The layout is detected per row by whether the first column is numeric.
+ * Aliases can only be linked in the first layout (alt.csv refers to ent_num),
+ * and only the official export has the Remarks column (the 12th) with birth
+ * dates, nationalities and ID documents.
+ *
+ * alt.csv columns: ent_num, alt_num, alt_type (aka/fka/nka), alt_name, alt_remarks
+ *
+ * @param {string} sdnData - Raw SDN CSV
+ * @param {string} altData - Raw alt.csv (optional)
+ * @returns {Array<Object>} Records: { id, name, recordType, type, program, birthDates,
+ *   citizenships, identifiers, nameVariants, aliases }
+ */
+function buildOFACRecords(sdnData, altData = '') {
+  const records = [];
+  const byEntNum = new Map();
+
+  for (const line of sdnData.split('\n')) {
+    const fields = parseCSVLine(line);
+    if (fields.length < 2) continue;
+
+    const hasEntNum = /^\d+$/.test(fields[0]);
+    const [entNum, name, type, program] = hasEntNum ? fields : [null, ...fields];
+    if (!name || type === undefined) continue;
+
+    const isIndividual = hasEntNum
+      ? type.toLowerCase() === 'individual'
+      : OFAC_INDIVIDUAL_TYPES.includes(type.toLowerCase());
+    const record = {
+      id: entNum || name,
+      name,
+      recordType: isIndividual ? 'person' : 'organization',
+      type,
+      program: program || 'Unknown',
+      ...parseOFACRemarks(hasEntNum ? fields[11] : ''),
+      nameVariants: isIndividual ? getOFACIndividualNameVariants(name) : [name],
+      aliases: [],
+    };
+    records.push(record);
+    if (entNum) byEntNum.set(entNum, record);
+  }
+
+  for (const line of altData.split('\n')) {
+    const [entNum, , altType, altName, altRemarks] = parseCSVLine(line);
+    const record = byEntNum.get(entNum);
+    if (!record || !altName || altName === '-0-') continue;
+
+    const aliasType = (altType || 'aka').toLowerCase().replace(/\./g, '');
+    const variants = record.recordType === 'person' ? getOFACIndividualNameVariants(altName) : [altName];
+    record.aliases.push({
+      name: altName,
+      type: aliasType,
+      // OFAC only flags the weak ones; everything else is a regular (good) AKA
+      quality: normalizeAliasQuality(altRemarks) || 'good',
+      nameVariants: variants,
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Parse the UN Consolidated List XML into records.
+ *
+ * Every <INDIVIDUAL>/<ENTITY> becomes one record with its primary name,
+ * its <NAME_ORIGINAL_SCRIPT> (if any), and all <INDIVIDUAL_ALIAS>/<ENTITY_ALIAS>
+ * names with their QUALITY marker. Individuals also get their birth dates,
+ * nationalities and identity documents.
+ *
+ * @param {string} xml - Raw UN list XML
+ * @returns {Array<Object>} Records: { id, name, recordType, listType, program, referenceNumber,
+ *   birthDates, citizenships, identifiers, nameVariants, aliases }
+ */
+function buildUNRecords(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const records = [];
+
+  $('INDIVIDUAL, ENTITY').each((_, element) => {
+    const isIndividual = element.tagName === 'INDIVIDUAL';
+    const nameParts = isIndividual ? UN_NAME_PARTS : ['FIRST_NAME', 'SECOND_NAME'];
+    const name = nameParts
+      .map((part) => $(element).children(part).text().trim())
+      .filter(Boolean)
+      .join(' ');
+    if (!name) return;
+
+    const referenceNumber = $(element).children('REFERENCE_NUMBER').text().trim();
+    const listType = $(element).find('UN_LIST_TYPE').first().text() || 'Unknown';
+    const aliases = [];
+
+    const originalScript = $(element).children('NAME_ORIGINAL_SCRIPT').text().trim();
+    if (originalScript) {
+      aliases.push({ name: originalScript, type: 'original-script', quality: 'good', nameVariants: [originalScript] });
+    }
+
+    $(element).children(isIndividual ? 'INDIVIDUAL_ALIAS' : 'ENTITY_ALIAS').each((__, aliasEl) => {
+      const aliasName = $(aliasEl).children('ALIAS_NAME').text().trim();
+      if (!aliasName) return;
+      aliases.push({
+        name: aliasName,
+        type: 'aka',
+        quality: normalizeAliasQuality($(aliasEl).children('QUALITY').text()),
+        nameVariants: [aliasName],
+      });
+    });
+
+    // Birth dates are a full DATE, a YEAR, or a FROM_YEAR/TO_YEAR range
+    const birthDates = [];
+    $(element).children('INDIVIDUAL_DATE_OF_BIRTH').each((__, dobEl) => {
+      const child = (tag) => $(dobEl).children(tag).text().trim();
+      const date = child('DATE') || child('YEAR')
+        || [child('FROM_YEAR'), child('TO_YEAR')].filter(Boolean).join(' to ');
+      if (date) birthDates.push({ date, place: null });
+    });
+
+    const citizenships = [];
+    $(element).children('NATIONALITY').children('VALUE').each((__, valueEl) => {
+      const country = $(valueEl).text().trim();
+      if (country && !citizenships.includes(country)) citizenships.push(country);
+    });
+
+    const identifiers = [];
+    $(element).children('INDIVIDUAL_DOCUMENT').each((__, docEl) => {
+      const child = (tag) => $(docEl).children(tag).text().trim();
+      addIdentifier(identifiers, classifyIdentifierType(child('TYPE_OF_DOCUMENT')), child('NUMBER'),
+        child('ISSUING_COUNTRY') || child('COUNTRY_OF_ISSUE'));
+    });
+
+    records.push({
+      id: referenceNumber || name,
+      name,
+      recordType: isIndividual ? 'person' : 'organization',
+      listType,
+      program: listType,
+      referenceNumber,
+      birthDates,
+      citizenships,
+      identifiers,
+      nameVariants: [name],
+      aliases,
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Parse the EU Financial Sanctions File (FSF) CSV into records.
+ *
+ * The FSF export is one big joined table: every row repeats the entity
+ * columns (Entity_*) next to one name, address, birth date, identification
+ * or citizenship. Rows are grouped by Entity_LogicalId, and each record
+ * collects its names, regulations, birth data, citizenships and
+ * identification documents.
+ *
+ * Columns are looked up by header name (see readCSVTable), so both the ";"
+ * and "," variants of the file work, and unknown extra columns are ignored.
+ *
+ * @param {string} data - Raw FSF CSV
+ * @returns {Array<Object>} Records: { id, name, recordType, euReferenceNumber, unReferenceNumber,
+ *   program, listedOn, regulations, birthDates, citizenships, identifiers, remark, nameVariants, aliases }
+ */
+function buildEURecords(data) {
+  const byId = new Map();
+
+  for (const get of readCSVTable(data, 'Entity_LogicalId')) {
+    const id = get('Entity_LogicalId');
+    if (!id) continue;
+
+    let record = byId.get(id);
+    if (!record) {
+      const subjectType = get('Entity_SubjectType_ClassificationCode', 'Entity_SubjectType').toLowerCase();
+      record = {
+        id,
+        name: null,
+        recordType: EU_PERSON_TYPES.includes(subjectType) ? 'person' : 'organization',
+        euReferenceNumber: get('Entity_EU_ReferenceNumber') || null,
+        unReferenceNumber: get('Entity_UnitedNationId') || null,
+        program: null,
+        listedOn: get('Entity_DesignationDate') || null,
+        regulations: [],
+        birthDates: [],
+        citizenships: [],
+        identifiers: [],
+        remark: get('Entity_Remark', 'Entity_DesignationDetails') || null,
+        nameVariants: [],
+        aliases: [],
+      };
+      byId.set(id, record);
+    }
+
+    // --- Names: the first one becomes the primary name, the rest are aliases ---
+    const lastName = get('NameAlias_LastName');
+    const firstName = get('NameAlias_FirstName');
+    const wholeName = get('NameAlias_WholeName')
+      || [firstName, get('NameAlias_MiddleName'), lastName].filter(Boolean).join(' ');
+    if (wholeName) {
+      const known = [record.name, ...record.aliases.map((a) => a.name)]
+        .some((name) => name && name.toLowerCase() === wholeName.toLowerCase());
+      if (!known) {
+        const variants = record.recordType === 'person' && firstName && lastName
+          ? [wholeName, `${lastName} ${firstName}`]
+          : [wholeName];
+        if (!record.name) {
+          record.name = wholeName;
+          record.nameVariants = variants;
+        } else {
+          record.aliases.push({ name: wholeName, type: 'aka', quality: null, nameVariants: variants });
+        }
+      }
+    }
+
+    // --- Regulations (the legal acts that listed or amended the entry) ---
+    const regulationNumber = get('Entity_Regulation_NumberTitle');
+    if (regulationNumber && !record.regulations.some((r) => r.number === regulationNumber)) {
+      record.regulations.push({
+        number: regulationNumber,
+        type: get('Entity_Regulation_Type') || null,
+        programme: get('Entity_Regulation_Programme') || null,
+        publicationDate: get('Entity_Regulation_PublicationDate') || null,
+        entryIntoForceDate: get('Entity_Regulation_EntryIntoForceDate') || null,
+        url: get('Entity_Regulation_PublicationUrl') || null,
+      });
+    }
+
+    // --- Birth data (persons only) ---
+    const birthDate = get('BirthDate_BirthDate')
+      || [get('BirthDate_Year'), get('BirthDate_Month'), get('BirthDate_Day')].filter(Boolean).join('-');
+    const birthPlace = [get('BirthDate_City', 'BirthDate_Place'), get('BirthDate_CountryDescription', 'BirthDate_CountryIso2Code')]
+      .filter(Boolean).join(', ');
+    if ((birthDate || birthPlace)
+      && !record.birthDates.some((b) => b.date === (birthDate || null) && b.place === (birthPlace || null))) {
+      record.birthDates.push({ date: birthDate || null, place: birthPlace || null });
+    }
+
+    // --- Citizenship ---
+    const citizenship = get('Citizenship_CountryDescription', 'Citizenship_CountryIso2Code');
+    if (citizenship && !record.citizenships.includes(citizenship)) {
+      record.citizenships.push(citizenship);
+    }
+
+    // --- Identification documents (passports, ID cards, registration numbers) ---
+    addIdentifier(
+      record.identifiers,
+      classifyIdentifierType(`${get('Identification_TypeCode')} ${get('Identification_TypeDescription')}`),
+      get('Identification_Number'),
+      get('Identification_CountryDescription', 'Identification_CountryIso2Code')
+    );
+  }
+
+  const records = [];
+  for (const record of byId.values()) {
+    if (!record.name) continue;
+    // The first regulation is the one that put the entry on the list
+    const firstRegulation = record.regulations[0];
+    record.program = firstRegulation?.programme || 'Unknown';
+    record.listedOn = record.listedOn || firstRegulation?.publicationDate || null;
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Parse the UK consolidated list (OFSI ConList.csv) into records.
+ *
+ * Like the EU file, each row holds one name of a designated person or
+ * entity, and rows are grouped by "Group ID". Individuals have their given
+ * names in "Name 1" … "Name 5" and their surname in "Name 6"; entities put
+ * the whole name in "Name 6". Ships are skipped.
+ *
+ * @param {string} data - Raw ConList CSV (the "Last Updated" line before the header is fine)
+ * @returns {Array<Object>} Records: { id, name, recordType, program, listedOn, birthDates,
+ *   citizenships, identifiers, remark, nameVariants, aliases }
+ */
+function buildUKRecords(data) {
+  const byId = new Map();
+  const namesById = new Map();
+
+  for (const get of readCSVTable(data, 'Group ID')) {
+    const id = get('Group ID');
+    const recordType = UK_GROUP_TYPES[get('Group Type').toLowerCase()];
+    if (!id || !recordType) continue;
+
+    let record = byId.get(id);
+    if (!record) {
+      record = {
+        id,
+        name: null,
+        recordType,
+        program: get('Regime') || 'Unknown',
+        listedOn: get('Listed On', 'UK Sanctions List Date Designated') || null,
+        birthDates: [],
+        citizenships: [],
+        identifiers: [],
+        remark: get('Other Information') || null,
+        nameVariants: [],
+        aliases: [],
+      };
+      byId.set(id, record);
+      namesById.set(id, []);
+    }
+    const names = namesById.get(id);
+
+    const givenNames = UK_GIVEN_NAME_COLUMNS.map((column) => get(column)).filter(Boolean).join(' ');
+    const surname = get('Name 6');
+    const name = [givenNames, surname].filter(Boolean).join(' ');
+    if (name) {
+      const aliasType = get('Alias Type').toLowerCase();
+      names.push({
+        name,
+        type: aliasType === 'primary name' ? 'primary' : (aliasType || 'aka'),
+        quality: normalizeAliasQuality(get('Alias Quality')),
+        nameVariants: givenNames && surname ? [name, `${surname} ${givenNames}`] : [name],
+      });
+    }
+
+    const originalScript = get('Name Non-Latin Script');
+    if (originalScript) {
+      names.push({ name: originalScript, type: 'original-script', quality: 'good', nameVariants: [originalScript] });
+    }
+
+    const birthDate = get('DOB');
+    const birthPlace = [get('Town of Birth'), get('Country of Birth')].filter(Boolean).join(', ');
+    if ((birthDate || birthPlace)
+      && !record.birthDates.some((b) => b.date === (birthDate || null) && b.place === (birthPlace || null))) {
+      record.birthDates.push({ date: birthDate || null, place: birthPlace || null });
+    }
+
+    const nationality = get('Nationality');
+    if (nationality && !record.citizenships.includes(nationality)) {
+      record.citizenships.push(nationality);
+    }
+
+    addIdentifier(record.identifiers, 'passport', get('Passport Number'));
+    addIdentifier(record.identifiers, 'national-id', get('National Identification Number'));
+    addIdentifier(record.identifiers, 'registration', get('Business Registration Number', 'Company Number'));
+  }
+
+  const records = [];
+  for (const record of byId.values()) {
+    finalizeNames(record, namesById.get(record.id));
+    if (record.name) records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Parse the Swiss SECO consolidated list (SESAM XML export) into records.
+ *
+ * Each <target> holds one <individual>, <entity> or <object> (ships,
+ * aircraft — skipped). Names are built from their ordered <name-part>
+ * values; spelling variants in other scripts become original-script
+ * aliases. The programme comes from the target's sanctions set.
+ *
+ * @param {string} xml - Raw SECO XML
+ * @returns {Array<Object>} Records: { id, name, recordType, program, listedOn, birthDates,
+ *   citizenships, identifiers, remark, nameVariants, aliases }
+ */
+function buildSECORecords(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  // Sanctions set id → programme key (e.g. "Ukraine", "Syria")
+  const programmes = new Map();
+  $('sanctions-program').each((_, programEl) => {
+    const key = $(programEl).children('program-key[lang="eng"]').text().trim()
+      || $(programEl).children('program-key').first().text().trim();
+    $(programEl).children('sanctions-set').each((__, setEl) => {
+      programmes.set($(setEl).attr('ssid'), key);
+    });
+  });
+
+  const records = [];
+
+  $('target').each((_, targetEl) => {
+    const target = $(targetEl);
+    const subject = target.children('individual, entity').first();
+    if (subject.length === 0) return;
+
+    const names = [];
+    subject.find('identity > name').each((__, nameEl) => {
+      const parts = $(nameEl).children('name-part').toArray()
+        .sort((a, b) => Number($(a).attr('order') || 0) - Number($(b).attr('order') || 0));
+      const name = parts.map((part) => $(part).children('value').text().trim()).filter(Boolean).join(' ');
+      if (!name) return;
+
+      names.push({
+        name,
+        type: $(nameEl).attr('name-type') === 'primary-name' ? 'primary' : 'aka',
+        quality: normalizeAliasQuality($(nameEl).attr('quality')),
+        nameVariants: [name],
+      });
+
+      const variant = parts
+        .map((part) => $(part).children('spelling-variant').first().text().trim())
+        .filter(Boolean)
+        .join(' ');
+      if (variant) {
+        names.push({ name: variant, type: 'original-script', quality: 'good', nameVariants: [variant] });
+      }
+    });
+
+    const birthDates = [];
+    subject.find('identity day-month-year').each((__, dateEl) => {
+      const date = ['year', 'month', 'day']
+        .map((part) => $(dateEl).attr(part))
+        .filter(Boolean)
+        .join('-');
+      if (date) birthDates.push({ date, place: null });
+    });
+
+    // Depending on the export version, the country is an attribute or the element text
+    const citizenships = [];
+    subject.find('identity nationality').each((__, nationalityEl) => {
+      const el = $(nationalityEl);
+      const country = el.attr('country-iso-code') || el.attr('country') || el.text().trim();
+      if (country && !citizenships.includes(country)) citizenships.push(country);
+    });
+
+    const identifiers = [];
+    subject.find('identity identification-document').each((__, documentEl) => {
+      const el = $(documentEl);
+      const issuer = el.children('issuer').first();
+      addIdentifier(identifiers, classifyIdentifierType(el.attr('document-type')), el.children('number').first().text(),
+        issuer.attr('code') || issuer.text().trim());
+    });
+
+    const listing = target.children('modification[modification-type="listed"]').first();
+    const record = {
+      id: target.attr('ssid'),
+      name: null,
+      recordType: subject[0].tagName === 'individual' ? 'person' : 'organization',
+      program: programmes.get(target.children('sanctions-set-id').first().text().trim()) || 'Unknown',
+      listedOn: listing.attr('enactment-date') || listing.attr('publication-date') || listing.attr('effective-date') || null,
+      birthDates,
+      citizenships,
+      identifiers,
+      remark: subject.children('justification').first().text().trim() || null,
+      nameVariants: [],
+      aliases: [],
+    };
+
+    finalizeNames(record, names);
+    if (record.id && record.name) records.push(record);
+  });
+
+  return records;
+}
+
+/**
+ * Parse a local watchlist file, such as an internal exclusion list.
+ *
+ * JSON files hold an array of entries; CSV files need a header row.
+ * Both use the same fields:
+ *   name, type ("person" or "organization"), aliases (in CSV separated by "|"),
+ *   program, reference, listedOn, remark,
+ *   position, country (optional — used by PEP datasets),
+ *   birthDate, passportNumber, registrationNumber (optional — used to tell namesakes apart)
+ *
+ * @param {string} data - Raw file content
+ * @param {string} format - "json" or "csv"
+ * @returns {Array<Object>} Records: { id, name, recordType, program, referenceNumber,
+ *   listedOn, remark, positions, birthDates, citizenships, identifiers, nameVariants, aliases }
+ */
+function buildLocalRecords(data, format) {
+  const entries = format === 'json'
+    ? JSON.parse(data)
+    : readCSVTable(data, 'name').map((get) => ({
+      name: get('name'),
+      type: get('type'),
+      aliases: get('aliases').split('|'),
+      program: get('program'),
+      reference: get('reference'),
+      listedOn: get('listedOn', 'listed_on'),
+      remark: get('remark'),
+      position: get('position'),
+      country: get('country'),
+      birthDate: get('birthDate', 'birth_date'),
+      passportNumber: get('passportNumber', 'passport'),
+      registrationNumber: get('registrationNumber', 'registration'),
+    }));
+
+  const records = [];
+  for (const entry of entries) {
+    if (!entry || !entry.name) continue;
+
+    const aliases = (entry.aliases || [])
+      .map((alias) => (typeof alias === 'string' ? { name: alias } : alias))
+      .filter((alias) => alias && alias.name && alias.name.trim());
+
+    const identifiers = [];
+    addIdentifier(identifiers, 'passport', entry.passportNumber);
+    addIdentifier(identifiers, 'registration', entry.registrationNumber);
+
+    const record = {
+      id: String(entry.reference || entry.id || entry.name),
+      name: null,
+      recordType: (entry.type || '').toLowerCase() === 'person' ? 'person' : 'organization',
+      program: entry.program || 'Unknown',
+      referenceNumber: entry.reference || null,
+      listedOn: entry.listedOn || null,
+      remark: entry.remark || null,
+      positions: entry.position ? [entry.position] : [],
+      birthDates: entry.birthDate ? [{ date: entry.birthDate, place: null }] : [],
+      citizenships: entry.country ? [entry.country] : [],
+      identifiers,
+      nameVariants: [],
+      aliases: [],
+    };
+
+    finalizeNames(record, [
+      { name: entry.name.trim(), type: 'primary', quality: 'good', nameVariants: [entry.name.trim()] },
+      ...aliases.map((alias) => ({
+        name: alias.name.trim(),
+        type: alias.type || 'aka',
+        quality: alias.quality || null,
+        nameVariants: [alias.name.trim()],
+      })),
+    ]);
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Turn one FollowTheMoney entity (one line of an OpenSanctions-style
+ * .ftm.json export) into a record.
+ *
+ * Only people and organizations that are screening targets are kept —
+ * addresses, sanctions, vessels and entities that only appear as
+ * relatives/owners (target: false) are skipped. Property values can be
+ * plain strings or nested entities; only strings are used.
+ *
+ *   name / alias / previousName → primary name and aliases
+ *   weakAlias                   → low-quality alias
+ *   topics                      → kept as-is (sanction, role.pep, crime, ...)
+ *   position                    → positions (public offices held, for PEPs)
+ *
+ * @param {Object} entity - Parsed FtM entity { id, schema, caption, properties, datasets, target, first_seen }
+ * @returns {Object|null} Record: { id, name, recordType, program, topics, datasets, listedOn, birthDates,
+ *   citizenships, positions, identifiers, remark, nameVariants, aliases }, or null if the entity isn't screened
+ */
+function buildFtMRecord(entity) {
+  const recordType = FTM_SCHEMATA[entity?.schema];
+  if (!recordType || !entity.id || entity.target === false) return null;
+
+  const properties = entity.properties || {};
+  const values = (...props) => [...new Set(props.flatMap((prop) => properties[prop] || [])
+    .filter((value) => typeof value === 'string' && value.trim())
+    .map((value) => value.trim()))];
+
+  const nameEntry = (name, type, quality) => ({ name, type, quality, nameVariants: [name] });
+  const names = [
+    ...(entity.caption ? [nameEntry(entity.caption, 'primary', 'good')] : []),
+    ...values('name').map((name) => nameEntry(name, 'primary', 'good')),
+    ...values('alias').map((name) => nameEntry(name, 'aka', 'good')),
+    ...values('previousName').map((name) => nameEntry(name, 'fka', 'good')),
+    ...values('weakAlias').map((name) => nameEntry(name, 'aka', 'low')),
+  ];
+
+  const birthPlace = values('birthPlace')[0] || null;
+  const identifiers = [];
+  for (const [prop, type] of FTM_IDENTIFIER_PROPERTIES) {
+    for (const number of values(prop)) addIdentifier(identifiers, type, number);
+  }
+  const record = {
+    id: entity.id,
+    name: null,
+    recordType,
+    program: values('program')[0] || entity.datasets?.[0] || 'Unknown',
+    topics: values('topics'),
+    datasets: entity.datasets || [],
+    listedOn: entity.first_seen || null,
+    birthDates: values('birthDate').map((date) => ({ date, place: birthPlace })),
+    citizenships: values('nationality', 'citizenship', 'country', 'jurisdiction'),
+    positions: values('position'),
+    identifiers,
+    remark: values('notes')[0] || null,
+    nameVariants: [],
+    aliases: [],
+  };
+
+  finalizeNames(record, names);
+  return record.name ? record : null;
+}
+
+/**
+ * Read a FollowTheMoney JSON lines file into records, one entity per line.
+ * The file is streamed, since full snapshots can be far larger than we'd
+ * want to hold as one string. Malformed lines are skipped.
+ *
+ * @param {string} filePath - Absolute path to the .ftm.json file
+ * @returns {Array<Object>} Records (see buildFtMRecord)
+ */
+async function readFtMFile(filePath) {
+  const records = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf-8'),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entity;
+    try {
+      entity = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const record = buildFtMRecord(entity);
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Set a record's primary name and aliases from the names collected for it.
+ * The first "primary" name wins (or the first name if none is marked);
+ * duplicates are dropped.
+ *
+ * @param {Object} record - Record being built (name, nameVariants and aliases are set)
+ * @param {Array<Object>} names - [{ name, type, quality, nameVariants }]
+ */
+function finalizeNames(record, names) {
+  const seen = new Set();
+  const unique = names.filter((entry) => {
+    const key = entry.name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const primary = unique.find((entry) => entry.type === 'primary') || unique[0];
+  if (!primary) return;
+
+  record.name = primary.name;
+  record.nameVariants = primary.nameVariants;
+  record.aliases = unique
+    .filter((entry) => entry !== primary)
+    .map((entry) => ({ ...entry, type: entry.type === 'primary' ? 'aka' : entry.type }));
+}
+
+/**
+ * Read a CSV file with a header row into per-row column getters.
+ *
+ * The header is the first record that contains keyColumn, so preamble lines
+ * (like the UK list's "Last Updated" line) are skipped. Each getter takes
+ * one or more column names and returns the first non-empty value among
+ * them ("" if none).
+ *
+ * @param {string} data - Raw CSV text (";" or "," separated)
+ * @param {string} keyColumn - A column name that identifies the header row
+ * @returns {Array<Function>} One getter per data row
+ */
+function readCSVTable(data, keyColumn) {
+  const rows = splitCSVRecords(data.replace(/^\uFEFF/, ''));
+
+  const headerIndex = rows.findIndex((row) => row.includes(keyColumn));
+  if (headerIndex === -1) return [];
+
+  const delimiter = detectDelimiter(rows[headerIndex]);
+  const columns = new Map(parseCSVLine(rows[headerIndex], delimiter).map((name, i) => [name, i]));
+  if (!columns.has(keyColumn)) return [];
+
+  return rows.slice(headerIndex + 1).map((row) => {
+    const fields = parseCSVLine(row, delimiter);
+    return (...names) => {
+      for (const name of names) {
+        const value = columns.has(name) ? fields[columns.get(name)] : '';
+        if (value) return value;
+      }
+      return '';
+    };
+  });
+}
+
+/**
+ * Simple CSV line parser that handles quoted fields.
+ * Splits a CSV line into an array of field values.
+ *
+ * @param {string} line - A single line from a CSV file
+ * @param {string} delimiter - Field separator (default ",")
+ * @returns {string[]} Array of field values
+ */
+function parseCSVLine(line, delimiter = ',') {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === delimiter && !inQuotes) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim()); // push the last field
+
+  return fields;
+}
+
+/**
+ * Split CSV text into records, keeping quoted fields that span several
+ * lines (e.g. long remarks) together in one record.
+ *
+ * @param {string} data - Raw CSV text
+ * @returns {string[]} One string per CSV record (blank lines dropped)
+ */
+function splitCSVRecords(data) {
+  const records = [];
+  let pending = '';
+  let quoteCount = 0;
+
+  for (const line of data.split(/\r?\n/)) {
+    pending = pending ? `${pending}\n${line}` : line;
+    quoteCount += (line.match(/"/g) || []).length;
+    // An odd number of quotes means a quoted field continues on the next line
+    if (quoteCount % 2 === 0) {
+      if (pending.trim()) records.push(pending);
+      pending = '';
+      quoteCount = 0;
+    }
+  }
+  if (pending.trim()) records.push(pending);
+
+  return records;
+}
+
+/**
+ * Guess the field separator of a CSV file from its header line.
+ */
+function detectDelimiter(headerLine) {
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+}
+
+module.exports = {
+  buildOFACRecords,
+  buildUNRecords,
+  buildEURecords,
+  buildUKRecords,
+  buildSECORecords,
+  buildLocalRecords,
+  buildFtMRecord,
+  readFtMFile,
+  parseCSVLine,
+  splitCSVRecords,
+  detectDelimiter,
+};
@@ -1,247 +1,701 @@
 /**
  * Sanctions List Scraper
  *
- * Checks an organization against international sanctions lists:
+ * Checks an organization or a person against sanctions lists and watchlists.
+ * Built in:
  * - OFAC SDN List (US Treasury)
  * - UN Security Council Consolidated List
  * - EU Consolidated Sanctions List
+ * - UK Consolidated List (OFSI)
+ * - Swiss SECO Sanctions List
+ * plus any local watchlist files configured in config.sanctions.localLists
+ * (for example an internal exclusion list) and offline FollowTheMoney
+ * snapshots in config.sanctions.ftmFiles (OpenSanctions-style sanctions,
+ * PEP and crime data).
  *
  * These are the most structured and reliable data sources we have.
- * Each list is available as a downloadable file (CSV or XML).
  *
- * Returns structured results indicating whether the org was found
- * on any sanctions list, along with source details.
+ * Each list is a "provider" with three parts:
+ *   fetch()          — get the raw data (from the local sanctions store or a file)
+ *   parse(data)      — turn it into records with a common shape (see sanctionsParsers.js)
+ *   describeRecord() — list-specific fields to include in a match (optional)
+ * Checking is the same for every provider, so adding a list means registering
+ * a provider (registerProvider) or pointing config at a local file.
+ *
+ * Downloaded lists are read from the local sanctions store (see
+ * storage/sanctionsStore.js), which downloads each file once and refreshes
+ * it on a schedule.
+ *
+ * Matching is done on names. Each record is indexed with all of its name
+ * variants — AKA/FKA aliases, original-script names and their quality
+ * markers — and each match reports which name triggered it, since
+ * designated organizations often operate under alternative names.
+ * When the caller knows a date of birth, nationality, passport or
+ * registration number, each hit is also checked against the record's own
+ * data (see analysis/identityCheck.js) and marked confirmed, contradicted
+ * or unresolved. Contradicted hits don't make the result "sanctioned".
+ *
+ * Each match also gets a value category from its programme (terrorism
+ * programmes → anti-democratic, human-rights regimes → human-rights, ...;
+ * see config.sanctions.programmeCategories), so the evidence reflects what
+ * the designation is about.
  */
 
-const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
 const config = require('../config');
-const { fetchUrl, fuzzyMatch } = require('./baseScraper');
+const { matchRecord } = require('../analysis/nameMatcher');
+const { checkIdentity } = require('../analysis/identityCheck');
+const sanctionsStore = require('../storage/sanctionsStore');
+const {
+  buildOFACRecords,
+  buildUNRecords,
+  buildEURecords,
+  buildUKRecords,
+  buildSECORecords,
+  buildLocalRecords,
+  readFtMFile,
+  parseCSVLine,
+} = require('./sanctionsParsers');
+
+// Local list files are resolved relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+
+// --- Parsed record index ---
+// Key: provider id, Value: { hash, records }
+// Parsing a multi-megabyte list once per version instead of once per seed.
+const recordIndexCache = new Map();
+
+// Severity order used to pick the strongest FtM topic
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Programme → category rules from config, compiled once
+const PROGRAMME_RULES = config.sanctions.programmeCategories.map((rule) => ({
+  pattern: new RegExp(rule.pattern, 'i'),
+  category: rule.category,
+}));
+
+// --- Registered providers, in the order they are checked ---
+// Key: provider id, Value: provider
+const providers = new Map();
 
 /**
- * Check the OFAC SDN list (CSV format).
- *
- * The CSV has columns like:
- *   SDN Name, SDN Type, Program, Title, Vessel Info, ...
- * We're interested in column 0 (name) and column 1 (type).
- * Type "-0-" means an individual, other values are entities/organizations.
+ * Summarize which stored version of a list a check ran against.
+ * Included in every result so an assessment records exactly what it checked.
+ */
+function describeListVersion(listResult) {
+  return {
+    version: listResult.version,
+    fetchedAt: listResult.fetchedAt,
+    hash: listResult.hash,
+    fromStore: listResult.fromStore,
+    stale: listResult.stale,
+  };
+}
+
+/**
+ * Add "newly listed" info to a match, based on the store's recorded deltas
+ * (history: from sanctionsStore.getListingHistory). Lists that aren't kept
+ * in the store (local files) have no deltas.
+ */
+function withListingInfo(history, entryKey, match) {
+  if (!history) {
+    return { ...match, newlyListed: false, listedSince: null };
+  }
+  const addition = history.findAddition(entryKey);
+  return {
+    ...match,
+    newlyListed: history.isNewlyListed(entryKey),
+    listedSince: addition ? addition.addedAt : null,
+  };
+}
+
+/**
+ * Decide which screening mode a seed/search type maps to.
  *
- * @param {string} orgName - Organization name to search for
- * @returns {Object} { found: boolean, matches: Array, source: string, error: string|null }
+ * @param {string} type - "person" or "organization" (anything else → organization)
+ * @returns {string} "person" or "organization"
  */
-async function checkOFAC(orgName) {
-  console.log('  Checking OFAC SDN List...');
+function getScreeningMode(type) {
+  return type === 'person' ? 'person' : 'organization';
+}
 
-  const result = await fetchUrl(config.sanctions.ofacUrl);
+/**
+ * Read a list from the local sanctions store.
+ *
+ * @param {Object} list - Store descriptor { id, url, extractEntries, entriesFormat }
+ * @returns {Object} { success, data, hash, listVersion, error }
+ */
+async function fetchFromStore(list) {
+  const result = await sanctionsStore.getList(list);
   if (!result.success) {
-    return {
-      found: false,
-      matches: [],
-      source: 'OFAC SDN List',
-      sourceUrl: config.sanctions.ofacUrl,
-      error: result.error,
-    };
+    return { success: false, data: null, error: result.error };
   }
+  return {
+    success: true,
+    data: result.data,
+    hash: result.hash,
+    listVersion: describeListVersion(result),
+    error: null,
+  };
+}
 
-  const matches = [];
+/**
+ * Create a provider for a single downloadable list kept in the sanctions store.
+ * The store tracks additions/removals by the ids of the parsed records.
+ *
+ * @param {Object} options
+ * @param {string} options.id - Provider id (also the store folder and threshold key)
+ * @param {string} options.name - Source name shown in results and reports
+ * @param {string} options.url - Download URL
+ * @param {Function} options.parse - (data) → records
+ * @param {Function} options.describeRecord - (record) → extra match fields (optional)
+ * @param {string} options.entriesFormat - Store entry key format label (optional)
+ * @returns {Object} Provider
+ */
+function createListProvider({ id, name, url, parse, describeRecord, entriesFormat }) {
+  const list = {
+    id,
+    url,
+    entriesFormat,
+    extractEntries: (data) => parse(data).map((record) => record.id),
+  };
+  return {
+    id,
+    name,
+    sourceUrl: url,
+    lists: [list],
+    fetch: () => fetchFromStore(list),
+    parse,
+    describeRecord,
+  };
+}
+
+/**
+ * Create a provider for a watchlist kept as a local JSON or CSV file
+ * (format described in sanctionsParsers.js → buildLocalRecords).
+ *
+ * @param {Object} options
+ * @param {string} options.id - Provider id
+ * @param {string} options.name - Source name shown in results and reports
+ * @param {string} options.path - File path (relative paths start at the project root)
+ * @param {string} options.format - "json" or "csv" (default: from the file extension)
+ * @param {string} options.sourceType - Evidence source type (default "government")
+ * @returns {Object} Provider
+ */
+function createFileProvider({ id, name, path: filePath, format, sourceType }) {
+  const resolved = path.resolve(projectRoot, filePath);
+  const fileFormat = format || (path.extname(resolved).toLowerCase() === '.json' ? 'json' : 'csv');
 
-  // Parse CSV line by line
-  const lines = result.data.split('\n');
-  for (const line of lines) {
-    // Simple CSV parsing — split by comma, but respect quoted fields
-    const fields = parseCSVLine(line);
-    if (fields.length < 2) continue;
-
-    const name = fields[0];
-    const type = fields[1];
-
-    // Skip individuals (we only care about organizations/entities)
-    // In OFAC data, "-0-" is the type code for individuals
-    if (type === '-0-') continue;
-
-    // Check if this entry matches our search
-    if (fuzzyMatch(orgName, name)) {
-      matches.push({
-        name: name.trim(),
-        type: type.trim(),
-        program: fields[2] ? fields[2].trim() : 'Unknown',
-      });
+  return {
+    id,
+    name: name || id,
+    sourceUrl: pathToFileURL(resolved).href,
+    sourceType: sourceType || 'government',
+    lists: [],
+    async fetch() {
+      if (!fs.existsSync(resolved)) {
+        return { success: false, data: null, error: `File not found: ${resolved}` };
+      }
+      const stats = fs.statSync(resolved);
+      return {
+        success: true,
+        data: fs.readFileSync(resolved, 'utf-8'),
+        hash: `${stats.mtimeMs}:${stats.size}`,
+        listVersion: { file: resolved, modifiedAt: stats.mtime.toISOString(), fromStore: false, stale: false },
+        error: null,
+      };
+    },
+    parse: (data) => buildLocalRecords(data, fileFormat),
+    describeRecord: (record) => ({
+      referenceNumber: record.referenceNumber,
+      listedOn: record.listedOn,
+      remark: record.remark,
+    }),
+  };
+}
+
+/**
+ * Map a sanctions programme onto a value category using
+ * config.sanctions.programmeCategories (first matching rule wins).
+ *
+ * @param {string} program - Programme code or name (e.g. "SDGT", "Al-Qaida", "Global Human Rights")
+ * @returns {string} Value category, or "unmapped"
+ */
+function classifyProgramme(program) {
+  const rule = PROGRAMME_RULES.find((r) => r.pattern.test(program || ''));
+  return rule ? rule.category : 'unmapped';
+}
+
+/**
+ * Map FtM topics onto an evidence category and severity using
+ * config.sanctions.ftmTopics. Unlisted topics fall back to their parent
+ * ("crime.fraud" → "crime"); when several topics map, the most severe wins.
+ *
+ * @param {string[]} topics - FtM topics of an entity
+ * @returns {Object} { topic, category, severity } — topic is null when nothing mapped
+ */
+function classifyTopics(topics) {
+  const mapping = config.sanctions.ftmTopics;
+  let best = null;
+
+  for (const topic of topics) {
+    let key = topic;
+    while (key && !mapping[key]) {
+      key = key.includes('.') ? key.slice(0, key.lastIndexOf('.')) : null;
+    }
+    if (key && (!best || SEVERITY_RANK[mapping[key].severity] > SEVERITY_RANK[best.severity])) {
+      best = { topic, ...mapping[key] };
     }
   }
 
+  return best || { topic: null, ...mapping.default };
+}
+
+/**
+ * Create a provider for an offline FollowTheMoney snapshot (JSON lines,
+ * e.g. an OpenSanctions export). Only entities whose topics include
+ * "sanction" count as sanctions hits; PEP and crime entries still produce
+ * matches, with their own evidence category and severity.
+ *
+ * @param {Object} options
+ * @param {string} options.id - Provider id
+ * @param {string} options.name - Source name shown in results and reports
+ * @param {string} options.path - File path (relative paths start at the project root)
+ * @param {string} options.sourceType - Evidence source type (default "government")
+ * @returns {Object} Provider
+ */
+function createFtMProvider({ id, name, path: filePath, sourceType }) {
+  const resolved = path.resolve(projectRoot, filePath);
+  // Parsed records of the current file version: { hash, records }
+  let loaded = null;
+
   return {
-    found: matches.length > 0,
-    matches,
-    source: 'OFAC SDN List (US Treasury)',
-    sourceUrl: config.sanctions.ofacUrl,
-    error: null,
+    id,
+    name: name || id,
+    sourceUrl: pathToFileURL(resolved).href,
+    sourceType: sourceType || 'government',
+    lists: [],
+    async fetch() {
+      if (!fs.existsSync(resolved)) {
+        return { success: false, data: null, error: `File not found: ${resolved}` };
+      }
+      const stats = fs.statSync(resolved);
+      const hash = `${stats.mtimeMs}:${stats.size}`;
+      if (!loaded || loaded.hash !== hash) {
+        console.log(`  Loading FollowTheMoney snapshot ${path.basename(resolved)}...`);
+        loaded = { hash, records: await readFtMFile(resolved) };
+      }
+      return {
+        success: true,
+        data: loaded.records,
+        hash,
+        listVersion: { file: resolved, modifiedAt: stats.mtime.toISOString(), fromStore: false, stale: false },
+        error: null,
+      };
+    },
+    // fetch() already streams the file into records
+    parse: (records) => records,
+    describeRecord: (record) => {
+      const classification = classifyTopics(record.topics);
+      return {
+        sanctioned: record.topics.includes('sanction'),
+        topics: record.topics,
+        // Sanctions entries are categorized by programme, like the other lists
+        category: classification.topic === 'sanction' ? classifyProgramme(record.program) : classification.category,
+        severity: classification.severity,
+        datasets: record.datasets,
+        identifiers: record.identifiers,
+        listedOn: record.listedOn,
+        birthDates: record.birthDates,
+        citizenships: record.citizenships,
+        remark: record.remark,
+      };
+    },
   };
 }
 
+// --- Built-in providers ---
+
+// OFAC publishes aliases in a separate file (alt.csv), linked by entity number
+const OFAC_LIST = {
+  id: 'ofac',
+  url: config.sanctions.ofacUrl,
+  extractEntries: (data) => buildOFACRecords(data).map((record) => record.id),
+};
+const OFAC_ALT_LIST = {
+  id: 'ofac-alt',
+  url: config.sanctions.ofacAltUrl,
+  extractEntries: (data) => data.split('\n')
+    .map((line) => parseCSVLine(line).slice(0, 2).join(':'))
+    .filter((key) => key !== ':' && key.length > 1),
+};
+
+// Fields shared by the lists that publish birth data and citizenship
+const describePersonDetails = (record) => ({
+  listedOn: record.listedOn,
+  birthDates: record.birthDates,
+  citizenships: record.citizenships,
+  remark: record.remark,
+});
+
+const BUILT_IN_PROVIDERS = {
+  ofac: {
+    id: 'ofac',
+    name: 'OFAC SDN List (US Treasury)',
+    sourceUrl: config.sanctions.ofacUrl,
+    lists: [OFAC_LIST, OFAC_ALT_LIST],
+    async fetch() {
+      const sdn = await fetchFromStore(OFAC_LIST);
+      if (!sdn.success) return sdn;
+
+      // Aliases are a bonus — if the alias file is unavailable, still check primary names
+      const alt = await fetchFromStore(OFAC_ALT_LIST);
+      return {
+        ...sdn,
+        data: { sdn: sdn.data, alt: alt.success ? alt.data : '' },
+        hash: `${sdn.hash}:${alt.hash || ''}`,
+        details: { aliasesIndexed: alt.success },
+      };
+    },
+    parse: (data) => buildOFACRecords(data.sdn, data.alt),
+    describeRecord: (record) => ({ type: record.type }),
+  },
+
+  un: createListProvider({
+    id: 'un',
+    name: 'UN Security Council Consolidated List',
+    url: config.sanctions.unUrl,
+    parse: buildUNRecords,
+    describeRecord: (record) => ({ listType: record.listType, referenceNumber: record.referenceNumber }),
+  }),
+
+  eu: createListProvider({
+    id: 'eu',
+    name: 'EU Consolidated Sanctions List',
+    url: config.sanctions.euUrl,
+    parse: buildEURecords,
+    // Earlier versions were tracked by raw CSV line — don't diff against those
+    entriesFormat: 'logical-id',
+    describeRecord: (record) => {
+      // The first regulation is the legal act that put the entry on the list
+      const firstRegulation = record.regulations[0];
+      return {
+        euReferenceNumber: record.euReferenceNumber,
+        unReferenceNumber: record.unReferenceNumber,
+        legalReference: firstRegulation
+          ? { regulation: firstRegulation.number, publicationDate: firstRegulation.publicationDate, url: firstRegulation.url }
+          : null,
+        regulations: record.regulations,
+        ...describePersonDetails(record),
+      };
+    },
+  }),
+
+  uk: createListProvider({
+    id: 'uk',
+    name: 'UK Consolidated List (OFSI)',
+    url: config.sanctions.ukUrl,
+    parse: buildUKRecords,
+    describeRecord: describePersonDetails,
+  }),
+
+  seco: createListProvider({
+    id: 'seco',
+    name: 'Swiss SECO Sanctions List',
+    url: config.sanctions.secoUrl,
+    parse: buildSECORecords,
+    describeRecord: describePersonDetails,
+  }),
+};
+
 /**
- * Check the UN Security Council Sanctions List (XML format).
+ * Register a sanctions list / watchlist provider.
+ * Providers are checked in registration order; registering an existing id
+ * replaces that provider.
  *
- * The XML contains <ENTITY> elements for organizations and
- * <INDIVIDUAL> elements for people. We search the entities.
+ * @param {Object} provider
+ * @param {string} provider.id - Unique id (also selects the matching threshold)
+ * @param {string} provider.name - Source name shown in results and reports
+ * @param {string} provider.sourceUrl - Where the list comes from
+ * @param {string} provider.sourceType - Evidence source type (default "government")
+ * @param {Array<Object>} provider.lists - Sanctions store descriptors to refresh (may be empty)
+ * @param {Function} provider.fetch - async () → { success, data, hash, listVersion, details, error }
+ * @param {Function} provider.parse - (data) → records in the common schema
+ * @param {Function} provider.describeRecord - (record) → extra match fields (optional)
+ * @returns {Object} The registered provider
+ */
+function registerProvider(provider) {
+  for (const field of ['id', 'name', 'fetch', 'parse']) {
+    if (!provider[field]) {
+      throw new Error(`Sanctions provider is missing "${field}"`);
+    }
+  }
+  providers.set(provider.id, { lists: [], sourceType: 'government', ...provider });
+  return providers.get(provider.id);
+}
+
+/**
+ * Get the registered providers, in the order they are checked.
  *
- * @param {string} orgName - Organization name to search for
- * @returns {Object} { found: boolean, matches: Array, source: string, error: string|null }
+ * @returns {Array<Object>} Providers
  */
-async function checkUN(orgName) {
-  console.log('  Checking UN Sanctions List...');
+function getProviders() {
+  return [...providers.values()];
+}
 
-  const result = await fetchUrl(config.sanctions.unUrl);
-  if (!result.success) {
-    return {
-      found: false,
-      matches: [],
-      source: 'UN Sanctions List',
-      sourceUrl: config.sanctions.unUrl,
-      error: result.error,
-    };
+// Register the enabled built-in lists, then the local watchlist files and FtM snapshots
+for (const id of config.sanctions.providers) {
+  if (BUILT_IN_PROVIDERS[id]) {
+    registerProvider(BUILT_IN_PROVIDERS[id]);
+  } else {
+    console.log(`[Sanctions] Unknown built-in provider "${id}" in config — skipped`);
   }
+}
+for (const localList of config.sanctions.localLists) {
+  registerProvider(createFileProvider(localList));
+}
+for (const snapshot of config.sanctions.ftmFiles) {
+  registerProvider(createFtMProvider(snapshot));
+}
 
-  const matches = [];
-
-  // Parse the XML using cheerio
-  const $ = cheerio.load(result.data, { xmlMode: true });
-
-  // Look through ENTITY entries (organizations, not individuals)
-  $('ENTITY').each((_, element) => {
-    const firstName = $(element).find('FIRST_NAME').text() || '';
-    const secondName = $(element).find('SECOND_NAME').text() || '';
-    const fullName = `${firstName} ${secondName}`.trim();
-
-    if (fullName && fuzzyMatch(orgName, fullName)) {
-      matches.push({
-        name: fullName,
-        listType: $(element).find('UN_LIST_TYPE').text() || 'Unknown',
-        referenceNumber: $(element).find('REFERENCE_NUMBER').text() || '',
-      });
-    }
-  });
+/**
+ * Get the parsed records for a list version, parsing only when the hash changes.
+ *
+ * @param {string} listId - Provider id
+ * @param {string} hash - Content hash of the current version (cache key)
+ * @param {Function} build - () → records
+ * @returns {Array<Object>} Records
+ */
+function getIndexedRecords(listId, hash, build) {
+  const cached = recordIndexCache.get(listId);
+  if (cached && cached.hash === hash) return cached.records;
+  const records = build();
+  recordIndexCache.set(listId, { hash, records });
+  return records;
+}
 
+/**
+ * Fields every sanctions match carries about how well the name matched.
+ */
+function describeMatch(match) {
   return {
-    found: matches.length > 0,
-    matches,
-    source: 'UN Security Council Consolidated List',
-    sourceUrl: config.sanctions.unUrl,
-    error: null,
+    matchedOn: match.matchedOn,
+    matchScore: match.score,
+    matchStrength: match.strength,
+    matchBreakdown: match.breakdown,
+    matchExplanation: match.explanation,
   };
 }
 
 /**
- * Check the EU Consolidated Sanctions List (CSV format).
+ * List the aliases of a record for the match object (without internal variants).
+ */
+function describeAliases(record) {
+  return record.aliases.map(({ name, type, quality }) => ({ name, type, quality }));
+}
+
+/**
+ * Check one provider's list for a person or organization name.
+ *
+ * In person mode only person records are searched; in organization mode
+ * only entity records. Every record is matched on its primary name and all
+ * of its aliases.
  *
- * @param {string} orgName - Organization name to search for
- * @returns {Object} { found: boolean, matches: Array, source: string, error: string|null }
+ * @param {Object} provider - Registered provider
+ * @param {string} searchName - Person or organization name to search for
+ * @param {Object} options
+ * @param {string} options.type - "person" or "organization" (default)
+ * @param {Object} options.identifiers - Known { dateOfBirth, nationality, passportNumber, registrationNumber } (optional)
+ * @returns {Object} { found, matches, source, sourceUrl, sourceType, providerId, screeningMode, listVersion, error }
  */
-async function checkEU(orgName) {
-  console.log('  Checking EU Sanctions List...');
+async function checkProvider(provider, searchName, options = {}) {
+  const mode = getScreeningMode(options.type);
+  console.log(`  Checking ${provider.name} (${mode === 'person' ? 'individuals' : 'entities'})...`);
+
+  const base = {
+    source: provider.name,
+    sourceUrl: provider.sourceUrl,
+    sourceType: provider.sourceType || 'government',
+    providerId: provider.id,
+    screeningMode: mode,
+  };
 
-  const result = await fetchUrl(config.sanctions.euUrl);
-  if (!result.success) {
-    return {
-      found: false,
-      matches: [],
-      source: 'EU Sanctions List',
-      sourceUrl: config.sanctions.euUrl,
-      error: result.error,
-    };
+  // A list file that can't be read (missing, a folder, a broken manifest)
+  // is a source error for this provider, not a failed assessment
+  let fetched;
+  try {
+    fetched = await provider.fetch();
+  } catch (err) {
+    return { ...base, found: false, matches: [], error: `Could not read list: ${err.message}` };
+  }
+  if (!fetched.success) {
+    return { ...base, found: false, matches: [], error: fetched.error };
   }
 
-  const matches = [];
+  let records;
+  try {
+    records = getIndexedRecords(provider.id, fetched.hash, () => provider.parse(fetched.data));
+  } catch (err) {
+    return { ...base, found: false, matches: [], error: `Could not parse list: ${err.message}` };
+  }
 
-  // Parse CSV line by line
-  const lines = result.data.split('\n');
-
-  // The EU list CSV typically has a header row. We look for name-like columns.
-  // The format varies, so we search all fields for our org name.
-  for (let i = 1; i < lines.length; i++) {
-    const fields = parseCSVLine(lines[i]);
-
-    // Check each field for a match
-    for (const field of fields) {
-      if (field && field.length > 2 && fuzzyMatch(orgName, field)) {
-        matches.push({
-          name: field.trim(),
-          rawLine: lines[i].substring(0, 200), // first 200 chars for context
-        });
-        break; // only one match per line
-      }
+  // Newly-listed info comes from the store's deltas for the provider's main list
+  // (read once, when the first match needs it)
+  const trackingListId = provider.lists?.[0]?.id || null;
+  let history;
+  const getHistory = () => {
+    if (history === undefined) history = trackingListId ? sanctionsStore.getListingHistory(trackingListId) : null;
+    return history;
+  };
+
+  const matches = [];
+  for (const record of records) {
+    if (record.recordType !== mode) continue;
+
+    const match = matchRecord(searchName, record, provider.id);
+    if (match) {
+      matches.push(withListingInfo(getHistory(), record.id, {
+        name: record.name,
+        recordType: record.recordType,
+        program: record.program || 'Unknown',
+        category: classifyProgramme(record.program),
+        // Providers with non-sanctions entries (PEPs, crime) override these
+        sanctioned: true,
+        ...(provider.describeRecord ? provider.describeRecord(record) : {}),
+        ...describeMatch(match),
+        aliases: describeAliases(record),
+        identityCheck: checkIdentity(options.identifiers || null, record),
+      }));
     }
   }
 
   return {
+    ...base,
     found: matches.length > 0,
     matches,
-    source: 'EU Consolidated Sanctions List',
-    sourceUrl: config.sanctions.euUrl,
+    ...(fetched.details || {}),
+    listVersion: fetched.listVersion,
     error: null,
   };
 }
 
 /**
- * Run all sanctions checks for an organization.
+ * Check the OFAC SDN list, including the alt.csv aliases.
  *
- * @param {string} orgName - Organization name to check
- * @returns {Object} Combined results from all sanctions lists
+ * @param {string} searchName - Person or organization name to search for
+ * @param {Object} options - See checkProvider
+ * @returns {Object} Check result (see checkProvider)
  */
-async function checkAllSanctions(orgName) {
-  console.log(`\nChecking sanctions lists for: "${orgName}"`);
+async function checkOFAC(searchName, options = {}) {
+  return checkProvider(BUILT_IN_PROVIDERS.ofac, searchName, options);
+}
 
-  // Run all three checks (sequentially to respect rate limiting)
-  const ofacResult = await checkOFAC(orgName);
-  const unResult = await checkUN(orgName);
-  const euResult = await checkEU(orgName);
+/**
+ * Check the UN Security Council Consolidated List.
+ *
+ * @param {string} searchName - Person or organization name to search for
+ * @param {Object} options - See checkProvider
+ * @returns {Object} Check result (see checkProvider)
+ */
+async function checkUN(searchName, options = {}) {
+  return checkProvider(BUILT_IN_PROVIDERS.un, searchName, options);
+}
+
+/**
+ * Check the EU Consolidated Sanctions List. Matches carry the regulation
+ * that listed the entry (legalReference).
+ *
+ * @param {string} searchName - Person or organization name to search for
+ * @param {Object} options - See checkProvider
+ * @returns {Object} Check result (see checkProvider)
+ */
+async function checkEU(searchName, options = {}) {
+  return checkProvider(BUILT_IN_PROVIDERS.eu, searchName, options);
+}
 
-  const results = [ofacResult, unResult, euResult];
+/**
+ * Run all sanctions checks for an organization or a person.
+ *
+ * Every registered provider is checked, in order. The screening mode
+ * follows the type: "person" searches the individual records of each list,
+ * anything else searches the entity records.
+ *
+ * @param {string} orgName - Organization (or person) name to check
+ * @param {Object} options
+ * @param {string} options.type - "person" or "organization" (default)
+ * @param {Object} options.identifiers - Known identifiers to check hits against (optional)
+ * @returns {Object} Combined results from all sanctions lists
+ */
+async function checkAllSanctions(orgName, options = {}) {
+  const mode = getScreeningMode(options.type);
+  console.log(`\nChecking sanctions lists for: "${orgName}" [${mode}]`);
+
+  // Run the checks sequentially to respect rate limiting
+  const results = [];
+  for (const provider of getProviders()) {
+    results.push(await checkProvider(provider, orgName, { type: mode, identifiers: options.identifiers }));
+  }
 
-  // Determine overall sanctions status
-  const foundOnAnyList = results.some((r) => r.found);
+  // Determine overall sanctions status (PEP or crime entries alone don't count,
+  // nor do hits whose identifiers show they're someone else)
+  const foundOnAnyList = results.some((r) => r.matches.some(
+    (m) => m.sanctioned && m.identityCheck?.status !== 'contradicted'
+  ));
   const errors = results.filter((r) => r.error).map((r) => `${r.source}: ${r.error}`);
 
   return {
     orgName,
+    screeningMode: mode,
     sanctioned: foundOnAnyList,
     results,
     totalMatches: results.reduce((sum, r) => sum + r.matches.length, 0),
+    newlyListedMatches: results.reduce(
+      (sum, r) => sum + r.matches.filter((m) => m.newlyListed).length, 0
+    ),
     errors,
     checkedAt: new Date().toISOString(),
   };
 }
 
 /**
- * Simple CSV line parser that handles quoted fields.
- * Splits a CSV line into an array of field values.
- *
- * @param {string} line - A single line from a CSV file
- * @returns {string[]} Array of field values
+ * Store descriptors of every registered provider's downloadable lists.
  */
-function parseCSVLine(line) {
-  const fields = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
+function getStoreLists() {
+  return getProviders().flatMap((provider) => provider.lists || []);
+}
 
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      fields.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  fields.push(current.trim()); // push the last field
+/**
+ * Force a refresh of every sanctions list in the local store.
+ *
+ * @returns {Array<Object>} Per-list refresh results with deltas
+ */
+async function refreshSanctionsLists() {
+  return sanctionsStore.refreshAll(getStoreLists());
+}
 
-  return fields;
+/**
+ * Start refreshing the sanctions lists on the configured schedule.
+ *
+ * @returns {Object} The interval timer
+ */
+function scheduleSanctionsRefresh() {
+  return sanctionsStore.startScheduledRefresh(getStoreLists());
 }
 
 module.exports = {
   checkOFAC,
   checkUN,
   checkEU,
+  checkProvider,
   checkAllSanctions,
+  registerProvider,
+  getProviders,
+  createListProvider,
+  createFileProvider,
+  createFtMProvider,
+  classifyProgramme,
+  refreshSanctionsLists,
+  scheduleSanctionsRefresh,
 };
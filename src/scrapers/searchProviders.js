@@ -0,0 +1,343 @@
+/**
+ * Search Providers
+ *
+ * The web search scraper doesn't talk to a search engine directly — it
+ * asks a search provider. Each provider has one job:
+ *
+ *   search(query, maxResults, { language }) → { results: [{ title, url, snippet, publishedAt }], error }
+ *
+ * publishedAt is optional: the publication date as the engine gives it
+ * (parsed later, see analysis/publicationDate.js).
+ *
+ * `language` is the ISO 639-1 code the query is written in ("sv", "ar");
+ * providers that support it ask the engine for results in that language.
+ *
+ * Built in:
+ * - duckduckgo — DuckDuckGo's HTML endpoint (no API key, but scraped by CSS
+ *   class, so it breaks when the markup changes or we get rate-limited)
+ * - searxng    — a self-hosted SearxNG instance's JSON API
+ * - json-api   — any search API that returns JSON (field names configurable)
+ * - file       — canned results from a local JSON file, for tests and demos
+ *
+ * config.webSearch.providers sets which ones are used, in order. When a
+ * search fails on one provider, the next one is tried. A provider that
+ * fails config.webSearch.maxProviderFailures searches in a row is skipped
+ * for the rest of the run — one timeout doesn't take it out of the run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { fetchUrl } = require('./baseScraper');
+const { forgetCachedResponse } = require('../storage/httpCache');
+const config = require('../config');
+
+// Files are resolved relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+
+// --- Registered providers, in fallback order ---
+const providers = new Map();
+
+// Query language → DuckDuckGo region ("kl" parameter)
+const DUCKDUCKGO_REGIONS = {
+  sv: 'se-sv',
+  en: 'us-en',
+  ar: 'xa-ar',
+  ru: 'ru-ru',
+  zh: 'cn-zh',
+};
+
+/**
+ * Create the DuckDuckGo HTML provider.
+ *
+ * @returns {Object} Provider
+ */
+function createDuckDuckGoProvider() {
+  return {
+    id: 'duckduckgo',
+    name: 'DuckDuckGo',
+    throttle: true,
+    async search(query, maxResults, { language } = {}) {
+      const region = DUCKDUCKGO_REGIONS[language];
+      const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}${region ? `&kl=${region}` : ''}`;
+      const headers = {
+        'Accept': 'text/html,application/xhtml+xml',
+        'Accept-Language': language && language !== 'en' ? `${language},en;q=0.5` : 'en-US,en;q=0.9',
+      };
+      const result = await fetchUrl(url, { headers, cacheSource: 'search' });
+      if (!result.success) return { results: [], error: result.error };
+
+      const $ = cheerio.load(result.data);
+
+      // A rate-limit / bot-check page has neither results nor the "no results" notice
+      if ($('.result__body').length === 0 && $('.no-results').length === 0) {
+        forgetCachedResponse(url, { headers });
+        return { results: [], error: 'No result markup in response (rate-limited or page layout changed)' };
+      }
+
+      const results = [];
+      $('.result__body').each((i, el) => {
+        if (results.length >= maxResults) return false;
+
+        const title = $(el).find('.result__a').text().trim();
+        const href = $(el).find('.result__a').attr('href');
+        const snippet = $(el).find('.result__snippet').text().trim();
+        const actualUrl = extractActualUrl(href);
+
+        if (title && actualUrl) {
+          results.push({ title, url: actualUrl, snippet });
+        }
+      });
+
+      return { results, error: null, fromCache: result.fromCache };
+    },
+  };
+}
+
+/**
+ * Extract the actual URL from DuckDuckGo's redirect wrapper.
+ * DDG format: //duckduckgo.com/l/?uddg=ENCODED_URL&...
+ */
+function extractActualUrl(ddgUrl) {
+  if (!ddgUrl) return null;
+  try {
+    if (ddgUrl.includes('uddg=')) {
+      const match = ddgUrl.match(/uddg=([^&]+)/);
+      if (match) return decodeURIComponent(match[1]);
+    }
+    // Some results have direct URLs
+    if (ddgUrl.startsWith('http')) return ddgUrl;
+    if (ddgUrl.startsWith('//')) return 'https:' + ddgUrl;
+    return null;
+  } catch {
+    return ddgUrl;
+  }
+}
+
+/**
+ * Create a provider for a self-hosted SearxNG instance.
+ * The instance must have the JSON format enabled (search.formats in settings.yml).
+ *
+ * @param {Object} options
+ * @param {string} options.url - Base URL of the instance, e.g. "http://localhost:8888"
+ * @param {string} options.categories - SearxNG categories (default "general")
+ * @param {string} options.language - Search language when the query has none (default "all")
+ * @returns {Object} Provider
+ */
+function createSearxNGProvider({ url, categories = 'general', language = 'all' }) {
+  return createJSONAPIProvider({
+    id: 'searxng',
+    name: 'SearxNG',
+    url: url
+      ? `${url.replace(/\/+$/, '')}/search?q={query}&format=json&categories=${encodeURIComponent(categories)}&language={language}`
+      : null,
+    defaultLanguage: language,
+    resultsPath: 'results',
+    fields: { title: 'title', url: 'url', snippet: 'content', date: 'publishedDate' },
+    throttle: false,
+  });
+}
+
+/**
+ * Create a provider for a search API that returns JSON.
+ *
+ * @param {Object} options
+ * @param {string} options.id - Provider id (default "json-api")
+ * @param {string} options.name - Name shown in results and reports
+ * @param {string} options.url - URL template; {query}, {count} and {language} are filled in
+ * @param {Object} options.headers - Extra request headers (API keys go here)
+ * @param {string} options.resultsPath - Dot path to the result array, e.g. "web.results"
+ * @param {Object} options.fields - Result field names: { title, url, snippet, date }
+ * @param {boolean} options.throttle - Wait between searches (default true)
+ * @param {string} options.defaultLanguage - {language} for queries without one (default "")
+ * @returns {Object} Provider
+ */
+function createJSONAPIProvider({
+  id = 'json-api',
+  name = 'JSON search API',
+  url,
+  headers = {},
+  resultsPath = 'results',
+  fields = {},
+  throttle = true,
+  defaultLanguage = '',
+}) {
+  const field = { title: 'title', url: 'url', snippet: 'snippet', date: 'date', ...fields };
+
+  return {
+    id,
+    name,
+    throttle,
+    async search(query, maxResults, { language } = {}) {
+      if (!url) return { results: [], error: `${name} has no URL configured` };
+
+      const requestUrl = url
+        .replace('{query}', () => encodeURIComponent(query))
+        .replace('{count}', () => String(maxResults))
+        .replace('{language}', () => encodeURIComponent(language || defaultLanguage));
+      const requestHeaders = { 'Accept': 'application/json', ...headers };
+      const result = await fetchUrl(requestUrl, { headers: requestHeaders, cacheSource: 'search' });
+      if (!result.success) return { results: [], error: result.error };
+
+      let items;
+      try {
+        const data = typeof result.data === 'string' ? JSON.parse(result.data) : result.data;
+        items = getPath(data, resultsPath);
+      } catch (err) {
+        forgetCachedResponse(requestUrl, { headers: requestHeaders });
+        return { results: [], error: `Invalid JSON response: ${err.message}` };
+      }
+      if (!Array.isArray(items)) {
+        forgetCachedResponse(requestUrl, { headers: requestHeaders });
+        return { results: [], error: `No result array at "${resultsPath}" in response` };
+      }
+
+      const results = items
+        .map((item) => ({
+          title: String(getPath(item, field.title) || '').trim(),
+          url: getPath(item, field.url),
+          snippet: String(getPath(item, field.snippet) || '').trim(),
+          publishedAt: getPath(item, field.date) || null,
+        }))
+        .filter((r) => r.title && r.url)
+        .slice(0, maxResults);
+
+      return { results, error: null, fromCache: result.fromCache };
+    },
+  };
+}
+
+/**
+ * Read a value from a nested object by dot path ("web.results").
+ */
+function getPath(object, dotPath) {
+  return dotPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Create a provider that answers from a local JSON file — handy for tests
+ * and demos, since it needs no network. The file maps queries to result
+ * lists; the "*" entry answers any query that isn't listed:
+ *
+ *   { "Acme Corp sanctions": [{ "title": "...", "url": "...", "snippet": "...", "publishedAt": "2024-05-01" }], "*": [] }
+ *
+ * @param {Object} options
+ * @param {string} options.path - JSON file (relative to the project root or absolute)
+ * @returns {Object} Provider
+ */
+function createFileSearchProvider({ path: filePath }) {
+  return {
+    id: 'file',
+    name: 'Local search results file',
+    throttle: false,
+    async search(query, maxResults) {
+      if (!filePath) return { results: [], error: 'No search results file configured' };
+
+      const file = path.resolve(projectRoot, filePath);
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (err) {
+        return { results: [], error: `Could not read ${file}: ${err.message}` };
+      }
+
+      const key = Object.keys(data).find((k) => k.toLowerCase() === query.toLowerCase());
+      const results = (key ? data[key] : data['*']) || [];
+      return { results: results.slice(0, maxResults), error: null };
+    },
+  };
+}
+
+// Built-in providers, by the id used in config.webSearch.providers
+const BUILT_IN_PROVIDERS = {
+  duckduckgo: () => createDuckDuckGoProvider(),
+  searxng: () => createSearxNGProvider(config.webSearch.searxng),
+  'json-api': () => createJSONAPIProvider(config.webSearch.jsonApi),
+  file: () => createFileSearchProvider(config.webSearch.resultsFile),
+};
+
+/**
+ * Register a search provider. Providers are tried in registration order;
+ * registering an existing id replaces that provider.
+ *
+ * @param {Object} provider - { id, name, search(query, maxResults), throttle }
+ */
+function registerSearchProvider(provider) {
+  if (!provider || !provider.id || !provider.name || typeof provider.search !== 'function') {
+    throw new Error('A search provider needs an id, a name and a search() function');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * All registered search providers, in fallback order.
+ *
+ * @returns {Array<Object>} Providers
+ */
+function getSearchProviders() {
+  return [...providers.values()];
+}
+
+// Register the configured built-ins, in the configured order
+for (const id of config.webSearch.providers) {
+  if (BUILT_IN_PROVIDERS[id]) {
+    registerSearchProvider(BUILT_IN_PROVIDERS[id]());
+  } else {
+    console.log(`  Unknown search provider "${id}" in config — skipping`);
+  }
+}
+
+/**
+ * Run one search, falling back through the providers in order.
+ *
+ * @param {string} query - The search query
+ * @param {Object} options
+ * @param {number} options.maxResults - Max results to return (default 10)
+ * @param {string} options.language - Language the query is written in (ISO 639-1, optional)
+ * @param {Map<string, number>} options.failures - Failures in a row so far this run, by provider id (updated here)
+ * @returns {Object} { results: [{ title, url, snippet, publishedAt, searchQuery, searchLanguage, provider }], query, provider, throttle, errors }
+ */
+async function searchWithFallback(query, { maxResults = 10, language = null, failures = new Map() } = {}) {
+  const maxFailures = config.webSearch.maxProviderFailures || 3;
+  const errors = [];
+
+  for (const provider of getSearchProviders()) {
+    if ((failures.get(provider.id) || 0) >= maxFailures) continue;
+
+    const result = await provider.search(query, maxResults, { language });
+    if (!result.error) {
+      failures.delete(provider.id);
+      return {
+        results: result.results.map((r) => ({
+          ...r,
+          searchQuery: query,
+          searchLanguage: language,
+          provider: provider.name,
+        })),
+        query,
+        provider: provider.name,
+        // Answered from the HTTP cache: no request went out, so no need to wait
+        throttle: provider.throttle !== false && !result.fromCache,
+        errors,
+      };
+    }
+
+    errors.push(`${provider.name}: ${result.error}`);
+    const failed = (failures.get(provider.id) || 0) + 1;
+    failures.set(provider.id, failed);
+    const skipped = failed >= maxFailures ? `; ${failed} failures in a row, skipped from now on` : '';
+    console.log(`    ${provider.name} failed (${result.error}${skipped}) — trying the next provider`);
+  }
+
+  return { results: [], query, provider: null, throttle: false, errors };
+}
+
+module.exports = {
+  createDuckDuckGoProvider,
+  createSearxNGProvider,
+  createJSONAPIProvider,
+  createFileSearchProvider,
+  registerSearchProvider,
+  getSearchProviders,
+  searchWithFallback,
+};
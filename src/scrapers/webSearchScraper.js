@@ -1,17 +1,37 @@
 /**
  * Web Search Scraper
  *
- * Searches DuckDuckGo for public information about an organization.
- * Parses HTML results, classifies source URLs, matches snippets against
- * the keyword database, and produces evidence items for the scoring pipeline.
+ * Searches the web for public information about an organization.
+ * Classifies source URLs (by the domain rules in storage/sourceRegistry.js),
+ * matches snippets against the keyword database, and produces evidence
+ * items for the scoring pipeline.
  *
- * No API key required — uses DuckDuckGo's HTML endpoint.
+ * The searching itself is done by the configured search providers
+ * (DuckDuckGo, SearxNG, a JSON search API, a local file — see
+ * searchProviders.js), with fallback when one of them fails.
+ *
+ * The pages behind the results are then downloaded (fetchArticleBodies),
+ * so relevance and keywords are judged on the full article rather than
+ * a two-line snippet.
+ *
+ * Queries come from per-category templates (config.webSearch.queryTemplates):
+ * each value category in keywords.js gets its own searches, filled with
+ * that category's terms, so LGBTQ+ or gender concerns are looked for as
+ * deliberately as sanctions and fraud. Every result remembers the
+ * category whose query found it.
  */
 
-const cheerio = require('cheerio');
-const { fetchUrl, sleep } = require('./baseScraper');
+const { sleep } = require('./baseScraper');
+const { createDuckDuckGoProvider, searchWithFallback } = require('./searchProviders');
+const { fetchArticles } = require('./articleScraper');
+const { detectScript } = require('../language/languageDetector');
+const { parsePublicationDate, findDateInSnippet } = require('../analysis/publicationDate');
+const { findSource } = require('../storage/sourceRegistry');
 const config = require('../config');
-const { ALL_KEYWORDS } = require('../keywords/keywords');
+const { ALL_KEYWORDS, CATEGORIES, getSearchTerms } = require('../keywords/keywords');
+
+// Direct DuckDuckGo access for searchDuckDuckGo()
+const duckDuckGo = createDuckDuckGoProvider();
 
 // Web-search-specific concern terms (supplement the keyword database).
 // Only strong-signal multi-word phrases or unambiguous terms.
@@ -37,137 +57,161 @@ const WEB_CONCERN_TERMS = [
   { term: 'war crime', category: 'human-rights', severity: 'high' },
 ];
 
-// URL domain → sourceType classification
-const SOURCE_CLASSIFICATIONS = {
-  government: [
-    '.gov', 'government', 'treasury.gov', 'state.gov', 'justice.gov',
-    'fbi.gov', 'congress.gov', 'europa.eu', 'parliament', 'riksdag.se',
-    'regeringen.se', 'ofac',
-  ],
-  news: [
-    'reuters.com', 'bbc.com', 'bbc.co.uk', 'nytimes.com', 'washingtonpost.com',
-    'theguardian.com', 'dn.se', 'svt.se', 'svd.se', 'aftonbladet.se',
-    'expressen.se', 'cnn.com', 'aljazeera.com', 'france24.com', 'dw.com',
-    'apnews.com', 'npr.org', 'politico.com', 'ft.com', 'bloomberg.com',
-    'nbcnews.com', 'cbsnews.com', 'abcnews.com', 'foxnews.com',
-    'news.sky.com', 'independent.co.uk', 'telegraph.co.uk',
-    'times', 'post', 'herald', 'tribune', 'gazette',
-  ],
-  ngo: [
-    'amnesty.org', 'hrw.org', 'humanrights', 'transparency.org',
-    'icrc.org', 'redcross', 'msf.org', 'oxfam.org', 'freedomhouse.org',
-    'rsf.org', 'reporterswithoutborders',
-  ],
-  social: [
-    'twitter.com', 'x.com', 'facebook.com', 'linkedin.com',
-    'instagram.com', 'youtube.com', 'tiktok.com',
-  ],
-  forum: [
-    'reddit.com', 'flashback.org', 'quora.com', 'stackexchange.com',
-  ],
-};
+// Search categories: the value categories plus "general" (sanctions,
+// investigations — queries that aren't about one category)
+const SEARCH_CATEGORIES = ['general', ...CATEGORIES];
 
-// Search suffixes combined with org name
-const DEFAULT_SEARCH_SUFFIXES = [
-  'controversy',
-  'sanctions',
-  'investigation',
-  'human rights violations',
-  'extremism terrorism',
-  'fraud corruption',
-  'banned prohibited',
-];
+// Query templates per category and language
+// (used when config.webSearch.queryTemplates is missing)
+const DEFAULT_QUERY_TEMPLATES = {
+  general: { en: ['{org} controversy', '{org} sanctions', '{org} investigation'] },
+  ...Object.fromEntries(CATEGORIES.map((category) => [category, { en: ['{org} {keywords}'] }])),
+};
 
 /**
- * Search DuckDuckGo HTML for a query string.
+ * Search DuckDuckGo HTML for a query string (bypasses the provider fallback).
  *
  * @param {string} query - The search query
  * @param {number} maxResults - Max results to extract (default 10)
- * @returns {Object} { results: [{ title, url, snippet }], query, error }
+ * @returns {Object} { results: [{ title, url, snippet, searchQuery }], query, error }
  */
 async function searchDuckDuckGo(query, maxResults = 10) {
-  const encodedQuery = encodeURIComponent(query);
-  const url = `https://html.duckduckgo.com/html/?q=${encodedQuery}`;
-
-  const result = await fetchUrl(url, {
-    headers: {
-      'Accept': 'text/html,application/xhtml+xml',
-      'Accept-Language': 'en-US,en;q=0.9',
-    },
-  });
+  const result = await duckDuckGo.search(query, maxResults);
+  return {
+    results: result.results.map((r) => ({ ...r, searchQuery: query })),
+    query,
+    error: result.error,
+  };
+}
 
-  if (!result.success) {
-    return { results: [], query, error: result.error };
+/**
+ * Build the search queries for an organization, each tagged with its
+ * language and category.
+ *
+ * The default languages (Swedish and English) are always searched. Names
+ * written in another script add that script's language — an Arabic org
+ * name or seed adds Arabic queries, a Cyrillic one Russian, and so on
+ * (config.webSearch.scriptLanguages). Categories without templates in a
+ * language are simply not searched in it.
+ *
+ * @param {string} orgName - Organization name
+ * @param {Array} seeds - User-provided seeds (their names pick extra languages)
+ * @param {Object} options
+ * @param {Array<string>} options.categories - Categories to search (default: config.webSearch.categories, or all)
+ * @returns {Array<{ query: string, language: string, category: string, sites: Array<string> }>} Queries
+ */
+function buildSearchQueries(orgName, seeds = [], { categories = null } = {}) {
+  const templates = config.webSearch?.queryTemplates || DEFAULT_QUERY_TEMPLATES;
+  const selected = categories || config.webSearch?.categories || SEARCH_CATEGORIES;
+  const languages = new Set(config.webSearch?.defaultQueryLanguages || ['en']);
+
+  for (const name of [orgName, ...seeds.map((seed) => seed.name)]) {
+    const language = config.webSearch?.scriptLanguages?.[detectScript(name)];
+    if (language) languages.add(language);
   }
 
-  const $ = cheerio.load(result.data);
-  const results = [];
-
-  $('.result__body').each((i, el) => {
-    if (results.length >= maxResults) return false;
+  const queries = [];
+  for (const category of SEARCH_CATEGORIES.filter((c) => selected.includes(c))) {
+    for (const language of languages) {
+      for (const template of templates[category]?.[language] || []) {
+        const query = fillQueryTemplate(template, orgName, category, language);
+        if (query) queries.push({ ...query, language, category });
+      }
+    }
+  }
 
-    const title = $(el).find('.result__a').text().trim();
-    const href = $(el).find('.result__a').attr('href');
-    const snippet = $(el).find('.result__snippet').text().trim();
+  // The same query can come from two categories — search it once
+  const seen = new Set();
+  return queries.filter((q) => {
+    if (seen.has(q.query)) return false;
+    seen.add(q.query);
+    return true;
+  });
+}
 
-    const actualUrl = extractActualUrl(href);
+/**
+ * Turn one query template into a query string.
+ *
+ * @param {string|Object} template - "{org} ..." or { query, sites }
+ * @returns {Object|null} { query, sites }, or null when "{keywords}" has no terms in this language
+ */
+function fillQueryTemplate(template, orgName, category, language) {
+  const { query: pattern, sites = [] } = typeof template === 'string' ? { query: template } : template;
+  let query = pattern;
+
+  // Keywords first, so an org name containing "{keywords}" is left alone.
+  // Replacer functions keep "$&", "$1" etc. in names and terms literal.
+  if (query.includes('{keywords}')) {
+    const terms = getQueryKeywords(category, language);
+    if (terms.length === 0) return null;
+    query = query.replace('{keywords}', () => terms.join(' OR '));
+  }
+  query = query.replace('{org}', () => orgName);
 
-    if (title && actualUrl) {
-      results.push({ title, url: actualUrl, snippet, searchQuery: query });
-    }
-  });
+  if (sites.length > 0) {
+    query += ` ${sites.map((site) => `site:${site}`).join(' OR ')}`;
+  }
 
-  return { results, query, error: null };
+  return { query: query.trim(), sites };
 }
 
 /**
- * Extract the actual URL from DuckDuckGo's redirect wrapper.
- * DDG format: //duckduckgo.com/l/?uddg=ENCODED_URL&...
+ * A category's high-severity search terms in one language, for "{keywords}".
+ * Terms that contain an already picked term are skipped ("homofobi" after
+ * "homofob"), and multi-word terms are quoted.
+ *
+ * @returns {Array<string>} Up to config.webSearch.keywordsPerQuery terms
  */
-function extractActualUrl(ddgUrl) {
-  if (!ddgUrl) return null;
-  try {
-    if (ddgUrl.includes('uddg=')) {
-      const match = ddgUrl.match(/uddg=([^&]+)/);
-      if (match) return decodeURIComponent(match[1]);
-    }
-    // Some results have direct URLs
-    if (ddgUrl.startsWith('http')) return ddgUrl;
-    if (ddgUrl.startsWith('//')) return 'https:' + ddgUrl;
-    return null;
-  } catch {
-    return ddgUrl;
+function getQueryKeywords(category, language) {
+  if (category === 'general') return [];
+
+  const picked = [];
+  for (const term of getSearchTerms({ category, language, severity: 'high' })) {
+    if (picked.length >= (config.webSearch?.keywordsPerQuery || 4)) break;
+    if (!picked.some((p) => term.includes(p))) picked.push(term);
   }
+  return picked.map((term) => (term.includes(' ') ? `"${term}"` : term));
 }
 
 /**
  * Run multiple targeted searches for an organization.
  *
+ * Each query goes to the first working search provider; a provider that
+ * keeps failing is skipped for the remaining queries. Results carry the language
+ * and category of the query that found them (searchLanguage, searchCategory).
+ *
  * @param {string} orgName - Organization name
- * @returns {Object} { allResults, searchesPerformed, totalResults, errors }
+ * @param {Array} seeds - User-provided seeds (optional, see buildSearchQueries)
+ * @param {Object} options
+ * @param {Array<string>} options.categories - Only search these categories (see SEARCH_CATEGORIES)
+ * @returns {Object} { allResults, searchesPerformed, totalResults, languages, categories, providersUsed, errors }
  */
-async function searchForOrganization(orgName) {
-  const suffixes = config.webSearch?.searchSuffixes || DEFAULT_SEARCH_SUFFIXES;
+async function searchForOrganization(orgName, seeds = [], { categories = null } = {}) {
+  const queries = buildSearchQueries(orgName, seeds, { categories });
   const delay = config.webSearch?.delayBetweenSearches || 3000;
+  const maxResults = config.webSearch?.maxResultsPerQuery || 10;
   const allResults = [];
   const errors = [];
+  const providersUsed = new Set();
+  const providerFailures = new Map();
   let searchesPerformed = 0;
 
-  for (const suffix of suffixes) {
-    const query = `${orgName} ${suffix}`;
-    console.log(`    Searching: "${query}"`);
+  for (const { query, language, category } of queries) {
+    console.log(`    Searching [${category}/${language}]: "${query}"`);
 
-    const result = await searchDuckDuckGo(query);
+    const result = await searchWithFallback(query, { maxResults, language, failures: providerFailures });
     searchesPerformed++;
 
-    if (result.error) {
-      errors.push(`Search "${query}": ${result.error}`);
-    } else {
-      allResults.push(...result.results);
+    errors.push(...result.errors.map((error) => `Search "${query}": ${error}`));
+    if (result.provider) {
+      providersUsed.add(result.provider);
+      allResults.push(...result.results.map((r) => ({ ...r, searchCategory: category })));
+    } else if (result.errors.length === 0) {
+      errors.push(`Search "${query}": no search provider available`);
     }
 
-    // Rate limit between searches
-    if (searchesPerformed < suffixes.length) {
+    // Rate limit between searches (local providers don't need it)
+    if (searchesPerformed < queries.length && result.throttle) {
       await sleep(delay);
     }
   }
@@ -187,6 +231,54 @@ async function searchForOrganization(orgName) {
     allResults: deduplicated,
     searchesPerformed,
     totalResults: deduplicated.length,
+    languages: [...new Set(queries.map((q) => q.language))],
+    categories: [...new Set(queries.map((q) => q.category))],
+    providersUsed: [...providersUsed],
+    errors,
+  };
+}
+
+/**
+ * Download the full article behind each search result and attach it as
+ * result.article = { title, text, author, publishedAt, relevant }.
+ *
+ * Social media pages are skipped (they need a login and rarely have
+ * readable text), as are pages with too little text to be an article.
+ *
+ * @param {Array} searchResults - From searchForOrganization (updated in place)
+ * @param {string} orgName - Organization name, for the relevance check
+ * @returns {Object} { attempted, fetched, relevant, errors }
+ */
+async function fetchArticleBodies(searchResults, orgName) {
+  const { enabled, maxArticles, minTextLength, skipSourceTypes } = config.webSearch.articles;
+  if (!enabled) return { attempted: 0, fetched: 0, relevant: 0, errors: [] };
+
+  const candidates = searchResults
+    .filter((r) => !skipSourceTypes.includes(classifySourceUrl(r.url)))
+    .slice(0, maxArticles);
+  const fetched = await fetchArticles(candidates.map((r) => r.url));
+
+  const errors = [];
+  candidates.forEach((result, i) => {
+    const article = fetched.results[i];
+    if (!article.success) {
+      errors.push(`Article ${result.url}: ${article.error}`);
+    } else if (article.text.length >= minTextLength) {
+      result.article = {
+        title: article.title,
+        text: article.text,
+        author: article.author,
+        publishedAt: article.publishedAt,
+        relevant: isResultRelevant(`${result.title} ${article.text}`, orgName),
+      };
+    }
+  });
+
+  const withArticle = searchResults.filter((r) => r.article);
+  return {
+    attempted: candidates.length,
+    fetched: withArticle.length,
+    relevant: withArticle.filter((r) => r.article.relevant).length,
     errors,
   };
 }
@@ -210,17 +302,10 @@ function normalizeUrl(url) {
  * Classify a URL to determine the evidence source type.
  *
  * @param {string} url - The URL to classify
- * @returns {string} One of: government, news, ngo, social, forum, unknown
+ * @returns {string} One of: government, news, ngo, social, forum, unknown (or any type in the registry)
  */
 function classifySourceUrl(url) {
-  if (!url) return 'unknown';
-  const lower = url.toLowerCase();
-  for (const [sourceType, patterns] of Object.entries(SOURCE_CLASSIFICATIONS)) {
-    if (patterns.some((p) => lower.includes(p))) {
-      return sourceType;
-    }
-  }
-  return 'unknown';
+  return findSource(url)?.sourceType || 'unknown';
 }
 
 /**
@@ -259,6 +344,10 @@ function analyzeSnippetForKeywords(text) {
  * Convert raw search results into evidence items for the scoring pipeline.
  * Only includes results that contain concerning keywords.
  *
+ * When the full article was fetched, relevance and keywords are checked on
+ * the article text, and the description quotes the passage around the
+ * strongest keyword; otherwise the title and snippet are used.
+ *
  * IMPORTANT: Web search evidence never uses sourceType 'government' or 'court' —
  * those are reserved for direct sanctions list matches and court records.
  * Government website results from web search are classified as 'news' since
@@ -278,8 +367,12 @@ function buildEvidenceFromSearchResults(searchResults, orgName) {
     if (seenUrls.has(normUrl)) continue;
     seenUrls.add(normUrl);
 
-    let sourceType = classifySourceUrl(result.url);
-    const combinedText = `${result.title} ${result.snippet}`;
+    const registryEntry = findSource(result.url);
+    let sourceType = registryEntry?.sourceType || 'unknown';
+    const article = result.article || null;
+    const combinedText = article
+      ? `${result.title} ${article.text}`
+      : `${result.title} ${result.snippet}`;
 
     // The result must actually mention the organization to be relevant.
     // Check that the org name (or a significant portion) appears in the title or snippet.
@@ -305,9 +398,11 @@ function buildEvidenceFromSearchResults(searchResults, orgName) {
     const category = primary?.category || 'human-rights';
     const severity = primary?.severity || 'medium';
 
-    const snippet = result.snippet.length > 200
-      ? result.snippet.substring(0, 200) + '...'
-      : result.snippet;
+    const excerpt = article ? getExcerpt(article.text, primary.term) : result.snippet;
+    const published = getPublicationDate(result);
+    const snippet = excerpt.length > 200
+      ? excerpt.substring(0, 200) + '...'
+      : excerpt;
 
     evidence.push({
       sourceType,
@@ -316,21 +411,70 @@ function buildEvidenceFromSearchResults(searchResults, orgName) {
       description: `${result.title} — ${snippet}`,
       source: `Web search (${sourceType})`,
       sourceUrl: result.url,
+      sourceDomain: registryEntry?.domain || null,
+      sourceWeight: registryEntry?.weight ?? null,
       status: 'unverified',
       matchedKeywords: keywordMatches.map((k) => k.term),
       searchQuery: result.searchQuery || '',
+      searchProvider: result.provider || null,
+      language: result.searchLanguage || null,
+      searchCategory: result.searchCategory || null,
+      analyzedText: article ? 'full-article' : 'snippet',
+      author: article?.author || null,
+      publishedAt: published.date,
+      dateSource: published.source,
     });
   }
 
   return evidence;
 }
 
+/**
+ * When a search result was published: the fetched article's own date if it
+ * has one, then the date the search provider gave, then a date at the
+ * start of the snippet.
+ *
+ * @param {Object} result - Search result (with result.article when fetched)
+ * @returns {Object} { date: "YYYY-MM-DD" or null, source: "article" | "search-result" | "snippet" | null }
+ */
+function getPublicationDate(result) {
+  if (result.article?.publishedAt) {
+    return { date: result.article.publishedAt, source: 'article' };
+  }
+  const providerDate = parsePublicationDate(result.publishedAt);
+  if (providerDate) {
+    return { date: providerDate, source: 'search-result' };
+  }
+  const snippetDate = findDateInSnippet(result.snippet);
+  return { date: snippetDate, source: snippetDate ? 'snippet' : null };
+}
+
+/**
+ * The sentence-sized passage around the first mention of a term, so the
+ * evidence description shows why an article was flagged.
+ *
+ * @param {string} text - Article text
+ * @param {string} term - Keyword to look for
+ * @returns {string} Excerpt (with "..." where it was cut)
+ */
+function getExcerpt(text, term) {
+  const index = text.toLowerCase().indexOf(term.toLowerCase());
+  if (index === -1) return text.slice(0, 200);
+
+  // Start at a word boundary so the excerpt doesn't open mid-word
+  let start = Math.max(0, index - 80);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  const end = Math.min(text.length, index + term.length + 110);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '...' : ''}${excerpt}`;
+}
+
 /**
  * Check if a search result is actually about the target organization.
  * Prevents false positives from unrelated articles that happen to appear
  * in search results (e.g., "Volcano Group" when searching for "Volvo Group").
  *
- * @param {string} text - Combined title + snippet text
+ * @param {string} text - Combined title + snippet (or article) text
  * @param {string} orgName - The organization we're searching for
  * @returns {boolean} Whether the result is relevant
  */
@@ -354,7 +498,11 @@ function isResultRelevant(text, orgName) {
 module.exports = {
   searchDuckDuckGo,
   searchForOrganization,
+  buildSearchQueries,
+  SEARCH_CATEGORIES,
+  fetchArticleBodies,
   classifySourceUrl,
   analyzeSnippetForKeywords,
   buildEvidenceFromSearchResults,
+  isResultRelevant,
 };
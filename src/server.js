@@ -6,19 +6,50 @@
  *
  * Endpoints:
  *   GET  /api/health                  — Server status check
+ *   POST /api/uploads                 — Upload documents for an assessment (multipart)
  *   POST /api/assess                  — Run a new assessment
  *   GET  /api/assessments             — List all saved assessments
  *   GET  /api/assessments/:filename   — Load a specific assessment
+ *   GET  /api/sanctions/status        — Local sanctions store versions and deltas
+ *   POST /api/sanctions/refresh       — Force a refresh of all sanctions lists
+ *   GET  /api/news/status             — Stored news feed items per feed
+ *   POST /api/news/refresh            — Re-read all news feeds now
+ *   GET    /api/sources               — Source registry (domain → source type / weight)
+ *   POST   /api/sources               — Add a domain rule
+ *   PUT    /api/sources/:id           — Change a domain rule
+ *   DELETE /api/sources/:id           — Remove a domain rule
  *
  * Start:
  *   npm run server
  *   (or: node src/server.js)
+ *   node src/server.js --record <session>   — save every response for later replay
+ *   node src/server.js --replay <session>   — serve assessments from a recording (no network)
  */
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const config = require('./config');
 const { runAssessment } = require('./index');
 const { listAssessments, loadAssessment } = require('./storage/storage');
+const { getStoreStatus } = require('./storage/sanctionsStore');
+const { refreshSanctionsLists, scheduleSanctionsRefresh } = require('./scrapers/sanctionsScraper');
+const { normalizeIdentifiers } = require('./analysis/identityCheck');
+const { SEARCH_CATEGORIES } = require('./scrapers/webSearchScraper');
+const { isWebUrl } = require('./scrapers/articleScraper');
+const { refreshNewsFeeds } = require('./scrapers/newsScraper');
+const { getNewsStoreStatus } = require('./storage/newsStore');
+const { setRecordingMode, getRecordingState } = require('./storage/recordingStore');
+const { listSources, addSource, updateSource, removeSource } = require('./storage/sourceRegistry');
+const {
+  createUpload,
+  getSafeFileName,
+  getUploadedFiles,
+  removeUpload,
+  pruneUploads,
+} = require('./storage/uploadStore');
+const { SUPPORTED_EXTENSIONS, detectDocumentType } = require('./scrapers/documentScraper');
 
 const app = express();
 const PORT = 3777;
@@ -27,6 +58,52 @@ const PORT = 3777;
 app.use(cors());                    // Allow requests from the Chrome extension
 app.use(express.json());            // Parse JSON request bodies
 
+// Multipart document uploads: stored straight into the upload's folder
+// (req.upload, set by the endpoint), limited in size, count and type
+const receiveDocuments = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, req.upload.dir),
+    filename: (req, file, cb) => cb(null, getSafeFileName(req.upload.dir, file.originalname, req.upload.fileNames)),
+  }),
+  limits: {
+    fileSize: Math.round(config.uploads.maxFileSizeMB * 1024 * 1024),
+    files: config.uploads.maxFiles,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      const err = new Error(`${file.originalname} is not a supported document type (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`);
+      err.code = 'UNSUPPORTED_TYPE';
+      return cb(err);
+    }
+    cb(null, true);
+  },
+  defParamCharset: 'utf8',            // keep "Årsredovisning.pdf" as it is
+}).array('documents');
+
+// Assessments run one at a time: the recording session, the HTTP cache log
+// and the translation cache belong to the whole process, so two assessments
+// running side by side would mix their recordings and logs
+let assessmentQueue = Promise.resolve();
+
+/**
+ * Run an assessment once the ones before it have finished.
+ *
+ * @param {Function} task - async () => assessment
+ * @returns {Promise} The task's result
+ */
+function runInTurn(task) {
+  const run = assessmentQueue.then(task);
+  assessmentQueue = run.catch(() => {});
+  return run;
+}
+
+// Upload errors the client can fix (answered with 400)
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `A document is larger than ${config.uploads.maxFileSizeMB} MB`,
+  LIMIT_FILE_COUNT: `At most ${config.uploads.maxFiles} documents per upload`,
+  LIMIT_UNEXPECTED_FILE: 'Documents must be sent in the "documents" field',
+};
+
 // ===================================================================
 // ENDPOINTS
 // ===================================================================
@@ -39,6 +116,53 @@ app.get('/api/health', (req, res) => {
     status: 'ok',
     version: '3.0',
     toolName: 'Koppla',
+    recording: getRecordingState(),
+  });
+});
+
+/**
+ * Upload documents for a new assessment.
+ *
+ * multipart/form-data with the files in the "documents" field (up to
+ * config.uploads.maxFiles, each up to config.uploads.maxFileSizeMB).
+ * Accepted: PDF, Word (.docx), HTML, text, e-mail (.eml), CSV.
+ *
+ * Answers 201 with { uploadId, files: [{ name, originalName, size, format }] };
+ * pass the uploadId to POST /api/assess to include the documents. Uploads
+ * are kept for config.uploads.retentionDays.
+ */
+app.post('/api/uploads', (req, res) => {
+  const expired = pruneUploads();
+  if (expired.length > 0) {
+    console.log(`\n[API] Deleted ${expired.length} upload(s) older than ${config.uploads.retentionDays} days`);
+  }
+  req.upload = createUpload();
+
+  receiveDocuments(req, res, (err) => {
+    if (err) {
+      removeUpload(req.upload.uploadId);
+      if (err instanceof multer.MulterError || err.code === 'UNSUPPORTED_TYPE') {
+        return res.status(400).json({ error: true, message: UPLOAD_ERROR_MESSAGES[err.code] || err.message });
+      }
+      console.error('[API] Upload failed:', err.message);
+      return res.status(500).json({ error: true, message: `Upload failed: ${err.message}` });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      removeUpload(req.upload.uploadId);
+      return res.status(400).json({ error: true, message: 'No documents in the "documents" field' });
+    }
+
+    console.log(`\n[API] Upload ${req.upload.uploadId}: ${req.files.length} document(s)`);
+    res.status(201).json({
+      uploadId: req.upload.uploadId,
+      files: req.files.map((f) => ({
+        name: f.filename,
+        originalName: f.originalname,
+        size: f.size,
+        format: detectDocumentType(f.filename),
+      })),
+    });
   });
 });
 
@@ -53,26 +177,70 @@ app.get('/api/health', (req, res) => {
  *     { "name": "Shell Ltd", "type": "organization" }
  *   ]
  * }
+ *
+ * Seeds can also carry identifiers, used to tell a sanctions hit from a
+ * namesake: "dateOfBirth", "nationality", "passportNumber", "registrationNumber"
+ * (e.g. { "name": "Ahmed Al-Rashid", "type": "person", "dateOfBirth": "1975-03-14" }).
+ *
+ * "categories" (optional) limits the web searches to those categories,
+ * e.g. ["lgbtq", "gender"]; by default every category is searched.
+ *
+ * "urls" (optional) are web pages to read as sources, like PDFs: annual
+ * report pages, NGO articles, registry extracts. They're listed in the
+ * assessment's "pageSources".
+ *
+ * "uploadId" (optional) includes the documents uploaded with
+ * POST /api/uploads. They're listed in the assessment's "documentSources".
+ *
+ * Assessments run one at a time; a request that comes in while another
+ * assessment runs waits for it to finish.
  */
 app.post('/api/assess', async (req, res) => {
-  const { orgName, seeds: rawSeeds } = req.body;
+  const { orgName, seeds: rawSeeds, categories, urls, uploadId } = req.body;
 
   if (!orgName || typeof orgName !== 'string' || orgName.trim().length === 0) {
     return res.status(400).json({ error: true, message: 'orgName is required' });
   }
 
+  if (categories !== undefined && categories !== null) {
+    if (!Array.isArray(categories) || categories.some((c) => !SEARCH_CATEGORIES.includes(c))) {
+      return res.status(400).json({
+        error: true,
+        message: `categories must be a list of: ${SEARCH_CATEGORIES.join(', ')}`,
+      });
+    }
+  }
+
+  if (urls !== undefined && urls !== null) {
+    if (!Array.isArray(urls) || urls.some((url) => !isWebUrl(url))) {
+      return res.status(400).json({ error: true, message: 'urls must be a list of http(s) URLs' });
+    }
+  }
+
+  let docPaths = [];
+  if (uploadId !== undefined && uploadId !== null) {
+    docPaths = getUploadedFiles(uploadId);
+    if (!docPaths) {
+      return res.status(400).json({ error: true, message: `No upload with id "${uploadId}"` });
+    }
+  }
+
   // Normalize seeds from the extension format to the pipeline format
   const seeds = (rawSeeds || []).map((s) => ({
     name: s.name,
     type: s.type || 'person',
     role: s.role || null,
+    identifiers: normalizeIdentifiers(s),
     providedBy: 'user',
     confidence: 1.0,
   }));
 
   try {
-    console.log(`\n[API] Assessment requested for: "${orgName}" with ${seeds.length} seed(s)`);
-    const assessment = await runAssessment(orgName.trim(), seeds, []);
+    console.log(`\n[API] Assessment requested for: "${orgName}" with ${seeds.length} seed(s) and ${docPaths.length} document(s)`);
+    const assessment = await runInTurn(() => runAssessment(orgName.trim(), seeds, docPaths, {
+      categories: categories && categories.length > 0 ? categories : null,
+      urls: urls || [],
+    }));
     res.json(assessment);
   } catch (err) {
     console.error('[API] Assessment failed:', err.message);
@@ -108,22 +276,157 @@ app.get('/api/assessments/:filename', (req, res) => {
   }
 });
 
+/**
+ * Show what the local sanctions store holds: versions, fetch times, deltas.
+ */
+app.get('/api/sanctions/status', (req, res) => {
+  try {
+    res.json(getStoreStatus());
+  } catch (err) {
+    res.status(500).json({ error: true, message: `Failed to read sanctions store: ${err.message}` });
+  }
+});
+
+/**
+ * Force a refresh of all sanctions lists, regardless of the schedule.
+ */
+app.post('/api/sanctions/refresh', async (req, res) => {
+  try {
+    const results = await refreshSanctionsLists();
+    res.json(results);
+  } catch (err) {
+    res.status(500).json({ error: true, message: `Sanctions refresh failed: ${err.message}` });
+  }
+});
+
+/**
+ * Show what the local news store holds: items and last check per feed.
+ */
+app.get('/api/news/status', (req, res) => {
+  try {
+    res.json(getNewsStoreStatus());
+  } catch (err) {
+    res.status(500).json({ error: true, message: `Failed to read news store: ${err.message}` });
+  }
+});
+
+/**
+ * Re-read all news feeds, regardless of the schedule.
+ */
+app.post('/api/news/refresh', async (req, res) => {
+  try {
+    const results = await refreshNewsFeeds({ force: true });
+    res.json(results);
+  } catch (err) {
+    res.status(500).json({ error: true, message: `News refresh failed: ${err.message}` });
+  }
+});
+
+/**
+ * List the source registry: which domains count as news, NGO, government...
+ */
+app.get('/api/sources', (req, res) => {
+  try {
+    res.json(listSources());
+  } catch (err) {
+    res.status(500).json({ error: true, message: `Failed to read source registry: ${err.message}` });
+  }
+});
+
+/**
+ * Add a domain rule.
+ *
+ * Request body:
+ * { "domain": "example.com", "match": "suffix", "sourceType": "news", "weight": 8, "notes": "..." }
+ *
+ * "match" is "exact" (that host only) or "suffix" (with subdomains, the
+ * default); "weight" (optional, 0–10) overrides the source type's weight.
+ */
+app.post('/api/sources', (req, res) => {
+  try {
+    const result = addSource(req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: true, message: result.error });
+    }
+    res.status(201).json(result.source);
+  } catch (err) {
+    res.status(500).json({ error: true, message: `Failed to add source: ${err.message}` });
+  }
+});
+
+/**
+ * Change a domain rule (same fields as adding; omitted fields stay as they are).
+ */
+app.put('/api/sources/:id', (req, res) => {
+  try {
+    const result = updateSource(req.params.id, req.body || {});
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: true, message: result.error });
+    }
+    res.json(result.source);
+  } catch (err) {
+    res.status(500).json({ error: true, message: `Failed to update source: ${err.message}` });
+  }
+});
+
+/**
+ * Remove a domain rule.
+ */
+app.delete('/api/sources/:id', (req, res) => {
+  try {
+    const result = removeSource(req.params.id);
+    if (!result.success) {
+      return res.status(404).json({ error: true, message: result.error });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: true, message: `Failed to remove source: ${err.message}` });
+  }
+});
+
 // ===================================================================
 // START SERVER
 // ===================================================================
 
-app.listen(PORT, () => {
-  console.log(`
+if (require.main === module) {
+  // --record <session> / --replay <session> apply to every assessment the server runs
+  const modeFlag = process.argv.findIndex((arg) => arg === '--record' || arg === '--replay');
+  if (modeFlag !== -1) {
+    try {
+      setRecordingMode({ mode: process.argv[modeFlag].slice(2), session: process.argv[modeFlag + 1] });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  app.listen(PORT, () => {
+    // Keep the local sanctions lists fresh while the server runs
+    scheduleSanctionsRefresh();
+
+    console.log(`
 ╔══════════════════════════════════════════════════╗
 ║       Koppla API Server — Running on ${PORT}        ║
 ╚══════════════════════════════════════════════════╝
 
 Endpoints:
   GET  http://localhost:${PORT}/api/health
+  POST http://localhost:${PORT}/api/uploads
   POST http://localhost:${PORT}/api/assess
   GET  http://localhost:${PORT}/api/assessments
   GET  http://localhost:${PORT}/api/assessments/:filename
+  GET  http://localhost:${PORT}/api/sanctions/status
+  POST http://localhost:${PORT}/api/sanctions/refresh
+  GET  http://localhost:${PORT}/api/news/status
+  POST http://localhost:${PORT}/api/news/refresh
 
 Ready to receive requests from Koppla Chrome Extension.
-`);
-});
+  `);
+    const recording = getRecordingState();
+    if (recording.mode !== 'live') {
+      console.log(`Recording mode: ${recording.mode} "${recording.session}"\n`);
+    }
+  });
+}
+
+module.exports = { app };
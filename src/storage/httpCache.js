@@ -0,0 +1,325 @@
+/**
+ * HTTP Cache
+ *
+ * On-disk cache of HTTP responses used by fetchUrl (scrapers/baseScraper.js).
+ * Running several assessments in a row otherwise downloads the same search
+ * result pages and multi-megabyte sanctions files every time.
+ *
+ * Each response is one file, keyed by a hash of the URL, the response type
+ * and the request headers that change the answer (config.httpCache.keyHeaders,
+ * e.g. Accept-Language — a Swedish and an English result page for the same
+ * URL are two entries):
+ *   data/http-cache/{hash}.json
+ *     — { url, responseType, headers, source, statusCode, etag, lastModified,
+ *         fetchedAt, validatedAt, dataEncoding, data }
+ *
+ * How long a response stays fresh depends on where it came from
+ * (config.httpCache.ttlMinutes: search pages, articles, feeds). Once it's
+ * older than that, the request goes out with If-None-Match /
+ * If-Modified-Since, and a "304 Not Modified" answer keeps the cached body.
+ * Sanctions lists aren't cached here: the sanctions store already keeps them.
+ *
+ * The cache is kept under config.httpCache.maxEntries files and
+ * config.httpCache.maxSizeMB; past either, the least recently validated
+ * entries are removed, down to 90% of both limits so the next clean-up is
+ * a while off. A corrupt entry counts as not cached.
+ *
+ * Every response served from the cache during a run is logged, so the
+ * assessment can say what came from the cache and how old it was.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// Resolve the cache directory relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+const cacheDir = path.resolve(projectRoot, config.httpCache.dir);
+
+// --- Responses served from the cache since the last resetCacheLog() ---
+let cacheLog = [];
+
+// --- Running totals of the cache folder: { entries, bytes } ---
+// Counted once, then kept up to date as entries are written and removed,
+// so a save doesn't have to list the folder. The folder is only listed
+// again when the totals pass a limit (which also corrects any drift from
+// other processes sharing the cache).
+let usage = null;
+
+// Share of each limit the cache is pruned down to
+const PRUNE_TO = 0.9;
+
+function getEntryFile(url, responseType, headers) {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([url, responseType, getKeyHeaders(headers)]))
+    .digest('hex').slice(0, 32);
+  return path.join(cacheDir, `${hash}.json`);
+}
+
+/**
+ * The request headers that are part of the cache key (names lowercased,
+ * in config order; headers that weren't sent are left out).
+ */
+function getKeyHeaders(headers = {}) {
+  const sent = new Map(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  return config.httpCache.keyHeaders
+    .map((name) => name.toLowerCase())
+    .filter((name) => sent.get(name) != null)
+    .map((name) => [name, String(sent.get(name))]);
+}
+
+/**
+ * TTL in minutes for a kind of source, or null when it isn't cached.
+ *
+ * @param {string} source - "search", "article", "feed", "sanctions" (anything else: default)
+ * @returns {number|null}
+ */
+function getTtlMinutes(source) {
+  const ttls = config.httpCache.ttlMinutes;
+  return source && source in ttls ? ttls[source] : ttls.default;
+}
+
+/**
+ * Look up a cached response.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options
+ * @param {string} options.responseType - Axios response type (default 'text')
+ * @param {string} options.source - Kind of source, for the TTL
+ * @param {Object} options.headers - Request headers (those in config.httpCache.keyHeaders pick the entry)
+ * @returns {Object|null} { url, data, statusCode, etag, lastModified, fetchedAt, validatedAt, fresh }
+ *          or null when nothing usable is cached
+ */
+function readCachedResponse(url, { responseType = 'text', source = null, headers = {} } = {}) {
+  const ttl = getTtlMinutes(source);
+  if (!config.httpCache.enabled || ttl === null) return null;
+
+  const filepath = getEntryFile(url, responseType, headers);
+  if (!fs.existsSync(filepath)) return null;
+
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  } catch (err) {
+    return null; // half-written or corrupt entry — fetch again
+  }
+
+  if (!entry || typeof entry !== 'object' || !entry.validatedAt) return null;
+
+  const { dataEncoding, ...response } = entry;
+  return {
+    ...response,
+    data: dataEncoding === 'base64' ? Buffer.from(entry.data, 'base64') : entry.data,
+    fresh: Date.now() - new Date(entry.validatedAt).getTime() < ttl * 60 * 1000,
+  };
+}
+
+/**
+ * Store a successful response.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} response - { data, statusCode, etag, lastModified }
+ * @param {Object} options
+ * @param {string} options.responseType - Axios response type (default 'text')
+ * @param {string} options.source - Kind of source
+ * @param {Object} options.headers - Request headers (see readCachedResponse)
+ */
+function saveCachedResponse(url, response, { responseType = 'text', source = null, headers = {} } = {}) {
+  if (!config.httpCache.enabled || getTtlMinutes(source) === null) return;
+
+  if (!fs.existsSync(cacheDir)) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+  }
+  const binary = Buffer.isBuffer(response.data);
+  const now = new Date().toISOString();
+  writeEntry(getEntryFile(url, responseType, headers), {
+    url,
+    responseType,
+    headers: Object.fromEntries(getKeyHeaders(headers)),
+    source,
+    statusCode: response.statusCode,
+    etag: response.etag || null,
+    lastModified: response.lastModified || null,
+    fetchedAt: now,
+    validatedAt: now,
+    dataEncoding: binary ? 'base64' : null,
+    data: binary ? response.data.toString('base64') : response.data,
+  });
+
+  pruneCache();
+}
+
+/**
+ * Size of an entry file, or null when there is none.
+ */
+function getFileSize(filepath) {
+  try {
+    return fs.statSync(filepath).size;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Write an entry file, keeping the running totals up to date.
+ */
+function writeEntry(filepath, entry) {
+  const previousSize = getFileSize(filepath);
+  const json = JSON.stringify(entry);
+  fs.writeFileSync(filepath, json, 'utf-8');
+  updateUsage(previousSize, Buffer.byteLength(json));
+}
+
+/**
+ * Remove an entry file, keeping the running totals up to date.
+ */
+function removeEntry(filepath) {
+  const previousSize = getFileSize(filepath);
+  fs.rmSync(filepath, { force: true });
+  updateUsage(previousSize, null);
+}
+
+function updateUsage(oldSize, newSize) {
+  if (!usage) return;
+  if (oldSize !== null) {
+    usage.entries--;
+    usage.bytes -= oldSize;
+  }
+  if (newSize !== null) {
+    usage.entries++;
+    usage.bytes += newSize;
+  }
+}
+
+/**
+ * List the entry files with their size and time.
+ */
+function listEntries() {
+  const entries = [];
+  for (const name of fs.readdirSync(cacheDir)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const { size, mtimeMs } = fs.statSync(path.join(cacheDir, name));
+      entries.push({ name, size, mtimeMs });
+    } catch (err) {
+      // removed meanwhile
+    }
+  }
+  return entries;
+}
+
+/**
+ * Once the cache holds more than config.httpCache.maxEntries files or
+ * config.httpCache.maxSizeMB, remove the least recently validated entries
+ * until it is back under 90% of both. (Validating an entry rewrites its
+ * file, so file times tell the order.)
+ */
+function pruneCache() {
+  const { maxEntries, maxSizeMB } = config.httpCache;
+  const maxBytes = maxSizeMB * 1024 * 1024;
+
+  if (!usage) {
+    const entries = listEntries();
+    usage = { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.size, 0) };
+  }
+  if (usage.entries <= maxEntries && usage.bytes <= maxBytes) return;
+
+  const entries = listEntries().sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let count = entries.length;
+  let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries) {
+    if (count <= Math.floor(maxEntries * PRUNE_TO) && bytes <= maxBytes * PRUNE_TO) break;
+    fs.rmSync(path.join(cacheDir, entry.name), { force: true });
+    count--;
+    bytes -= entry.size;
+  }
+  usage = { entries: count, bytes };
+}
+
+/**
+ * Mark a cached response as confirmed current (the server answered 304).
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options
+ * @param {string} options.responseType - Axios response type (default 'text')
+ * @param {Object} options.headers - Request headers (see readCachedResponse)
+ */
+function touchCachedResponse(url, { responseType = 'text', headers = {} } = {}) {
+  const filepath = getEntryFile(url, responseType, headers);
+  if (!fs.existsSync(filepath)) return;
+
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  } catch (err) {
+    removeEntry(filepath); // corrupt — the next request fetches it again
+    return;
+  }
+  entry.validatedAt = new Date().toISOString();
+  writeEntry(filepath, entry);
+}
+
+/**
+ * Drop a cached response — for answers that came back "200 OK" but turned
+ * out to be unusable (a bot-check page instead of search results).
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options
+ * @param {string} options.responseType - Axios response type (default 'text')
+ * @param {Object} options.headers - Request headers (see readCachedResponse)
+ */
+function forgetCachedResponse(url, { responseType = 'text', headers = {} } = {}) {
+  const filepath = getEntryFile(url, responseType, headers);
+  if (fs.existsSync(filepath)) removeEntry(filepath);
+}
+
+/**
+ * Note that a response was served from the cache.
+ *
+ * @param {Object} cached - From readCachedResponse()
+ * @param {Object} details
+ * @param {string} details.source - Kind of source
+ * @param {boolean} details.revalidated - Whether the server confirmed it (304)
+ */
+function logCacheUse(cached, { source = null, revalidated = false } = {}) {
+  cacheLog.push({
+    url: cached.url,
+    source,
+    fetchedAt: cached.fetchedAt,
+    ageMinutes: Math.round((Date.now() - new Date(cached.fetchedAt).getTime()) / 60000),
+    revalidated,
+  });
+}
+
+/**
+ * Start a new log of cache use (one per assessment).
+ */
+function resetCacheLog() {
+  cacheLog = [];
+}
+
+/**
+ * What was served from the cache since the last resetCacheLog().
+ *
+ * @returns {Object} { enabled, served, revalidated, responses: [{ url, source, fetchedAt, ageMinutes, revalidated }] }
+ */
+function getCacheLog() {
+  return {
+    enabled: config.httpCache.enabled,
+    served: cacheLog.length,
+    revalidated: cacheLog.filter((entry) => entry.revalidated).length,
+    responses: [...cacheLog],
+  };
+}
+
+module.exports = {
+  getTtlMinutes,
+  readCachedResponse,
+  saveCachedResponse,
+  touchCachedResponse,
+  forgetCachedResponse,
+  logCacheUse,
+  resetCacheLog,
+  getCacheLog,
+};
@@ -0,0 +1,149 @@
+/**
+ * News Store
+ *
+ * Keeps the items read from the configured RSS/Atom feeds on disk, so
+ * assessments can search weeks of coverage instead of just what a feed
+ * shows right now (most feeds only list their latest 20–50 items).
+ *
+ * Each feed has one file, data/news/{feedId}.json:
+ *   { feedId, name, url, lastCheckedAt, lastError, items: [...] }
+ *
+ * New items are merged in by id (guid or link); items older than the
+ * retention period are dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Resolve the store directory relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+const storeDir = path.resolve(projectRoot, config.news.store.dir);
+
+function getFeedFile(feedId) {
+  if (!fs.existsSync(storeDir)) {
+    fs.mkdirSync(storeDir, { recursive: true });
+  }
+  return path.join(storeDir, `${feedId}.json`);
+}
+
+/**
+ * Read a feed's stored items, or return an empty record. A file that
+ * can't be read (e.g. cut short by a crash) counts as empty too: the
+ * feed's next refresh writes it again.
+ *
+ * @param {string} feedId - Feed identifier (e.g., "svt")
+ * @returns {Object} { feedId, name, url, lastCheckedAt, lastError, items }
+ */
+function readFeed(feedId) {
+  const filepath = getFeedFile(feedId);
+  const empty = { feedId, name: null, url: null, lastCheckedAt: null, lastError: null, items: [] };
+  if (!fs.existsSync(filepath)) return empty;
+
+  try {
+    const record = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    if (!Array.isArray(record?.items)) throw new Error('no items list');
+    return record;
+  } catch (err) {
+    console.log(`  Could not read stored news ${filepath}: ${err.message} — treating the feed as empty`);
+    return empty;
+  }
+}
+
+function writeFeed(record) {
+  fs.writeFileSync(getFeedFile(record.feedId), JSON.stringify(record, null, 2), 'utf-8');
+}
+
+/**
+ * Is the feed due for a refresh according to the schedule?
+ *
+ * @param {Object} record - From readFeed()
+ * @returns {boolean}
+ */
+function isDue(record) {
+  if (!record.lastCheckedAt) return true;
+  const intervalMs = config.news.store.refreshIntervalMinutes * 60 * 1000;
+  return Date.now() - new Date(record.lastCheckedAt).getTime() >= intervalMs;
+}
+
+/**
+ * Merge freshly read items into a feed's store.
+ *
+ * @param {Object} feed - Feed config { id, name, url }
+ * @param {Array} items - Parsed items [{ id, title, link, summary, publishedAt }]
+ * @returns {Object} { added, total }
+ */
+function saveFeedItems(feed, items) {
+  const record = readFeed(feed.id);
+  const known = new Set(record.items.map((item) => item.id));
+  const fetchedAt = new Date().toISOString();
+
+  const added = items
+    .filter((item) => !known.has(item.id))
+    .map((item) => ({ ...item, fetchedAt }));
+
+  // Drop items past the retention period (undated items age by fetch time)
+  const cutoff = Date.now() - config.news.store.retentionDays * 24 * 60 * 60 * 1000;
+  const kept = [...added, ...record.items]
+    .filter((item) => new Date(item.publishedAt || item.fetchedAt).getTime() >= cutoff);
+
+  writeFeed({
+    feedId: feed.id,
+    name: feed.name,
+    url: feed.url,
+    lastCheckedAt: fetchedAt,
+    lastError: null,
+    items: kept,
+  });
+
+  return { added: added.length, total: kept.length };
+}
+
+/**
+ * Remember that a refresh failed (the stored items stay as they are).
+ *
+ * @param {Object} feed - Feed config { id, name, url }
+ * @param {string} error - What went wrong
+ */
+function recordFeedError(feed, error) {
+  const record = readFeed(feed.id);
+  writeFeed({
+    ...record,
+    feedId: feed.id,
+    name: feed.name,
+    url: feed.url,
+    lastCheckedAt: new Date().toISOString(),
+    lastError: error,
+  });
+}
+
+/**
+ * Summarize what the store currently holds.
+ *
+ * @returns {Array<Object>} [{ feedId, name, url, lastCheckedAt, lastError, items, newest }]
+ */
+function getNewsStoreStatus() {
+  if (!fs.existsSync(storeDir)) return [];
+  return fs.readdirSync(storeDir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      const record = readFeed(path.basename(name, '.json'));
+      return {
+        feedId: record.feedId,
+        name: record.name,
+        url: record.url,
+        lastCheckedAt: record.lastCheckedAt,
+        lastError: record.lastError,
+        items: record.items.length,
+        newest: record.items.map((item) => item.publishedAt).filter(Boolean).sort().pop() || null,
+      };
+    });
+}
+
+module.exports = {
+  readFeed,
+  isDue,
+  saveFeedItems,
+  recordFeedError,
+  getNewsStoreStatus,
+};
@@ -0,0 +1,344 @@
+/**
+ * Recording Store
+ *
+ * Record/replay for everything an assessment pulls from outside: HTTP
+ * responses (fetchUrl), translations, and which version of each sanctions
+ * list was used. An assessment run in "record" mode saves them under a
+ * session name; the same assessment run in "replay" mode is served from
+ * that session only, so it can be reproduced for an audit — or the whole
+ * pipeline run without network.
+ *
+ * Modes:
+ *   live   — normal operation, nothing is saved (default)
+ *   record — requests go out as usual and every response is saved
+ *   replay — responses come from the session; anything that wasn't
+ *            recorded fails as if the network were down
+ *
+ * Each response is one file, keyed by a hash of the request:
+ *   data/recordings/{session}/manifest.json
+ *   data/recordings/{session}/{kind}/{hash}.json   — { kind, request, response, recordedAt }
+ *   data/recordings/{session}/files/...            — raw sanctions lists used
+ *
+ * The sanctions lists are copied into the session as they were served: the
+ * sanctions store only keeps the last few versions, so a replay can't count
+ * on finding them there. Which version an assessment used is recorded per
+ * assessment (see beginAssessment): a server recording several assessments
+ * may serve a newer version to a later one.
+ *
+ * Some inputs are local files rather than responses: the PEP dataset, the
+ * local watchlists and FtM snapshots, the source registry and the canned
+ * search results. Their hashes are kept in the manifest, and a replay is
+ * refused once any of them has changed — it would no longer reproduce the
+ * recorded assessment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// Resolve the recordings directory relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+const recordingsDir = path.resolve(projectRoot, config.recording.dir);
+
+const MODES = ['live', 'record', 'replay'];
+
+// --- Current mode, for the whole process ---
+let state = { mode: 'live', session: null, recordedAt: null };
+
+// --- The assessment being run: a hash of what was asked (see beginAssessment) ---
+let assessmentKey = null;
+
+// --- Hashes of local input files, by path: { size, mtimeMs, hash } ---
+// (re-hashed only when a file changes — the PEP dataset can be large)
+const fileHashes = new Map();
+
+/**
+ * Choose the recording mode (CLI flags, server start-up).
+ *
+ * @param {Object} options
+ * @param {string} options.mode - "live", "record" or "replay"
+ * @param {string} options.session - Session name (required for record/replay)
+ */
+function setRecordingMode({ mode, session = null }) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown recording mode "${mode}" (use: ${MODES.join(', ')})`);
+  }
+  const name = session ? String(session).trim().replace(/[^\w.-]+/g, '-') : null;
+  if (mode !== 'live' && !name) {
+    throw new Error(`Recording mode "${mode}" needs a session name`);
+  }
+  if (mode === 'replay' && !fs.existsSync(path.join(recordingsDir, name, 'manifest.json'))) {
+    throw new Error(`No recording session "${name}" in ${recordingsDir}`);
+  }
+
+  if (mode === 'record') {
+    startSession(name);
+  }
+  state = { mode, session: mode === 'live' ? null : name, recordedAt: name ? readManifest(name).recordedAt : null };
+
+  if (mode === 'replay') {
+    try {
+      checkLocalInputs();
+    } catch (err) {
+      state = { mode: 'live', session: null, recordedAt: null };
+      throw err;
+    }
+  }
+}
+
+/**
+ * The current mode and session.
+ *
+ * @returns {Object} { mode, session, recordedAt }
+ */
+function getRecordingState() {
+  return { ...state };
+}
+
+/**
+ * The time an assessment should treat as "now": when the session was
+ * recorded in replay mode (so age-based scoring comes out the same),
+ * otherwise the real time.
+ *
+ * @returns {Date}
+ */
+function getReferenceTime() {
+  return state.mode === 'replay' && state.recordedAt ? new Date(state.recordedAt) : new Date();
+}
+
+function getSessionDir(session) {
+  return path.join(recordingsDir, session);
+}
+
+function readManifest(session) {
+  const filepath = path.join(getSessionDir(session), 'manifest.json');
+  if (!fs.existsSync(filepath)) return null;
+  return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+}
+
+/**
+ * Create (or restart) a session for recording.
+ */
+function startSession(session) {
+  const dir = getSessionDir(session);
+  fs.mkdirSync(dir, { recursive: true });
+  const manifest = {
+    session,
+    recordedAt: new Date().toISOString(),
+    toolVersion: '3.1',
+    inputs: getLocalInputs(),
+  };
+  writeManifest(session, manifest);
+}
+
+function writeManifest(session, manifest) {
+  fs.writeFileSync(path.join(getSessionDir(session), 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf-8');
+}
+
+/**
+ * The local files an assessment reads besides the network, each with the
+ * hash of its content (null when the file doesn't exist).
+ *
+ * @returns {Object} { [label]: { path, hash } }
+ */
+function getLocalInputs() {
+  const files = [
+    ['PEP dataset', config.pep.datasetPath],
+    ...config.sanctions.localLists.map((list) => [`Watchlist "${list.id}"`, list.path]),
+    ...config.sanctions.ftmFiles.map((file) => [`FtM snapshot "${file.id}"`, file.path]),
+    ['Source registry', config.sourceRegistry.path],
+  ];
+  if (config.webSearch.providers.includes('file')) {
+    files.push(['Search results file', config.webSearch.resultsFile.path]);
+  }
+
+  return Object.fromEntries(files
+    .filter(([, filePath]) => filePath)
+    .map(([label, filePath]) => [label, { path: filePath, hash: hashFile(path.resolve(projectRoot, filePath)) }]));
+}
+
+/**
+ * SHA-256 of a file, read in chunks so large datasets aren't held in memory.
+ */
+function hashFile(filepath) {
+  if (!fs.existsSync(filepath)) return null;
+  const { size, mtimeMs } = fs.statSync(filepath);
+  const known = fileHashes.get(filepath);
+  if (known && known.size === size && known.mtimeMs === mtimeMs) return known.hash;
+
+  const hash = crypto.createHash('sha256');
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  fileHashes.set(filepath, { size, mtimeMs, hash: hash.digest('hex') });
+  return fileHashes.get(filepath).hash;
+}
+
+/**
+ * Compare the local input files with the session (beginAssessment calls
+ * this before each assessment). When recording, the session takes the current hashes; when
+ * replaying, any file that changed since the recording stops the replay.
+ *
+ * @throws {Error} When replaying and a local input has changed
+ */
+function checkLocalInputs() {
+  if (state.mode === 'live') return;
+
+  const manifest = readManifest(state.session);
+  const current = getLocalInputs();
+
+  if (state.mode === 'record') {
+    writeManifest(state.session, { ...manifest, inputs: current });
+    return;
+  }
+
+  // Sessions recorded before inputs were tracked can't be checked
+  if (!manifest.inputs) return;
+  const labels = new Set([...Object.keys(manifest.inputs), ...Object.keys(current)]);
+  const changed = [...labels].filter((label) => manifest.inputs[label]?.hash !== current[label]?.hash);
+  if (changed.length > 0) {
+    throw new Error(`Local inputs changed since recording "${state.session}" was made: ${changed.join(', ')} — the replay would not reproduce it`);
+  }
+}
+
+/**
+ * Start an assessment (called before each one): note what was asked, so
+ * responses that change over time are recorded — and replayed — for this
+ * assessment rather than for the session, then check the local inputs.
+ *
+ * @param {Object} request - What identifies the assessment (org name, seeds, ...)
+ * @throws {Error} When replaying and a local input has changed
+ */
+function beginAssessment(request) {
+  assessmentKey = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+  checkLocalInputs();
+}
+
+/**
+ * The key of the assessment being run (null before the first one).
+ *
+ * @returns {string|null}
+ */
+function getAssessmentKey() {
+  return assessmentKey;
+}
+
+/**
+ * Hash a request into its file name. Same request → same file.
+ */
+function getEntryFile(kind, request) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify([kind, request])).digest('hex').slice(0, 32);
+  return path.join(getSessionDir(state.session), kind, `${hash}.json`);
+}
+
+/**
+ * Look up a recorded response in the current session.
+ *
+ * @param {string} kind - "http", "translation", "sanctions-list"
+ * @param {Object} request - What identifies the request (URL, text, ...)
+ * @returns {*} The recorded response, or undefined
+ */
+function findRecording(kind, request) {
+  if (!state.session) return undefined;
+  const filepath = getEntryFile(kind, request);
+  if (!fs.existsSync(filepath)) return undefined;
+  return JSON.parse(fs.readFileSync(filepath, 'utf-8')).response;
+}
+
+/**
+ * Save a response to the current session.
+ *
+ * @param {string} kind - "http", "translation", "sanctions-list"
+ * @param {Object} request - What identifies the request
+ * @param {*} response - JSON-serializable response
+ */
+function saveRecording(kind, request, response) {
+  if (!state.session) return;
+  const filepath = getEntryFile(kind, request);
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, JSON.stringify({
+    kind,
+    request,
+    response,
+    recordedAt: new Date().toISOString(),
+  }, null, 2), 'utf-8');
+}
+
+/**
+ * Copy a file into the current session (the raw sanctions lists).
+ *
+ * @param {string} name - Path within the session's files folder, e.g. "sanctions/ofac-1a2b.data"
+ * @param {string} data - File content
+ */
+function saveRecordingFile(name, data) {
+  if (!state.session) return;
+  const filepath = path.join(getSessionDir(state.session), 'files', name);
+  if (fs.existsSync(filepath)) return; // named by content hash — already there
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, data, 'utf-8');
+}
+
+/**
+ * Read a file copied into the current session.
+ *
+ * @param {string} name - Path within the session's files folder
+ * @returns {string|null} File content, or null when it isn't there
+ */
+function readRecordingFile(name) {
+  if (!state.session) return null;
+  const filepath = path.join(getSessionDir(state.session), 'files', name);
+  return fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf-8') : null;
+}
+
+/**
+ * Run a request through the current mode: live → just run it; record →
+ * run it and save the response; replay → return the saved response
+ * (throws when there is none).
+ *
+ * @param {string} kind - "http", "translation", ...
+ * @param {Object} request - What identifies the request
+ * @param {Function} perform - async () => response (JSON-serializable)
+ * @returns {*} The response
+ */
+async function recorded(kind, request, perform) {
+  if (state.mode === 'replay') {
+    const response = findRecording(kind, request);
+    if (response === undefined) {
+      throw new Error(`Not in recording "${state.session}" (replay mode)`);
+    }
+    return response;
+  }
+
+  const response = await perform();
+  if (state.mode === 'record') {
+    saveRecording(kind, request, response);
+  }
+  return response;
+}
+
+// Start in the configured mode (config.recording), if any
+if (config.recording.mode && config.recording.mode !== 'live') {
+  setRecordingMode(config.recording);
+}
+
+module.exports = {
+  setRecordingMode,
+  getRecordingState,
+  getReferenceTime,
+  findRecording,
+  saveRecording,
+  saveRecordingFile,
+  readRecordingFile,
+  checkLocalInputs,
+  beginAssessment,
+  getAssessmentKey,
+  recorded,
+};
@@ -0,0 +1,476 @@
+/**
+ * Sanctions Store
+ *
+ * Keeps a local, versioned copy of every sanctions list on disk so an
+ * assessment doesn't re-download multi-megabyte files for the org name and
+ * every seed.
+ *
+ * Each list lives in its own folder under data/sanctions/{listId}/:
+ *   manifest.json            — fetch timestamps, hashes and deltas per version
+ *                              (the last config.sanctions.store.keepHistory versions)
+ *   {version}.data           — the raw downloaded file
+ *   {version}.entries.json   — entry keys (names/ids) found in that version
+ *
+ * A list is re-downloaded when its last check is older than the configured
+ * refresh interval. A new version is only written when the content hash
+ * changes, and each new version records which entries were added or removed
+ * compared to the previous one — so we can tell whether an organization was
+ * newly listed.
+ *
+ * If a refresh fails, the last stored copy is served (marked as stale).
+ *
+ * When recording (storage/recordingStore.js), the version served is noted
+ * in the session for the assessment being run and its raw file copied
+ * there; replaying that assessment serves the same copy again, however many
+ * versions the store has pruned since.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { fetchUrl } = require('../scrapers/baseScraper');
+const {
+  getRecordingState,
+  getAssessmentKey,
+  findRecording,
+  saveRecording,
+  saveRecordingFile,
+  readRecordingFile,
+} = require('./recordingStore');
+
+// Resolve the store directory relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+const storeDir = path.resolve(projectRoot, config.sanctions.store.dir);
+
+// --- In-memory copy of loaded lists ---
+// Key: listId, Value: { data, version }
+// Avoids re-reading large files from disk for every seed in one run.
+const loadedLists = new Map();
+
+/**
+ * Get the folder for a given list, creating it if needed.
+ */
+function getListDir(listId) {
+  const dir = path.join(storeDir, listId);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+/**
+ * Read a list's manifest, or return an empty one.
+ *
+ * @param {string} listId - List identifier (e.g., "ofac")
+ * @returns {Object} { listId, url, lastCheckedAt, versions: [...] }
+ */
+function readManifest(listId) {
+  const filepath = path.join(getListDir(listId), 'manifest.json');
+  if (!fs.existsSync(filepath)) {
+    return { listId, url: null, lastCheckedAt: null, versions: [] };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  } catch (err) {
+    // Not replaced with an empty one: the versions on disk would be overwritten
+    throw new Error(`Could not read the ${listId} manifest (${filepath}): ${err.message}`);
+  }
+}
+
+function writeManifest(listId, manifest) {
+  const filepath = path.join(getListDir(listId), 'manifest.json');
+  fs.writeFileSync(filepath, JSON.stringify(manifest, null, 2), 'utf-8');
+}
+
+/**
+ * Hash list content so unchanged downloads don't create new versions.
+ */
+function hashContent(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Is the list due for a refresh according to the schedule?
+ */
+function isDue(manifest) {
+  if (!manifest.lastCheckedAt || manifest.versions.length === 0) return true;
+  const intervalMs = config.sanctions.store.refreshIntervalHours * 60 * 60 * 1000;
+  return Date.now() - new Date(manifest.lastCheckedAt).getTime() >= intervalMs;
+}
+
+/**
+ * Read the raw data of a stored version.
+ */
+function readVersionData(listId, versionInfo) {
+  const cached = loadedLists.get(listId);
+  if (cached && cached.version === versionInfo.version) {
+    return cached.data;
+  }
+  const data = fs.readFileSync(path.join(getListDir(listId), versionInfo.file), 'utf-8');
+  loadedLists.set(listId, { data, version: versionInfo.version });
+  return data;
+}
+
+/**
+ * Read the entry keys stored for a version (empty array if missing).
+ */
+function readVersionEntries(listId, versionInfo) {
+  if (!versionInfo?.entriesFile) return [];
+  const filepath = path.join(getListDir(listId), versionInfo.entriesFile);
+  if (!fs.existsSync(filepath)) return [];
+  return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+}
+
+/**
+ * Compare two sets of entry keys.
+ *
+ * @returns {Object} { added: string[], removed: string[] }
+ */
+function computeDelta(previousEntries, currentEntries) {
+  const previous = new Set(previousEntries);
+  const current = new Set(currentEntries);
+  return {
+    added: [...current].filter((key) => !previous.has(key)),
+    removed: [...previous].filter((key) => !current.has(key)),
+  };
+}
+
+/**
+ * Store a freshly downloaded list as a new version and record the delta.
+ */
+function saveVersion(list, manifest, data, hash) {
+  const dir = getListDir(list.id);
+  const now = new Date();
+  const version = now.toISOString().replace(/[:.]/g, '-');
+
+  const entries = list.extractEntries ? [...new Set(list.extractEntries(data))] : [];
+  const previous = manifest.versions[manifest.versions.length - 1];
+
+  // The first version has nothing to compare against, and neither does a
+  // version whose entry keys were produced in a different format
+  const sameFormat = previous && (previous.entriesFormat || null) === (list.entriesFormat || null);
+  const delta = sameFormat
+    ? { fromVersion: previous.version, ...computeDelta(readVersionEntries(list.id, previous), entries) }
+    : null;
+
+  const versionInfo = {
+    version,
+    fetchedAt: now.toISOString(),
+    hash,
+    file: `${version}.data`,
+    entriesFile: `${version}.entries.json`,
+    entryCount: entries.length,
+    entriesFormat: list.entriesFormat || null,
+    delta,
+  };
+
+  fs.writeFileSync(path.join(dir, versionInfo.file), data, 'utf-8');
+  fs.writeFileSync(path.join(dir, versionInfo.entriesFile), JSON.stringify(entries), 'utf-8');
+  manifest.versions.push(versionInfo);
+
+  // Prune old versions (keep their deltas in the manifest, drop the files)
+  const keep = config.sanctions.store.keepVersions;
+  for (const old of manifest.versions.slice(0, -keep)) {
+    for (const file of [old.file, old.entriesFile]) {
+      if (file && fs.existsSync(path.join(dir, file))) fs.unlinkSync(path.join(dir, file));
+    }
+    old.file = null;
+    old.entriesFile = null;
+  }
+
+  // ...and forget the oldest deltas altogether, so the manifest stops growing
+  const keepHistory = Math.max(config.sanctions.store.keepHistory || 0, keep);
+  if (manifest.versions.length > keepHistory) {
+    manifest.versions = manifest.versions.slice(-keepHistory);
+  }
+
+  loadedLists.set(list.id, { data, version });
+  return versionInfo;
+}
+
+/**
+ * Get a sanctions list from the local store, refreshing it if it is due.
+ *
+ * @param {Object} list - List descriptor
+ * @param {string} list.id - Short identifier used as folder name ("ofac", "un", ...)
+ * @param {string} list.url - Download URL
+ * @param {Function} list.extractEntries - (data) → string[] of entry keys for delta tracking
+ * @param {string} list.entriesFormat - Optional label for the key format; versions stored
+ *                                      with a different label are not diffed against
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Re-download even if the schedule says it's fresh
+ * @returns {Object} { success, data, error, version, fetchedAt, hash, fromStore, stale }
+ */
+async function getList(list, options = {}) {
+  const { mode, session } = getRecordingState();
+
+  if (mode === 'replay') {
+    const recordedVersion = findRecordedVersion(list.id);
+    if (!recordedVersion) {
+      return { success: false, data: null, error: `Not in recording "${session}" (replay mode)`, fromStore: false, stale: false };
+    }
+
+    // The copy in the session; recordings made before lists were copied
+    // only have the version number, served from the store while it's kept
+    let data = readRecordedListData(list.id, recordedVersion);
+    let versionInfo = recordedVersion;
+    if (data === null) {
+      versionInfo = readManifest(list.id).versions.find((v) => v.version === recordedVersion.version && v.file);
+      if (!versionInfo) {
+        const error = `Version ${recordedVersion.version} of ${list.id} is neither in recording "${session}" nor in the sanctions store`;
+        return { success: false, data: null, error, fromStore: false, stale: false };
+      }
+      data = readVersionData(list.id, versionInfo);
+    }
+    return {
+      success: true,
+      data,
+      error: null,
+      version: versionInfo.version,
+      fetchedAt: versionInfo.fetchedAt || null,
+      hash: versionInfo.hash,
+      fromStore: true,
+      stale: false,
+    };
+  }
+
+  const result = await getCurrentList(list, options);
+  if (mode === 'record' && result.success) {
+    const file = `sanctions/${list.id}-${result.hash.slice(0, 16)}.data`;
+    saveRecordingFile(file, result.data);
+    saveRecording('sanctions-list', { listId: list.id, assessment: getAssessmentKey() }, {
+      version: result.version,
+      fetchedAt: result.fetchedAt,
+      hash: result.hash,
+      file,
+    });
+  }
+  return result;
+}
+
+/**
+ * The list version the replayed assessment used. Sessions recorded before
+ * versions were kept per assessment have one for the whole session.
+ */
+function findRecordedVersion(listId) {
+  return findRecording('sanctions-list', { listId, assessment: getAssessmentKey() })
+    || findRecording('sanctions-list', { listId });
+}
+
+/**
+ * The raw data of a list version copied into the recording session
+ * (kept in memory like the stored versions), or null when it isn't there.
+ */
+function readRecordedListData(listId, recordedVersion) {
+  const cached = loadedLists.get(listId);
+  if (cached && cached.version === recordedVersion.version) {
+    return cached.data;
+  }
+  const data = recordedVersion.file ? readRecordingFile(recordedVersion.file) : null;
+  if (data !== null) loadedLists.set(listId, { data, version: recordedVersion.version });
+  return data;
+}
+
+/**
+ * getList() without record/replay: the stored copy, refreshed if due.
+ */
+async function getCurrentList(list, options = {}) {
+  const manifest = readManifest(list.id);
+  const latest = manifest.versions[manifest.versions.length - 1];
+
+  if (latest && !options.forceRefresh && !isDue(manifest)) {
+    return {
+      success: true,
+      data: readVersionData(list.id, latest),
+      error: null,
+      version: latest.version,
+      fetchedAt: latest.fetchedAt,
+      hash: latest.hash,
+      fromStore: true,
+      stale: false,
+    };
+  }
+
+  console.log(`  Refreshing local copy of ${list.id} list...`);
+  // The list itself isn't recorded — the version used is (see getList)
+  const result = await fetchUrl(list.url, { skipRecording: true, cacheSource: 'sanctions' });
+
+  if (!result.success) {
+    // Serve the last good copy if we have one
+    if (latest) {
+      console.log(`  Refresh failed (${result.error}) — using stored copy from ${latest.fetchedAt}`);
+      return {
+        success: true,
+        data: readVersionData(list.id, latest),
+        error: null,
+        refreshError: result.error,
+        version: latest.version,
+        fetchedAt: latest.fetchedAt,
+        hash: latest.hash,
+        fromStore: true,
+        stale: true,
+      };
+    }
+    return { success: false, data: null, error: result.error, fromStore: false, stale: false };
+  }
+
+  const data = typeof result.data === 'string' ? result.data : String(result.data);
+  const hash = hashContent(data);
+
+  let versionInfo = latest;
+  if (!latest || latest.hash !== hash) {
+    versionInfo = saveVersion(list, manifest, data, hash);
+    if (versionInfo.delta) {
+      console.log(`  ${list.id}: ${versionInfo.delta.added.length} added, ${versionInfo.delta.removed.length} removed since last version`);
+    }
+  }
+
+  manifest.url = list.url;
+  manifest.lastCheckedAt = new Date().toISOString();
+  writeManifest(list.id, manifest);
+
+  return {
+    success: true,
+    data,
+    error: null,
+    version: versionInfo.version,
+    fetchedAt: versionInfo.fetchedAt,
+    hash,
+    fromStore: false,
+    stale: false,
+  };
+}
+
+/**
+ * When each entry was added to a list, based on the recorded deltas. Read
+ * once per check: the manifest is parsed here, not once per match.
+ *
+ * @param {string} listId - List identifier
+ * @returns {Object} { findAddition(entryKey), isNewlyListed(entryKey) } —
+ *   findAddition returns { version, addedAt } of the most recent addition, or
+ *   null if the entry has been there since the oldest version in the history;
+ *   isNewlyListed says whether the entry was added in the latest refresh
+ */
+function getListingHistory(listId) {
+  let { versions } = readManifest(listId);
+
+  // A replay sees the history as it was up to the recorded version
+  if (getRecordingState().mode === 'replay') {
+    const recordedVersion = findRecordedVersion(listId);
+    const index = versions.findIndex((v) => v.version === recordedVersion?.version);
+    if (index !== -1) versions = versions.slice(0, index + 1);
+  }
+  const latest = versions[versions.length - 1];
+
+  // Entry key → most recent addition (later versions overwrite earlier ones)
+  const additions = new Map();
+  for (const v of versions) {
+    for (const entryKey of v.delta?.added || []) {
+      additions.set(entryKey, { version: v.version, addedAt: v.fetchedAt });
+    }
+  }
+
+  return {
+    findAddition: (entryKey) => additions.get(entryKey) || null,
+    isNewlyListed: (entryKey) => Boolean(latest && additions.get(entryKey)?.version === latest.version),
+  };
+}
+
+/**
+ * Get the delta recorded for the latest version of a list.
+ *
+ * @param {string} listId - List identifier
+ * @returns {Object|null} { fromVersion, added, removed } or null
+ */
+function getLatestDelta(listId) {
+  const manifest = readManifest(listId);
+  return manifest.versions[manifest.versions.length - 1]?.delta || null;
+}
+
+/**
+ * Refresh every given list (regardless of schedule).
+ *
+ * @param {Array<Object>} lists - List descriptors (see getList)
+ * @returns {Array<Object>} [{ listId, success, version, fetchedAt, delta, error }]
+ */
+async function refreshAll(lists) {
+  const results = [];
+  for (const list of lists) {
+    const result = await getList(list, { forceRefresh: true });
+    results.push({
+      listId: list.id,
+      success: result.success && !result.stale,
+      version: result.version || null,
+      fetchedAt: result.fetchedAt || null,
+      delta: result.success ? getLatestDelta(list.id) : null,
+      error: result.error || result.refreshError || null,
+    });
+  }
+  return results;
+}
+
+/**
+ * Refresh lists on the configured schedule (used by the long-running server).
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @param {Array<Object>} lists - List descriptors (see getList)
+ * @returns {Object} The interval timer
+ */
+function startScheduledRefresh(lists) {
+  const intervalMs = config.sanctions.store.refreshIntervalHours * 60 * 60 * 1000;
+  const timer = setInterval(async () => {
+    console.log('\n[Sanctions store] Scheduled refresh...');
+    for (const list of lists) {
+      // getList only downloads lists that are actually due. A failure (disk
+      // full, corrupt manifest) is logged and the next list is tried: an
+      // unhandled rejection here would take the whole server down.
+      try {
+        await getList(list);
+      } catch (err) {
+        console.log(`[Sanctions store] Refresh of ${list.id} failed: ${err.message}`);
+      }
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Summarize what the store currently holds.
+ *
+ * @returns {Array<Object>} [{ listId, url, lastCheckedAt, versions, latest }]
+ */
+function getStoreStatus() {
+  if (!fs.existsSync(storeDir)) return [];
+  return fs.readdirSync(storeDir)
+    .filter((name) => fs.existsSync(path.join(storeDir, name, 'manifest.json')))
+    .map((listId) => {
+      const manifest = readManifest(listId);
+      const latest = manifest.versions[manifest.versions.length - 1] || null;
+      return {
+        listId,
+        url: manifest.url,
+        lastCheckedAt: manifest.lastCheckedAt,
+        versions: manifest.versions.length,
+        latest: latest && {
+          version: latest.version,
+          fetchedAt: latest.fetchedAt,
+          hash: latest.hash,
+          entryCount: latest.entryCount,
+          added: latest.delta ? latest.delta.added.length : null,
+          removed: latest.delta ? latest.delta.removed.length : null,
+        },
+      };
+    });
+}
+
+module.exports = {
+  getList,
+  refreshAll,
+  startScheduledRefresh,
+  getListingHistory,
+  getLatestDelta,
+  getStoreStatus,
+  computeDelta,
+};
@@ -0,0 +1,258 @@
+/**
+ * Source Registry
+ *
+ * Decides what kind of source a web page is (news outlet, NGO, government,
+ * social media, forum) from its domain, and how much it should count.
+ * Analysts keep the list themselves — adding the outlets they trust,
+ * downgrading the ones they don't — through the API and the extension.
+ *
+ * Each entry is a domain rule:
+ *   { id, domain, match, sourceType, weight, notes, addedAt, updatedAt }
+ *
+ *   match "exact"  — only that host ("news.example.com"; "www." is ignored)
+ *   match "suffix" — the domain and every subdomain ("bbc.co.uk" also
+ *                    covers "www.bbc.co.uk"; "gov" covers any ".gov" host)
+ *
+ * An exact rule wins over a suffix rule, and a longer suffix over a shorter
+ * one. weight (optional, 0–10) replaces config.credibilityWeights for
+ * evidence from that domain.
+ *
+ * The registry is one file (config.sourceRegistry.path). Until it's first
+ * edited, the built-in list below is used — and also when the file can't
+ * be read, with a warning; the next edit then sets the bad file aside.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// Resolve the registry file relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+const registryPath = path.resolve(projectRoot, config.sourceRegistry.path);
+
+const MATCH_TYPES = ['exact', 'suffix'];
+
+// Built-in rules: sourceType → domains (suffix match)
+const DEFAULT_DOMAINS = {
+  government: [
+    'gov', 'gov.uk', 'europa.eu', 'riksdag.se', 'regeringen.se', 'parliament.uk',
+  ],
+  news: [
+    'reuters.com', 'bbc.com', 'bbc.co.uk', 'nytimes.com', 'washingtonpost.com',
+    'theguardian.com', 'dn.se', 'svt.se', 'svd.se', 'aftonbladet.se',
+    'expressen.se', 'cnn.com', 'aljazeera.com', 'france24.com', 'dw.com',
+    'apnews.com', 'npr.org', 'politico.com', 'ft.com', 'bloomberg.com',
+    'nbcnews.com', 'cbsnews.com', 'abcnews.com', 'foxnews.com',
+    'news.sky.com', 'independent.co.uk', 'telegraph.co.uk',
+  ],
+  ngo: [
+    'amnesty.org', 'hrw.org', 'transparency.org', 'icrc.org', 'msf.org',
+    'oxfam.org', 'freedomhouse.org', 'rsf.org', 'crd.org',
+  ],
+  social: [
+    'twitter.com', 'x.com', 'facebook.com', 'linkedin.com',
+    'instagram.com', 'youtube.com', 'tiktok.com',
+  ],
+  forum: [
+    'reddit.com', 'flashback.org', 'quora.com', 'stackexchange.com',
+  ],
+};
+
+// --- Loaded registry (re-read after every change) ---
+let sources = null;
+
+// Set when the registry file couldn't be read and the built-in list is used
+// instead: the file is then kept aside before the first edit overwrites it
+let unreadableFile = false;
+
+function getDefaultSources() {
+  return Object.entries(DEFAULT_DOMAINS).flatMap(([sourceType, domains]) =>
+    domains.map((domain) => ({
+      id: `default-${domain}`,
+      domain,
+      match: 'suffix',
+      sourceType,
+      weight: null,
+      notes: '',
+      addedAt: null,
+      updatedAt: null,
+    }))
+  );
+}
+
+function loadSources() {
+  if (!sources) {
+    sources = fs.existsSync(registryPath) ? readSourcesFile() : getDefaultSources();
+  }
+  return sources;
+}
+
+/**
+ * The entries in the registry file, or the built-in list (with a warning)
+ * when the file is corrupt or not a registry.
+ */
+function readSourcesFile() {
+  try {
+    const list = JSON.parse(fs.readFileSync(registryPath, 'utf-8')).sources;
+    if (!Array.isArray(list)) throw new Error('no "sources" list');
+    unreadableFile = false;
+    return list;
+  } catch (err) {
+    console.log(`  Could not read source registry ${registryPath}: ${err.message} — using the built-in list`);
+    unreadableFile = true;
+    return getDefaultSources();
+  }
+}
+
+function writeSources(list) {
+  fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+  if (unreadableFile && fs.existsSync(registryPath)) {
+    const keptAs = `${registryPath}.unreadable-${Date.now()}`;
+    fs.renameSync(registryPath, keptAs);
+    console.log(`  Unreadable source registry kept as ${keptAs}`);
+    unreadableFile = false;
+  }
+  fs.writeFileSync(registryPath, JSON.stringify({ updatedAt: new Date().toISOString(), sources: list }, null, 2), 'utf-8');
+  sources = list;
+}
+
+/**
+ * Reduce a URL or domain to a lowercase host without "www.".
+ *
+ * @param {string} value - "https://www.Example.com/page", "example.com", ...
+ * @returns {string} "example.com" ("" when there's no host)
+ */
+function normalizeDomain(value) {
+  let host = String(value || '').trim().toLowerCase();
+  try {
+    if (/^[a-z][a-z0-9+.-]*:\/\//.test(host)) host = new URL(host).hostname;
+  } catch {
+    return '';
+  }
+  return host.split(/[/?#:]/)[0].replace(/^www\./, '').replace(/^\.+|\.+$/g, '');
+}
+
+/**
+ * All registry entries.
+ *
+ * @returns {Array<Object>} [{ id, domain, match, sourceType, weight, notes, addedAt, updatedAt }]
+ */
+function listSources() {
+  return [...loadSources()];
+}
+
+/**
+ * The registry entry that applies to a URL, or null.
+ *
+ * @param {string} url - Page URL
+ * @returns {Object|null} Registry entry
+ */
+function findSource(url) {
+  const host = normalizeDomain(url);
+  if (!host) return null;
+
+  const entries = loadSources();
+  const exact = entries.find((entry) => entry.match === 'exact' && entry.domain === host);
+  if (exact) return exact;
+
+  return entries
+    .filter((entry) => entry.match === 'suffix' && (host === entry.domain || host.endsWith(`.${entry.domain}`)))
+    .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+}
+
+/**
+ * Check and normalize the editable fields of an entry.
+ *
+ * @returns {Object} { fields, error }
+ */
+function validateFields(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  const domain = normalizeDomain(merged.domain);
+  const match = merged.match || 'suffix';
+  const weight = merged.weight === '' || merged.weight === undefined ? null : merged.weight;
+
+  if (!domain || !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain)) {
+    return { error: 'domain must be a host name, e.g. "example.com"' };
+  }
+  if (!MATCH_TYPES.includes(match)) {
+    return { error: `match must be one of: ${MATCH_TYPES.join(', ')}` };
+  }
+  if (!Object.keys(config.credibilityWeights).includes(merged.sourceType)) {
+    return { error: `sourceType must be one of: ${Object.keys(config.credibilityWeights).join(', ')}` };
+  }
+  if (weight !== null && (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > 10)) {
+    return { error: 'weight must be a number from 0 to 10 (or empty for the source type\'s weight)' };
+  }
+
+  const duplicate = loadSources().find((entry) =>
+    entry.id !== existing.id && entry.domain === domain && entry.match === match);
+  if (duplicate) {
+    return { error: `There is already a ${match} rule for ${domain}` };
+  }
+
+  return {
+    fields: { domain, match, sourceType: merged.sourceType, weight, notes: String(merged.notes || '').trim() },
+    error: null,
+  };
+}
+
+/**
+ * Add a domain rule.
+ *
+ * @param {Object} input - { domain, match, sourceType, weight, notes }
+ * @returns {Object} { success, source, error }
+ */
+function addSource(input) {
+  const { fields, error } = validateFields(input);
+  if (error) return { success: false, source: null, error };
+
+  const now = new Date().toISOString();
+  const source = { id: crypto.randomBytes(4).toString('hex'), ...fields, addedAt: now, updatedAt: now };
+  writeSources([...loadSources(), source]);
+  return { success: true, source, error: null };
+}
+
+/**
+ * Change a domain rule.
+ *
+ * @param {string} id - Entry id
+ * @param {Object} input - Fields to change { domain, match, sourceType, weight, notes }
+ * @returns {Object} { success, source, error, notFound }
+ */
+function updateSource(id, input) {
+  const existing = loadSources().find((entry) => entry.id === id);
+  if (!existing) return { success: false, source: null, error: `No source with id "${id}"`, notFound: true };
+
+  const { fields, error } = validateFields(input, existing);
+  if (error) return { success: false, source: null, error, notFound: false };
+
+  const source = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+  writeSources(loadSources().map((entry) => (entry.id === id ? source : entry)));
+  return { success: true, source, error: null, notFound: false };
+}
+
+/**
+ * Remove a domain rule.
+ *
+ * @param {string} id - Entry id
+ * @returns {Object} { success, error, notFound }
+ */
+function removeSource(id) {
+  const entries = loadSources();
+  if (!entries.some((entry) => entry.id === id)) {
+    return { success: false, error: `No source with id "${id}"`, notFound: true };
+  }
+  writeSources(entries.filter((entry) => entry.id !== id));
+  return { success: true, error: null, notFound: false };
+}
+
+module.exports = {
+  MATCH_TYPES,
+  normalizeDomain,
+  listSources,
+  findSource,
+  addSource,
+  updateSource,
+  removeSource,
+};
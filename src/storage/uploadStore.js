@@ -0,0 +1,130 @@
+/**
+ * Upload Store
+ *
+ * Keeps the documents analysts send to the API server (annual reports,
+ * board minutes, forwarded e-mails) until an assessment reads them.
+ *
+ * Every upload gets its own folder, and one upload belongs to one
+ * assessment:
+ *   data/uploads/{uploadId}/
+ *     — the documents, under their original (cleaned-up) names
+ *
+ * The folders are kept after the assessment has run: its entities and
+ * hypotheses cite the files (and PDF pages) by path, so an analyst can open
+ * them later. They're deleted once they're older than
+ * config.uploads.retentionDays (see pruneUploads(), run for every new upload).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// Resolve the uploads directory relative to the project root
+const projectRoot = path.resolve(__dirname, '..', '..');
+const uploadsDir = path.resolve(projectRoot, config.uploads.dir);
+
+// "2026-10-18-3f9c0a1b2d4e" — date + random part; anything else is rejected
+const UPLOAD_ID_PATTERN = /^\d{4}-\d{2}-\d{2}-[0-9a-f]{12}$/;
+
+/**
+ * Folder of an upload, or null when the id isn't a valid upload id.
+ */
+function getUploadDir(uploadId) {
+  if (typeof uploadId !== 'string' || !UPLOAD_ID_PATTERN.test(uploadId)) return null;
+  return path.join(uploadsDir, uploadId);
+}
+
+/**
+ * Create the folder for a new upload.
+ *
+ * @returns {Object} { uploadId, dir, fileNames } — fileNames: for getSafeFileName()
+ */
+function createUpload() {
+  const uploadId = `${new Date().toISOString().split('T')[0]}-${crypto.randomBytes(6).toString('hex')}`;
+  const dir = getUploadDir(uploadId);
+  fs.mkdirSync(dir, { recursive: true });
+  return { uploadId, dir, fileNames: new Set() };
+}
+
+/**
+ * A safe file name for an uploaded document inside an upload folder:
+ * no directories, no odd characters, and not clashing with a file that's
+ * already there ("report.pdf" → "report-2.pdf").
+ *
+ * @param {string} dir - Upload folder
+ * @param {string} originalName - Name the file was sent with
+ * @param {Set<string>} taken - Names already given out for files still being written
+ * @returns {string} File name (not full path)
+ */
+function getSafeFileName(dir, originalName, taken = new Set()) {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const base = path.basename(originalName, path.extname(originalName))
+    .replace(/[^a-z0-9åäöéü _.-]/gi, '') // keep letters, numbers, Swedish chars, spaces, dots, hyphens
+    .replace(/\s+/g, '-')
+    .replace(/^[.-]+/, '')
+    .substring(0, 80) || 'document';
+
+  let name = `${base}${extension}`;
+  for (let n = 2; taken.has(name) || fs.existsSync(path.join(dir, name)); n++) {
+    name = `${base}-${n}${extension}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+/**
+ * The documents of an upload.
+ *
+ * @param {string} uploadId - Upload id (from createUpload)
+ * @returns {string[]|null} Full paths, or null when there's no such upload
+ */
+function getUploadedFiles(uploadId) {
+  const dir = getUploadDir(uploadId);
+  if (!dir || !fs.existsSync(dir)) return null;
+
+  return fs.readdirSync(dir)
+    .filter((name) => fs.statSync(path.join(dir, name)).isFile())
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+/**
+ * Delete an upload and its documents (e.g. when the upload was rejected).
+ *
+ * @param {string} uploadId - Upload id
+ */
+function removeUpload(uploadId) {
+  const dir = getUploadDir(uploadId);
+  if (dir && fs.existsSync(dir)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Delete the uploads older than config.uploads.retentionDays. The date is
+ * part of the upload id, so nothing but the folder names has to be read.
+ *
+ * @param {Date} now - Current time (for tests)
+ * @returns {string[]} Ids of the deleted uploads
+ */
+function pruneUploads(now = new Date()) {
+  const { retentionDays } = config.uploads;
+  if (!retentionDays || !fs.existsSync(uploadsDir)) return [];
+
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const expired = fs.readdirSync(uploadsDir)
+    .filter((uploadId) => UPLOAD_ID_PATTERN.test(uploadId) && uploadId.slice(0, 10) < cutoff);
+  for (const uploadId of expired) {
+    removeUpload(uploadId);
+  }
+  return expired;
+}
+
+module.exports = {
+  createUpload,
+  getSafeFileName,
+  getUploadedFiles,
+  removeUpload,
+  pruneUploads,
+};
@@ -0,0 +1,39 @@
+/**
+ * Tests for country normalization (src/analysis/countries.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCountry, normalizeCountries } = require('../src/analysis/countries');
+
+test('codes, names, native names and nationality adjectives map to the ISO code', () => {
+  for (const value of ['SE', 'se', 'SWE', 'Sweden', 'Sverige', 'Swedish', ' sweden ']) {
+    assert.equal(normalizeCountry(value), 'SE', value);
+  }
+  for (const value of ['IQ', 'IRQ', 'Iraq', 'Irak', 'Iraqi']) {
+    assert.equal(normalizeCountry(value), 'IQ', value);
+  }
+});
+
+test('the long and inverted names used on sanctions lists are recognized', () => {
+  assert.equal(normalizeCountry('Iran (Islamic Republic of)'), 'IR');
+  assert.equal(normalizeCountry('Korea, Democratic People\'s Republic of'), 'KP');
+  assert.equal(normalizeCountry('Congo, Democratic Republic of the'), 'CD');
+  assert.equal(normalizeCountry('Syrian Arab Republic'), 'SY');
+  assert.equal(normalizeCountry('Russian Federation'), 'RU');
+  assert.equal(normalizeCountry('Cote d\'Ivoire'), 'CI');
+  assert.equal(normalizeCountry('United Kingdom of Great Britain and Northern Ireland'), 'GB');
+});
+
+test('unknown values are null, not a guess', () => {
+  assert.equal(normalizeCountry('Narnia'), null);
+  assert.equal(normalizeCountry('XX'), null);
+  assert.equal(normalizeCountry(''), null);
+  assert.equal(normalizeCountry('Congolese'), null, 'ambiguous between the two Congos');
+});
+
+test('cells with several countries are split; unrecognized parts are reported', () => {
+  assert.deepEqual(normalizeCountries(['Iraq; Syria', 'Swedish, Iraqi']), { codes: ['IQ', 'SY', 'SE'], unresolved: [] });
+  assert.deepEqual(normalizeCountries('Irak och Syrien'), { codes: ['IQ', 'SY'], unresolved: [] });
+  assert.deepEqual(normalizeCountries(['Korea, Republic of', 'Atlantis']), { codes: ['KR'], unresolved: ['Atlantis'] });
+});
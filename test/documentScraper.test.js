@@ -0,0 +1,224 @@
+/**
+ * Tests for the document extractors (src/scrapers/documentScraper.js): format
+ * detection, and text and tables out of DOCX, HTML, text, e-mail and CSV
+ * files. The fixtures are written to a temporary folder; the DOCX is zipped
+ * here so no binary file has to live in the repository.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  detectDocumentType,
+  extractFromDocument,
+  extractFromDocuments,
+} = require('../src/scrapers/documentScraper');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeFixture(name, contents) {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+// A zip archive with uncompressed ("stored") entries — enough for mammoth
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(contents);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const paragraph = (text) => `<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+const row = (...cells) => `<w:tr>${cells.map((c) => `<w:tc>${paragraph(c)}</w:tc>`).join('')}</w:tr>`;
+
+const DOCX = zip({
+  '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`,
+  '_rels/.rels': `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`,
+  'word/document.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<w:document xmlns:w="${W}"><w:body>
+  ${paragraph('Protokoll från styrelsemöte i Acme Foundation')}
+  <w:tbl>${row('Namn', 'Roll')}${row('Johan Berg', 'Ordförande')}${row('Anna Lind', 'Ledamot')}</w:tbl>
+  ${paragraph('Mötet avslutades.')}
+</w:body></w:document>`,
+});
+
+const HTML = `<!DOCTYPE html>
+<html><head><title>Stadgar för Acme Foundation</title></head>
+<body><article>
+  <h1>Stadgar för Acme Foundation</h1>
+  <p>Stiftelsen har till ändamål att främja utbildning och kultur i Sverige och i de nordiska länderna.</p>
+  <p>Styrelsen består av minst tre och högst sju ledamöter som utses av grundarna för en period om tre år.</p>
+  <table>
+    <tr><th>Namn</th><th>Roll</th></tr>
+    <tr><td>Johan Berg</td><td>Ordförande</td></tr>
+  </table>
+</article></body></html>`;
+
+const EML = [
+  'From: Johan Berg <johan@acme.example>',
+  'To: Anna Lind <anna@acme.example>',
+  'Date: Tue, 03 Jun 2025 08:15:00 +0200',
+  'Subject: Bidrag från Gulf Relief Foundation',
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'Hej Anna,',
+  '',
+  'Donor                        Currency       Amount',
+  'Gulf Relief Foundation       SEK           250 000',
+  'Nordic Aid Fund              EUR            75 000',
+  '',
+  'Johan',
+].join('\r\n');
+
+const CSV = 'Namn;Roll;Organisation\nJohan Berg;Ordförande;Acme AB\nAnna Lind;Ledamot;\n';
+
+test('detectDocumentType: by extension, then by content', () => {
+  assert.equal(detectDocumentType('minutes.DOCX'), 'docx');
+  assert.equal(detectDocumentType('statutes.htm'), 'html');
+  assert.equal(detectDocumentType('board.csv'), 'csv');
+  assert.equal(detectDocumentType('mail.eml'), 'email');
+  assert.equal(detectDocumentType('notes.md'), 'text');
+  assert.equal(detectDocumentType('upload'), null);
+
+  assert.equal(detectDocumentType('upload', Buffer.from('%PDF-1.7\n')), 'pdf');
+  assert.equal(detectDocumentType('upload', DOCX), 'docx');
+  assert.equal(detectDocumentType('upload', Buffer.from(HTML)), 'html');
+  assert.equal(detectDocumentType('upload', Buffer.from(EML)), 'email');
+  assert.equal(detectDocumentType('upload', Buffer.from('Just some notes')), null);
+  // A zip that is not a Word document
+  assert.equal(detectDocumentType('upload', zip({ 'data.txt': 'x' })), null);
+});
+
+test('extractFromDocument: DOCX text and tables', async () => {
+  const result = await extractFromDocument(writeFixture('minutes.docx', DOCX));
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.format, 'docx');
+  assert.equal(result.source, 'DOCX: minutes.docx');
+  assert.match(result.text, /Protokoll från styrelsemöte i Acme Foundation/);
+  assert.match(result.text, /Johan Berg/);
+  assert.match(result.text, /Mötet avslutades\./);
+  assert.deepEqual(result.tables.map((t) => t.rows), [
+    [['Namn', 'Roll'], ['Johan Berg', 'Ordförande'], ['Anna Lind', 'Ledamot']],
+  ]);
+  assert.equal(result.metadata.fileSize, DOCX.length);
+});
+
+test('extractFromDocument: HTML article text and tables, also without an extension', async () => {
+  for (const name of ['statutes.html', 'statutes']) {
+    const result = await extractFromDocument(writeFixture(name, HTML));
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.format, 'html');
+    assert.equal(result.source, `HTML: ${name}`);
+    assert.match(result.text, /främja utbildning och kultur/);
+    assert.deepEqual(result.tables.map((t) => t.rows), [[['Namn', 'Roll'], ['Johan Berg', 'Ordförande']]]);
+  }
+});
+
+test('extractFromDocument: e-mail headers stay in the text, aligned columns become a table', async () => {
+  const result = await extractFromDocument(writeFixture('forwarded.eml', EML));
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.format, 'email');
+  assert.equal(result.source, 'E-mail: forwarded.eml');
+  assert.match(result.text, /^From: "?Johan Berg"? <johan@acme\.example>\nTo: /);
+  assert.match(result.text, /Date: 2025-06-03T06:15:00\.000Z/);
+  assert.match(result.text, /Subject: Bidrag från Gulf Relief Foundation\n\nHej Anna,/);
+  assert.equal(result.metadata.title, 'Bidrag från Gulf Relief Foundation');
+  assert.equal(result.metadata.date, '2025-06-03T06:15:00.000Z');
+  assert.deepEqual(result.metadata.attachments, []);
+  assert.deepEqual(result.tables.map((t) => t.rows), [[
+    ['Donor', 'Currency', 'Amount'],
+    ['Gulf Relief Foundation', 'SEK', '250 000'],
+    ['Nordic Aid Fund', 'EUR', '75 000'],
+  ]]);
+});
+
+test('extractFromDocument: CSV rows become "Column: value" lines and one table', async () => {
+  const result = await extractFromDocument(writeFixture('board.csv', `\uFEFF${CSV}`));
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.format, 'csv');
+  assert.equal(result.text, [
+    'Namn: Johan Berg; Roll: Ordförande; Organisation: Acme AB',
+    'Namn: Anna Lind; Roll: Ledamot',
+  ].join('\n'));
+  assert.deepEqual(result.tables, [{
+    page: null,
+    rows: [['Namn', 'Roll', 'Organisation'], ['Johan Berg', 'Ordförande', 'Acme AB'], ['Anna Lind', 'Ledamot', '']],
+  }]);
+  assert.deepEqual(result.metadata.columns, ['Namn', 'Roll', 'Organisation']);
+  assert.equal(result.metadata.rowCount, 2);
+});
+
+test('extractFromDocument: plain text as is', async () => {
+  const result = await extractFromDocument(writeFixture('notes.txt', 'Acme Foundation\r\n\r\n\r\n\r\nStyrelsen möts i juni.\r\n'));
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.text, 'Acme Foundation\n\nStyrelsen möts i juni.');
+  assert.deepEqual(result.tables, []);
+});
+
+test('extractFromDocument: unsupported, missing and damaged files fail with a reason', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const unsupported = writeFixture('photo.jpg', Buffer.from([0xff, 0xd8, 0xff, 0xe0]));
+  const missing = path.join(tmpDir, 'gone.docx');
+  const damaged = writeFixture('damaged.docx', 'not a zip');
+
+  const { results, successCount, errorCount } = await extractFromDocuments([unsupported, missing, damaged]);
+  assert.equal(successCount, 0);
+  assert.equal(errorCount, 3);
+  assert.match(results[0].error, /^Unsupported document type: photo\.jpg/);
+  assert.equal(results[0].source, 'Document: photo.jpg');
+  assert.match(results[1].error, /^File not found: /);
+  assert.equal(results[1].format, 'docx');
+  assert.match(results[2].error, /^Failed to read DOCX file: /);
+  assert.equal(results[2].source, 'DOCX: damaged.docx');
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for the stale-evidence note in flag assignment (src/scoring/flagAssignment.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assignFlag } = require('../src/scoring/flagAssignment');
+
+const noSanctions = { sanctioned: false, errors: [], results: [{ source: 'OFAC' }] };
+
+const item = (sourceType, ageYears) => ({
+  sourceType,
+  severity: 'medium',
+  ageYears,
+  stale: ageYears != null && ageYears >= 5,
+  publishedAt: ageYears != null ? `${2025 - ageYears}-01-01` : null,
+});
+
+const flagFor = (scoredEvidence) => assignFlag({
+  sanctionsResult: noSanctions,
+  scoredResults: { scoredEvidence, credibleSourceCount: 0, totalItems: scoredEvidence.length },
+});
+
+const staleNote = (result) => result.details.find((d) => d.startsWith('Stale evidence'));
+
+test('the stale share is taken over dated evidence; undated items don\'t dilute it', () => {
+  const result = flagFor([item('news', 9), item('ngo', null), item('forum', null), item('forum', null)]);
+  assert.equal(result.flag, 'YELLOW');
+  assert.match(staleNote(result), /^Stale evidence: 1 of 1 dated item\(s\) are over 5 years old \(newest 2016-01-01\)/);
+});
+
+test('no note when most dated evidence is recent', () => {
+  const result = flagFor([item('news', 9), item('ngo', 1), item('forum', 2), item('forum', null)]);
+  assert.equal(result.flag, 'YELLOW');
+  assert.equal(staleNote(result), undefined);
+});
+
+test('no note when nothing is dated', () => {
+  const result = flagFor([item('news', null), item('ngo', null)]);
+  assert.equal(result.flag, 'YELLOW');
+  assert.equal(staleNote(result), undefined);
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for the on-disk HTTP response cache (src/storage/httpCache.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+config.httpCache.dir = tmpDir;
+config.httpCache.enabled = true;
+config.httpCache.maxEntries = 10;
+config.httpCache.maxSizeMB = 1;
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const {
+  readCachedResponse,
+  saveCachedResponse,
+  touchCachedResponse,
+} = require('../src/storage/httpCache');
+
+const entryFiles = () => fs.readdirSync(tmpDir).filter((name) => name.endsWith('.json'));
+const clear = () => entryFiles().forEach((name) => fs.rmSync(path.join(tmpDir, name)));
+
+test('responses differing by Accept-Language are cached apart', () => {
+  clear();
+  const url = 'https://search.example/?q=acme';
+  const sv = { source: 'search', headers: { 'Accept-Language': 'sv,en;q=0.5' } };
+  const en = { source: 'search', headers: { 'accept-language': 'en-US,en;q=0.9' } };
+  saveCachedResponse(url, { data: 'svenska träffar', statusCode: 200 }, sv);
+  saveCachedResponse(url, { data: 'english results', statusCode: 200 }, en);
+
+  assert.equal(readCachedResponse(url, sv).data, 'svenska träffar');
+  assert.equal(readCachedResponse(url, en).data, 'english results');
+  assert.equal(readCachedResponse(url, { source: 'search' }), null);
+  assert.equal(readCachedResponse(url, sv).fresh, true);
+});
+
+test('headers that don\'t change the response don\'t split the cache', () => {
+  clear();
+  const url = 'https://news.example/story';
+  saveCachedResponse(url, { data: 'story', statusCode: 200 }, { source: 'article', headers: { 'X-Request-Id': '1' } });
+  assert.equal(readCachedResponse(url, { source: 'article', headers: { 'X-Request-Id': '2' } }).data, 'story');
+});
+
+test('sanctions lists are left to the sanctions store', () => {
+  clear();
+  saveCachedResponse('https://lists.example/sdn.csv', { data: 'x', statusCode: 200 }, { source: 'sanctions' });
+  assert.deepEqual(entryFiles(), []);
+  assert.equal(readCachedResponse('https://lists.example/sdn.csv', { source: 'sanctions' }), null);
+});
+
+test('a corrupt entry is a cache miss, also when revalidating', () => {
+  clear();
+  const url = 'https://news.example/broken';
+  saveCachedResponse(url, { data: 'ok', statusCode: 200 }, { source: 'article' });
+  const [file] = entryFiles();
+  fs.writeFileSync(path.join(tmpDir, file), '{"url": "https://news.exa');
+
+  assert.equal(readCachedResponse(url, { source: 'article' }), null);
+  assert.doesNotThrow(() => touchCachedResponse(url));
+  assert.deepEqual(entryFiles(), []);
+});
+
+test('past maxEntries, the least recently validated entries go first, down to 90%', () => {
+  clear();
+  const save = (n) => saveCachedResponse(`https://news.example/${n}`, { data: `page ${n}`, statusCode: 200 }, { source: 'article' });
+  const age = (n, seconds) => {
+    const cached = path.join(tmpDir, entryFiles().find((name) => fs.readFileSync(path.join(tmpDir, name), 'utf-8').includes(`"page ${n}"`)));
+    const time = new Date(Date.now() - seconds * 1000);
+    fs.utimesSync(cached, time, time);
+  };
+
+  for (let n = 1; n <= 10; n++) {
+    save(n);
+    age(n, 100 - n);
+  }
+  touchCachedResponse('https://news.example/1'); // validated just now
+  save(11);
+
+  assert.equal(entryFiles().length, 9);
+  for (const n of [2, 3]) {
+    assert.equal(readCachedResponse(`https://news.example/${n}`, { source: 'article' }), null);
+  }
+  for (const n of [1, 4, 10, 11]) {
+    assert.equal(readCachedResponse(`https://news.example/${n}`, { source: 'article' }).data, `page ${n}`);
+  }
+});
+
+test('saves under the limits don\'t list the cache folder', (t) => {
+  clear();
+  for (let n = 1; n <= 11; n++) {
+    saveCachedResponse(`https://news.example/${n}`, { data: `page ${n}`, statusCode: 200 }, { source: 'article' });
+  }
+  const listed = t.mock.method(fs, 'readdirSync');
+  saveCachedResponse('https://news.example/12', { data: 'page 12', statusCode: 200 }, { source: 'article' });
+  touchCachedResponse('https://news.example/12');
+  assert.equal(listed.mock.callCount(), 0);
+  assert.equal(entryFiles().length, 10);
+});
+
+test('past maxSizeMB, entries are removed until the cache fits', () => {
+  clear();
+  const big = 'x'.repeat(400 * 1024);
+  for (const n of [1, 2, 3]) {
+    saveCachedResponse(`https://files.example/${n}`, { data: big, statusCode: 200 }, { source: 'article' });
+  }
+  const total = entryFiles().reduce((sum, name) => sum + fs.statSync(path.join(tmpDir, name)).size, 0);
+  assert.ok(total <= 1024 * 1024);
+  assert.equal(entryFiles().length, 2);
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for the identity check (src/analysis/identityCheck.js): seed
+ * identifiers compared with a sanctions record, and what namesake hits do
+ * further down the pipeline.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkIdentity, normalizeIdentifiers } = require('../src/analysis/identityCheck');
+const { crossReference } = require('../src/network/crossReferencer');
+const { buildNetworkGraph } = require('../src/network/networkGraph');
+const { generateHypotheses } = require('../src/analysis/hypothesisGenerator');
+const { assignFlag } = require('../src/scoring/flagAssignment');
+
+const record = {
+  birthDates: [{ date: '1960-05-01', place: 'Baghdad' }],
+  citizenships: ['Iraq'],
+  identifiers: [{ type: 'passport', number: 'A1234567', country: 'Iraq' }],
+};
+const status = (provided, listed = record) => checkIdentity(normalizeIdentifiers(provided), listed).status;
+
+test('no identifiers, no check', () => {
+  assert.equal(normalizeIdentifiers({ dateOfBirth: ' ', nationality: '' }), null);
+  assert.equal(checkIdentity(null, record), null);
+});
+
+test('a matching passport number confirms, however it is written', () => {
+  assert.equal(status({ passportNumber: 'a 123-4567' }), 'confirmed');
+});
+
+test('a full date of birth plus another matching field confirms', () => {
+  const result = checkIdentity(normalizeIdentifiers({ dateOfBirth: '01/05/1960', nationality: 'Iraqi' }), record);
+  assert.equal(result.status, 'confirmed');
+  assert.equal(result.summary, 'date of birth matches; nationality matches');
+});
+
+test('a nationality, a birth year or a full date on its own leaves the hit unresolved', () => {
+  assert.equal(status({ nationality: 'Iraq' }), 'unresolved');
+  assert.equal(status({ dateOfBirth: '1960-05-01' }), 'unresolved');
+  assert.equal(status({ dateOfBirth: '1960', nationality: 'Iraq' }), 'unresolved');
+
+  const yearOnlyListing = { ...record, birthDates: [{ date: '1960', place: null }] };
+  const result = checkIdentity(normalizeIdentifiers({ dateOfBirth: '1960-05-01', nationality: 'IQ' }), yearOnlyListing);
+  assert.equal(result.status, 'unresolved');
+  assert.equal(result.summary, 'date of birth matches (not to the day); nationality matches');
+});
+
+test('nationalities are compared as countries: demonyms, codes and multi-valued cells', () => {
+  const swedish = { birthDates: [{ date: '1975-03-14' }], citizenships: ['SE'], identifiers: [] };
+  assert.equal(status({ dateOfBirth: '1975-03-14', nationality: 'Swedish' }, swedish), 'confirmed');
+  assert.equal(status({ dateOfBirth: '1975-03-14', nationality: 'SWE' }, swedish), 'confirmed');
+  assert.equal(status({ dateOfBirth: '1960-05-01', nationality: 'Iraqi' },
+    { ...record, citizenships: ['Syria; Iraq'] }), 'confirmed');
+});
+
+test('a nationality mismatch alone never contradicts; an unknown country isn\'t compared', () => {
+  assert.equal(status({ nationality: 'Sweden' }), 'unresolved');
+
+  const result = checkIdentity(normalizeIdentifiers({ nationality: 'Freedonian' }), record);
+  assert.equal(result.checks.length, 0);
+  assert.equal(result.status, 'unresolved');
+});
+
+test('a different date of birth or passport contradicts, with or without nationality', () => {
+  assert.equal(status({ dateOfBirth: '1982-11-30' }), 'contradicted');
+  assert.equal(status({ dateOfBirth: '1982-11-30', nationality: 'Swedish' }), 'contradicted');
+  assert.equal(status({ passportNumber: 'X999' }), 'contradicted');
+});
+
+test('fields that disagree with each other leave the hit unresolved', () => {
+  assert.equal(status({ dateOfBirth: '1982-11-30', nationality: 'Iraq' }), 'unresolved');
+});
+
+test('namesake hits add no sanctions links, anomalies or hypotheses', () => {
+  const entities = [
+    { id: 'p1', name: 'Mohammed Ahmed', type: 'person', roles: ['board member'], confidence: 0.8, mentionCount: 1 },
+    { id: 'p2', name: 'Ali Hassan', type: 'person', roles: ['treasurer'], confidence: 0.8, mentionCount: 1 },
+  ];
+  const namesake = (name) => ({
+    sourceType: 'government',
+    severity: 'high',
+    description: `Seed "${name}" found on OFAC SDN List: "${name}"`,
+    source: 'OFAC SDN List',
+    sourceUrl: 'https://example.org/sdn',
+    matchedName: name,
+    identityCheck: { status: 'contradicted', checks: [], summary: 'date of birth differs' },
+  });
+  const evidence = [namesake('Mohammed Ahmed'), namesake('Ali Hassan')];
+
+  const crossRef = crossReference(entities, evidence, 'Acme Foundation');
+  assert.equal(crossRef.relationships.filter((r) => r.type === 'sanctions-link').length, 0);
+  assert.equal(crossRef.anomalies.filter((a) => a.type === 'cross-list-presence').length, 0);
+
+  const graph = buildNetworkGraph('Acme Foundation', entities, crossRef.relationships);
+  const scoredResults = { scoredEvidence: evidence, credibleSourceCount: 0, totalItems: evidence.length };
+  const { hypotheses, confidenceWarnings } = generateHypotheses(scoredResults, graph, crossRef, { entities });
+  assert.equal(hypotheses.filter((h) => h.type === 'sanctions-proximity' || h.type === 'pattern-anomaly').length, 0);
+
+  const flag = assignFlag({ sanctionsResult: { sanctioned: false, errors: [], results: [] }, scoredResults, hypotheses, confidenceWarnings });
+  assert.equal(flag.flag, 'GREEN');
+});
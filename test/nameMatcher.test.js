@@ -0,0 +1,59 @@
+/**
+ * Tests for the scored name matcher (src/analysis/nameMatcher.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreNameMatch, normalizeForMatching, getThreshold, soundex } = require('../src/analysis/nameMatcher');
+
+const isMatch = (a, b, listId = 'ofac') => scoreNameMatch(a, b).score >= getThreshold(listId);
+
+test('identical names after normalization score 1', () => {
+  assert.equal(scoreNameMatch('ACME Ltd.', 'Acme').score, 1);
+  assert.equal(scoreNameMatch('Acme Holding AB', 'acme holding').score, 1);
+  assert.equal(scoreNameMatch('AB Volvo', 'Volvo AB (publ)').score, 1);
+});
+
+test('a name whose words all appear, in order, in the listed name is a match', () => {
+  assert.ok(isMatch('Bank Melli', 'Bank Melli Iran'));
+  assert.ok(isMatch('Ahmed Al-Rashid', 'Ahmed Mohammed Al-Rashid'));
+  assert.ok(isMatch('Islamic Relief', 'Islamic Relief Worldwide'));
+  assert.ok(isMatch('Bank Melli Iran', 'Bank Melli'), 'either side can be the shorter name');
+
+  const result = scoreNameMatch('Bank Melli', 'Bank Melli Iran');
+  assert.equal(result.breakdown.tokenSubset, true);
+  assert.match(result.explanation, /in order/);
+});
+
+test('a short name is not found inside every long name containing it', () => {
+  assert.ok(!isMatch('Red Cross', 'Swedish Red Cross Youth Association'));
+  assert.ok(!isMatch('Acme', 'Acme Trading International Holding'));
+  assert.ok(!isMatch('Islamic Relief', 'Islamic State'));
+  assert.equal(scoreNameMatch('Red Cross', 'Swedish Red Cross Youth Association').breakdown.tokenSubset, false);
+});
+
+test('transliteration variants sound alike', () => {
+  assert.equal(soundex('Mohammed'), soundex('Muhammad'));
+  assert.ok(scoreNameMatch('Mohammed Al-Rashid', 'Muhammad Al Rashid').score > 0.85);
+});
+
+test('legal forms are only removed at the end of the name (and a leading AB)', () => {
+  assert.equal(normalizeForMatching('Co-op Sverige').normalized, 'co op sverige');
+  assert.equal(normalizeForMatching('Sa Agro Export').normalized, 'sa agro export');
+  assert.equal(normalizeForMatching('Acme Co').normalized, 'acme');
+  assert.equal(normalizeForMatching('AB Volvo').normalized, 'volvo');
+  assert.deepEqual(normalizeForMatching('Foo Bar AB (publ)').legalSuffixesRemoved, ['publ', 'ab']);
+});
+
+test('a legal form is kept when removing it would leave almost nothing', () => {
+  assert.equal(normalizeForMatching('SA AB').normalized, 'sa ab');
+  const result = scoreNameMatch('Saab AB', 'SA AB');
+  assert.notEqual(result.explanation, 'Name too short to compare');
+  assert.ok(result.score < getThreshold('ofac'));
+});
+
+test('Arabic script is transliterated before comparing', () => {
+  const result = scoreNameMatch('محمد', 'Mohammed');
+  assert.deepEqual(result.breakdown.transliterated, ['arabic']);
+  assert.ok(result.score >= 0.85);
+});
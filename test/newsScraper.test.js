@@ -0,0 +1,93 @@
+/**
+ * Tests for the news feeds (src/scrapers/newsScraper.js) and their store
+ * (src/storage/newsStore.js): RSS and Atom parsing, and a damaged store file.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+// The news store goes to a temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-'));
+config.news.store.dir = tmpDir;
+const { parseFeed } = require('../src/scrapers/newsScraper');
+const { readFeed, saveFeedItems } = require('../src/storage/newsStore');
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>SVT Nyheter</title>
+    <item>
+      <title>Stiftelse granskas efter &lt;b&gt;bidrag&lt;/b&gt;</title>
+      <link>https://www.svt.se/nyheter/1</link>
+      <guid isPermaLink="false">svt-1</guid>
+      <description><![CDATA[<p>Acme Foundation får <em>kritik</em>.</p>]]></description>
+      <pubDate>Tue, 03 Jun 2025 08:15:00 +0200</pubDate>
+    </item>
+    <item>
+      <title>Only the full text</title>
+      <link>https://www.svt.se/nyheter/2</link>
+      <content:encoded><![CDATA[<div><p>The board of Acme Foundation</p><p>resigned.</p></div>]]></content:encoded>
+      <dc:date>2025-06-04T10:00:00Z</dc:date>
+    </item>
+    <item>
+      <description>No title, so not an item</description>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Amnesty</title>
+  <entry>
+    <title type="html">Report on &lt;i&gt;Acme&lt;/i&gt;</title>
+    <link rel="alternate" href="https://www.amnesty.org/en/latest/1"/>
+    <id>tag:amnesty.org,2025:1</id>
+    <updated>2025-05-20T12:00:00Z</updated>
+    <summary>Acme Foundation named in a report.</summary>
+  </entry>
+</feed>`;
+
+test('RSS: title, link, guid, HTML description and date', () => {
+  const [first] = parseFeed(RSS);
+  assert.deepEqual(first, {
+    id: 'svt-1',
+    title: 'Stiftelse granskas efter bidrag',
+    link: 'https://www.svt.se/nyheter/1',
+    summary: 'Acme Foundation får kritik.',
+    publishedAt: '2025-06-03',
+  });
+});
+
+test('RSS: content:encoded stands in for a missing description; the link is the id without a guid', () => {
+  const items = parseFeed(RSS);
+  assert.equal(items.length, 2, 'the item without a title is skipped');
+  assert.equal(items[1].id, 'https://www.svt.se/nyheter/2');
+  assert.equal(items[1].summary, 'The board of Acme Foundation resigned.');
+  assert.equal(items[1].publishedAt, '2025-06-04');
+});
+
+test('Atom: the link comes from href, the id from <id>', () => {
+  assert.deepEqual(parseFeed(ATOM), [{
+    id: 'tag:amnesty.org,2025:1',
+    title: 'Report on Acme',
+    link: 'https://www.amnesty.org/en/latest/1',
+    summary: 'Acme Foundation named in a report.',
+    publishedAt: '2025-05-20',
+  }]);
+});
+
+test('a damaged store file is read as an empty feed and written again on the next save', () => {
+  fs.writeFileSync(path.join(tmpDir, 'svt.json'), '{ "feedId": "svt", "items": [');
+  assert.deepEqual(readFeed('svt').items, []);
+
+  const feed = { id: 'svt', name: 'SVT Nyheter', url: 'https://www.svt.se/nyheter/rss.xml' };
+  const items = parseFeed(RSS).map((item) => ({ ...item, publishedAt: new Date().toISOString() }));
+  assert.deepEqual(saveFeedItems(feed, items), { added: 2, total: 2 });
+  assert.equal(readFeed('svt').items.length, 2);
+});
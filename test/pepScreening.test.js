@@ -0,0 +1,108 @@
+/**
+ * Tests for PEP screening (src/analysis/pepScreening.js): who is screened,
+ * which dataset entries count as PEPs, and how hits become evidence.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+// An FtM dataset in a temporary folder, Sweden as the domestic country
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pep-'));
+config.pep.datasetPath = path.join(tmpDir, 'peps.ftm.json');
+config.pep.domesticCountries = ['SE'];
+config.pep.severity = { foreign: 'medium', domestic: 'low' };
+
+const person = (id, name, topics, country, position) => JSON.stringify({
+  id,
+  schema: 'Person',
+  target: true,
+  datasets: ['peps'],
+  properties: { name: [name], topics, country: [country], position: [position] },
+});
+fs.writeFileSync(config.pep.datasetPath, [
+  person('p1', 'Viktor Petrov', ['role.pep'], 'Russia', 'Deputy Minister of Energy'),
+  person('p2', 'Anna Lindqvist', ['role.pep'], 'SWE', 'Member of the Riksdag'),
+  person('p3', 'Karin Lindqvist', ['role.rca'], 'Sverige', 'Spouse of a member of the Riksdag'),
+  person('p4', 'Omar Haddad', ['crime.fraud'], 'Iraq', 'Businessman'),
+  person('p5', 'Lars Berg', ['role.pep'], 'Swedish', 'Mayor of Uppsala'),
+].join('\n'));
+
+const { screenPEPs, buildEvidenceFromPEPHits } = require('../src/analysis/pepScreening');
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// The target organization with two people one hop away and one two hops away
+const graph = () => ({
+  nodes: [
+    { id: 'org', label: 'Acme Foundation', type: 'organization', metadata: { hopDistance: 0 } },
+    { id: 'n1', label: 'Viktor Petrov', type: 'person', metadata: { hopDistance: 1, roles: ['board member'] } },
+    { id: 'n2', label: 'Karin Lindqvist', type: 'person', metadata: { hopDistance: 1, roles: ['treasurer'] } },
+    { id: 'n3', label: 'Omar Haddad', type: 'person', metadata: { hopDistance: 1 } },
+    { id: 'n4', label: 'Anna Lindqvist', type: 'person', metadata: { hopDistance: 2 } },
+    { id: 'n5', label: 'Petrov Holding', type: 'organization', metadata: { hopDistance: 1 } },
+  ],
+});
+
+test('person seeds and hop-1 people are screened, each once', async () => {
+  const seeds = [
+    { name: 'Lars Berg', type: 'person', role: 'chair' },
+    { name: 'Viktor Petrov', type: 'person' },
+    { name: 'Acme Foundation', type: 'organization' },
+  ];
+  const result = await screenPEPs(seeds, graph());
+
+  assert.equal(result.datasetLoaded, true);
+  assert.equal(result.subjectsScreened, 4, 'Lars Berg, Viktor Petrov, Karin Lindqvist, Omar Haddad');
+  const subjects = result.hits.map(({ subject }) => [subject.name, subject.origin, subject.roles]);
+  assert.deepEqual(subjects, [
+    ['Lars Berg', 'seed', ['chair']],
+    ['Viktor Petrov', 'seed', ['board member']],
+    ['Karin Lindqvist', 'network', ['treasurer']],
+  ], 'Anna Lindqvist is two hops away and not a seed');
+});
+
+test('only dataset entries with a role.* topic count as PEPs', async () => {
+  const result = await screenPEPs([], graph());
+  assert.equal(result.dataset.records, 4, 'the crime.fraud entry is left out');
+  assert.ok(!result.hits.some(({ pep }) => pep.name === 'Omar Haddad'));
+});
+
+test('domestic countries are recognized however they are written', async () => {
+  const result = await screenPEPs([{ name: 'Lars Berg', type: 'person' }, { name: 'Anna Lindqvist', type: 'person' }], graph());
+  assert.deepEqual(result.hits.map(({ pep }) => [pep.name, pep.countries[0], pep.isForeign]), [
+    ['Lars Berg', 'Swedish', false],
+    ['Anna Lindqvist', 'SWE', false],
+    ['Viktor Petrov', 'Russia', true],
+    ['Karin Lindqvist', 'Sverige', false],
+  ]);
+});
+
+test('foreign officials get the higher severity; relatives and domestic officials the lower', async () => {
+  const seeds = [{ name: 'Lars Berg', type: 'person' }];
+  const evidence = buildEvidenceFromPEPHits(await screenPEPs(seeds, graph()));
+
+  const byName = Object.fromEntries(evidence.map((e) => [e.pepName, e]));
+  assert.equal(byName['Viktor Petrov'].severity, 'medium');
+  assert.match(byName['Viktor Petrov'].description, /^Connected person "Viktor Petrov" matches foreign PEP/);
+  assert.equal(byName['Karin Lindqvist'].severity, 'low');
+  assert.equal(byName['Karin Lindqvist'].isCloseAssociate, true);
+  assert.equal(byName['Lars Berg'].severity, 'low');
+  assert.equal(byName['Lars Berg'].linkedToSeed, 'Lars Berg');
+  assert.ok(evidence.every((e) => e.sourceType === 'pep' && e.category === 'pep'));
+});
+
+test('matching graph nodes are marked for the graph view', async () => {
+  const networkGraph = graph();
+  await screenPEPs([], networkGraph);
+  assert.deepEqual(networkGraph.nodes[1].metadata.pep, {
+    name: 'Viktor Petrov',
+    positions: ['Deputy Minister of Energy'],
+    countries: ['Russia'],
+    isForeign: true,
+  });
+  assert.equal(networkGraph.nodes[3].metadata.pep, undefined);
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for reading publication dates (src/analysis/publicationDate.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePublicationDate, findDateInSnippet, getAgeInYears } = require('../src/analysis/publicationDate');
+
+const now = new Date('2025-06-15T12:00:00Z');
+
+test('ISO, day-first numeric and written-out dates', () => {
+  assert.equal(parsePublicationDate('2023-03-14T10:00:00Z', now), '2023-03-14');
+  assert.equal(parsePublicationDate('14/03/2023', now), '2023-03-14');
+  assert.equal(parsePublicationDate('14.03.2023', now), '2023-03-14');
+  assert.equal(parsePublicationDate('14 mars 2023', now), '2023-03-14');
+  assert.equal(parsePublicationDate('14 Mar. 2023', now), '2023-03-14');
+  assert.equal(parsePublicationDate('Mar 14, 2023', now), '2023-03-14');
+  assert.equal(parsePublicationDate('March 14 2023', now), '2023-03-14');
+  assert.equal(parsePublicationDate('June 2019', now), '2019-06-01');
+});
+
+test('a leading weekday is ignored (feeds, Swedish pages)', () => {
+  assert.equal(parsePublicationDate('Tue, 10 Jun 2025 08:00:00 GMT', now), '2025-06-10');
+  assert.equal(parsePublicationDate('tisdag 3 juni 2025', now), '2025-06-03');
+});
+
+test('relative dates count back from the reference time', () => {
+  assert.equal(parsePublicationDate('3 days ago', now), '2025-06-12');
+  assert.equal(parsePublicationDate('för 2 veckor sedan', now), '2025-06-01');
+  assert.equal(parsePublicationDate('a year ago', now), '2024-06-15');
+  assert.equal(parsePublicationDate('5 hours ago', now), '2025-06-15');
+  assert.equal(parsePublicationDate('3 fortnights ago', now), null);
+});
+
+test('impossible, future, too old and unreadable dates are unknown', () => {
+  assert.equal(parsePublicationDate('2023-02-30', now), null);
+  assert.equal(parsePublicationDate('2026-01-01', now), null);
+  assert.equal(parsePublicationDate('1985-05-05', now), null);
+  assert.equal(parsePublicationDate('sometime last spring', now), null);
+  assert.equal(parsePublicationDate('', now), null);
+  assert.equal(parsePublicationDate(null, now), null);
+});
+
+test('snippets: only a date at the start counts', () => {
+  assert.equal(findDateInSnippet('Mar 14, 2023 · The foundation was raided ...', now), '2023-03-14');
+  assert.equal(findDateInSnippet('2 days ago — Police said', now), '2025-06-13');
+  assert.equal(findDateInSnippet('The foundation, founded on 14 March 2001, was raided', now), null);
+});
+
+test('age in years', () => {
+  assert.equal(Math.round(getAgeInYears('2020-06-15', now)), 5);
+  assert.equal(getAgeInYears(null, now), null);
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for record/replay (src/storage/recordingStore.js): an assessment's
+ * inputs are recorded once and served again without network, even after
+ * the sanctions store has moved on.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const config = require('../src/config');
+
+// Everything the stores write goes to a temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+config.recording.dir = path.join(tmpDir, 'recordings');
+config.sanctions.store.dir = path.join(tmpDir, 'sanctions');
+config.sanctions.store.keepVersions = 2;
+config.pep.datasetPath = path.join(tmpDir, 'peps.json');
+config.sourceRegistry.path = path.join(tmpDir, 'source-registry.json');
+config.httpCache.enabled = false;
+config.scraping.delayBetweenRequests = 0;
+config.scraping.maxRetries = 1;
+
+const { setRecordingMode, checkLocalInputs, beginAssessment } = require('../src/storage/recordingStore');
+const { getList, getListingHistory } = require('../src/storage/sanctionsStore');
+const { fetchUrl } = require('../src/scrapers/baseScraper');
+
+// A local server standing in for the list publisher and a web page
+let listBody = 'ACME TRADING\nGLOBAL RELIEF FUND';
+let requests = 0;
+const server = http.createServer((req, res) => {
+  requests++;
+  res.end(req.url === '/list' ? listBody : `<p>Page ${req.url}</p>`);
+});
+let baseUrl;
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(async () => {
+  setRecordingMode({ mode: 'live' });
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const testList = () => ({ id: 'test', url: `${baseUrl}/list`, extractEntries: (data) => data.split('\n') });
+
+test('a replay serves the recorded list version after the store has pruned it', async () => {
+  fs.writeFileSync(config.pep.datasetPath, '[]');
+
+  setRecordingMode({ mode: 'record', session: 'audit' });
+  checkLocalInputs();
+  const recorded = await getList(testList(), { forceRefresh: true });
+  const page = await fetchUrl(`${baseUrl}/about`);
+  assert.equal(page.data, '<p>Page /about</p>');
+
+  // The list changes more often than the store keeps versions
+  setRecordingMode({ mode: 'live' });
+  for (let i = 1; i <= 4; i++) {
+    listBody += `\nNEW ENTRY ${i}`;
+    await getList(testList(), { forceRefresh: true });
+  }
+  const versionFiles = fs.readdirSync(path.join(config.sanctions.store.dir, 'test')).filter((f) => f.endsWith('.data'));
+  assert.equal(versionFiles.length, 2);
+
+  setRecordingMode({ mode: 'replay', session: 'audit' });
+  const requestsBefore = requests;
+  const replayed = await getList(testList(), { forceRefresh: true });
+  assert.equal(replayed.success, true);
+  assert.equal(replayed.version, recorded.version);
+  assert.equal(replayed.data, 'ACME TRADING\nGLOBAL RELIEF FUND');
+
+  assert.equal((await fetchUrl(`${baseUrl}/about`)).data, '<p>Page /about</p>');
+  const missing = await fetchUrl(`${baseUrl}/never-recorded`);
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /Not in recording "audit"/);
+  assert.equal(requests, requestsBefore, 'a replay makes no requests');
+});
+
+test('a replay sees the listing history as it was when recorded', () => {
+  setRecordingMode({ mode: 'replay', session: 'audit' });
+  const replayHistory = getListingHistory('test');
+  assert.equal(replayHistory.findAddition('NEW ENTRY 4'), null);
+
+  setRecordingMode({ mode: 'live' });
+  const liveHistory = getListingHistory('test');
+  assert.equal(liveHistory.isNewlyListed('NEW ENTRY 4'), true);
+});
+
+test('a replay is refused once a local input has changed', () => {
+  setRecordingMode({ mode: 'live' });
+  fs.writeFileSync(config.pep.datasetPath, '[{ "name": "New Minister" }]');
+  assert.throws(
+    () => setRecordingMode({ mode: 'replay', session: 'audit' }),
+    /Local inputs changed since recording "audit" was made: PEP dataset/
+  );
+
+  fs.writeFileSync(config.pep.datasetPath, '[]');
+  assert.doesNotThrow(() => setRecordingMode({ mode: 'replay', session: 'audit' }));
+
+  fs.writeFileSync(config.sourceRegistry.path, '{ "sources": [] }');
+  assert.throws(() => checkLocalInputs(), /Source registry/);
+});
+
+test('each assessment in a session replays the list version it was served', async () => {
+  setRecordingMode({ mode: 'live' });
+  fs.writeFileSync(config.sourceRegistry.path, '{ "sources": [] }');
+
+  setRecordingMode({ mode: 'record', session: 'server' });
+  beginAssessment({ orgName: 'Acme Trading' });
+  const first = await getList(testList(), { forceRefresh: true });
+
+  listBody += '\nLATER ENTRY';
+  beginAssessment({ orgName: 'Global Relief Fund' });
+  const second = await getList(testList(), { forceRefresh: true });
+  assert.notEqual(second.version, first.version);
+
+  setRecordingMode({ mode: 'replay', session: 'server' });
+  beginAssessment({ orgName: 'Acme Trading' });
+  assert.equal((await getList(testList())).version, first.version);
+  beginAssessment({ orgName: 'Global Relief Fund' });
+  assert.equal((await getList(testList())).version, second.version);
+  assert.match((await getList(testList())).data, /LATER ENTRY$/);
+
+  beginAssessment({ orgName: 'Never Assessed' });
+  const missing = await getList(testList());
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /Not in recording "server"/);
+});
@@ -0,0 +1,322 @@
+/**
+ * Tests for the sanctions list parsers (src/scrapers/sanctionsParsers.js),
+ * on small excerpts written the way each authority publishes its file.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildOFACRecords,
+  buildUNRecords,
+  buildEURecords,
+  buildUKRecords,
+  buildSECORecords,
+  buildLocalRecords,
+} = require('../src/scrapers/sanctionsParsers');
+
+// --- OFAC: the official ent_num export ("-0-" = empty field) ---
+const OFAC_SDN = [
+  '36,"AEROCARIBBEAN AIRLINES","-0- ","CUBA","-0- ","-0- ","-0- ","-0- ","-0- ","-0- ","-0- ","-0- "',
+  '173,"ABU ZUBAIDA, Zayn al-Abidin Muhammad Husayn","individual","SDGT","-0- ","-0- ","-0- ","-0- ","-0- ","-0- ","-0- ","DOB 12 Mar 1971; POB Riyadh, Saudi Arabia; nationality Saudi Arabia; Passport 484824 (Saudi Arabia)."',
+].join('\n');
+const OFAC_ALT = [
+  '173,201,"aka","ABU ZUBAYDAH, Zain al-Abidin Muhammad",""',
+  '173,202,"aka","TARIQ, Hani","weak"',
+  '36,203,"aka","AERO-CARIBBEAN","-0- "',
+].join('\n');
+
+test('OFAC: official rows are read by column, with ent_num as the id', () => {
+  const [airline, person] = buildOFACRecords(OFAC_SDN);
+
+  assert.equal(airline.id, '36');
+  assert.equal(airline.name, 'AEROCARIBBEAN AIRLINES');
+  assert.equal(airline.recordType, 'organization', '"-0-" is an empty type, not an individual');
+  assert.equal(airline.program, 'CUBA');
+
+  assert.equal(person.id, '173');
+  assert.equal(person.recordType, 'person');
+  assert.equal(person.program, 'SDGT');
+  assert.ok(person.nameVariants.includes('Zayn al-Abidin Muhammad Husayn ABU ZUBAIDA'));
+});
+
+test('OFAC: birth dates, nationality and passports come from the remarks', () => {
+  const person = buildOFACRecords(OFAC_SDN)[1];
+  assert.deepEqual(person.birthDates, [{ date: '12 Mar 1971', place: null }]);
+  assert.deepEqual(person.citizenships, ['Saudi Arabia']);
+  assert.equal(person.identifiers[0].type, 'passport');
+  assert.equal(person.identifiers[0].number, '484824');
+});
+
+test('OFAC: aliases from alt.csv are linked by ent_num, weak ones marked', () => {
+  const [airline, person] = buildOFACRecords(OFAC_SDN, OFAC_ALT);
+  assert.deepEqual(person.aliases.map((a) => [a.name, a.quality]), [
+    ['ABU ZUBAYDAH, Zain al-Abidin Muhammad', 'good'],
+    ['TARIQ, Hani', 'low'],
+  ]);
+  assert.ok(person.aliases[1].nameVariants.includes('Hani TARIQ'));
+  assert.equal(airline.aliases[0].name, 'AERO-CARIBBEAN');
+});
+
+test('OFAC: older name-first copies are still read ("-0-" = individual there)', () => {
+  const records = buildOFACRecords('"DOE, John","-0-","SDGT"\n"ACME TERROR GROUP","entity","SDGT"');
+  assert.deepEqual(records.map((r) => [r.id, r.recordType]), [
+    ['DOE, John', 'person'],
+    ['ACME TERROR GROUP', 'organization'],
+  ]);
+});
+
+// --- EU: the consolidated file, one row per name/regulation/document, ";"-separated ---
+const EU_ROWS = [
+  ['fileGenerationDate', 'Entity_LogicalId', 'Entity_EU_ReferenceNumber', 'Entity_SubjectType_ClassificationCode',
+    'Entity_Regulation_NumberTitle', 'Entity_Regulation_Programme', 'Entity_Regulation_PublicationDate',
+    'NameAlias_FirstName', 'NameAlias_LastName', 'NameAlias_WholeName',
+    'BirthDate_BirthDate', 'BirthDate_City', 'Citizenship_CountryDescription'],
+  ['28/10/2024', '13', 'EU.27.28', 'person', '2580/2001 (OJ L344)', 'TERR', '2001-12-28',
+    'Saddam', 'Hussein Al-Tikriti', 'Saddam Hussein Al-Tikriti', '1937-04-28', 'al-Awja', 'Iraq'],
+  ['28/10/2024', '13', 'EU.27.28', 'person', '2580/2001 (OJ L344)', 'TERR', '2001-12-28',
+    '', '', 'Abu Ali', '1937-04-28', 'al-Awja', 'Iraq'],
+  ['28/10/2024', '13', 'EU.27.28', 'person', '2024/123 (OJ L17)', 'IRQ', '2024-01-15',
+    '', '', 'Abu Ali', '', '', ''],
+  ['28/10/2024', '905', 'EU.1.2', 'enterprise', '2023/77', 'RUS', '2023-02-25',
+    '', '', 'Smith; Jones, Trading LLC', '', '', ''],
+];
+
+// The file as published with the given delimiter (fields holding it are quoted)
+const euFile = (delimiter) => EU_ROWS
+  .map((row) => row.map((field) => (field.includes(delimiter) ? `"${field}"` : field)).join(delimiter))
+  .join('\n');
+const EU_FILE = euFile(';');
+
+test('EU: rows are grouped by Entity_LogicalId into one record each', () => {
+  const records = buildEURecords(EU_FILE);
+  assert.deepEqual(records.map((r) => r.id), ['13', '905']);
+
+  const [person, company] = records;
+  assert.equal(person.recordType, 'person');
+  assert.equal(person.euReferenceNumber, 'EU.27.28');
+  assert.equal(company.recordType, 'organization');
+  assert.equal(company.name, 'Smith; Jones, Trading LLC', 'a quoted ";" stays inside the field');
+});
+
+test('EU: the first name is primary, later ones are aliases, each once', () => {
+  const person = buildEURecords(EU_FILE)[0];
+  assert.equal(person.name, 'Saddam Hussein Al-Tikriti');
+  assert.deepEqual(person.nameVariants, ['Saddam Hussein Al-Tikriti', 'Hussein Al-Tikriti Saddam']);
+  assert.deepEqual(person.aliases.map((a) => a.name), ['Abu Ali']);
+});
+
+test('EU: programme comes from the first regulation; birth data and citizenship are kept once', () => {
+  const person = buildEURecords(EU_FILE)[0];
+  assert.equal(person.program, 'TERR');
+  assert.equal(person.listedOn, '2001-12-28');
+  assert.deepEqual(person.regulations.map((r) => r.number), ['2580/2001 (OJ L344)', '2024/123 (OJ L17)']);
+  assert.deepEqual(person.birthDates, [{ date: '1937-04-28', place: 'al-Awja' }]);
+  assert.deepEqual(person.citizenships, ['Iraq']);
+});
+
+test('EU: comma-separated copies are read the same way', () => {
+  const records = buildEURecords(euFile(','));
+  assert.deepEqual(records.map((r) => [r.id, r.name, r.program]), [
+    ['13', 'Saddam Hussein Al-Tikriti', 'TERR'],
+    ['905', 'Smith; Jones, Trading LLC', 'RUS'],
+  ]);
+});
+
+// --- UN: the consolidated XML, individuals and entities ---
+const UN_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<CONSOLIDATED_LIST>
+  <INDIVIDUALS>
+    <INDIVIDUAL>
+      <FIRST_NAME>ABDUL</FIRST_NAME>
+      <SECOND_NAME>RAHMAN</SECOND_NAME>
+      <THIRD_NAME>YASIN</THIRD_NAME>
+      <UN_LIST_TYPE>Al-Qaida</UN_LIST_TYPE>
+      <REFERENCE_NUMBER>QDi.041</REFERENCE_NUMBER>
+      <NAME_ORIGINAL_SCRIPT>عبد الرحمن ياسين</NAME_ORIGINAL_SCRIPT>
+      <NATIONALITY><VALUE>United States of America</VALUE><VALUE>Iraq</VALUE></NATIONALITY>
+      <INDIVIDUAL_ALIAS><QUALITY>Good</QUALITY><ALIAS_NAME>Abdul Rahman Said Yasin</ALIAS_NAME></INDIVIDUAL_ALIAS>
+      <INDIVIDUAL_ALIAS><QUALITY>Low</QUALITY><ALIAS_NAME>Aboud Yasin</ALIAS_NAME></INDIVIDUAL_ALIAS>
+      <INDIVIDUAL_ALIAS><QUALITY>Low</QUALITY><ALIAS_NAME></ALIAS_NAME></INDIVIDUAL_ALIAS>
+      <INDIVIDUAL_DATE_OF_BIRTH><TYPE_OF_DATE>EXACT</TYPE_OF_DATE><DATE>1960-04-10</DATE></INDIVIDUAL_DATE_OF_BIRTH>
+      <INDIVIDUAL_DATE_OF_BIRTH><TYPE_OF_DATE>BETWEEN</TYPE_OF_DATE><FROM_YEAR>1958</FROM_YEAR><TO_YEAR>1962</TO_YEAR></INDIVIDUAL_DATE_OF_BIRTH>
+      <INDIVIDUAL_DOCUMENT><TYPE_OF_DOCUMENT>Passport</TYPE_OF_DOCUMENT><NUMBER>27082171</NUMBER><ISSUING_COUNTRY>United States of America</ISSUING_COUNTRY></INDIVIDUAL_DOCUMENT>
+    </INDIVIDUAL>
+  </INDIVIDUALS>
+  <ENTITIES>
+    <ENTITY>
+      <FIRST_NAME>AL-AKHTAR TRUST INTERNATIONAL</FIRST_NAME>
+      <UN_LIST_TYPE>Al-Qaida</UN_LIST_TYPE>
+      <REFERENCE_NUMBER>QDe.121</REFERENCE_NUMBER>
+      <ENTITY_ALIAS><QUALITY>Good</QUALITY><ALIAS_NAME>Al Akhtar Trust</ALIAS_NAME></ENTITY_ALIAS>
+    </ENTITY>
+  </ENTITIES>
+</CONSOLIDATED_LIST>`;
+
+test('UN: individuals and entities are read with their reference number as the id', () => {
+  const [person, trust] = buildUNRecords(UN_XML);
+
+  assert.equal(person.id, 'QDi.041');
+  assert.equal(person.name, 'ABDUL RAHMAN YASIN');
+  assert.equal(person.recordType, 'person');
+  assert.equal(person.program, 'Al-Qaida');
+
+  assert.equal(trust.id, 'QDe.121');
+  assert.equal(trust.name, 'AL-AKHTAR TRUST INTERNATIONAL');
+  assert.equal(trust.recordType, 'organization');
+  assert.deepEqual(trust.aliases.map((a) => a.name), ['Al Akhtar Trust']);
+});
+
+test('UN: original-script names and aliases keep their quality; empty aliases are dropped', () => {
+  const person = buildUNRecords(UN_XML)[0];
+  assert.deepEqual(person.aliases.map((a) => [a.name, a.type, a.quality]), [
+    ['عبد الرحمن ياسين', 'original-script', 'good'],
+    ['Abdul Rahman Said Yasin', 'aka', 'good'],
+    ['Aboud Yasin', 'aka', 'low'],
+  ]);
+});
+
+test('UN: birth dates (exact or a year range), nationalities and documents', () => {
+  const person = buildUNRecords(UN_XML)[0];
+  assert.deepEqual(person.birthDates.map((b) => b.date), ['1960-04-10', '1958 to 1962']);
+  assert.deepEqual(person.citizenships, ['United States of America', 'Iraq']);
+  assert.deepEqual(person.identifiers, [{ type: 'passport', number: '27082171', country: 'United States of America' }]);
+});
+
+// --- UK: OFSI ConList.csv, a "Last Updated" line, then one row per name ---
+const UK_CSV = [
+  'Last Updated,28/10/2024',
+  'Name 6,Name 1,Name 2,Name 3,Name 4,Name 5,Title,Name Non-Latin Script,DOB,Town of Birth,Country of Birth,'
+    + 'Nationality,Passport Number,National Identification Number,Other Information,Group Type,Alias Type,'
+    + 'Alias Quality,Regime,Listed On,Group ID',
+  'PETROV,Ivan,Sergeyevich,,,,,Иван Петров,14/03/1975,Moscow,Russia,Russia,753123456,,"Deputy minister, since 2020",'
+    + 'Individual,Primary Name,,Russia,15/03/2022,14001',
+  'PETROFF,Ivan,,,,,,,14/03/1975,Moscow,Russia,Russia,,,,Individual,AKA,Low quality,Russia,15/03/2022,14001',
+  'SOVCOMFLOT,,,,,,,,,,,,,,,Entity,Primary Name,,Russia,24/02/2022,14002',
+  'SCF ARCTIC,,,,,,,,,,,,,,,Ship,Primary Name,,Russia,24/02/2022,14003',
+].join('\n');
+
+test('UK: rows are grouped by Group ID, the surname is "Name 6", ships are skipped', () => {
+  const records = buildUKRecords(UK_CSV);
+  assert.deepEqual(records.map((r) => [r.id, r.name, r.recordType]), [
+    ['14001', 'Ivan Sergeyevich PETROV', 'person'],
+    ['14002', 'SOVCOMFLOT', 'organization'],
+  ]);
+
+  const person = records[0];
+  assert.equal(person.program, 'Russia');
+  assert.equal(person.listedOn, '15/03/2022');
+  assert.equal(person.remark, 'Deputy minister, since 2020');
+  assert.deepEqual(person.nameVariants, ['Ivan Sergeyevich PETROV', 'PETROV Ivan Sergeyevich']);
+});
+
+test('UK: later rows add aliases; birth data, nationality and passport are kept once', () => {
+  const person = buildUKRecords(UK_CSV)[0];
+  assert.deepEqual(person.aliases.map((a) => [a.name, a.type, a.quality]), [
+    ['Иван Петров', 'original-script', 'good'],
+    ['Ivan PETROFF', 'aka', 'low'],
+  ]);
+  assert.deepEqual(person.birthDates, [{ date: '14/03/1975', place: 'Moscow, Russia' }]);
+  assert.deepEqual(person.citizenships, ['Russia']);
+  assert.deepEqual(person.identifiers, [{ type: 'passport', number: '753123456', country: null }]);
+});
+
+// --- SECO: the SESAM XML export, programmes linked to targets by sanctions set ---
+const SECO_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<swiss-sanctions-list date="2024-10-28">
+  <sanctions-program ssid="1">
+    <program-key lang="ger">Syrien</program-key>
+    <program-key lang="eng">Syria</program-key>
+    <sanctions-set ssid="10" lang="eng">Annex 7</sanctions-set>
+  </sanctions-program>
+  <target ssid="5001">
+    <sanctions-set-id>10</sanctions-set-id>
+    <individual sex="male">
+      <identity ssid="1" main="true">
+        <name ssid="2" name-type="primary-name">
+          <name-part order="2" name-part-type="family-name"><value>Makhlouf</value><spelling-variant lang="ara">مخلوف</spelling-variant></name-part>
+          <name-part order="1" name-part-type="given-name"><value>Rami</value><spelling-variant lang="ara">رامي</spelling-variant></name-part>
+        </name>
+        <name ssid="3" name-type="alias" quality="low">
+          <name-part order="1"><value>Rami Makhluf</value></name-part>
+        </name>
+        <day-month-year day="10" month="7" year="1969"/>
+        <nationality ssid="4" main="true"><country iso-code="SY">Syria</country></nationality>
+        <identification-document document-type="passport"><number>N 002848852</number><issuer code="SY">Syria</issuer></identification-document>
+      </identity>
+      <justification>Businessman close to the regime.</justification>
+    </individual>
+    <modification modification-type="listed" enactment-date="2011-05-24" publication-date="2011-05-25"/>
+  </target>
+  <target ssid="5002">
+    <sanctions-set-id>10</sanctions-set-id>
+    <entity>
+      <identity ssid="5" main="true">
+        <name ssid="6" name-type="primary-name"><name-part order="1"><value>Cham Holding</value></name-part></name>
+      </identity>
+    </entity>
+  </target>
+  <target ssid="5003">
+    <sanctions-set-id>10</sanctions-set-id>
+    <object object-type="vessel">
+      <identity ssid="7"><name ssid="8"><name-part order="1"><value>Lady Rama</value></name-part></name></identity>
+    </object>
+  </target>
+</swiss-sanctions-list>`;
+
+test('SECO: targets become records with the programme of their sanctions set; objects are skipped', () => {
+  const records = buildSECORecords(SECO_XML);
+  assert.deepEqual(records.map((r) => [r.id, r.name, r.recordType, r.program]), [
+    ['5001', 'Rami Makhlouf', 'person', 'Syria'],
+    ['5002', 'Cham Holding', 'organization', 'Syria'],
+  ]);
+});
+
+test('SECO: name parts are ordered, spelling variants become original-script aliases', () => {
+  const person = buildSECORecords(SECO_XML)[0];
+  assert.deepEqual(person.aliases.map((a) => [a.name, a.type, a.quality]), [
+    ['رامي مخلوف', 'original-script', 'good'],
+    ['Rami Makhluf', 'aka', 'low'],
+  ]);
+});
+
+test('SECO: birth date, nationality, documents, listing date and justification', () => {
+  const person = buildSECORecords(SECO_XML)[0];
+  assert.deepEqual(person.birthDates, [{ date: '1969-7-10', place: null }]);
+  assert.deepEqual(person.citizenships, ['Syria']);
+  assert.deepEqual(person.identifiers, [{ type: 'passport', number: 'N 002848852', country: 'SY' }]);
+  assert.equal(person.listedOn, '2011-05-24');
+  assert.equal(person.remark, 'Businessman close to the regime.');
+});
+
+// --- Local watchlists: JSON entries or a CSV with the same fields ---
+test('Local: CSV rows with "|"-separated aliases and identifiers', () => {
+  const records = buildLocalRecords([
+    'name,type,aliases,program,reference,birthDate,passport,country',
+    'Jane Doe,person,J. Doe|Janet Doe,Internal,INT-7,1980-02-01,X123,Sweden',
+    'Acme Holding,organization,,Internal,INT-8,,,',
+    ',person,,,,,,',
+  ].join('\n'), 'csv');
+
+  assert.deepEqual(records.map((r) => [r.id, r.name, r.recordType]), [
+    ['INT-7', 'Jane Doe', 'person'],
+    ['INT-8', 'Acme Holding', 'organization'],
+  ]);
+  const [person, company] = records;
+  assert.deepEqual(person.aliases.map((a) => a.name), ['J. Doe', 'Janet Doe']);
+  assert.deepEqual(person.birthDates, [{ date: '1980-02-01', place: null }]);
+  assert.deepEqual(person.citizenships, ['Sweden']);
+  assert.deepEqual(person.identifiers, [{ type: 'passport', number: 'X123', country: null }]);
+  assert.deepEqual(company.aliases, [], 'an empty aliases column adds none');
+});
+
+test('Local: JSON entries take string or object aliases; the name is the fallback id', () => {
+  const [record] = buildLocalRecords(JSON.stringify([
+    { name: 'Global Relief Fund', aliases: ['GRF', { name: 'Global Relief', quality: 'low' }], registrationNumber: '556000-1111' },
+  ]), 'json');
+
+  assert.equal(record.id, 'Global Relief Fund');
+  assert.equal(record.recordType, 'organization');
+  assert.equal(record.program, 'Unknown');
+  assert.deepEqual(record.aliases.map((a) => [a.name, a.quality]), [['GRF', null], ['Global Relief', 'low']]);
+  assert.deepEqual(record.identifiers, [{ type: 'registration', number: '556000-1111', country: null }]);
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for the sanctions providers (src/scrapers/sanctionsScraper.js):
+ * registration, local watchlist files, and lists that can't be read.
+ * No network: no built-in lists are registered.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+// Only local watchlists, stored in a temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sanctions-'));
+const watchlistPath = path.join(tmpDir, 'internal.csv');
+fs.writeFileSync(watchlistPath, [
+  'name,type,aliases,program,reference',
+  'Global Relief Fund,organization,GRF,Internal,INT-1',
+  'Jane Doe,person,,Internal,INT-2',
+].join('\n'));
+fs.mkdirSync(path.join(tmpDir, 'folder.csv'));
+
+config.sanctions.providers = [];
+config.sanctions.localLists = [
+  { id: 'internal', name: 'Internal exclusion list', path: watchlistPath },
+  { id: 'broken', name: 'Broken list', path: path.join(tmpDir, 'folder.csv') },
+];
+config.sanctions.ftmFiles = [];
+config.sanctions.store.dir = path.join(tmpDir, 'store');
+const {
+  registerProvider,
+  getProviders,
+  checkAllSanctions,
+} = require('../src/scrapers/sanctionsScraper');
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('local watchlists are registered in config order, after the built-in lists', () => {
+  assert.deepEqual(getProviders().map((p) => [p.id, p.name, p.sourceType]), [
+    ['internal', 'Internal exclusion list', 'government'],
+    ['broken', 'Broken list', 'government'],
+  ]);
+});
+
+test('a provider needs an id, a name, fetch and parse', () => {
+  assert.throws(() => registerProvider({ id: 'x', name: 'X', fetch: async () => ({}) }), /missing "parse"/);
+});
+
+test('a watchlist hit is reported; an unreadable list is a source error, not a crash', async () => {
+  const result = await checkAllSanctions('Global Relief Fund');
+
+  assert.equal(result.sanctioned, true);
+  const [internal, broken] = result.results;
+  assert.equal(internal.found, true);
+  assert.equal(internal.matches[0].name, 'Global Relief Fund');
+  assert.equal(internal.matches[0].referenceNumber, 'INT-1');
+
+  assert.equal(broken.found, false);
+  assert.match(broken.error, /^Could not read list: EISDIR/);
+  assert.equal(result.errors.length, 1);
+  assert.match(result.errors[0], /^Broken list: Could not read list/);
+});
+
+test('registered providers are checked (and listed as sources) after the configured ones', async () => {
+  registerProvider({
+    id: 'flaky',
+    name: 'Flaky list',
+    fetch: async () => { throw new Error('manifest is not valid JSON'); },
+    parse: () => [],
+  });
+  registerProvider({
+    id: 'extra',
+    name: 'Extra list',
+    sourceType: 'ngo',
+    fetch: async () => ({ success: true, data: null, hash: 'v1', listVersion: { version: 1 } }),
+    parse: () => [{ id: 'E1', name: 'Jane Doe', recordType: 'person', nameVariants: ['Jane Doe'], aliases: [] }],
+  });
+  assert.deepEqual(getProviders().map((p) => p.name),
+    ['Internal exclusion list', 'Broken list', 'Flaky list', 'Extra list']);
+
+  const result = await checkAllSanctions('Jane Doe', { type: 'person' });
+  assert.deepEqual(result.results.map((r) => [r.providerId, r.found]), [
+    ['internal', true], ['broken', false], ['flaky', false], ['extra', true],
+  ]);
+  assert.equal(result.results[3].sourceType, 'ngo');
+  assert.deepEqual(result.results[3].listVersion, { version: 1 });
+  assert.ok(result.errors.includes('Flaky list: Could not read list: manifest is not valid JSON'));
+});
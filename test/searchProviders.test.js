@@ -0,0 +1,145 @@
+/**
+ * Tests for the search provider fallback (src/scrapers/searchProviders.js).
+ * No network: only the file provider and providers defined here are registered.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const config = require('../src/config');
+
+// Register no built-ins (DuckDuckGo would go to the network)
+config.webSearch.providers = [];
+config.webSearch.maxProviderFailures = 3;
+config.httpCache.enabled = false;
+config.scraping.delayBetweenRequests = 0;
+const {
+  createJSONAPIProvider,
+  createFileSearchProvider,
+  registerSearchProvider,
+  searchWithFallback,
+} = require('../src/scrapers/searchProviders');
+
+/**
+ * A provider that answers with the given outcomes in turn ("fail" or "ok"),
+ * then keeps answering "ok". Counts how often it was asked.
+ */
+function scriptedProvider(id, outcomes = []) {
+  const provider = {
+    id,
+    name: `Provider ${id}`,
+    throttle: false,
+    calls: 0,
+    async search(query) {
+      const outcome = outcomes[provider.calls++] || 'ok';
+      return outcome === 'fail'
+        ? { results: [], error: 'timeout' }
+        : { results: [{ title: `${id}: ${query}`, url: `https://${id}.example/${provider.calls}` }], error: null };
+    },
+  };
+  return provider;
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const resultsFile = path.join(tmpDir, 'results.json');
+fs.writeFileSync(resultsFile, JSON.stringify({
+  'Acme Corp sanctions': [
+    { title: 'Acme sanctioned', url: 'https://news.example/acme', snippet: '...', publishedAt: '2024-05-01' },
+    { title: 'Acme again', url: 'https://news.example/acme-2', snippet: '...' },
+  ],
+  '*': [{ title: 'Anything', url: 'https://news.example/any', snippet: '' }],
+}));
+
+test('file provider answers listed queries (ignoring case), "*" for the rest', async () => {
+  const provider = createFileSearchProvider({ path: resultsFile });
+
+  const listed = await provider.search('acme corp SANCTIONS', 1);
+  assert.equal(listed.error, null);
+  assert.deepEqual(listed.results.map((r) => r.url), ['https://news.example/acme']);
+
+  const other = await provider.search('Something else', 10);
+  assert.deepEqual(other.results.map((r) => r.url), ['https://news.example/any']);
+
+  const missing = await createFileSearchProvider({ path: `${resultsFile}.missing` }).search('x', 10);
+  assert.match(missing.error, /Could not read/);
+});
+
+test('one failure falls back for that search only; the provider is asked again next time', async () => {
+  const primary = scriptedProvider('primary', ['fail', 'ok']);
+  const backup = scriptedProvider('backup');
+  registerSearchProvider(primary);
+  registerSearchProvider(backup);
+  const failures = new Map();
+
+  const first = await searchWithFallback('q1', { failures });
+  assert.equal(first.provider, 'Provider backup');
+  assert.deepEqual(first.errors, ['Provider primary: timeout']);
+
+  const second = await searchWithFallback('q2', { failures });
+  assert.equal(second.provider, 'Provider primary');
+  assert.equal(primary.calls, 2);
+  assert.equal(failures.has('primary'), false, 'a success resets the count');
+});
+
+test('a provider failing several searches in a row is skipped for the rest of the run', async () => {
+  const primary = scriptedProvider('primary', ['fail', 'fail', 'fail']);
+  registerSearchProvider(primary);
+  registerSearchProvider(scriptedProvider('backup'));
+  const failures = new Map();
+
+  for (const query of ['q1', 'q2', 'q3', 'q4', 'q5']) {
+    const result = await searchWithFallback(query, { failures });
+    assert.equal(result.provider, 'Provider backup');
+  }
+  assert.equal(primary.calls, 3);
+});
+
+test('results are tagged with query, language and provider; the file provider works as fallback', async () => {
+  registerSearchProvider(scriptedProvider('primary', ['fail']));
+  registerSearchProvider(scriptedProvider('backup', ['fail']));
+  registerSearchProvider(createFileSearchProvider({ path: resultsFile }));
+
+  const result = await searchWithFallback('Acme Corp sanctions', { language: 'en', failures: new Map() });
+  assert.equal(result.provider, 'Local search results file');
+  assert.equal(result.errors.length, 2);
+  assert.equal(result.throttle, false);
+  assert.deepEqual(result.results[0], {
+    title: 'Acme sanctioned',
+    url: 'https://news.example/acme',
+    snippet: '...',
+    publishedAt: '2024-05-01',
+    searchQuery: 'Acme Corp sanctions',
+    searchLanguage: 'en',
+    provider: 'Local search results file',
+  });
+});
+
+test('JSON API provider fills {query}, {count} and {language} literally', async () => {
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ web: { results: [{ name: 'Hit', link: 'https://example.org/hit', description: 'text' }] } }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const provider = createJSONAPIProvider({
+      url: `http://127.0.0.1:${server.address().port}/search?q={query}&n={count}&lang={language}`,
+      resultsPath: 'web.results',
+      fields: { title: 'name', url: 'link', snippet: 'description' },
+    });
+    const result = await provider.search('Profit $& Loss $1', 5, { language: 'sv' });
+
+    assert.equal(result.error, null);
+    assert.deepEqual(requested, [`/search?q=${encodeURIComponent('Profit $& Loss $1')}&n=5&lang=sv`]);
+    assert.deepEqual(result.results, [{ title: 'Hit', url: 'https://example.org/hit', snippet: 'text', publishedAt: null }]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,38 @@
+/**
+ * Tests for reading the source registry file (src/storage/sourceRegistry.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-registry-'));
+const registryPath = path.join(tmpDir, 'source-registry.json');
+config.sourceRegistry.path = registryPath;
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Written before the first read: the registry is loaded once
+fs.writeFileSync(registryPath, '{ "sources": [ { "id": "a1", "domain": "example.org", ');
+const { findSource, addSource, listSources } = require('../src/storage/sourceRegistry');
+
+test('a corrupt registry file falls back to the built-in list', () => {
+  assert.equal(findSource('https://www.reuters.com/world/').sourceType, 'news');
+  assert.equal(findSource('https://example.org/'), null);
+});
+
+test('the first edit keeps the corrupt file aside instead of overwriting it', () => {
+  const result = addSource({ domain: 'example.org', match: 'suffix', sourceType: 'ngo' });
+  assert.equal(result.success, true);
+
+  const keptAside = fs.readdirSync(tmpDir).filter((name) => name.startsWith('source-registry.json.unreadable-'));
+  assert.equal(keptAside.length, 1);
+  assert.match(fs.readFileSync(path.join(tmpDir, keptAside[0]), 'utf-8'), /"a1"/);
+
+  const saved = JSON.parse(fs.readFileSync(registryPath, 'utf-8')).sources;
+  assert.equal(saved.length, listSources().length);
+  assert.equal(findSource('https://example.org/').sourceType, 'ngo');
+  assert.equal(findSource('https://bbc.co.uk/').sourceType, 'news');
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for reading board lists and funding tables (src/entities/tableExtractor.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  readHtmlTables,
+  findTextTables,
+  parseAmount,
+  interpretTable,
+  extractTableRows,
+} = require('../src/entities/tableExtractor');
+
+test('parseAmount: thousands separators and decimal commas', () => {
+  assert.deepEqual(parseAmount('SEK 1 200 000'), { amount: 1200000, currency: 'SEK' });
+  assert.deepEqual(parseAmount('250,000 EUR'), { amount: 250000, currency: 'EUR' });
+  assert.deepEqual(parseAmount('1.250.000 kr'), { amount: 1250000, currency: 'SEK' });
+  assert.deepEqual(parseAmount('$ 12,50'), { amount: 12.5, currency: 'USD' });
+  assert.deepEqual(parseAmount('1 500'), { amount: 1500, currency: null });
+});
+
+test('parseAmount: units multiply, also from the header', () => {
+  assert.deepEqual(parseAmount('1,5 MSEK'), { amount: 1500000, currency: 'SEK' });
+  assert.deepEqual(parseAmount('450', 'Belopp (tkr)'), { amount: 450000, currency: 'SEK' });
+  assert.deepEqual(parseAmount('3 000', 'EUR'), { amount: 3000, currency: 'EUR' });
+  assert.equal(parseAmount('not disclosed'), null);
+});
+
+test('interpretTable: a board list becomes role records, family names first flipped', () => {
+  const records = interpretTable([
+    ['Styrelse 2023'],
+    ['Namn', 'Roll', 'Organisation'],
+    ['Berg, Johan', 'Ordförande', 'Acme AB'],
+    ['Anna Lind', 'Ledamot', ''],
+  ]);
+  assert.deepEqual(records.map(({ cells, ...r }) => r), [
+    { kind: 'role', name: 'Johan Berg', role: 'Ordförande', organization: 'Acme AB' },
+    { kind: 'role', name: 'Anna Lind', role: 'Ledamot', organization: null },
+  ]);
+});
+
+test('interpretTable: a donor list becomes payments; totals and unreadable amounts are skipped', () => {
+  const records = interpretTable([
+    ['Bidragsgivare', 'Belopp (tkr)'],
+    ['Gulf Relief Foundation', '1 200'],
+    ['Svenska Fonden', 'ej angivet'],
+    ['Totalt', '1 200'],
+  ]);
+  assert.deepEqual(records.map(({ cells, ...r }) => r), [
+    { kind: 'payment', payer: 'Gulf Relief Foundation', payee: null, amount: 1200000, currency: 'SEK' },
+  ]);
+});
+
+test('interpretTable: tables without a recognizable header are ignored', () => {
+  assert.deepEqual(interpretTable([['a', 'b'], ['c', 'd'], ['e', 'f']]), []);
+});
+
+test('findTextTables: space-aligned columns, right-aligned amounts and empty cells', () => {
+  const text = [
+    'Funding 2023',
+    '',
+    'Donor                        Currency       Amount',
+    'Gulf Relief Foundation       SEK           250 000',
+    'Acme Trading Ltd                         1 200 000',
+    'Nordic Aid Fund              EUR            75 000',
+    '',
+    'All amounts are audited.',
+  ].join('\n');
+
+  const [table, ...rest] = findTextTables(text, 4);
+  assert.equal(rest.length, 0);
+  assert.equal(table.page, 4);
+  assert.deepEqual(table.rows, [
+    ['Donor', 'Currency', 'Amount'],
+    ['Gulf Relief Foundation', 'SEK', '250 000'],
+    ['Acme Trading Ltd', '', '1 200 000'],
+    ['Nordic Aid Fund', 'EUR', '75 000'],
+  ]);
+});
+
+test('findTextTables: justified prose is not a table', () => {
+  const prose = [
+    'The  foundation  was  established  in  2009  to  support  humanitarian',
+    'work  in  the  region.  Its  board  meets  four  times  a  year  and  the',
+    'annual  accounts  are  audited  by  an  external  firm.  Donations  come',
+    'mainly  from  private  individuals  and  a  small  number  of  companies.',
+  ].join('\n');
+  assert.deepEqual(findTextTables(prose), []);
+
+  const sentenceSpaced = [
+    'The foundation was established in 2009.  It supports humanitarian work',
+    'in the region and elsewhere.  Its board meets four times a year, and the',
+    'accounts are audited by an external firm.  Donations come mainly from',
+    'private individuals.  A small number of companies also give each year.',
+  ].join('\n');
+  assert.deepEqual(findTextTables(sentenceSpaced), []);
+});
+
+test('findTextTables: "|" and tab separated tables', () => {
+  const markdown = '| Name | Role |\n|---|---|\n| Johan Berg | Chair |\n| Anna Lind | Treasurer |';
+  assert.deepEqual(findTextTables(markdown)[0].rows, [['Name', 'Role'], ['Johan Berg', 'Chair'], ['Anna Lind', 'Treasurer']]);
+
+  const tabs = 'Name\tRole\nJohan Berg\tChair\nAnna Lind\tTreasurer';
+  assert.deepEqual(findTextTables(tabs)[0].rows, [['Name', 'Role'], ['Johan Berg', 'Chair'], ['Anna Lind', 'Treasurer']]);
+});
+
+test('extractTableRows: tables on a web page are read like a document\'s', () => {
+  const html = `<html><body><p>Our board</p>
+    <table><tr><th>Name</th><th>Position</th></tr>
+      <tr><td>Johan Berg</td><td>Chairman</td></tr></table></body></html>`;
+  const page = {
+    success: true,
+    source: 'Web page: example.org',
+    sourceUrl: 'https://example.org/board',
+    tables: readHtmlTables(html),
+  };
+
+  assert.deepEqual(extractTableRows([page]), [{
+    kind: 'role',
+    name: 'Johan Berg',
+    role: 'Chairman',
+    organization: null,
+    source: 'Web page: example.org',
+    sourceUrl: 'https://example.org/board',
+    page: null,
+    context: 'Johan Berg | Chairman',
+  }]);
+});
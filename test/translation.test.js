@@ -0,0 +1,125 @@
+/**
+ * Tests for the translation providers (src/language/translationProviders.js)
+ * and the translationSource the translator records (src/language/translator.js).
+ * No network: LibreTranslate is a local stub server.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const config = require('../src/config');
+
+config.translation.delayBetweenTranslations = 0;
+const {
+  createGlossaryProvider,
+  createLibreTranslateProvider,
+  setTranslationProvider,
+} = require('../src/language/translationProviders');
+const { translateText, clearCache } = require('../src/language/translator');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const ARABIC = /[\u0600-\u06FF]/;
+
+test('glossary: known terms are translated, longest first, the rest transliterated', async () => {
+  const provider = createGlossaryProvider({ path: path.join(tmpDir, 'missing.json') });
+  const result = await provider.translate('رئيس مجلس الإدارة في جمعية الرشيد', { from: 'ar', to: 'en' });
+
+  assert.equal(result.error, null);
+  assert.match(result.text, /board of directors/);
+  assert.match(result.text, /\bassociation\b/);
+  assert.doesNotMatch(result.text, ARABIC, 'the name is transliterated');
+  assert.equal(result.from, 'ar');
+});
+
+test('glossary: the analyst\'s file is merged over the built-in terms, and changes the model', async () => {
+  const file = path.join(tmpDir, 'glossary.json');
+  const builtIn = createGlossaryProvider();
+
+  fs.writeFileSync(file, JSON.stringify({ ar: { 'جمعية': 'society' }, '*': { 'Insamlingsstiftelse': 'fundraising foundation' } }));
+  const custom = createGlossaryProvider({ path: file, transliterate: false });
+  assert.notEqual(custom.model, builtIn.model);
+  assert.match(custom.model, /^glossary-[0-9a-f]{12}$/);
+
+  assert.equal((await custom.translate('جمعية', { from: 'ar', to: 'en' })).text, 'society');
+  // "*" terms apply to any language, ignoring case, but only as whole words
+  assert.equal(
+    (await custom.translate('insamlingsstiftelse Hopp och insamlingsstiftelsens styrelse', { from: 'sv', to: 'en' })).text,
+    'fundraising foundation Hopp och insamlingsstiftelsens styrelse'
+  );
+});
+
+test('glossary: an unreadable file falls back to the built-in terms', async () => {
+  const file = path.join(tmpDir, 'broken.json');
+  fs.writeFileSync(file, '{ "ar": ');
+  const provider = createGlossaryProvider({ path: file });
+  assert.equal(provider.model, createGlossaryProvider().model);
+  assert.equal((await provider.translate('x', { from: 'ar', to: 'sv' })).error, 'only translates to English');
+});
+
+test('translator: records which provider and model translated, and caches the result', async () => {
+  clearCache();
+  const provider = createGlossaryProvider({ path: path.join(tmpDir, 'glossary.json') });
+  setTranslationProvider(provider);
+
+  const first = await translateText('تبرعات الجمعية', 'ar');
+  assert.equal(first.error, null);
+  assert.deepEqual(first.translationSource, { provider: 'glossary', name: 'Offline glossary', model: provider.model });
+  assert.equal(first.cached, false);
+  assert.equal((await translateText('تبرعات الجمعية', 'ar')).cached, true);
+});
+
+test('LibreTranslate: request and answer, refusals and a failed translationSource', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push(request);
+      res.setHeader('Content-Type', 'application/json');
+      if (request.source === 'xx') {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: 'xx is not supported' }));
+      } else {
+        res.end(JSON.stringify({ translatedText: `EN(${request.q})`, detectedLanguage: { language: 'ar', confidence: 90 } }));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const provider = createLibreTranslateProvider({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      apiKey: 'secret',
+      model: 'argos-translate 1.9',
+    });
+    assert.equal(provider.name, `LibreTranslate (127.0.0.1:${server.address().port})`);
+
+    assert.deepEqual(await provider.translate('مرحبا', { from: 'auto', to: 'en' }), { text: 'EN(مرحبا)', from: 'ar', error: null });
+    assert.deepEqual(requests[0], { q: 'مرحبا', source: 'auto', target: 'en', format: 'text', api_key: 'secret' });
+    assert.equal((await provider.translate('text', { from: 'xx', to: 'en' })).error, 'xx is not supported');
+
+    clearCache();
+    setTranslationProvider(provider);
+    const translated = await translateText('صندوق', 'ar');
+    assert.equal(translated.translatedText, 'EN(صندوق)');
+    assert.deepEqual(translated.translationSource, {
+      provider: 'libretranslate',
+      name: provider.name,
+      model: 'argos-translate 1.9',
+    });
+
+    const failed = await translateText('something', 'xx');
+    assert.equal(failed.translatedText, 'something');
+    assert.equal(failed.translationSource.failed, true);
+    assert.equal(failed.translationSource.provider, 'libretranslate');
+    assert.match(failed.error, /xx is not supported/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for document uploads (POST /api/uploads in src/server.js and
+ * src/storage/uploadStore.js): rejected types, sizes and counts leave
+ * nothing behind, an unknown upload id is refused, and old uploads are
+ * deleted after the retention period.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+// Uploads go to a temporary folder, with small limits
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+config.uploads.dir = tmpDir;
+config.uploads.maxFileSizeMB = 0.001;   // 1049 bytes
+config.uploads.maxFiles = 2;
+config.uploads.retentionDays = 30;
+
+const { app } = require('../src/server');
+const { getUploadedFiles, pruneUploads } = require('../src/storage/uploadStore');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// console.log is muted while a request runs (the server logs every upload)
+function upload(t, files) {
+  t.mock.method(console, 'log', () => {});
+  const form = new FormData();
+  for (const [name, contents] of files) {
+    form.append('documents', new Blob([contents]), name);
+  }
+  return fetch(`${baseUrl}/api/uploads`, { method: 'POST', body: form });
+}
+
+const uploadIds = () => fs.readdirSync(tmpDir).filter((name) => name !== 'expired');
+
+test('POST /api/uploads: stores the documents under safe names', async (t) => {
+  const res = await upload(t, [['Styrelse protokoll.txt', 'Johan Berg, ordförande'], ['../board.csv', 'Namn\nAnna Lind\n']]);
+  assert.equal(res.status, 201);
+  const { uploadId, files } = await res.json();
+  assert.deepEqual(files.map(({ name, format, size }) => ({ name, format, size })), [
+    { name: 'Styrelse-protokoll.txt', format: 'text', size: 23 },
+    { name: 'board.csv', format: 'csv', size: 15 },
+  ]);
+  assert.deepEqual(getUploadedFiles(uploadId).map((f) => path.basename(f)), ['Styrelse-protokoll.txt', 'board.csv']);
+  fs.rmSync(path.join(tmpDir, uploadId), { recursive: true });
+});
+
+test('POST /api/uploads: a wrong type, a too large file or too many files are refused, nothing kept', async (t) => {
+  const refusals = [
+    [[['photo.jpg', 'jpeg']], /^photo\.jpg is not a supported document type/],
+    [[['report.pdf', 'x'.repeat(2000)]], /^A document is larger than 0\.001 MB$/],
+    [[['a.txt', 'a'], ['b.txt', 'b'], ['c.txt', 'c']], /^At most 2 documents per upload$/],
+    [[], /^No documents in the "documents" field$/],
+  ];
+  for (const [files, message] of refusals) {
+    const res = await upload(t, files);
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.error, true);
+    assert.match(body.message, message);
+  }
+  assert.deepEqual(uploadIds(), []);
+});
+
+test('POST /api/assess: an unknown or malformed uploadId is refused', async () => {
+  for (const uploadId of ['2020-01-01-000000000000', '../../etc']) {
+    const res = await fetch(`${baseUrl}/api/assess`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orgName: 'Acme Foundation', uploadId }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: true, message: `No upload with id "${uploadId}"` });
+  }
+});
+
+test('pruneUploads: uploads older than retentionDays are deleted, also on the next upload', async (t) => {
+  const now = new Date('2026-10-18T12:00:00Z');
+  const dated = (date) => {
+    const dir = path.join(tmpDir, `${date}-0123456789ab`);
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'report.txt'), 'x');
+    return path.basename(dir);
+  };
+  const old = dated('2026-09-17');
+  const recent = dated('2026-09-18');
+  fs.mkdirSync(path.join(tmpDir, 'expired'));   // not an upload, left alone
+
+  assert.deepEqual(pruneUploads(now), [old]);
+  assert.deepEqual(uploadIds(), [recent]);
+
+  config.uploads.retentionDays = null;
+  assert.deepEqual(pruneUploads(new Date('2030-01-01')), []);
+  config.uploads.retentionDays = 30;
+
+  // The server prunes whenever a new upload comes in
+  fs.rmSync(path.join(tmpDir, recent), { recursive: true });
+  dated('2000-01-01');
+  const res = await upload(t, [['notes.txt', 'Acme']]);
+  assert.equal(res.status, 201);
+  const { uploadId } = await res.json();
+  assert.deepEqual(uploadIds(), [uploadId]);
+});
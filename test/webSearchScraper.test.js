@@ -0,0 +1,46 @@
+/**
+ * Tests for building search queries from templates (src/scrapers/webSearchScraper.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+
+config.webSearch.providers = [];
+const { buildSearchQueries } = require('../src/scrapers/webSearchScraper');
+
+const withTemplates = (templates, fn) => {
+  const saved = { ...config.webSearch };
+  Object.assign(config.webSearch, { queryTemplates: templates, defaultQueryLanguages: ['en'], categories: null });
+  try {
+    return fn();
+  } finally {
+    Object.assign(config.webSearch, saved);
+  }
+};
+
+test('org names with "$" patterns are inserted as written', () => {
+  const queries = withTemplates({ general: { en: ['{org} sanctions'] } }, () => buildSearchQueries('Cash $& Carry $1 AB'));
+  assert.deepEqual(queries.map((q) => q.query), ['Cash $& Carry $1 AB sanctions']);
+});
+
+test('{keywords} is filled with the category terms, and left alone inside the org name', () => {
+  const queries = withTemplates({ racism: { en: ['{org} {keywords}'] } }, () => buildSearchQueries('The {keywords} Trust'));
+  assert.equal(queries.length, 1);
+  assert.match(queries[0].query, /^The \{keywords\} Trust \S/);
+  assert.ok(queries[0].query.includes(' OR '));
+  assert.equal(queries[0].category, 'racism');
+});
+
+test('a template with sites restricts the search to them', () => {
+  const queries = withTemplates(
+    { general: { en: [{ query: '{org} report', sites: ['hrw.org', 'amnesty.org'] }] } },
+    () => buildSearchQueries('Acme')
+  );
+  assert.deepEqual(queries[0], {
+    query: 'Acme report site:hrw.org OR site:amnesty.org',
+    sites: ['hrw.org', 'amnesty.org'],
+    language: 'en',
+    category: 'general',
+  });
+});